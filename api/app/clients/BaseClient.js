@@ -5,6 +5,9 @@ const {
   isAgentsEndpoint,
   isParamEndpoint,
   EModelEndpoint,
+  RageAnswerMode,
+  RageRetrievalMode,
+  RageSearchStatus,
   ContentTypes,
   excludedKeys,
   ErrorTypes,
@@ -14,6 +17,9 @@ const { getMessages, saveMessage, updateMessage, saveConvo, getConvo } = require
 const { checkBalance } = require('~/models/balanceMethods');
 const { truncateToolCallOutputs } = require('./prompts');
 const { getFiles } = require('~/models/File');
+const { getWorkspaceForUser } = require('~/server/services/WorkspaceService');
+const { getRageLocale } = require('~/server/services/RageService');
+const { loadDocumentContext } = require('~/server/services/Documents');
 const TextStream = require('./TextStream');
 const { logger } = require('~/config');
 
@@ -27,6 +33,13 @@ try {
   RageInterceptor = null;
 }
 
+/** RAGE search results that are snapshotted on the user message; failures are retried instead */
+const rageSnapshotStatuses = new Set([
+  RageSearchStatus.found,
+  RageSearchStatus.no_results,
+  RageSearchStatus.filtered_out,
+]);
+
 class BaseClient {
   constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
@@ -65,6 +78,10 @@ class BaseClient {
      * Flag to determine if the client has already fetched the conversation while saving new messages.
      * @type {boolean | undefined} */
     this.fetchedConvo;
+    /**
+     * RAGE workspace of the request, `undefined` until `getRageWorkspace` resolves it.
+     * @type {import('~/server/services/WorkspaceService').RageWorkspace | null | undefined} */
+    this.rageWorkspace;
     /** @type {TMessage[]} */
     this.currentMessages = [];
     /** @type {import('librechat-data-provider').VisionModes | undefined} */
@@ -260,11 +277,98 @@ class BaseClient {
     };
   }
 
+  /**
+   * Resolves the RAGE workspace selected for the conversation, once per request.
+   * Conversations without an accessible workspace are not enriched.
+   * @returns {Promise<import('~/server/services/WorkspaceService').RageWorkspace|null>}
+   */
+  async getRageWorkspace() {
+    if (this.rageWorkspace !== undefined) {
+      return this.rageWorkspace;
+    }
+
+    const workspaceId = this.options.req?.body?.workspace_id;
+    if (typeof workspaceId !== 'string' || !workspaceId) {
+      return null;
+    }
+
+    try {
+      this.rageWorkspace = await getWorkspaceForUser(workspaceId, this.options.req.user);
+    } catch (error) {
+      logger.warn('[BaseClient] Failed to resolve RAGE workspace:', error.message);
+      this.rageWorkspace = null;
+    }
+    return this.rageWorkspace;
+  }
+
+  /**
+   * Returns when RAGE context is retrieved for this client.
+   * Only `always` injects context into every turn; agents may search on demand instead.
+   * @returns {RageRetrievalMode}
+   */
+  getRageRetrievalMode() {
+    return RageRetrievalMode.always;
+  }
+
+  /**
+   * Finds the RAGE snapshot to reuse for the turn, so regenerations and edits answer from the same context.
+   * Edited responses use their own user message; regenerations and resubmitted edits look up the snapshot
+   * of `rageSnapshotMessageId`, or of the regenerated user message. `rageRefresh` skips the snapshot.
+   * @param {TMessage} userMessage - User message of the turn
+   * @param {Object} opts - Message options
+   * @param {boolean} [opts.isEdited]
+   * @param {boolean} [opts.isRegenerate]
+   * @returns {Promise<TRageSnapshot|null>} Snapshot to reuse, or null to retrieve context
+   */
+  async getRageSnapshot(userMessage, { isEdited, isRegenerate } = {}) {
+    const body = this.options.req?.body ?? {};
+    if (body.rageRefresh === true) {
+      return null;
+    }
+
+    if (isEdited) {
+      return userMessage.rageSnapshot ?? null;
+    }
+
+    const messageId = body.rageSnapshotMessageId ?? (isRegenerate ? userMessage.messageId : null);
+    if (!messageId) {
+      return null;
+    }
+
+    try {
+      const [message] =
+        (await getMessages(
+          { conversationId: userMessage.conversationId, messageId, user: this.user },
+          'rageSnapshot',
+        )) ?? [];
+      return message?.rageSnapshot ?? null;
+    } catch (error) {
+      logger.warn('[BaseClient] Failed to load RAGE snapshot:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a RAGE snapshot was taken for the workspace and answer mode of the turn.
+   * The snapshot context ends with the strict or expansive footer of its answer mode.
+   * @param {TRageSnapshot} snapshot
+   * @param {Object} turn
+   * @param {string} turn.workspaceId - Workspace of the turn
+   * @param {string} [turn.answerMode] - Answer mode requested for the turn
+   * @returns {boolean}
+   */
+  isRageSnapshotCurrent(snapshot, { workspaceId, answerMode }) {
+    return snapshot.workspaceId === workspaceId && snapshot.answerMode === answerMode;
+  }
+
   /**
    * Enriches message with RAGE context if available
+   * Search progress is streamed to the client as `rage` events.
    * @param {string} message - User message to enrich
    * @param {Object} options - Enrichment options
-   * @returns {Promise<string|null>} RAGE context or null
+   * @param {string} [options.userMessageId] - ID of the user message, which keys the progress events
+   * @param {(progress: TRageSearchProgress) => void} [options.onProgress] - Also receives each progress update
+   * @returns {Promise<{ context: string, sources: TRageSource[] }|null>} RAGE context and its sources, or null
    */
   async enrichWithRage(message, options = {}) {
     if (!this.rageInterceptor || !message) {
@@ -274,35 +378,137 @@ class BaseClient {
     try {
       const enrichmentOptions = {
         userId: options.user?.id || options.user,
+        userRole: this.options.req?.user?.role,
+        userGroups: this.options.req?.user?.groups,
         conversationId: options.conversationId,
+        messageId: options.userMessageId,
         correlationId: options.correlationId,
-        language: options.language || 'english'
+        workspace: options.workspace,
+        answerMode: options.answerMode,
+        history: options.history,
+        encoding: typeof this.getEncoding === 'function' ? this.getEncoding() : undefined,
+        tokenBudget: options.tokenBudget,
+        language: options.language || 'english',
+        locale: getRageLocale(this.options.req),
+        onProgress: (progress) => {
+          options.onProgress?.(progress);
+          this.sendRageProgress({
+            ...progress,
+            conversationId: options.conversationId,
+            messageId: options.userMessageId
+          });
+        }
       };
 
       logger.debug('[BaseClient] Enriching message with RAGE', {
         messageLength: message.length,
         userId: enrichmentOptions.userId,
-        conversationId: enrichmentOptions.conversationId
+        conversationId: enrichmentOptions.conversationId,
+        workspaceId: enrichmentOptions.workspace?.id,
+        answerMode: enrichmentOptions.answerMode
       });
 
-      const rageContext = await this.rageInterceptor.enrichMessage(message, enrichmentOptions);
-      
-      if (rageContext) {
+      const rageResult = await this.rageInterceptor.enrichMessageWithSources(
+        message,
+        enrichmentOptions,
+      );
+
+      if (rageResult?.context) {
         logger.debug('[BaseClient] RAGE context generated', {
-          contextLength: rageContext.length,
+          contextLength: rageResult.context.length,
+          sourceCount: rageResult.sources?.length ?? 0,
           userId: enrichmentOptions.userId
         });
       } else {
         logger.debug('[BaseClient] No RAGE context generated');
+        return null;
       }
 
-      return rageContext;
+      return rageResult;
     } catch (error) {
       logger.warn('[BaseClient] RAGE enrichment failed:', error.message);
       return null; // Graceful degradation
     }
   }
 
+  /**
+   * Writes a RAGE search progress event to the response stream, once the stream has started.
+   * @param {TRageSearchEvent} event - Progress event
+   */
+  sendRageProgress(event) {
+    const res = this.options.res;
+    if (!res?.headersSent || res.writableEnded || !event.messageId) {
+      return;
+    }
+
+    res.write(`event: rage\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+
+  /**
+   * Computes the room left for RAGE context in the model context window
+   * @param {Array|string} payload - Prompt payload built for the request
+   * @param {number} [promptTokens] - Prompt tokens reported by `buildMessages`
+   * @param {number} [addedTokens=0] - Tokens added to the payload after `buildMessages`
+   * @returns {{ contextTokens: number, usedTokens: number, reservedTokens: number } | undefined} Token budget, or undefined when the context window is unknown
+   */
+  getRageTokenBudget(payload, promptTokens, addedTokens = 0) {
+    if (!this.maxContextTokens) {
+      return undefined;
+    }
+
+    let usedTokens = promptTokens == null ? undefined : promptTokens + addedTokens;
+    if (usedTokens == null && Array.isArray(payload)) {
+      usedTokens = payload.reduce((sum, message) => sum + this.getTokenCountForMessage(message), 0);
+    }
+
+    return {
+      contextTokens: this.maxContextTokens,
+      usedTokens: usedTokens ?? 0,
+      reservedTokens: this.maxResponseTokens ?? 0,
+    };
+  }
+
+  /**
+   * Adds the documents mentioned with `@` in the user message to the system message.
+   * Regenerations resend the documents of the regenerated message, and edited responses use
+   * the documents stored on their user message. The documents included are stored on the message.
+   * @param {Array|string} payload - Prompt payload built for the request
+   * @param {TMessage} userMessage - User message of the turn
+   * @param {Object} [opts]
+   * @param {boolean} [opts.isEdited]
+   * @returns {Promise<number>} Tokens of the document context added to the payload
+   */
+  async addDocumentContext(payload, userMessage, { isEdited } = {}) {
+    const req = this.options.req;
+    const config = req?.app?.locals?.documents;
+    const mentions = req?.body?.documents ?? (isEdited ? userMessage.documents : undefined);
+    if (!config || !Array.isArray(mentions) || mentions.length === 0 || !Array.isArray(payload)) {
+      return 0;
+    }
+
+    try {
+      const result = await loadDocumentContext(config, req.user.id, mentions, userMessage.text);
+      userMessage.documents = result?.documents;
+      if (!result) {
+        return 0;
+      }
+
+      const systemIndex = payload.findIndex((msg) => msg.role === 'system');
+      if (systemIndex >= 0) {
+        payload[systemIndex].content += '\n\n' + result.context;
+      } else {
+        payload.unshift({ role: 'system', content: result.context });
+      }
+      logger.debug('[BaseClient] Document context added', {
+        documents: result.documents.length,
+        contextLength: result.context.length,
+      });
+      return this.getTokenCountForMessage({ role: 'system', content: result.context });
+    } catch (error) {
+      logger.warn('[BaseClient] Failed to add document context:', error.message);
+      return 0;
+    }
+  }
 
   async handleStartMethods(message, opts) {
     const {
@@ -714,16 +920,87 @@ class BaseClient {
       userId: user?.id || user
     });
 
+    // Mentioned documents come first so that the RAGE context fits in the room they leave
+    const documentTokens = await this.addDocumentContext(payload, userMessage, { isEdited });
+
     // RAGE context injection
-    if (this.rageInterceptor && !isEdited) {
+    /** @type {TRageSource[] | undefined} */
+    let rageSources;
+    /** @type {TRageSearchProgress | undefined} */
+    let rageSearch;
+    const injectsRage =
+      this.rageInterceptor &&
+      this.rageInterceptor.isEnabledForEndpoint?.(
+        this.options.endpoint,
+        this.options.endpointType,
+      ) !== false &&
+      this.getRageRetrievalMode() === RageRetrievalMode.always;
+    const rageWorkspace = injectsRage ? await this.getRageWorkspace() : null;
+    if (rageWorkspace) {
       try {
-        const rageContext = await this.enrichWithRage(userMessage.text, {
-          user,
-          conversationId,
-          correlationId: opts.correlationId || crypto.randomUUID()
+        const answerMode = this.options.req?.body?.rage_mode;
+        /** @type {TRageSnapshot | null} */
+        let rageSnapshot = await this.getRageSnapshot(userMessage, {
+          isEdited,
+          isRegenerate: opts.isRegenerate,
         });
-        
+        if (
+          rageSnapshot &&
+          !this.isRageSnapshotCurrent(rageSnapshot, { workspaceId: rageWorkspace.id, answerMode })
+        ) {
+          rageSnapshot = null;
+        }
+
+        if (rageSnapshot) {
+          rageSearch = { ...rageSnapshot.search, reused: true };
+          this.sendRageProgress({
+            ...rageSearch,
+            conversationId,
+            messageId: userMessage.messageId
+          });
+          logger.debug('[RAGE] Reusing context snapshot', { messageId: userMessage.messageId });
+        } else {
+          const rageResult = await this.enrichWithRage(userMessage.text, {
+            user,
+            conversationId,
+            workspace: rageWorkspace,
+            answerMode,
+            history: this.currentMessages.slice(0, this.currentMessages.indexOf(userMessage)),
+            tokenBudget: this.getRageTokenBudget(payload, promptTokens, documentTokens),
+            correlationId: opts.correlationId || crypto.randomUUID(),
+            userMessageId: userMessage.messageId,
+            onProgress: (progress) => {
+              rageSearch = progress;
+            }
+          });
+
+          if (rageSnapshotStatuses.has(rageSearch?.status)) {
+            rageSnapshot = {
+              context: rageResult?.context ?? '',
+              sources: rageResult?.sources ?? [],
+              search: rageSearch,
+              workspaceId: rageWorkspace.id,
+              answerMode,
+              createdAt: new Date().toISOString()
+            };
+            if (isEdited) {
+              await this.updateMessageInDatabase({
+                messageId: userMessage.messageId,
+                conversationId,
+                rageSnapshot
+              });
+            }
+          }
+        }
+
+        if (rageSnapshot) {
+          userMessage.rageSnapshot = rageSnapshot;
+        }
+
+        const rageContext = rageSnapshot?.context;
+
         if (rageContext && Array.isArray(payload)) {
+          rageSources = rageSnapshot.sources;
           const systemIndex = payload.findIndex(msg => msg.role === 'system');
           
           if (systemIndex >= 0) {
@@ -799,6 +1076,14 @@ class BaseClient {
       ...(this.metadata ?? {}),
     };
 
+    if (rageSources?.length) {
+      responseMessage.rageSources = rageSources;
+    }
+
+    if (rageSearch && rageSearch.status !== RageSearchStatus.searching) {
+      responseMessage.rageSearch = rageSearch;
+    }
+
     if (typeof completion === 'string') {
       responseMessage.text = completion;
     } else if (
@@ -1040,6 +1325,27 @@ class BaseClient {
       ...endpointOptions,
     };
 
+    // Only a workspace the user can access is kept; `null` clears the selection
+    const workspaceId = this.options?.req?.body?.workspace_id;
+    if (workspaceId === null) {
+      fieldsToKeep.workspace_id = null;
+    } else if (workspaceId !== undefined) {
+      const workspace = await this.getRageWorkspace();
+      if (workspace) {
+        fieldsToKeep.workspace_id = workspace.id;
+      }
+    }
+
+    const rageMode = this.options?.req?.body?.rage_mode;
+    if (Object.values(RageAnswerMode).includes(rageMode)) {
+      fieldsToKeep.rage_mode = rageMode;
+    }
+
+    const rageLanguage = this.options?.req?.body?.rage_language;
+    if (typeof rageLanguage === 'string' && rageLanguage) {
+      fieldsToKeep.rage_language = rageLanguage;
+    }
+
     const existingConvo =
       this.fetchedConvo === true
         ? null
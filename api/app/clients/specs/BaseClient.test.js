@@ -30,7 +30,19 @@ jest.mock('~/models', () => ({
   updateFileUsage: jest.fn(),
 }));
 
-const { getConvo, saveConvo } = require('~/models');
+const { getConvo, saveConvo, getMessages, saveMessage, updateMessage } = require('~/models');
+
+jest.mock('~/server/services/Documents', () => ({
+  loadDocumentContext: jest.fn(),
+}));
+
+const { loadDocumentContext } = require('~/server/services/Documents');
+
+jest.mock('~/server/services/WorkspaceService', () => ({
+  getWorkspaceForUser: jest.fn(),
+}));
+
+const { getWorkspaceForUser } = require('~/server/services/WorkspaceService');
 
 jest.mock('@librechat/agents', () => {
   const { Providers } = jest.requireActual('@librechat/agents');
@@ -918,4 +930,339 @@ describe('BaseClient', () => {
       expect(result.remainingContextTokens).toBe(2); // 25 - 20 - 3(assistant label)
     });
   });
+
+  describe('sendRageProgress', () => {
+    test('writes knowledge base progress as a `rage` event', () => {
+      const res = { headersSent: true, writableEnded: false, write: jest.fn() };
+      TestClient.options.res = res;
+
+      TestClient.sendRageProgress({ status: 'found', documentsIncluded: 2, messageId: 'user-1' });
+
+      expect(res.write).toHaveBeenCalledWith(
+        'event: rage\ndata: {"status":"found","documentsIncluded":2,"messageId":"user-1"}\n\n',
+      );
+    });
+
+    test('does not write before the stream starts or after it ends', () => {
+      const res = { headersSent: false, writableEnded: false, write: jest.fn() };
+      TestClient.options.res = res;
+
+      TestClient.sendRageProgress({ status: 'searching', messageId: 'user-1' });
+      res.headersSent = true;
+      res.writableEnded = true;
+      TestClient.sendRageProgress({ status: 'found', messageId: 'user-1' });
+
+      expect(res.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('RAGE context snapshots', () => {
+    const snapshot = {
+      context: 'Snapshot context',
+      sources: [{ index: 1, id: 'doc-1', source: 'handbook.pdf', score: 0.9, snippet: 'Vacation' }],
+      search: { status: 'found', query: 'vacation policy', documentsIncluded: 1 },
+      workspaceId: 'ws-1',
+      createdAt: '2025-01-01T00:00:00.000Z',
+    };
+
+    const getSystemPrompt = () => {
+      const [payload] = TestClient.sendCompletion.mock.calls[0];
+      return payload.find((message) => message.role === 'system')?.content;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      TestClient.options = { ...TestClient.options, req: { body: {}, user: { id: 'user-1' } } };
+      TestClient.getRageWorkspace = jest.fn().mockResolvedValue({ id: 'ws-1' });
+      TestClient.rageInterceptor = {
+        enrichMessageWithSources: jest.fn(async (_message, { onProgress }) => {
+          onProgress({ status: 'found', query: 'vacation policy', documentsIncluded: 1 });
+          return { context: 'Fresh context', sources: snapshot.sources };
+        }),
+      };
+    });
+
+    test('stores the injected context on the user message', async () => {
+      await TestClient.sendMessage('What is the vacation policy?', { user: 'user-1' });
+
+      expect(getSystemPrompt()).toBe('Fresh context');
+      expect(saveMessage).toHaveBeenCalledWith(
+        TestClient.options.req,
+        expect.objectContaining({
+          isCreatedByUser: true,
+          rageSnapshot: expect.objectContaining({
+            context: 'Fresh context',
+            sources: snapshot.sources,
+            search: expect.objectContaining({ status: 'found' }),
+            workspaceId: 'ws-1',
+          }),
+        }),
+        expect.any(Object),
+      );
+    });
+
+    test('regenerations reuse the snapshot of the user message', async () => {
+      getMessages.mockResolvedValueOnce([{ rageSnapshot: snapshot }]);
+
+      const response = await TestClient.sendMessage('What is the vacation policy?', {
+        user: 'user-1',
+        isRegenerate: true,
+        overrideParentMessageId: 'user-message-1',
+      });
+
+      expect(getMessages).toHaveBeenCalledWith(
+        expect.objectContaining({ messageId: 'user-message-1', user: 'user-1' }),
+        'rageSnapshot',
+      );
+      expect(TestClient.rageInterceptor.enrichMessageWithSources).not.toHaveBeenCalled();
+      expect(getSystemPrompt()).toBe('Snapshot context');
+      expect(response.rageSources).toEqual(snapshot.sources);
+      expect(response.rageSearch).toEqual({ ...snapshot.search, reused: true });
+    });
+
+    test('resubmitted edits reuse the snapshot of the original message', async () => {
+      TestClient.options.req.body.rageSnapshotMessageId = 'original-message';
+      getMessages.mockResolvedValueOnce([{ rageSnapshot: snapshot }]);
+
+      await TestClient.sendMessage('What is the vacation policy in 2025?', { user: 'user-1' });
+
+      expect(getMessages).toHaveBeenCalledWith(
+        expect.objectContaining({ messageId: 'original-message' }),
+        'rageSnapshot',
+      );
+      expect(getSystemPrompt()).toBe('Snapshot context');
+      expect(saveMessage).toHaveBeenCalledWith(
+        TestClient.options.req,
+        expect.objectContaining({ isCreatedByUser: true, rageSnapshot: snapshot }),
+        expect.any(Object),
+      );
+    });
+
+    test('refreshing knowledge retrieves the context again', async () => {
+      TestClient.options.req.body.rageRefresh = true;
+
+      const response = await TestClient.sendMessage('What is the vacation policy?', {
+        user: 'user-1',
+        isRegenerate: true,
+        overrideParentMessageId: 'user-message-1',
+      });
+
+      expect(getMessages).not.toHaveBeenCalledWith(expect.anything(), 'rageSnapshot');
+      expect(TestClient.rageInterceptor.enrichMessageWithSources).toHaveBeenCalled();
+      expect(getSystemPrompt()).toBe('Fresh context');
+      expect(response.rageSearch.reused).toBeUndefined();
+    });
+
+    test('ignores snapshots of another workspace', async () => {
+      getMessages.mockResolvedValueOnce([{ rageSnapshot: { ...snapshot, workspaceId: 'ws-2' } }]);
+
+      await TestClient.sendMessage('What is the vacation policy?', {
+        user: 'user-1',
+        isRegenerate: true,
+        overrideParentMessageId: 'user-message-1',
+      });
+
+      expect(TestClient.rageInterceptor.enrichMessageWithSources).toHaveBeenCalled();
+      expect(getSystemPrompt()).toBe('Fresh context');
+    });
+
+    test('ignores snapshots of another answer mode', async () => {
+      TestClient.options.req.body.rage_mode = 'strict';
+      getMessages.mockResolvedValueOnce([
+        { rageSnapshot: { ...snapshot, answerMode: 'expansive' } },
+      ]);
+
+      await TestClient.sendMessage('What is the vacation policy?', {
+        user: 'user-1',
+        isRegenerate: true,
+        overrideParentMessageId: 'user-message-1',
+      });
+
+      expect(TestClient.rageInterceptor.enrichMessageWithSources).toHaveBeenCalledWith(
+        'What is the vacation policy?',
+        expect.objectContaining({ answerMode: 'strict' }),
+      );
+      expect(getSystemPrompt()).toBe('Fresh context');
+    });
+
+    test('does not snapshot failed searches', async () => {
+      TestClient.rageInterceptor.enrichMessageWithSources.mockImplementationOnce(
+        async (_message, { onProgress }) => {
+          onProgress({ status: 'failed' });
+          return null;
+        },
+      );
+
+      await TestClient.sendMessage('What is the vacation policy?', { user: 'user-1' });
+
+      const [, savedMessage] = saveMessage.mock.calls.find(
+        ([, message]) => message.isCreatedByUser,
+      );
+      expect(savedMessage.rageSnapshot).toBeUndefined();
+    });
+
+    test('edited responses use the snapshot stored on their user message', async () => {
+      const getSnapshot = (rageSnapshot) =>
+        TestClient.getRageSnapshot(
+          { messageId: 'user-message-1', rageSnapshot },
+          { isEdited: true },
+        );
+
+      await expect(getSnapshot(snapshot)).resolves.toBe(snapshot);
+      await expect(getSnapshot(undefined)).resolves.toBeNull();
+      expect(getMessages).not.toHaveBeenCalled();
+      expect(updateMessage).not.toHaveBeenCalled();
+    });
+
+    test('skips endpoints that RAGE is not enabled for', async () => {
+      TestClient.rageInterceptor.isEnabledForEndpoint = jest.fn().mockReturnValue(false);
+
+      const response = await TestClient.sendMessage('What is the vacation policy?', {
+        user: 'user-1',
+      });
+
+      expect(TestClient.rageInterceptor.isEnabledForEndpoint).toHaveBeenCalledWith(
+        TestClient.options.endpoint,
+        TestClient.options.endpointType,
+      );
+      expect(TestClient.getRageWorkspace).not.toHaveBeenCalled();
+      expect(TestClient.rageInterceptor.enrichMessageWithSources).not.toHaveBeenCalled();
+      expect(response.rageSources).toBeUndefined();
+    });
+
+    test('formats the context in the conversation language, then the UI locale', async () => {
+      TestClient.options.req.cookies = { lang: 'pt-BR' };
+      TestClient.options.req.headers = { 'accept-language': 'es-ES,es;q=0.9' };
+      await TestClient.sendMessage('Qual é a política de férias?', { user: 'user-1' });
+
+      TestClient.options.req.body.rage_language = 'pt-PT';
+      await TestClient.sendMessage('Qual é a política de férias?', { user: 'user-1' });
+
+      const locales = TestClient.rageInterceptor.enrichMessageWithSources.mock.calls.map(
+        ([, options]) => options.locale,
+      );
+      expect(locales).toEqual(['pt-BR', 'pt-PT']);
+    });
+  });
+
+  describe('conversation workspace', () => {
+    const user = { id: 'user-1', role: 'USER' };
+
+    const getSavedWorkspace = () => saveConvo.mock.calls[0][1].workspace_id;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      TestClient.rageInterceptor = null;
+      TestClient.options = { ...TestClient.options, req: { user, body: {} } };
+    });
+
+    test('saves the workspace resolved for the user', async () => {
+      TestClient.options.req.body.workspace_id = 'ws-1';
+      getWorkspaceForUser.mockResolvedValue({ id: 'ws-1', name: 'Support' });
+
+      await TestClient.sendMessage('Hello', { user: user.id });
+
+      expect(getWorkspaceForUser).toHaveBeenCalledTimes(1);
+      expect(getWorkspaceForUser).toHaveBeenCalledWith('ws-1', user);
+      expect(getSavedWorkspace()).toBe('ws-1');
+    });
+
+    test('does not save workspaces the user cannot access or invalid IDs', async () => {
+      TestClient.options.req.body.workspace_id = 'ws-private';
+      getWorkspaceForUser.mockResolvedValue(null);
+      await TestClient.sendMessage('Hello', { user: user.id });
+      expect(getSavedWorkspace()).toBeUndefined();
+
+      saveConvo.mockClear();
+      TestClient.rageWorkspace = undefined;
+      TestClient.options.req.body.workspace_id = { $ne: null };
+      await TestClient.sendMessage('Hello', { user: user.id });
+      expect(getWorkspaceForUser).toHaveBeenCalledTimes(1);
+      expect(getSavedWorkspace()).toBeUndefined();
+    });
+
+    test('clears the workspace with null', async () => {
+      TestClient.options.req.body.workspace_id = null;
+
+      await TestClient.sendMessage('Hello', { user: user.id });
+
+      expect(getWorkspaceForUser).not.toHaveBeenCalled();
+      expect(getSavedWorkspace()).toBeNull();
+    });
+  });
+
+  describe('document mentions', () => {
+    const documents = { source: 'local', local: { path: '/srv/docs' }, userOverrides: false };
+    const mentioned = [{ path: 'README.md', name: 'README.md', source: 'local' }];
+
+    const getSystemPrompt = () => {
+      const [payload] = TestClient.sendCompletion.mock.calls[0];
+      return payload.find((message) => message.role === 'system')?.content;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      TestClient.rageInterceptor = null;
+      TestClient.options = {
+        ...TestClient.options,
+        req: {
+          app: { locals: { documents } },
+          body: { documents: [{ path: 'README.md', name: 'README.md' }] },
+          user: { id: 'user-1' },
+        },
+      };
+      loadDocumentContext.mockResolvedValue({ context: 'Handbook context', documents: mentioned });
+    });
+
+    test('adds the mentioned documents to the system message and the user message', async () => {
+      await TestClient.sendMessage('Summarize the handbook', { user: 'user-1' });
+
+      expect(loadDocumentContext).toHaveBeenCalledWith(
+        documents,
+        'user-1',
+        [{ path: 'README.md', name: 'README.md' }],
+        'Summarize the handbook',
+      );
+      expect(getSystemPrompt()).toBe('Handbook context');
+      expect(saveMessage).toHaveBeenCalledWith(
+        TestClient.options.req,
+        expect.objectContaining({ isCreatedByUser: true, documents: mentioned }),
+        expect.any(Object),
+      );
+    });
+
+    test('leaves the RAGE context the room not taken by the documents', async () => {
+      TestClient.getRageWorkspace = jest.fn().mockResolvedValue({ id: 'ws-1' });
+      TestClient.rageInterceptor = {
+        enrichMessageWithSources: jest.fn(async (_message, { onProgress }) => {
+          onProgress({ status: 'found', query: 'handbook', documentsIncluded: 1 });
+          return { context: 'Fresh context', sources: [] };
+        }),
+      };
+      TestClient.buildMessages.mockResolvedValueOnce({
+        prompt: [{ role: 'user', content: 'Summarize the handbook' }],
+        promptTokens: 100,
+      });
+
+      await TestClient.sendMessage('Summarize the handbook', { user: 'user-1' });
+
+      expect(TestClient.rageInterceptor.enrichMessageWithSources).toHaveBeenCalledWith(
+        'Summarize the handbook',
+        expect.objectContaining({
+          tokenBudget: expect.objectContaining({ usedTokens: 100 + 'Handbook context'.length }),
+        }),
+      );
+      expect(getSystemPrompt()).toBe('Handbook context\n\nFresh context');
+    });
+
+    test('skips documents when the document browser is disabled or nothing could be read', async () => {
+      loadDocumentContext.mockResolvedValueOnce(null);
+      await TestClient.sendMessage('Summarize the handbook', { user: 'user-1' });
+      expect(getSystemPrompt()).toBeUndefined();
+
+      TestClient.options.req.app.locals.documents = undefined;
+      await TestClient.sendMessage('Summarize the handbook', { user: 'user-1' });
+      expect(loadDocumentContext).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -23,6 +23,7 @@ const {
 } = require('../');
 const { primeFiles: primeCodeFiles } = require('~/server/services/Files/Code/process');
 const { createFileSearchTool, primeFiles: primeSearchFiles } = require('./fileSearch');
+const { createKnowledgeBaseSearchTool, primeKnowledgeBase } = require('./knowledgeBaseSearch');
 const { getUserPluginAuthValue } = require('~/server/services/PluginService');
 const { loadAuthValues } = require('~/server/services/Tools/credentials');
 const { getCachedTools } = require('~/server/services/Config');
@@ -271,6 +272,13 @@ const loadTools = async ({
         return createFileSearchTool({ req: options.req, files, entity_id: agent?.id });
       };
       continue;
+    } else if (tool === Tools.knowledge_base_search) {
+      requestedTools[tool] = async () => {
+        const { workspace, toolContext } = await primeKnowledgeBase({ req: options.req });
+        toolContextMap[tool] = toolContext;
+        return createKnowledgeBaseSearchTool({ req: options.req, workspace });
+      };
+      continue;
     } else if (tool === Tools.web_search) {
       const webSearchConfig = options?.req?.app?.locals?.webSearch;
       const result = await loadWebSearchAuth({
@@ -0,0 +1,132 @@
+const { z } = require('zod');
+const { tool } = require('@langchain/core/tools');
+const { logger } = require('@librechat/data-schemas');
+const { Tools } = require('librechat-data-provider');
+const { getWorkspaceForUser } = require('~/server/services/WorkspaceService');
+const { getRageInterceptor, getRageLocale } = require('~/server/services/RageService');
+
+/**
+ * Resolves the RAGE workspace selected for the conversation and describes it to the agent.
+ * @param {Object} options
+ * @param {ServerRequest} options.req
+ * @returns {Promise<{
+ *   workspace: import('~/server/services/WorkspaceService').RageWorkspace | null,
+ *   toolContext: string
+ * }>}
+ */
+const primeKnowledgeBase = async ({ req }) => {
+  let workspace = null;
+  try {
+    workspace = await getWorkspaceForUser(req?.body?.workspace_id, req?.user);
+  } catch (error) {
+    logger.warn(
+      `[${Tools.knowledge_base_search}] Failed to resolve RAGE workspace:`,
+      error.message,
+    );
+  }
+
+  if (!workspace) {
+    return {
+      workspace,
+      toolContext: `- Note: The ${Tools.knowledge_base_search} tool is available but no knowledge base is selected for this conversation. Ask the user to select one if they need answers from internal documents.`,
+    };
+  }
+
+  return {
+    workspace,
+    toolContext: `- Note: Use the ${Tools.knowledge_base_search} tool to search the "${workspace.name}" knowledge base when the user asks about internal documents, policies or procedures. Cite the results with their [n] markers; do not search for greetings or small talk.`,
+  };
+};
+
+/**
+ * Creates the `knowledge_base_search` tool, which retrieves cited chunks from the RAGE knowledge base.
+ * The content returned to the model is the formatted RAGE context; the artifact holds the sources.
+ * @param {Object} options
+ * @param {ServerRequest} options.req
+ * @param {import('~/server/services/WorkspaceService').RageWorkspace | null} options.workspace
+ * @returns {StructuredTool}
+ */
+const createKnowledgeBaseSearchTool = ({ req, workspace }) => {
+  return tool(
+    async ({ query, top_k, filters, after, before }) => {
+      /** @type {(content: string, sources?: TRageSource[]) => [string, Object]} */
+      const respond = (content, sources = []) => [
+        content,
+        { [Tools.knowledge_base_search]: { query, sources } },
+      ];
+
+      if (!workspace) {
+        return respond(
+          'No knowledge base is selected for this conversation. Instruct the user to select one.',
+        );
+      }
+
+      const interceptor = getRageInterceptor();
+      if (!interceptor || !interceptor.isEnabled()) {
+        return respond('The knowledge base is not available right now.');
+      }
+
+      const dateRange = after || before ? { after, before } : undefined;
+      try {
+        const result = await interceptor.enrichMessageWithSources(query, {
+          userId: req.user.id,
+          userRole: req.user.role,
+          userGroups: req.user.groups,
+          conversationId: req.body?.conversationId,
+          workspace,
+          answerMode: req.body?.rage_mode,
+          locale: getRageLocale(req),
+          numResults: top_k,
+          filters,
+          dateRange,
+        });
+
+        if (!result?.context) {
+          return respond(`No relevant documents found in the knowledge base for "${query}".`);
+        }
+
+        return respond(result.context, result.sources ?? []);
+      } catch (error) {
+        logger.error(`[${Tools.knowledge_base_search}] Error searching the knowledge base:`, error);
+        return respond('There was an error searching the knowledge base.');
+      }
+    },
+    {
+      name: Tools.knowledge_base_search,
+      responseFormat: 'content_and_artifact',
+      description: `Searches the organization's knowledge base (${workspace?.name ?? 'none selected'}) with a natural language query and returns the most relevant document chunks, numbered for citation. Use it for questions about internal documents, policies and procedures; narrow the search with metadata filters or dates when the user asks for them.`,
+      schema: z.object({
+        query: z
+          .string()
+          .describe(
+            'A standalone natural language query. Resolve references to earlier turns and include the key terms of the information you need.',
+          ),
+        top_k: z
+          .number()
+          .int()
+          .min(1)
+          .max(20)
+          .optional()
+          .describe('Maximum number of chunks to return. Defaults to the configured result count.'),
+        filters: z
+          .record(z.union([z.string(), z.array(z.string())]))
+          .optional()
+          .describe(
+            'Metadata values the chunks must have, by field, e.g. {"source": "handbook", "department": ["finance", "shared"]}.',
+          ),
+        after: z
+          .string()
+          .regex(/^\d{4}-\d{2}-\d{2}$/)
+          .optional()
+          .describe('Only return documents updated on or after this date (YYYY-MM-DD).'),
+        before: z
+          .string()
+          .regex(/^\d{4}-\d{2}-\d{2}$/)
+          .optional()
+          .describe('Only return documents updated before this date (YYYY-MM-DD).'),
+      }),
+    },
+  );
+};
+
+module.exports = { createKnowledgeBaseSearchTool, primeKnowledgeBase };
@@ -0,0 +1,112 @@
+const { Tools } = require('librechat-data-provider');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('~/server/services/WorkspaceService', () => ({
+  getWorkspaceForUser: jest.fn(),
+}));
+
+jest.mock('~/server/services/RageService', () => ({
+  getRageInterceptor: jest.fn(),
+  getRageLocale: jest.fn(),
+}));
+
+const { getWorkspaceForUser } = require('~/server/services/WorkspaceService');
+const { getRageInterceptor, getRageLocale } = require('~/server/services/RageService');
+const { createKnowledgeBaseSearchTool, primeKnowledgeBase } = require('./knowledgeBaseSearch');
+
+describe('knowledge_base_search', () => {
+  const workspace = { id: 'ws1', name: 'Finance', pipeline: { provider: 'vectorize' } };
+  const sources = [
+    { index: 1, id: 'd1', source: 'handbook.md', score: 0.92, snippet: 'Due Friday' },
+  ];
+
+  let req;
+  let interceptor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { id: 'user1', role: 'USER', groups: ['finance'] },
+      body: { conversationId: 'convo1', workspace_id: 'ws1', rage_mode: 'strict' },
+    };
+    interceptor = {
+      isEnabled: jest.fn().mockReturnValue(true),
+      enrichMessageWithSources: jest
+        .fn()
+        .mockResolvedValue({ context: '[1] Expense reports are due Friday.', sources }),
+    };
+    getRageInterceptor.mockReturnValue(interceptor);
+    getRageLocale.mockReturnValue('pt-BR');
+  });
+
+  /** Invokes the tool the way the agent graph does, returning its ToolMessage */
+  const invoke = (searchTool, args) =>
+    searchTool.invoke({ id: 'call_1', name: Tools.knowledge_base_search, args, type: 'tool_call' });
+
+  it('should search with the agent query, result count and filters', async () => {
+    const searchTool = createKnowledgeBaseSearchTool({ req, workspace });
+
+    const message = await invoke(searchTool, {
+      query: 'expense report deadline',
+      top_k: 3,
+      filters: { source: 'handbook' },
+      after: '2024-01-01',
+    });
+
+    expect(interceptor.enrichMessageWithSources).toHaveBeenCalledWith('expense report deadline', {
+      userId: 'user1',
+      userRole: 'USER',
+      userGroups: ['finance'],
+      conversationId: 'convo1',
+      workspace,
+      answerMode: 'strict',
+      locale: 'pt-BR',
+      numResults: 3,
+      filters: { source: 'handbook' },
+      dateRange: { after: '2024-01-01', before: undefined },
+    });
+    expect(message.content).toBe('[1] Expense reports are due Friday.');
+    expect(message.artifact).toEqual({
+      [Tools.knowledge_base_search]: { query: 'expense report deadline', sources },
+    });
+  });
+
+  it('should answer without sources when nothing relevant is found', async () => {
+    interceptor.enrichMessageWithSources.mockResolvedValue(null);
+    const searchTool = createKnowledgeBaseSearchTool({ req, workspace });
+
+    const message = await invoke(searchTool, { query: 'parking rules' });
+
+    expect(message.content).toContain('No relevant documents');
+    expect(message.artifact[Tools.knowledge_base_search].sources).toEqual([]);
+  });
+
+  it('should not search when no knowledge base is selected', async () => {
+    getWorkspaceForUser.mockResolvedValue(null);
+    const { workspace: primed, toolContext } = await primeKnowledgeBase({ req });
+    const searchTool = createKnowledgeBaseSearchTool({ req, workspace: primed });
+
+    const message = await invoke(searchTool, { query: 'expense report deadline' });
+
+    expect(toolContext).toContain('no knowledge base is selected');
+    expect(interceptor.enrichMessageWithSources).not.toHaveBeenCalled();
+    expect(message.content).toContain('No knowledge base is selected');
+  });
+
+  it('should describe the selected knowledge base to the agent', async () => {
+    getWorkspaceForUser.mockResolvedValue(workspace);
+
+    const result = await primeKnowledgeBase({ req });
+
+    expect(getWorkspaceForUser).toHaveBeenCalledWith('ws1', req.user);
+    expect(result.workspace).toBe(workspace);
+    expect(result.toolContext).toContain('"Finance" knowledge base');
+  });
+});
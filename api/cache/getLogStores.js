@@ -48,6 +48,8 @@ const namespaces = {
     CacheKeys.OPENID_EXCHANGED_TOKENS,
     Time.TEN_MINUTES,
   ),
+  [CacheKeys.RAGE_RESULTS]: standardCache(CacheKeys.RAGE_RESULTS, Time.FIVE_MINUTES),
+  [CacheKeys.DOCUMENTS]: standardCache(CacheKeys.DOCUMENTS, Time.FIVE_MINUTES),
 };
 
 /**
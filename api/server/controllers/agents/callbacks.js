@@ -260,6 +260,28 @@ function createToolEndCallback({ req, res, artifactPromises }) {
       );
     }
 
+    if (output.artifact[Tools.knowledge_base_search]) {
+      artifactPromises.push(
+        (async () => {
+          const attachment = {
+            type: Tools.knowledge_base_search,
+            messageId: metadata.run_id,
+            toolCallId: output.tool_call_id,
+            conversationId: metadata.thread_id,
+            [Tools.knowledge_base_search]: { ...output.artifact[Tools.knowledge_base_search] },
+          };
+          if (!res.headersSent) {
+            return attachment;
+          }
+          res.write(`event: attachment\ndata: ${JSON.stringify(attachment)}\n\n`);
+          return attachment;
+        })().catch((error) => {
+          logger.error('Error processing artifact content:', error);
+          return null;
+        }),
+      );
+    }
+
     if (output.artifact.content) {
       /** @type {FormattedContent[]} */
       const content = output.artifact.content;
@@ -29,6 +29,7 @@ const {
   EModelEndpoint,
   PermissionTypes,
   isAgentsEndpoint,
+  RageRetrievalMode,
   AgentCapabilities,
   bedrockInputSchema,
   removeNullishValues,
@@ -1250,6 +1251,14 @@ class AgentClient extends BaseClient {
     return 'o200k_base';
   }
 
+  /**
+   * Agents choose between injected RAGE context, the `knowledge_base_search` tool, or neither.
+   * @returns {RageRetrievalMode}
+   */
+  getRageRetrievalMode() {
+    return this.options.agent?.rage_retrieval ?? RageRetrievalMode.always;
+  }
+
   /**
    * Returns the token count of a given text. It also checks and resets the tokenizers if necessary.
    * @param {string} text - The text to get the token count for.
@@ -18,6 +18,7 @@ const { jwtLogin, ldapLogin, passportLogin } = require('~/strategies');
 const errorController = require('./controllers/ErrorController');
 const initializeMCPs = require('./services/initializeMCPs');
 const configureSocialLogins = require('./socialLogins');
+const { registerRageAuditStore, registerRageSourceFeedback } = require('./services/RageService');
 const AppService = require('./services/AppService');
 const staticCache = require('./utils/staticCache');
 const noIndex = require('./middleware/noIndex');
@@ -42,6 +43,8 @@ const startServer = async () => {
   indexSync().catch((err) => {
     logger.error('[indexSync] Background sync failed:', err);
   });
+  registerRageAuditStore();
+  registerRageSourceFeedback();
 
   app.disable('x-powered-by');
   app.set('trust proxy', trusted_proxy);
@@ -117,6 +120,9 @@ const startServer = async () => {
   app.use('/api/agents', routes.agents);
   app.use('/api/banner', routes.banner);
   app.use('/api/memories', routes.memories);
+  app.use('/api/workspaces', routes.workspaces);
+  app.use('/api/documents', routes.documents);
+  app.use('/api/rage', routes.rage);
   app.use('/api/tags', routes.tags);
   app.use('/api/mcp', routes.mcp);
 
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('@librechat/api', () => ({
+  encryptV2: jest.fn((value) => Promise.resolve(`enc:${value}`)),
+  decryptV2: jest.fn((value) => Promise.resolve(value.replace(/^enc:/, ''))),
+  logAxiosError: jest.fn(),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+}));
+
+jest.mock('~/models', () => ({
+  getUserById: jest.fn(),
+  updateUser: jest.fn(),
+}));
+
+jest.mock('~/cache/getLogStores', () => jest.fn());
+
+const { getUserById, updateUser } = require('~/models');
+const documentsRouter = require('../documents');
+
+describe('Document Routes', () => {
+  let app;
+  let root;
+
+  const createApp = (documents) => {
+    const server = express();
+    server.use(express.json());
+    server.locals.documents = documents;
+    server.use('/api/documents', documentsRouter);
+    return server;
+  };
+
+  beforeAll(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'documents-route-'));
+    await fs.promises.mkdir(path.join(root, 'team'));
+    await fs.promises.writeFile(path.join(root, 'README.md'), '# Handbook');
+    await fs.promises.writeFile(path.join(root, 'team', 'onboarding.md'), 'Welcome');
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserById.mockResolvedValue({});
+    app = createApp({ source: 'local', local: { path: root }, userOverrides: true });
+  });
+
+  it('should respond with 404 when the document browser is disabled', async () => {
+    const response = await request(createApp(undefined)).get('/api/documents');
+    expect(response.status).toBe(404);
+  });
+
+  it('should list folders and read documents', async () => {
+    const listing = await request(app).get('/api/documents');
+    expect(listing.status).toBe(200);
+    expect(listing.body.entries.map((entry) => entry.path)).toEqual(['team', 'README.md']);
+
+    const document = await request(app).get('/api/documents/content?path=team/onboarding.md');
+    expect(document.status).toBe(200);
+    expect(document.body).toMatchObject({ name: 'onboarding.md', content: 'Welcome' });
+
+    const escape = await request(app).get('/api/documents/content?path=../etc/passwd');
+    expect(escape.status).toBe(400);
+  });
+
+  it('should browse the folder chosen by the user', async () => {
+    getUserById.mockResolvedValue({ documentSource: { source: 'local', path: 'team' } });
+
+    const listing = await request(app).get('/api/documents');
+    expect(listing.body.entries.map((entry) => entry.path)).toEqual(['onboarding.md']);
+
+    const settings = await request(app).get('/api/documents/settings');
+    expect(settings.body).toEqual({
+      sources: ['local'],
+      source: 'local',
+      path: 'team',
+      userOverrides: true,
+      override: { source: 'local', path: 'team', hasToken: false },
+    });
+  });
+
+  it('should save and reset user settings only when overrides are allowed', async () => {
+    const saved = await request(app)
+      .put('/api/documents/settings')
+      .send({ source: 'local', path: 'team' });
+    expect(saved.status).toBe(200);
+    expect(saved.body.path).toBe('team');
+    expect(updateUser).toHaveBeenCalledWith('user-1', {
+      documentSource: expect.objectContaining({ source: 'local', path: 'team' }),
+    });
+
+    const reset = await request(app).delete('/api/documents/settings');
+    expect(reset.body.path).toBe('');
+    expect(updateUser).toHaveBeenLastCalledWith('user-1', { documentSource: null });
+
+    const locked = createApp({ source: 'local', local: { path: root }, userOverrides: false });
+    const denied = await request(locked).put('/api/documents/settings').send({ source: 'local' });
+    expect(denied.status).toBe(403);
+  });
+});
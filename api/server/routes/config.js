@@ -138,6 +138,15 @@ router.get('/', async function (req, res) {
       payload.webSearch.rerankerType = webSearchConfig.rerankerType;
     }
 
+    /** @type {import('~/server/services/Documents').DocumentsConfig | undefined} */
+    const documentsConfig = req.app.locals.documents;
+    if (documentsConfig) {
+      payload.documents = {
+        source: documentsConfig.source,
+        userOverrides: documentsConfig.userOverrides,
+      };
+    }
+
     if (ldap) {
       payload.ldap = ldap;
     }
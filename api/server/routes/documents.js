@@ -0,0 +1,113 @@
+const express = require('express');
+const { logger } = require('@librechat/data-schemas');
+const {
+  DocumentSourceError,
+  getSourceForUser,
+  getDocumentSettings,
+  getUserDocumentSource,
+  saveUserDocumentSource,
+  deleteUserDocumentSource,
+} = require('~/server/services/Documents');
+const { requireJwtAuth } = require('~/server/middleware');
+
+const router = express.Router();
+router.use(requireJwtAuth);
+
+/**
+ * Responds with 404 unless the document browser is configured.
+ */
+router.use((req, res, next) => {
+  if (!req.app.locals.documents) {
+    return res.status(404).json({ error: 'The document browser is not enabled.' });
+  }
+  next();
+});
+
+/**
+ * Sends the appropriate error response for a failed document request.
+ * @param {ServerResponse} res
+ * @param {Error} error
+ * @param {string} action
+ */
+function handleError(res, error, action) {
+  if (error instanceof DocumentSourceError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`[/documents] Error trying to ${action}`, error);
+  return res.status(500).json({ error: `Failed to ${action}.` });
+}
+
+/**
+ * GET /documents?path=
+ * Lists a folder of the document source; the root when `path` is omitted.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const source = await getSourceForUser(req.app.locals.documents, req.user.id);
+    res.status(200).json(await source.list(req.query.path ?? ''));
+  } catch (error) {
+    handleError(res, error, 'list documents');
+  }
+});
+
+/**
+ * GET /documents/content?path=
+ * Returns the text of a document.
+ */
+router.get('/content', async (req, res) => {
+  try {
+    const source = await getSourceForUser(req.app.locals.documents, req.user.id);
+    res.status(200).json(await source.read(req.query.path ?? ''));
+  } catch (error) {
+    handleError(res, error, 'read the document');
+  }
+});
+
+/**
+ * GET /documents/settings
+ * Returns the source and root folder the user browses.
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const config = req.app.locals.documents;
+    const override = config.userOverrides ? await getUserDocumentSource(req.user.id) : null;
+    res.status(200).json(getDocumentSettings(config, override));
+  } catch (error) {
+    handleError(res, error, 'load document settings');
+  }
+});
+
+/**
+ * PUT /documents/settings
+ * Stores the user's own source settings, when `documents.userOverrides` allows them.
+ * Body: { source, path?, project?, ref?, token? }; an omitted token keeps the stored one.
+ */
+router.put('/settings', async (req, res) => {
+  const config = req.app.locals.documents;
+  if (!config.userOverrides) {
+    return res.status(403).json({ error: 'Document settings cannot be changed.' });
+  }
+
+  try {
+    const override = await saveUserDocumentSource(req.user.id, config, req.body);
+    res.status(200).json(getDocumentSettings(config, override));
+  } catch (error) {
+    handleError(res, error, 'save document settings');
+  }
+});
+
+/**
+ * DELETE /documents/settings
+ * Removes the user's own source settings, returning to the configured source.
+ */
+router.delete('/settings', async (req, res) => {
+  const config = req.app.locals.documents;
+  try {
+    await deleteUserDocumentSource(req.user.id);
+    res.status(200).json(getDocumentSettings(config, null));
+  } catch (error) {
+    handleError(res, error, 'reset document settings');
+  }
+});
+
+module.exports = router;
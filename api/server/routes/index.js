@@ -5,7 +5,10 @@ const endpoints = require('./endpoints');
 const staticRoute = require('./static');
 const messages = require('./messages');
 const memories = require('./memories');
+const workspaces = require('./workspaces');
+const documents = require('./documents');
 const presets = require('./presets');
+const rage = require('./rage');
 const prompts = require('./prompts');
 const balance = require('./balance');
 const plugins = require('./plugins');
@@ -33,6 +36,7 @@ module.exports = {
   keys,
   user,
   tags,
+  rage,
   roles,
   oauth,
   files,
@@ -50,6 +54,8 @@ module.exports = {
   balance,
   messages,
   memories,
+  workspaces,
+  documents,
   endpoints,
   tokenizer,
   assistants,
@@ -10,6 +10,7 @@ const {
   deleteMessages,
 } = require('~/models');
 const { findAllArtifacts, replaceArtifactContent } = require('~/server/services/Artifacts/update');
+const { recordRageFeedback } = require('~/server/services/RageService');
 const { requireJwtAuth, validateMessageReq } = require('~/server/middleware');
 const { cleanUpPrimaryKeyValue } = require('~/lib/utils/misc');
 const { getConvosQueried } = require('~/models/Conversation');
@@ -262,6 +263,7 @@ router.put('/:conversationId/:messageId/feedback', validateMessageReq, async (re
   try {
     const { conversationId, messageId } = req.params;
     const { feedback } = req.body;
+    const message = await getMessage({ user: req.user.id, messageId });
 
     const updatedMessage = await updateMessage(
       req,
@@ -271,6 +273,7 @@ router.put('/:conversationId/:messageId/feedback', validateMessageReq, async (re
       },
       { context: 'updateFeedback' },
     );
+    recordRageFeedback(message, updatedMessage.feedback);
 
     res.json({
       messageId,
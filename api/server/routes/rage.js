@@ -0,0 +1,322 @@
+const express = require('express');
+const { logger } = require('@librechat/data-schemas');
+const { checkAdmin, requireJwtAuth } = require('~/server/middleware');
+const {
+  reloadRageConfig,
+  getRageInterceptor,
+  isMetricsTokenValid,
+} = require('~/server/services/RageService');
+const {
+  findUser,
+  getUserById,
+  getWorstRageSources,
+  searchRageAuditEvents,
+  streamRageAuditEvents,
+} = require('~/models');
+
+const router = express.Router();
+
+/** Most audit events written by one export */
+const MAX_AUDIT_EXPORT_EVENTS = 10000;
+
+const AUDIT_FILTER_KEYS = [
+  'user',
+  'conversationId',
+  'messageId',
+  'sourceId',
+  'query',
+  'event',
+  'from',
+  'to',
+];
+
+const AUDIT_CSV_COLUMNS = [
+  'createdAt',
+  'event',
+  'user',
+  'conversationId',
+  'messageId',
+  'workspaceId',
+  'correlationId',
+  'answerMode',
+  'query',
+  'documentsRetrieved',
+  'documentsIncluded',
+  'sources',
+];
+
+/**
+ * Lets monitoring scrape with the `RAGE_METRICS_TOKEN` bearer token; everyone else must be an admin.
+ * @param {ServerRequest} req
+ * @param {ServerResponse} res
+ * @param {Function} next
+ */
+function requireMetricsTokenOrAdmin(req, res, next) {
+  const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+  if (scheme === 'Bearer' && isMetricsTokenValid(token)) {
+    return next();
+  }
+  return requireJwtAuth(req, res, () => checkAdmin(req, res, next));
+}
+
+/**
+ * Returns the shared RAGE interceptor, or responds with 503 when RAGE is unavailable.
+ * @param {ServerResponse} res
+ * @returns {Object|null}
+ */
+function getInterceptorOrRespond(res) {
+  const interceptor = getRageInterceptor();
+  if (!interceptor) {
+    res.status(503).json({ error: 'RAGE is not available.' });
+  }
+  return interceptor;
+}
+
+/**
+ * GET /rage/metrics/prometheus
+ * Returns the RAGE metrics in the Prometheus text exposition format.
+ */
+router.get('/metrics/prometheus', requireMetricsTokenOrAdmin, (req, res) => {
+  const interceptor = getInterceptorOrRespond(res);
+  if (!interceptor) {
+    return;
+  }
+
+  try {
+    res
+      .status(200)
+      .type('text/plain; version=0.0.4; charset=utf-8')
+      .send(interceptor.getPrometheusMetrics());
+  } catch (error) {
+    logger.error('[/rage] Error rendering Prometheus metrics', error);
+    res.status(500).json({ error: 'Failed to render metrics.' });
+  }
+});
+
+router.use(requireJwtAuth, checkAdmin);
+
+/**
+ * GET /rage/health
+ * Checks the configured retrieval provider; responds with 503 when it is unhealthy.
+ */
+router.get('/health', async (req, res) => {
+  const interceptor = getInterceptorOrRespond(res);
+  if (!interceptor) {
+    return;
+  }
+
+  try {
+    const health = await interceptor.healthCheck();
+    res.status(health.status === 'unhealthy' ? 503 : 200).json(health);
+  } catch (error) {
+    logger.error('[/rage] Error checking RAGE health', error);
+    res.status(500).json({ error: 'Failed to check RAGE health.' });
+  }
+});
+
+/**
+ * GET /rage/metrics
+ * Returns the collected metrics, the performance summary and the enrichment settings.
+ */
+router.get('/metrics', (req, res) => {
+  const interceptor = getInterceptorOrRespond(res);
+  if (!interceptor) {
+    return;
+  }
+
+  try {
+    res.status(200).json({
+      summary: interceptor.getPerformanceSummary(),
+      metrics: interceptor.getMetrics(),
+      enrichment: interceptor.getEnrichmentStats(),
+    });
+  } catch (error) {
+    logger.error('[/rage] Error reading RAGE metrics', error);
+    res.status(500).json({ error: 'Failed to read RAGE metrics.' });
+  }
+});
+
+/**
+ * GET /rage/config
+ * Returns the active RAGE configuration with secrets masked.
+ */
+router.get('/config', (req, res) => {
+  const interceptor = getInterceptorOrRespond(res);
+  if (!interceptor) {
+    return;
+  }
+
+  try {
+    res.status(200).json({
+      enabled: interceptor.isEnabled(),
+      provider: interceptor.providerName,
+      config: interceptor.getConfig(),
+    });
+  } catch (error) {
+    logger.error('[/rage] Error reading RAGE configuration', error);
+    res.status(500).json({ error: 'Failed to read RAGE configuration.' });
+  }
+});
+
+/**
+ * POST /rage/config/reload
+ * Reads librechat.yaml again and applies its `rage` section without a restart.
+ * An invalid configuration is rejected with 400 and the current one stays active.
+ */
+router.post('/config/reload', async (req, res) => {
+  try {
+    const summary = await reloadRageConfig();
+    res.status(200).json({ reloaded: true, summary });
+  } catch (error) {
+    logger.error('[/rage] Error reloading RAGE configuration', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /rage/sources/report
+ * Lists the knowledge base sources that most often lead to bad answers, by share of
+ * thumbs-down ratings on the responses citing them. `minFeedback` skips rarely rated sources.
+ */
+router.get('/sources/report', async (req, res) => {
+  try {
+    const sources = await getWorstRageSources({
+      limit: parseInt(req.query.limit, 10) || undefined,
+      minFeedback: parseInt(req.query.minFeedback, 10) || undefined,
+    });
+    res.status(200).json({ sources });
+  } catch (error) {
+    logger.error('[/rage] Error reading the RAGE source report', error);
+    res.status(500).json({ error: 'Failed to read the RAGE source report.' });
+  }
+});
+
+/**
+ * Reads the audit search filters from the query string.
+ * A `user` containing `@` is looked up by email; `null` means no user matches.
+ * @param {ServerRequest['query']} query
+ * @returns {Promise<import('@librechat/data-schemas').RageAuditSearchParams | null>}
+ */
+async function getAuditFilters(query) {
+  const filters = {};
+  for (const key of AUDIT_FILTER_KEYS) {
+    if (typeof query[key] === 'string' && query[key].trim()) {
+      filters[key] = query[key].trim();
+    }
+  }
+
+  if (filters.user?.includes('@')) {
+    const user = await findUser({ email: filters.user.toLowerCase() }, '_id');
+    if (!user) {
+      return null;
+    }
+    filters.user = user._id.toString();
+  }
+
+  return filters;
+}
+
+/**
+ * Formats a value as a CSV field, neutralizing spreadsheet formulas.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value == null) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats an audit event as a CSV row; sources are listed as `id (score)`.
+ * @param {import('@librechat/data-schemas').IRageAuditEventLean} event
+ * @returns {string}
+ */
+function toAuditCsvRow(event) {
+  const sources = (event.sources ?? [])
+    .map(({ id, score }) => (score != null ? `${id} (${Number(score).toFixed(3)})` : id))
+    .join('; ');
+  return AUDIT_CSV_COLUMNS.map((column) =>
+    toCsvField(column === 'sources' ? sources : event[column]),
+  ).join(',');
+}
+
+/**
+ * GET /rage/audit
+ * Searches the stored audit events, newest first, with the names and emails of their users.
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = parseInt(req.query.pageSize, 10) || undefined;
+    const filters = await getAuditFilters(req.query);
+    if (!filters) {
+      return res.status(200).json({ events: [], total: 0, page, pageSize, users: {} });
+    }
+
+    const result = await searchRageAuditEvents(filters, { page, pageSize });
+    const userIds = [...new Set(result.events.map((event) => event.user))].filter((id) =>
+      /^[a-f0-9]{24}$/i.test(id),
+    );
+    const users = {};
+    await Promise.all(
+      userIds.map(async (id) => {
+        const user = await getUserById(id, 'name email');
+        if (user) {
+          users[id] = { name: user.name, email: user.email };
+        }
+      }),
+    );
+
+    res.status(200).json({ ...result, users });
+  } catch (error) {
+    logger.error('[/rage] Error searching RAGE audit events', error);
+    res.status(500).json({ error: 'Failed to search RAGE audit events.' });
+  }
+});
+
+/**
+ * GET /rage/audit/export
+ * Downloads the matching audit events as CSV (default) or JSON, newest first.
+ */
+router.get('/audit/export', async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+
+  let cursor;
+  try {
+    const filters = await getAuditFilters(req.query);
+    cursor = filters ? streamRageAuditEvents(filters, MAX_AUDIT_EXPORT_EVENTS) : [];
+  } catch (error) {
+    logger.error('[/rage] Error exporting RAGE audit events', error);
+    return res.status(500).json({ error: 'Failed to export RAGE audit events.' });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.type(format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+  res.attachment(`rage-audit-${date}.${format}`);
+
+  try {
+    let count = 0;
+    res.write(format === 'json' ? '[' : AUDIT_CSV_COLUMNS.join(',') + '\n');
+    for await (const event of cursor) {
+      if (format === 'json') {
+        res.write((count > 0 ? ',\n' : '\n') + JSON.stringify(event));
+      } else {
+        res.write(toAuditCsvRow(event) + '\n');
+      }
+      count++;
+    }
+    res.end(format === 'json' ? '\n]\n' : '');
+  } catch (error) {
+    logger.error('[/rage] Error exporting RAGE audit events', error);
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const { logger } = require('@librechat/data-schemas');
+const {
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  listWorkspaces,
+  getAccessibleWorkspaces,
+} = require('~/models');
+const {
+  encryptPipeline,
+  toAdminWorkspace,
+  toPublicWorkspace,
+} = require('~/server/services/WorkspaceService');
+const { checkAdmin, requireJwtAuth } = require('~/server/middleware');
+
+/** Retrieval providers a workspace pipeline may use (see rageapi/utils/retrievalProviders) */
+const RETRIEVAL_PROVIDERS = ['vectorize', 'qdrant', 'rag_api'];
+
+const router = express.Router();
+router.use(requireJwtAuth);
+
+/**
+ * Picks the writable workspace fields from a request body.
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function pickWorkspaceFields(body = {}) {
+  const { name, description, pipeline, access, isActive } = body;
+  const fields = { name, description, isActive };
+
+  if (pipeline != null) {
+    const { provider, apiUrl, organizationId, pipelineId, apiKey } = pipeline;
+    fields.pipeline = { provider, apiUrl, organizationId, pipelineId, apiKey };
+  }
+
+  if (access != null) {
+    fields.access = { roles: access.roles, groups: access.groups };
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Sends the appropriate error response for a failed workspace write.
+ * @param {ServerResponse} res
+ * @param {Error} error
+ * @param {string} action
+ */
+function handleWriteError(res, error, action) {
+  if (error?.code === 11000) {
+    return res.status(409).json({ error: 'A workspace with this name already exists.' });
+  }
+  if (error?.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  logger.error(`[/workspaces] Error trying to ${action} workspace`, error);
+  return res.status(500).json({ error: `Failed to ${action} workspace.` });
+}
+
+/**
+ * GET /workspaces
+ * Returns the active workspaces the authenticated user may select.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await getAccessibleWorkspaces({
+      role: req.user.role,
+      groups: req.user.groups,
+    });
+    res.status(200).json(workspaces.map(toPublicWorkspace));
+  } catch (error) {
+    logger.error('[/workspaces] Error listing workspaces', error);
+    res.status(500).json({ error: 'Failed to list workspaces.' });
+  }
+});
+
+/**
+ * GET /workspaces/all
+ * Returns every workspace with its pipeline and access settings (admin only).
+ */
+router.get('/all', checkAdmin, async (req, res) => {
+  try {
+    const workspaces = await listWorkspaces();
+    res.status(200).json(workspaces.map(toAdminWorkspace));
+  } catch (error) {
+    logger.error('[/workspaces/all] Error listing workspaces', error);
+    res.status(500).json({ error: 'Failed to list workspaces.' });
+  }
+});
+
+/**
+ * POST /workspaces
+ * Creates a workspace (admin only).
+ * Body: { name, description?, pipeline: { provider?, organizationId?, pipelineId, apiKey?, apiUrl? }, access? }
+ * `organizationId` is required for the default `vectorize` provider.
+ */
+router.post('/', checkAdmin, async (req, res) => {
+  const fields = pickWorkspaceFields(req.body);
+
+  if (typeof fields.name !== 'string' || fields.name.trim() === '') {
+    return res.status(400).json({ error: 'Name is required and must be a non-empty string.' });
+  }
+
+  const provider = fields.pipeline?.provider ?? 'vectorize';
+  if (!RETRIEVAL_PROVIDERS.includes(provider)) {
+    return res
+      .status(400)
+      .json({ error: `Pipeline provider must be one of: ${RETRIEVAL_PROVIDERS.join(', ')}.` });
+  }
+
+  if (!fields.pipeline?.pipelineId) {
+    return res.status(400).json({ error: 'Pipeline pipelineId is required.' });
+  }
+
+  if (provider === 'vectorize' && !fields.pipeline.organizationId) {
+    return res
+      .status(400)
+      .json({ error: 'Pipeline organizationId is required for the vectorize provider.' });
+  }
+
+  try {
+    const workspace = await createWorkspace({
+      ...fields,
+      pipeline: await encryptPipeline(fields.pipeline),
+      author: req.user.id,
+    });
+    res.status(201).json(toAdminWorkspace(workspace));
+  } catch (error) {
+    handleWriteError(res, error, 'create');
+  }
+});
+
+/**
+ * PATCH /workspaces/:workspaceId
+ * Updates a workspace (admin only). An omitted `pipeline.apiKey` keeps the stored key.
+ */
+router.patch('/:workspaceId', checkAdmin, async (req, res) => {
+  const fields = pickWorkspaceFields(req.body);
+
+  try {
+    const workspace = await updateWorkspace(req.params.workspaceId, {
+      ...fields,
+      pipeline: await encryptPipeline(fields.pipeline),
+    });
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found.' });
+    }
+    res.status(200).json(toAdminWorkspace(workspace));
+  } catch (error) {
+    handleWriteError(res, error, 'update');
+  }
+});
+
+/**
+ * DELETE /workspaces/:workspaceId
+ * Deletes a workspace (admin only). Conversations using it stop receiving RAGE context.
+ */
+router.delete('/:workspaceId', checkAdmin, async (req, res) => {
+  try {
+    const { deletedCount } = await deleteWorkspace(req.params.workspaceId);
+    if (!deletedCount) {
+      return res.status(404).json({ error: 'Workspace not found.' });
+    }
+    res.status(200).json({ deleted: true });
+  } catch (error) {
+    logger.error('[/workspaces] Error deleting workspace', error);
+    res.status(500).json({ error: 'Failed to delete workspace.' });
+  }
+});
+
+module.exports = router;
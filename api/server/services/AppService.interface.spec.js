@@ -22,6 +22,9 @@ jest.mock('./start/interface', () => ({
 jest.mock('./ToolService', () => ({
   loadAndFormatTools: jest.fn().mockReturnValue({}),
 }));
+jest.mock('./RageService', () => ({
+  configureRage: jest.fn(),
+}));
 jest.mock('./start/checks', () => ({
   checkVariables: jest.fn(),
   checkHealth: jest.fn(),
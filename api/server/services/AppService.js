@@ -24,6 +24,8 @@ const { azureConfigSetup } = require('./start/azureOpenAI');
 const { processModelSpecs } = require('./start/modelSpecs');
 const { initializeS3 } = require('./Files/S3/initialize');
 const { loadAndFormatTools } = require('./ToolService');
+const { loadDocumentsConfig } = require('./Documents');
+const { configureRage } = require('./RageService');
 const { isEnabled } = require('~/server/utils');
 const { initializeRoles } = require('~/models');
 const { setCachedTools } = require('./Config');
@@ -44,6 +46,8 @@ const AppService = async (app) => {
   const webSearch = loadWebSearchConfig(config.webSearch);
   checkWebSearchConfig(webSearch);
   const memory = loadMemoryConfig(config.memory);
+  configureRage(config.rage);
+  const documents = loadDocumentsConfig(config.documents);
   const filteredTools = config.filteredTools;
   const includedTools = config.includedTools;
   const fileStrategy = config.fileStrategy ?? configDefaults.fileStrategy;
@@ -89,6 +93,7 @@ const AppService = async (app) => {
     paths,
     memory,
     webSearch,
+    documents,
     fileStrategy,
     socialLogins,
     filteredTools,
@@ -69,6 +69,9 @@ jest.mock('./ToolService', () => ({
     },
   }),
 }));
+jest.mock('./RageService', () => ({
+  configureRage: jest.fn(),
+}));
 jest.mock('./start/turnstile', () => ({
   loadTurnstileConfig: jest.fn(() => ({
     siteKey: 'default-site-key',
@@ -196,6 +199,16 @@ describe('AppService', () => {
     expect(app.locals.imageOutputType).toEqual(EImageOutputType.WEBP);
   });
 
+  it('should apply the `rage` config section', async () => {
+    const rage = { enabled: true, provider: 'qdrant', endpoints: ['openAI'] };
+    require('./Config/loadCustomConfig').mockImplementationOnce(() =>
+      Promise.resolve({ version: '0.10.0', rage }),
+    );
+
+    await AppService(app);
+    expect(require('./RageService').configureRage).toHaveBeenCalledWith(rage);
+  });
+
   it('should default to `PNG` `imageOutputType` with no provided type', async () => {
     require('./Config/loadCustomConfig').mockImplementationOnce(() =>
       Promise.resolve({
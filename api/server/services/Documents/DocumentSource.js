@@ -0,0 +1,165 @@
+const path = require('path');
+
+/** Extensions listed when `documents.extensions` is not set */
+const DEFAULT_EXTENSIONS = [
+  '.md',
+  '.markdown',
+  '.mdx',
+  '.mmd',
+  '.mermaid',
+  '.txt',
+  '.json',
+  '.yaml',
+  '.yml',
+  '.csv',
+  '.html',
+  '.css',
+  '.js',
+  '.jsx',
+  '.ts',
+  '.tsx',
+  '.py',
+  '.sh',
+  '.sql',
+];
+
+/** Largest file opened when `documents.maxFileSize` is not set, in bytes */
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Error of a document source, with the HTTP status the routes respond with.
+ */
+class DocumentSourceError extends Error {
+  /**
+   * @param {string} message - Message shown to the user
+   * @param {number} [status=400] - HTTP status
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentSourceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Normalizes a path sent by the client; `..`, absolute paths and hidden entries are rejected.
+ * @param {string} [relativePath] - Path relative to the root
+ * @returns {string} Path without leading or trailing slashes; empty for the root
+ * @throws {DocumentSourceError} When the path leaves the root
+ */
+function normalizeDocumentPath(relativePath = '') {
+  if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+    throw new DocumentSourceError('Invalid path.');
+  }
+
+  const segments = relativePath.replace(/\\/g, '/').split('/').filter(Boolean);
+  if (segments.some((segment) => segment === '..' || segment.startsWith('.'))) {
+    throw new DocumentSourceError('Invalid path.');
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Base class of the sources the document browser lists files from.
+ * Paths are relative to the root of the source and use forward slashes.
+ */
+class DocumentSource {
+  /**
+   * @param {Object} options
+   * @param {TDocumentSourceType} options.type - Source type
+   * @param {string[]} [options.extensions] - File extensions listed
+   * @param {number} [options.maxFileSize] - Largest file opened, in bytes
+   */
+  constructor({ type, extensions, maxFileSize }) {
+    this.type = type;
+    this.extensions = (extensions?.length ? extensions : DEFAULT_EXTENSIONS).map((extension) =>
+      `.${extension.replace(/^\./, '')}`.toLowerCase(),
+    );
+    this.maxFileSize = maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  }
+
+  /**
+   * Lists a folder.
+   * @param {string} [folder] - Folder, relative to the root
+   * @returns {Promise<TDocumentListing>}
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+
+  /**
+   * Reads a document.
+   * @param {string} filePath - File, relative to the root
+   * @returns {Promise<TDocumentContent>}
+   */
+  async read() {
+    throw new Error(`${this.constructor.name} must implement read()`);
+  }
+
+  /**
+   * Normalizes a path sent by the client.
+   * @param {string} [relativePath] - Path relative to the root
+   * @returns {string}
+   * @throws {DocumentSourceError} When the path leaves the root
+   */
+  normalizePath(relativePath) {
+    return normalizeDocumentPath(relativePath);
+  }
+
+  /**
+   * Whether a file is listed and may be opened.
+   * @param {string} name - File name
+   * @returns {boolean}
+   */
+  isSupported(name) {
+    return !name.startsWith('.') && this.extensions.includes(path.extname(name).toLowerCase());
+  }
+
+  /**
+   * Throws unless a file may be opened.
+   * @param {string} filePath - Normalized file path
+   * @throws {DocumentSourceError}
+   */
+  assertSupported(filePath) {
+    if (!filePath || !this.isSupported(path.posix.basename(filePath))) {
+      throw new DocumentSourceError('This file type cannot be opened.', 415);
+    }
+  }
+
+  /**
+   * Throws when a file is larger than the configured limit.
+   * @param {number} size - File size in bytes
+   * @throws {DocumentSourceError}
+   */
+  assertSize(size) {
+    if (size > this.maxFileSize) {
+      throw new DocumentSourceError(
+        `The document is larger than the limit of ${Math.round(this.maxFileSize / 1024)} KB.`,
+        413,
+      );
+    }
+  }
+
+  /**
+   * Sorts folders first, then by name.
+   * @param {TDocumentEntry[]} entries
+   * @returns {TDocumentEntry[]}
+   */
+  sortEntries(entries) {
+    return entries.sort((a, b) => {
+      if (a.type !== b.type) {
+        return a.type === 'directory' ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+    });
+  }
+}
+
+module.exports = {
+  DocumentSource,
+  DocumentSourceError,
+  normalizeDocumentPath,
+  DEFAULT_EXTENSIONS,
+  DEFAULT_MAX_FILE_SIZE,
+};
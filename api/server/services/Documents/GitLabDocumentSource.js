@@ -0,0 +1,205 @@
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logAxiosError } = require('@librechat/api');
+const { CacheKeys } = require('librechat-data-provider');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { DocumentSource, DocumentSourceError } = require('./DocumentSource');
+const getLogStores = require('~/cache/getLogStores');
+
+/** Items requested per page of a repository tree (the GitLab maximum) */
+const PAGE_SIZE = 100;
+
+/** Pages of a folder fetched at most, so huge folders cannot stall the panel */
+const MAX_PAGES = 20;
+
+/**
+ * Lists documents of a folder of a GitLab repository through the REST API (v4).
+ * Listings and files are cached for `cacheTtl` seconds per project, ref and token.
+ */
+class GitLabDocumentSource extends DocumentSource {
+  /**
+   * @param {Object} options
+   * @param {string} [options.url='https://gitlab.com'] - GitLab instance
+   * @param {string|number} options.project - Project ID or path, e.g. `group/handbook`
+   * @param {string} [options.ref] - Branch, tag or commit; the default branch when omitted
+   * @param {string} [options.path] - Folder of the repository shown as the root
+   * @param {string} [options.token] - Access token
+   * @param {number} [options.cacheTtl=300] - Seconds listings and files are cached; 0 disables the cache
+   * @param {string[]} [options.extensions] - File extensions listed
+   * @param {number} [options.maxFileSize] - Largest file opened, in bytes
+   */
+  constructor({ url, project, ref, path: basePath, token, cacheTtl, ...options }) {
+    super({ ...options, type: 'gitlab' });
+    this.url = (url || 'https://gitlab.com').replace(/\/+$/, '');
+    this.project = String(project);
+    this.ref = ref || undefined;
+    this.basePath = this.normalizePath(basePath);
+    this.token = token || undefined;
+    this.cacheTtl = (cacheTtl ?? 300) * 1000;
+  }
+
+  /**
+   * @param {string} [folder] - Folder, relative to the root
+   * @returns {Promise<TDocumentListing>}
+   */
+  async list(folder) {
+    const relativeFolder = this.normalizePath(folder);
+    const items = await this.cached(`tree:${relativeFolder}`, () =>
+      this.fetchTree(this.toRepositoryPath(relativeFolder)),
+    );
+
+    const entries = [];
+    for (const item of items) {
+      const entryPath = relativeFolder ? `${relativeFolder}/${item.name}` : item.name;
+      if (item.name.startsWith('.')) {
+        continue;
+      }
+      if (item.type === 'tree') {
+        entries.push({ name: item.name, path: entryPath, type: 'directory' });
+      } else if (item.type === 'blob' && this.isSupported(item.name)) {
+        entries.push({ name: item.name, path: entryPath, type: 'file' });
+      }
+    }
+
+    return { source: this.type, path: relativeFolder, entries: this.sortEntries(entries) };
+  }
+
+  /**
+   * @param {string} filePath - File, relative to the root
+   * @returns {Promise<TDocumentContent>}
+   */
+  async read(filePath) {
+    const relativePath = this.normalizePath(filePath);
+    this.assertSupported(relativePath);
+
+    const file = await this.cached(`file:${relativePath}`, () =>
+      this.fetchFile(this.toRepositoryPath(relativePath)),
+    );
+
+    return {
+      source: this.type,
+      name: path.posix.basename(relativePath),
+      path: relativePath,
+      content: file.content,
+      size: file.size,
+    };
+  }
+
+  /**
+   * Fetches every page of a folder of the repository tree.
+   * @param {string} repositoryPath - Folder of the repository
+   * @returns {Promise<Array<{ name: string, type: string }>>}
+   */
+  async fetchTree(repositoryPath) {
+    const items = [];
+    let page = 1;
+    while (page && page <= MAX_PAGES) {
+      const response = await this.request('/repository/tree', {
+        params: { path: repositoryPath || undefined, ref: this.ref, per_page: PAGE_SIZE, page },
+      });
+      items.push(...response.data.map(({ name, type }) => ({ name, type })));
+      page = parseInt(response.headers?.['x-next-page'], 10) || null;
+    }
+    return items;
+  }
+
+  /**
+   * Fetches a file of the repository.
+   * @param {string} repositoryPath - File of the repository
+   * @returns {Promise<{ content: string, size: number }>}
+   */
+  async fetchFile(repositoryPath) {
+    const response = await this.request(`/repository/files/${encodeURIComponent(repositoryPath)}`, {
+      params: { ref: this.ref ?? 'HEAD' },
+      // Base64 adds a third to the size; leave room for the JSON around it
+      maxContentLength: Math.ceil(this.maxFileSize * 1.4) + 4096,
+    });
+
+    const { size, content, encoding } = response.data;
+    this.assertSize(size);
+    return {
+      size,
+      content: Buffer.from(content ?? '', encoding === 'base64' ? 'base64' : 'utf8').toString(
+        'utf8',
+      ),
+    };
+  }
+
+  /**
+   * Sends a GET request to the project API and maps failures to document source errors.
+   * @param {string} endpoint - Endpoint below `/projects/:id`
+   * @param {import('axios').AxiosRequestConfig} [config]
+   * @returns {Promise<import('axios').AxiosResponse>}
+   * @throws {DocumentSourceError}
+   */
+  async request(endpoint, config = {}) {
+    const options = { ...config, timeout: 10000, headers: {} };
+    if (this.token) {
+      options.headers['PRIVATE-TOKEN'] = this.token;
+    }
+    if (process.env.PROXY) {
+      options.httpsAgent = new HttpsProxyAgent(process.env.PROXY);
+    }
+
+    try {
+      return await axios.get(
+        `${this.url}/api/v4/projects/${encodeURIComponent(this.project)}${endpoint}`,
+        options,
+      );
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 404) {
+        throw new DocumentSourceError('Not found in the GitLab project.', 404);
+      }
+      if (status === 401 || status === 403) {
+        throw new DocumentSourceError('Access to the GitLab project was denied.', 403);
+      }
+      if (error.message?.startsWith('maxContentLength')) {
+        this.assertSize(Number.MAX_SAFE_INTEGER);
+      }
+      logAxiosError({ message: `Failed to reach GitLab project ${this.project}`, error });
+      throw new DocumentSourceError('GitLab is not reachable.', 502);
+    }
+  }
+
+  /**
+   * Joins a path relative to the root with the configured folder of the repository.
+   * @param {string} relativePath - Normalized path relative to the root
+   * @returns {string}
+   */
+  toRepositoryPath(relativePath) {
+    return [this.basePath, relativePath].filter(Boolean).join('/');
+  }
+
+  /**
+   * Returns a cached value, loading and caching it when missing.
+   * Keys include a hash of the token, so users never see listings fetched with another token.
+   * @template T
+   * @param {string} key - Key within the project
+   * @param {() => Promise<T>} load - Loads the value
+   * @returns {Promise<T>}
+   */
+  async cached(key, load) {
+    if (this.cacheTtl <= 0) {
+      return load();
+    }
+
+    const tokenHash = this.token
+      ? crypto.createHash('sha256').update(this.token).digest('hex').slice(0, 16)
+      : 'public';
+    const cacheKey = `gitlab:${this.url}:${this.project}:${this.ref ?? ''}:${tokenHash}:${this.basePath}:${key}`;
+    const cache = getLogStores(CacheKeys.DOCUMENTS);
+
+    const cachedValue = await cache.get(cacheKey);
+    if (cachedValue != null) {
+      return cachedValue;
+    }
+
+    const value = await load();
+    await cache.set(cacheKey, value, this.cacheTtl);
+    return value;
+  }
+}
+
+module.exports = { GitLabDocumentSource };
@@ -0,0 +1,115 @@
+const axios = require('axios');
+const { GitLabDocumentSource } = require('./GitLabDocumentSource');
+
+jest.mock('axios');
+jest.mock('@librechat/api', () => ({
+  logAxiosError: jest.fn(),
+}));
+
+const mockCache = new Map();
+jest.mock('~/cache/getLogStores', () =>
+  jest.fn(() => ({
+    get: jest.fn((key) => Promise.resolve(mockCache.get(key))),
+    set: jest.fn((key, value) => Promise.resolve(mockCache.set(key, value))),
+  })),
+);
+
+describe('GitLabDocumentSource', () => {
+  const options = {
+    url: 'https://gitlab.example.com/',
+    project: 'it/handbook',
+    ref: 'main',
+    path: 'docs',
+    token: 'glpat-admin',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCache.clear();
+  });
+
+  it('should list every page of a folder below the configured path', async () => {
+    axios.get
+      .mockResolvedValueOnce({
+        data: [
+          { name: 'vpn.md', type: 'blob' },
+          { name: 'logo.png', type: 'blob' },
+        ],
+        headers: { 'x-next-page': '2' },
+      })
+      .mockResolvedValueOnce({
+        data: [
+          { name: 'policies', type: 'tree' },
+          { name: '.gitlab-ci.yml', type: 'blob' },
+        ],
+        headers: { 'x-next-page': '' },
+      });
+
+    const listing = await new GitLabDocumentSource(options).list('guides');
+
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(axios.get).toHaveBeenLastCalledWith(
+      'https://gitlab.example.com/api/v4/projects/it%2Fhandbook/repository/tree',
+      expect.objectContaining({
+        params: { path: 'docs/guides', ref: 'main', per_page: 100, page: 2 },
+        headers: { 'PRIVATE-TOKEN': 'glpat-admin' },
+      }),
+    );
+    expect(listing).toEqual({
+      source: 'gitlab',
+      path: 'guides',
+      entries: [
+        { name: 'policies', path: 'guides/policies', type: 'directory' },
+        { name: 'vpn.md', path: 'guides/vpn.md', type: 'file' },
+      ],
+    });
+  });
+
+  it('should read and cache a file', async () => {
+    axios.get.mockResolvedValue({
+      data: { size: 10, encoding: 'base64', content: Buffer.from('# Handbook').toString('base64') },
+      headers: {},
+    });
+    const source = new GitLabDocumentSource(options);
+
+    const document = await source.read('README.md');
+    await source.read('README.md');
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get.mock.calls[0][0]).toBe(
+      'https://gitlab.example.com/api/v4/projects/it%2Fhandbook/repository/files/docs%2FREADME.md',
+    );
+    expect(document).toEqual({
+      source: 'gitlab',
+      name: 'README.md',
+      path: 'README.md',
+      content: '# Handbook',
+      size: 10,
+    });
+
+    // Another token never reuses the cached file
+    await new GitLabDocumentSource({ ...options, token: 'glpat-user' }).read('README.md');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should map GitLab failures to document source errors', async () => {
+    const source = new GitLabDocumentSource({ ...options, cacheTtl: 0 });
+
+    axios.get.mockRejectedValueOnce({ response: { status: 401 } });
+    await expect(source.list()).rejects.toMatchObject({ status: 403 });
+
+    axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+    await expect(source.read('missing.md')).rejects.toMatchObject({ status: 404 });
+
+    axios.get.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    await expect(source.list()).rejects.toMatchObject({
+      status: 502,
+      message: 'GitLab is not reachable.',
+    });
+
+    axios.get.mockResolvedValueOnce({ data: { size: 2048, content: '' }, headers: {} });
+    await expect(
+      new GitLabDocumentSource({ ...options, cacheTtl: 0, maxFileSize: 1024 }).read('big.md'),
+    ).rejects.toMatchObject({ status: 413 });
+  });
+});
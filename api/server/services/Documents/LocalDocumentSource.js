@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { DocumentSource, DocumentSourceError } = require('./DocumentSource');
+
+/**
+ * Lists documents of a folder on the server.
+ * Users can only reach files below the root; symbolic links leading out of it are ignored.
+ */
+class LocalDocumentSource extends DocumentSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Folder shown as the root
+   * @param {string[]} [options.extensions] - File extensions listed
+   * @param {number} [options.maxFileSize] - Largest file opened, in bytes
+   */
+  constructor({ root, ...options }) {
+    super({ ...options, type: 'local' });
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolves a path below the root, following symbolic links.
+   * @param {string} relativePath - Normalized path relative to the root
+   * @returns {Promise<string>} Absolute path
+   * @throws {DocumentSourceError} When the path does not exist or leaves the root
+   */
+  async resolve(relativePath) {
+    let root;
+    let target;
+    try {
+      root = await fs.promises.realpath(this.root);
+      target = await fs.promises.realpath(path.join(this.root, relativePath));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        throw new DocumentSourceError('Document not found.', 404);
+      }
+      throw error;
+    }
+
+    if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+      throw new DocumentSourceError('Document not found.', 404);
+    }
+    return target;
+  }
+
+  /**
+   * @param {string} [folder] - Folder, relative to the root
+   * @returns {Promise<TDocumentListing>}
+   */
+  async list(folder) {
+    const relativeFolder = this.normalizePath(folder);
+    const directory = await this.resolve(relativeFolder);
+
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOTDIR') {
+        throw new DocumentSourceError('Not a folder.', 400);
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const dirent of dirents) {
+      if (dirent.name.startsWith('.')) {
+        continue;
+      }
+
+      const entryPath = relativeFolder ? `${relativeFolder}/${dirent.name}` : dirent.name;
+      let stats;
+      try {
+        stats = await fs.promises.stat(
+          dirent.isSymbolicLink()
+            ? await this.resolve(entryPath)
+            : path.join(directory, dirent.name),
+        );
+      } catch {
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        entries.push({ name: dirent.name, path: entryPath, type: 'directory' });
+      } else if (stats.isFile() && this.isSupported(dirent.name)) {
+        entries.push({ name: dirent.name, path: entryPath, type: 'file', size: stats.size });
+      }
+    }
+
+    return { source: this.type, path: relativeFolder, entries: this.sortEntries(entries) };
+  }
+
+  /**
+   * @param {string} filePath - File, relative to the root
+   * @returns {Promise<TDocumentContent>}
+   */
+  async read(filePath) {
+    const relativePath = this.normalizePath(filePath);
+    this.assertSupported(relativePath);
+
+    const target = await this.resolve(relativePath);
+    const stats = await fs.promises.stat(target);
+    if (!stats.isFile()) {
+      throw new DocumentSourceError('Document not found.', 404);
+    }
+    this.assertSize(stats.size);
+
+    return {
+      source: this.type,
+      name: path.posix.basename(relativePath),
+      path: relativePath,
+      content: await fs.promises.readFile(target, 'utf8'),
+      size: stats.size,
+    };
+  }
+}
+
+module.exports = { LocalDocumentSource };
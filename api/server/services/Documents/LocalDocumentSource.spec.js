@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalDocumentSource } = require('./LocalDocumentSource');
+
+describe('LocalDocumentSource', () => {
+  let tmpDir;
+  let root;
+  let source;
+
+  beforeEach(async () => {
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'documents-'));
+    root = path.join(tmpDir, 'docs');
+    await fs.promises.mkdir(path.join(root, 'guides', 'vpn'), { recursive: true });
+    await fs.promises.writeFile(path.join(root, 'README.md'), '# Handbook');
+    await fs.promises.writeFile(path.join(root, 'flow.mmd'), 'graph TD; A-->B');
+    await fs.promises.writeFile(path.join(root, 'logo.png'), 'binary');
+    await fs.promises.writeFile(path.join(root, '.env'), 'SECRET=1');
+    await fs.promises.writeFile(path.join(root, 'guides', 'setup.md'), 'Step 1');
+    await fs.promises.writeFile(path.join(tmpDir, 'secret.md'), 'outside');
+
+    source = new LocalDocumentSource({ root });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should list folders first and only supported, visible files', async () => {
+    const listing = await source.list();
+
+    expect(listing).toEqual({
+      source: 'local',
+      path: '',
+      entries: [
+        { name: 'guides', path: 'guides', type: 'directory' },
+        { name: 'flow.mmd', path: 'flow.mmd', type: 'file', size: 15 },
+        { name: 'README.md', path: 'README.md', type: 'file', size: 10 },
+      ],
+    });
+
+    const guides = await source.list('/guides/');
+    expect(guides.path).toBe('guides');
+    expect(guides.entries.map((entry) => entry.path)).toEqual(['guides/vpn', 'guides/setup.md']);
+  });
+
+  it('should read a document', async () => {
+    await expect(source.read('guides/setup.md')).resolves.toEqual({
+      source: 'local',
+      name: 'setup.md',
+      path: 'guides/setup.md',
+      content: 'Step 1',
+      size: 6,
+    });
+  });
+
+  it('should not leave the root', async () => {
+    await expect(source.list('../')).rejects.toMatchObject({ status: 400 });
+    await expect(source.read('guides/../../secret.md')).rejects.toMatchObject({ status: 400 });
+    await expect(source.read('.env')).rejects.toMatchObject({ status: 400 });
+
+    await fs.promises.symlink(path.join(tmpDir, 'secret.md'), path.join(root, 'link.md'));
+    await expect(source.read('link.md')).rejects.toMatchObject({ status: 404 });
+    expect((await source.list()).entries.map((entry) => entry.name)).not.toContain('link.md');
+  });
+
+  it('should reject unsupported, missing and oversized files', async () => {
+    await expect(source.read('logo.png')).rejects.toMatchObject({ status: 415 });
+    await expect(source.read('missing.md')).rejects.toMatchObject({ status: 404 });
+
+    const small = new LocalDocumentSource({ root, maxFileSize: 5 });
+    await expect(small.read('README.md')).rejects.toMatchObject({ status: 413 });
+  });
+});
@@ -0,0 +1,116 @@
+/** Most documents that can be mentioned in one message */
+const MAX_DOCUMENT_MENTIONS = 10;
+/** Characters of the mentioned documents sent to the model, shared by the documents of a message */
+const DEFAULT_MAX_CONTEXT_LENGTH = 40000;
+/** Characters of the passages long documents are split into */
+const CHUNK_LENGTH = 2000;
+/** Marks passages left out between the selected passages of a document */
+const OMISSION = '\n\n[...]\n\n';
+
+/**
+ * Lowercase words of a text, without short words that match almost every passage.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function getTerms(text) {
+  return new Set(text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) ?? []);
+}
+
+/**
+ * Splits a document into passages of up to `CHUNK_LENGTH` characters, at paragraph breaks
+ * where possible.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function splitIntoChunks(content) {
+  const chunks = [];
+  let current = '';
+  for (const paragraph of content.split(/\n\s*\n/)) {
+    for (let start = 0; start < paragraph.length; start += CHUNK_LENGTH) {
+      const piece = paragraph.slice(start, start + CHUNK_LENGTH);
+      if (current && current.length + piece.length + 2 > CHUNK_LENGTH) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Fits a document into `maxLength` characters. Longer documents are reduced to the passages that
+ * share the most words with the message, kept in document order; without shared words, the
+ * beginning of the document is kept.
+ * @param {string} content - Text of the document
+ * @param {string} [query] - Text of the message
+ * @param {number} [maxLength]
+ * @returns {{ text: string, excerpt: boolean }} Text to send, and whether passages were left out
+ */
+function selectDocumentChunks(content, query = '', maxLength = DEFAULT_MAX_CONTEXT_LENGTH) {
+  if (content.length <= maxLength) {
+    return { text: content, excerpt: false };
+  }
+
+  const terms = getTerms(query);
+  const ranked = splitIntoChunks(content)
+    .map((text, index) => {
+      const chunkTerms = getTerms(text);
+      const score = [...terms].filter((term) => chunkTerms.has(term)).length;
+      return { text, index, score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const selected = [];
+  let length = 0;
+  for (const chunk of ranked) {
+    if (length + chunk.text.length + OMISSION.length > maxLength) {
+      continue;
+    }
+    selected.push(chunk);
+    length += chunk.text.length + OMISSION.length;
+  }
+
+  let text = '';
+  let previousIndex = -1;
+  for (const chunk of selected.sort((a, b) => a.index - b.index)) {
+    const separator = previousIndex === -1 ? '' : '\n\n';
+    text += chunk.index === previousIndex + 1 ? separator + chunk.text : OMISSION + chunk.text;
+    previousIndex = chunk.index;
+  }
+
+  return { text: text.replace(/^\n+/, ''), excerpt: true };
+}
+
+/**
+ * Formats the mentioned documents as context for the system message.
+ * @param {Array<TDocumentContent & { excerpt: boolean }>} documents
+ * @returns {string}
+ */
+function formatDocumentContext(documents) {
+  const intro = [
+    'The user attached the following documents from the document browser to their message.',
+    documents.some((document) => document.excerpt)
+      ? 'Documents marked as excerpts only include the passages most relevant to the message.'
+      : '',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  const blocks = documents.map(({ source, path, content, excerpt }) => {
+    const excerptAttribute = excerpt ? ' excerpt="true"' : '';
+    return `<document source="${source}" path="${path}"${excerptAttribute}>\n${content}\n</document>`;
+  });
+
+  return [intro, ...blocks].join('\n\n');
+}
+
+module.exports = {
+  MAX_DOCUMENT_MENTIONS,
+  DEFAULT_MAX_CONTEXT_LENGTH,
+  selectDocumentChunks,
+  formatDocumentContext,
+};
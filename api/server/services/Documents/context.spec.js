@@ -0,0 +1,58 @@
+const { selectDocumentChunks, formatDocumentContext } = require('./context');
+
+describe('Document context', () => {
+  describe('selectDocumentChunks', () => {
+    /** Paragraph of about 1500 characters, so every paragraph is its own passage */
+    const paragraph = (topic) =>
+      Array(Math.floor(1500 / (topic.length + 1)))
+        .fill(topic)
+        .join(' ');
+
+    it('should keep documents that fit', () => {
+      expect(selectDocumentChunks('# Handbook\n\nWelcome', 'welcome', 100)).toEqual({
+        text: '# Handbook\n\nWelcome',
+        excerpt: false,
+      });
+    });
+
+    it('should keep the passages that share the most words with the message, in order', () => {
+      const content = [
+        paragraph('intro'),
+        paragraph('vacation'),
+        paragraph('expenses'),
+        paragraph('vacation policy'),
+      ].join('\n\n');
+
+      const { text, excerpt } = selectDocumentChunks(content, 'What is the vacation policy?', 3100);
+
+      expect(excerpt).toBe(true);
+      expect(text.length).toBeLessThanOrEqual(3100);
+      expect(text.startsWith('[...]\n\nvacation vacation')).toBe(true);
+      expect(text).toContain('vacation policy');
+      expect(text).not.toContain('intro');
+      expect(text.indexOf('vacation vacation')).toBeLessThan(text.indexOf('vacation policy'));
+    });
+
+    it('should keep the beginning without words in common', () => {
+      const content = [paragraph('intro'), paragraph('expenses')].join('\n\n');
+
+      const { text } = selectDocumentChunks(content, '', 2000);
+
+      expect(text.startsWith('intro')).toBe(true);
+      expect(text).not.toContain('expenses');
+    });
+  });
+
+  it('should format the documents as tagged blocks', () => {
+    const context = formatDocumentContext([
+      { source: 'local', path: 'README.md', name: 'README.md', content: '# Handbook' },
+      { source: 'gitlab', path: 'vpn.md', name: 'vpn.md', content: 'Connect', excerpt: true },
+    ]);
+
+    expect(context).toContain('Documents marked as excerpts only include');
+    expect(context).toContain(
+      '<document source="local" path="README.md">\n# Handbook\n</document>',
+    );
+    expect(context).toContain('<document source="gitlab" path="vpn.md" excerpt="true">');
+  });
+});
@@ -0,0 +1,349 @@
+const path = require('path');
+const { logger } = require('@librechat/data-schemas');
+const { encryptV2, decryptV2 } = require('@librechat/api');
+const { envVarRegex, extractEnvVariable } = require('librechat-data-provider');
+const { GitLabDocumentSource } = require('./GitLabDocumentSource');
+const { LocalDocumentSource } = require('./LocalDocumentSource');
+const { DocumentSourceError, normalizeDocumentPath } = require('./DocumentSource');
+const {
+  MAX_DOCUMENT_MENTIONS,
+  DEFAULT_MAX_CONTEXT_LENGTH,
+  selectDocumentChunks,
+  formatDocumentContext,
+} = require('./context');
+const { getUserById, updateUser } = require('~/models');
+
+/**
+ * @typedef {Object} DocumentsConfig
+ * @property {TDocumentSourceType} source - Default source
+ * @property {{ path: string }} [local] - Folder on the server
+ * @property {{ url: string, project: string, ref?: string, path?: string, token?: string }} [gitlab] - GitLab project
+ * @property {string[]} [extensions] - File extensions listed
+ * @property {number} [maxFileSize] - Largest file opened, in bytes
+ * @property {number} [cacheTtl] - Seconds GitLab listings and files are cached
+ * @property {number} [maxContextLength] - Characters of the documents mentioned in a message sent to the model
+ * @property {boolean} userOverrides - Whether users may browse another folder or project
+ */
+
+/**
+ * Resolves a `${ENV_VAR}` reference; unset variables resolve to `undefined`.
+ * @param {string|number} [value]
+ * @returns {string|undefined}
+ */
+function resolveValue(value) {
+  if (value == null || value === '') {
+    return undefined;
+  }
+  const resolved = extractEnvVariable(String(value));
+  return envVarRegex.test(resolved) || resolved === '' ? undefined : resolved;
+}
+
+/**
+ * Loads the document browser configuration from the `documents` section of librechat.yaml,
+ * falling back to the `DOCUMENTS_*` env vars for settings the section leaves out.
+ * @param {TCustomConfig['documents']} [documents] - `documents` section of librechat.yaml
+ * @returns {DocumentsConfig|undefined} Configuration, or undefined when the browser is disabled
+ */
+function loadDocumentsConfig(documents = {}) {
+  if (documents.enabled === false) {
+    return undefined;
+  }
+
+  const localPath = resolveValue(documents.local?.path ?? process.env.DOCUMENTS_LOCAL_PATH);
+  const gitlabProject = resolveValue(
+    documents.gitlab?.project ?? process.env.DOCUMENTS_GITLAB_PROJECT,
+  );
+
+  const local = localPath ? { path: localPath } : undefined;
+  const gitlab = gitlabProject
+    ? {
+        url:
+          resolveValue(documents.gitlab?.url ?? process.env.DOCUMENTS_GITLAB_URL) ??
+          'https://gitlab.com',
+        project: gitlabProject,
+        ref: resolveValue(documents.gitlab?.ref ?? process.env.DOCUMENTS_GITLAB_REF),
+        path: resolveValue(documents.gitlab?.path ?? process.env.DOCUMENTS_GITLAB_PATH),
+        token: resolveValue(documents.gitlab?.token ?? process.env.DOCUMENTS_GITLAB_TOKEN),
+      }
+    : undefined;
+
+  if (!local && !gitlab) {
+    if (documents.enabled) {
+      logger.warn(
+        '[Documents] The document browser is enabled but neither `local.path` nor `gitlab.project` is set',
+      );
+    }
+    return undefined;
+  }
+
+  let source = documents.source ?? process.env.DOCUMENTS_SOURCE ?? (local ? 'local' : 'gitlab');
+  if ((source === 'local' && !local) || (source === 'gitlab' && !gitlab)) {
+    const fallback = local ? 'local' : 'gitlab';
+    logger.warn(`[Documents] Source "${source}" is not configured, using "${fallback}" instead`);
+    source = fallback;
+  }
+
+  return {
+    source,
+    local,
+    gitlab,
+    extensions: documents.extensions,
+    maxFileSize: documents.maxFileSize,
+    cacheTtl: documents.cacheTtl,
+    maxContextLength: documents.maxContextLength,
+    userOverrides: documents.userOverrides ?? false,
+  };
+}
+
+/**
+ * Lists the sources configured by the administrator.
+ * @param {DocumentsConfig} config
+ * @returns {TDocumentSourceType[]}
+ */
+function getAvailableSources(config) {
+  return ['local', 'gitlab'].filter((source) => config[source] != null);
+}
+
+/**
+ * Loads the document browser settings of a user, with the access token decrypted.
+ * @param {string} userId
+ * @returns {Promise<TDocumentSourceOverride|null>}
+ */
+async function getUserDocumentSource(userId) {
+  const user = await getUserById(userId, '+documentSource.token');
+  const documentSource = user?.documentSource;
+  if (!documentSource?.source) {
+    return null;
+  }
+
+  const { token, ...settings } = documentSource;
+  return { ...settings, token: token ? await decryptV2(token) : undefined };
+}
+
+/**
+ * Combines the administrator configuration with the settings of a user.
+ * The GitLab instance always comes from the configuration. The configured token is only used
+ * for the configured project; another project is read with the user's own token, if any.
+ * Local folders chosen by users stay below the configured folder.
+ * @param {DocumentsConfig} config
+ * @param {TDocumentSourceOverride|null} [override] - Settings of the user
+ * @returns {{ source: TDocumentSourceType, path: string, options: Object }} Source type, root shown to
+ * the user and source options
+ */
+function resolveSourceOptions(config, override) {
+  const { extensions, maxFileSize, cacheTtl } = config;
+  const useOverride =
+    config.userOverrides &&
+    override != null &&
+    getAvailableSources(config).includes(override.source);
+  const source = useOverride ? override.source : config.source;
+  const userPath = useOverride ? (override.path ?? '') : '';
+
+  if (source === 'local') {
+    const root = normalizeDocumentPath(userPath);
+    return {
+      source,
+      path: root,
+      options: {
+        root: path.join(config.local.path, root),
+        extensions,
+        maxFileSize,
+      },
+    };
+  }
+
+  const { gitlab } = config;
+  const ownProject =
+    useOverride && !!override.project && String(override.project) !== String(gitlab.project);
+  const basePath = ownProject
+    ? normalizeDocumentPath(userPath)
+    : [gitlab.path, normalizeDocumentPath(userPath)].filter(Boolean).join('/');
+
+  return {
+    source,
+    path: basePath,
+    options: {
+      url: gitlab.url,
+      project: ownProject ? override.project : gitlab.project,
+      ref: (useOverride && override.ref) || gitlab.ref,
+      path: basePath,
+      token: ownProject ? override.token : gitlab.token,
+      cacheTtl,
+      extensions,
+      maxFileSize,
+    },
+  };
+}
+
+/**
+ * Creates the document source a user browses.
+ * @param {DocumentsConfig} config
+ * @param {TDocumentSourceOverride|null} [override] - Settings of the user
+ * @returns {LocalDocumentSource|GitLabDocumentSource}
+ */
+function createDocumentSource(config, override) {
+  const { source, options } = resolveSourceOptions(config, override);
+  return source === 'local' ? new LocalDocumentSource(options) : new GitLabDocumentSource(options);
+}
+
+/**
+ * Creates the document source of a user, with their own settings when overrides are allowed.
+ * @param {DocumentsConfig} config
+ * @param {string} userId
+ * @returns {Promise<LocalDocumentSource|GitLabDocumentSource>}
+ */
+async function getSourceForUser(config, userId) {
+  const override = config.userOverrides ? await getUserDocumentSource(userId) : null;
+  return createDocumentSource(config, override);
+}
+
+/**
+ * Reads the documents a user mentioned in a message, as context for the model.
+ * Documents that cannot be read are left out; long documents are reduced to the passages
+ * most relevant to the message, so all documents fit into `maxContextLength`.
+ * @param {DocumentsConfig} config
+ * @param {string} userId
+ * @param {Array<Partial<TMessageDocument>>} mentions - Documents mentioned in the message
+ * @param {string} [query] - Text of the message
+ * @returns {Promise<{ context: string, documents: TMessageDocument[] } | null>} Context and the
+ * documents it includes, or null when none could be read
+ */
+async function loadDocumentContext(config, userId, mentions, query) {
+  const paths = [
+    ...new Set(
+      mentions
+        .map((mention) => mention?.path)
+        .filter((documentPath) => typeof documentPath === 'string' && documentPath),
+    ),
+  ].slice(0, MAX_DOCUMENT_MENTIONS);
+  if (paths.length === 0) {
+    return null;
+  }
+
+  const source = await getSourceForUser(config, userId);
+  const results = await Promise.allSettled(paths.map((documentPath) => source.read(documentPath)));
+  const documents = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      documents.push(result.value);
+    } else {
+      logger.warn(`[Documents] Could not read mentioned document "${paths[index]}"`, {
+        error: result.reason?.message,
+      });
+    }
+  });
+
+  if (documents.length === 0) {
+    return null;
+  }
+
+  const maxLength = Math.floor(
+    (config.maxContextLength ?? DEFAULT_MAX_CONTEXT_LENGTH) / documents.length,
+  );
+  const included = documents.map((document) => {
+    const { text, excerpt } = selectDocumentChunks(document.content, query, maxLength);
+    return { ...document, content: text, excerpt };
+  });
+
+  return {
+    context: formatDocumentContext(included),
+    documents: included.map(({ path: documentPath, name, source: type, excerpt }) => ({
+      path: documentPath,
+      name,
+      source: type,
+      ...(excerpt && { excerpt }),
+    })),
+  };
+}
+
+/**
+ * Describes the document browser settings of a user, without tokens or server paths.
+ * @param {DocumentsConfig} config
+ * @param {TDocumentSourceOverride|null} [override] - Settings of the user
+ * @returns {TDocumentSettings}
+ */
+function getDocumentSettings(config, override) {
+  const { source, path: root, options } = resolveSourceOptions(config, override);
+  /** @type {TDocumentSettings} */
+  const settings = {
+    sources: getAvailableSources(config),
+    source,
+    path: root,
+    userOverrides: config.userOverrides,
+  };
+
+  if (source === 'gitlab') {
+    settings.project = options.project;
+    settings.ref = options.ref;
+  }
+
+  if (config.userOverrides && override != null) {
+    const { token, ...fields } = override;
+    settings.override = { ...fields, hasToken: !!token };
+  }
+
+  return settings;
+}
+
+/**
+ * Validates and stores the document browser settings of a user.
+ * An omitted token keeps the stored one; an empty token removes it.
+ * @param {string} userId
+ * @param {DocumentsConfig} config
+ * @param {TDocumentSourceOverride} body - Settings sent by the user
+ * @returns {Promise<TDocumentSourceOverride>} Stored settings, with the token decrypted
+ * @throws {DocumentSourceError} When the settings are invalid
+ */
+async function saveUserDocumentSource(userId, config, body = {}) {
+  const { source, path: folder = '', project, ref, token } = body;
+  if (!getAvailableSources(config).includes(source)) {
+    throw new DocumentSourceError(
+      `Source must be one of: ${getAvailableSources(config).join(', ')}.`,
+    );
+  }
+
+  const stringFields = { path: folder, project, ref, token };
+  for (const [field, value] of Object.entries(stringFields)) {
+    if (value != null && typeof value !== 'string') {
+      throw new DocumentSourceError(`${field} must be a string.`);
+    }
+  }
+
+  const current = await getUserDocumentSource(userId);
+  const override = {
+    source,
+    path: normalizeDocumentPath(folder) || undefined,
+    project: source === 'gitlab' ? project?.trim() || undefined : undefined,
+    ref: source === 'gitlab' ? ref?.trim() || undefined : undefined,
+    token: source === 'gitlab' ? (token ?? current?.token) || undefined : undefined,
+  };
+
+  await updateUser(userId, {
+    documentSource: {
+      ...override,
+      token: override.token ? await encryptV2(override.token) : undefined,
+    },
+  });
+  return override;
+}
+
+/**
+ * Removes the document browser settings of a user.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+async function deleteUserDocumentSource(userId) {
+  await updateUser(userId, { documentSource: null });
+}
+
+module.exports = {
+  DocumentSourceError,
+  loadDocumentsConfig,
+  createDocumentSource,
+  getSourceForUser,
+  loadDocumentContext,
+  getDocumentSettings,
+  getUserDocumentSource,
+  saveUserDocumentSource,
+  deleteUserDocumentSource,
+};
@@ -0,0 +1,218 @@
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('@librechat/api', () => ({
+  encryptV2: jest.fn((value) => Promise.resolve(`enc:${value}`)),
+  decryptV2: jest.fn((value) => Promise.resolve(value.replace(/^enc:/, ''))),
+  logAxiosError: jest.fn(),
+}));
+jest.mock('~/models', () => ({
+  getUserById: jest.fn(),
+  updateUser: jest.fn(),
+}));
+jest.mock('~/cache/getLogStores', () => jest.fn());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getUserById, updateUser } = require('~/models');
+const {
+  loadDocumentsConfig,
+  createDocumentSource,
+  loadDocumentContext,
+  getDocumentSettings,
+  getUserDocumentSource,
+  saveUserDocumentSource,
+} = require('./index');
+
+describe('Documents service', () => {
+  const originalEnv = process.env;
+
+  const config = {
+    source: 'gitlab',
+    local: { path: '/srv/docs' },
+    gitlab: {
+      url: 'https://gitlab.example.com',
+      project: 'it/handbook',
+      ref: 'main',
+      path: 'docs',
+      token: 'glpat-admin',
+    },
+    userOverrides: true,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('loadDocumentsConfig', () => {
+    it('should be disabled without a configured source', () => {
+      expect(loadDocumentsConfig()).toBeUndefined();
+      expect(loadDocumentsConfig({ enabled: false, local: { path: '/srv/docs' } })).toBeUndefined();
+    });
+
+    it('should resolve env variables and fall back to the DOCUMENTS_* env vars', () => {
+      process.env.HANDBOOK_TOKEN = 'glpat-admin';
+      process.env.DOCUMENTS_LOCAL_PATH = '/srv/docs';
+
+      expect(
+        loadDocumentsConfig({
+          source: 'gitlab',
+          gitlab: { project: 42, token: '${HANDBOOK_TOKEN}', ref: '${UNSET_REF}' },
+        }),
+      ).toEqual({
+        source: 'gitlab',
+        local: { path: '/srv/docs' },
+        gitlab: {
+          url: 'https://gitlab.com',
+          project: '42',
+          ref: undefined,
+          path: undefined,
+          token: 'glpat-admin',
+        },
+        extensions: undefined,
+        maxFileSize: undefined,
+        cacheTtl: undefined,
+        maxContextLength: undefined,
+        userOverrides: false,
+      });
+    });
+
+    it('should use a configured source when the selected one is missing', () => {
+      expect(loadDocumentsConfig({ source: 'gitlab', local: { path: '/srv/docs' } }).source).toBe(
+        'local',
+      );
+    });
+  });
+
+  describe('loadDocumentContext', () => {
+    let root;
+
+    beforeAll(async () => {
+      root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'documents-context-'));
+      await fs.promises.writeFile(path.join(root, 'README.md'), '# Handbook');
+      await fs.promises.writeFile(path.join(root, 'policies.md'), 'Vacation policy\n\n'.repeat(50));
+    });
+
+    afterAll(async () => {
+      await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    it('should read the mentioned documents and leave out the unreadable ones', async () => {
+      const result = await loadDocumentContext(
+        { source: 'local', local: { path: root }, maxContextLength: 400, userOverrides: false },
+        'user-1',
+        [
+          { path: 'README.md' },
+          { path: 'README.md' },
+          { path: 'missing.md' },
+          { path: 'policies.md' },
+        ],
+        'What is the vacation policy?',
+      );
+
+      expect(result.documents).toEqual([
+        { path: 'README.md', name: 'README.md', source: 'local' },
+        { path: 'policies.md', name: 'policies.md', source: 'local', excerpt: true },
+      ]);
+      expect(result.context).toContain('<document source="local" path="README.md">\n# Handbook');
+      expect(result.context).toContain('path="policies.md" excerpt="true"');
+      expect(getUserById).not.toHaveBeenCalled();
+
+      await expect(
+        loadDocumentContext({ source: 'local', local: { path: root } }, 'user-1', [
+          { path: '../etc/passwd' },
+        ]),
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe('user overrides', () => {
+    it('should only use the configured token for the configured project', () => {
+      const ownFolder = createDocumentSource(config, { source: 'gitlab', path: 'guides' });
+      expect(ownFolder).toMatchObject({
+        project: 'it/handbook',
+        basePath: 'docs/guides',
+        token: 'glpat-admin',
+      });
+
+      const ownProject = createDocumentSource(config, {
+        source: 'gitlab',
+        project: 'me/notes',
+        url: 'https://attacker.example.com',
+      });
+      expect(ownProject).toMatchObject({
+        url: 'https://gitlab.example.com',
+        project: 'me/notes',
+        basePath: '',
+        token: undefined,
+      });
+    });
+
+    it('should keep local folders below the configured folder', () => {
+      expect(createDocumentSource(config, { source: 'local', path: 'team' }).root).toBe(
+        '/srv/docs/team',
+      );
+      expect(() => createDocumentSource(config, { source: 'local', path: '../etc' })).toThrow(
+        'Invalid path.',
+      );
+    });
+
+    it('should ignore user settings unless overrides are allowed', () => {
+      const settings = getDocumentSettings(
+        { ...config, userOverrides: false },
+        { source: 'local', path: 'team' },
+      );
+
+      expect(settings).toEqual({
+        sources: ['local', 'gitlab'],
+        source: 'gitlab',
+        path: 'docs',
+        project: 'it/handbook',
+        ref: 'main',
+        userOverrides: false,
+      });
+    });
+
+    it('should store the token encrypted and never return it', async () => {
+      getUserById.mockResolvedValue({
+        documentSource: { source: 'gitlab', project: 'me/notes', token: 'enc:glpat-old' },
+      });
+
+      const override = await saveUserDocumentSource('user-1', config, {
+        source: 'gitlab',
+        project: ' me/notes ',
+        path: '/wiki/',
+      });
+
+      expect(updateUser).toHaveBeenCalledWith('user-1', {
+        documentSource: {
+          source: 'gitlab',
+          path: 'wiki',
+          project: 'me/notes',
+          ref: undefined,
+          token: 'enc:glpat-old',
+        },
+      });
+      expect(getDocumentSettings(config, override).override).toEqual({
+        source: 'gitlab',
+        path: 'wiki',
+        project: 'me/notes',
+        ref: undefined,
+        hasToken: true,
+      });
+      await expect(getUserDocumentSource('user-1')).resolves.toMatchObject({
+        token: 'glpat-old',
+      });
+
+      await expect(saveUserDocumentSource('user-1', config, { source: 'dropbox' })).rejects.toThrow(
+        'Source must be one of: local, gitlab.',
+      );
+    });
+  });
+});
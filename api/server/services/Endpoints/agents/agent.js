@@ -100,6 +100,7 @@ const initializeAgent = async ({
       tools: agent.tools,
       model: agent.model,
       tool_resources,
+      rage_retrieval: agent.rage_retrieval,
     })) ?? {};
 
   agent.endpoint = provider;
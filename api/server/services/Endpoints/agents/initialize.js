@@ -26,10 +26,20 @@ function createToolLoader() {
    * @param {string} params.provider
    * @param {string} params.model
    * @param {AgentToolResources} params.tool_resources
+   * @param {Agent['rage_retrieval']} [params.rage_retrieval]
    * @returns {Promise<{ tools: StructuredTool[], toolContextMap: Record<string, unknown> } | undefined>}
    */
-  return async function loadTools({ req, res, agentId, tools, provider, model, tool_resources }) {
-    const agent = { id: agentId, tools, provider, model };
+  return async function loadTools({
+    req,
+    res,
+    agentId,
+    tools,
+    provider,
+    model,
+    tool_resources,
+    rage_retrieval,
+  }) {
+    const agent = { id: agentId, tools, provider, model, rage_retrieval };
     try {
       return await loadAgentTools({
         req,
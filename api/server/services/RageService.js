@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { logger } = require('@librechat/data-schemas');
+const { Tools, envVarRegex, extractEnvVariable } = require('librechat-data-provider');
+const { getRageSourceStats, createRageAuditEvent, recordRageSourceFeedback } = require('~/models');
+const loadCustomConfig = require('./Config/loadCustomConfig');
+
+/** @type {Object|null|undefined} Shared interceptor; `null` when RAGE cannot be loaded */
+let rageInterceptor;
+
+/**
+ * Returns the RAGE interceptor used by the admin routes.
+ * Metrics are collected process-wide, so this instance reports the counters of every client.
+ * @returns {Object|null} RAGE interceptor, or null when RAGE is unavailable
+ */
+function getRageInterceptor() {
+  if (rageInterceptor !== undefined) {
+    return rageInterceptor;
+  }
+
+  try {
+    const RageInterceptor = require('../../../rageapi/interceptors/RageInterceptor');
+    rageInterceptor = new RageInterceptor();
+  } catch (error) {
+    logger.warn('[RageService] RAGE interceptor not available:', error.message);
+    rageInterceptor = null;
+  }
+
+  return rageInterceptor;
+}
+
+/**
+ * Checks whether RAGE is used for an endpoint; `rage.endpoints` in librechat.yaml limits it to the listed endpoints.
+ * @param {string} endpoint - Endpoint name
+ * @param {string} [endpointType] - Endpoint type, e.g. `custom`
+ * @returns {boolean}
+ */
+function isRageEnabledForEndpoint(endpoint, endpointType) {
+  return getRageInterceptor()?.isEnabledForEndpoint(endpoint, endpointType) ?? false;
+}
+
+/**
+ * Resolves `${ENV_VAR}` references in the string values of the `rage` section.
+ * References to unset variables are dropped, so the setting falls back to its default.
+ * @param {unknown} value - Section or value of the `rage` config
+ * @returns {unknown} Value with environment variables resolved
+ */
+function resolveRageEnvVariables(value) {
+  if (typeof value === 'string') {
+    const resolved = extractEnvVariable(value);
+    return envVarRegex.test(resolved) ? undefined : resolved;
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveRageEnvVariables).filter((item) => item !== undefined);
+  }
+  if (value != null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveRageEnvVariables(item)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Applies the `rage` section of librechat.yaml on top of the RAGE env vars.
+ * Interceptors created afterwards, including the shared one, use the new configuration.
+ * @param {TRageConfig} [rageConfig] - `rage` section of librechat.yaml
+ * @returns {Object} Applied RAGE configuration
+ * @throws {Error} When RAGE is unavailable or the configuration is invalid; the current one stays active
+ */
+function applyRageConfig(rageConfig) {
+  const { configManager } = require('../../../rageapi/config');
+  const config = configManager.reload({ yamlConfig: resolveRageEnvVariables(rageConfig ?? {}) });
+  rageInterceptor = undefined;
+  return config;
+}
+
+/**
+ * Configures RAGE from librechat.yaml at startup.
+ * An invalid `rage` section is logged and the env vars are used instead.
+ * @param {TRageConfig} [rageConfig] - `rage` section of librechat.yaml
+ * @returns {boolean} Whether the configuration was applied
+ */
+function configureRage(rageConfig) {
+  try {
+    applyRageConfig(rageConfig);
+    return true;
+  } catch (error) {
+    logger.error('[RageService] Failed to apply the RAGE configuration:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Reads librechat.yaml again and applies its `rage` section without restarting the server.
+ * @returns {Promise<Object>} Summary of the applied RAGE configuration
+ * @throws {Error} When librechat.yaml cannot be loaded or the configuration is invalid
+ */
+async function reloadRageConfig() {
+  const config = await loadCustomConfig(false);
+  if (!config) {
+    throw new Error('librechat.yaml could not be loaded; the RAGE configuration was not changed');
+  }
+
+  applyRageConfig(config.rage);
+  const { configManager } = require('../../../rageapi/config');
+  return configManager.getSummary();
+}
+
+/**
+ * Resolves the locale of the RAGE context template for a request.
+ * The conversation language (`rage_language`) wins over the UI locale of the `lang` cookie,
+ * which falls back to the browser's `Accept-Language`.
+ * @param {ServerRequest} [req] - Chat or tool request
+ * @returns {string | undefined} Locale, e.g. `pt-BR`
+ */
+function getRageLocale(req) {
+  const locale =
+    req?.body?.rage_language ||
+    req?.cookies?.lang ||
+    req?.headers?.['accept-language']?.split(',')[0];
+  return typeof locale === 'string' ? locale.split(';')[0].trim() || undefined : undefined;
+}
+
+/**
+ * Checks a bearer token against `RAGE_METRICS_TOKEN`.
+ * @param {string} [token] - Token sent by the scraper
+ * @returns {boolean} Whether the token grants access to the Prometheus metrics
+ */
+function isMetricsTokenValid(token) {
+  const expected = getRageInterceptor()?.config?.RAGE_METRICS_TOKEN;
+  if (!expected || typeof token !== 'string') {
+    return false;
+  }
+
+  const received = Buffer.from(token);
+  const configured = Buffer.from(expected);
+  return received.length === configured.length && crypto.timingSafeEqual(received, configured);
+}
+
+/**
+ * Maps the details of a RAGE audit log entry to a stored audit event.
+ * @param {string} event - Audit event type
+ * @param {Object} details - Details passed to `rageLogger.audit`
+ * @param {string} [correlationId] - Request correlation ID
+ * @returns {import('@librechat/data-schemas').CreateRageAuditEventParams}
+ */
+function toRageAuditEvent(event, details = {}, correlationId) {
+  const sources = Array.isArray(details.sources) ? details.sources : [];
+  return {
+    event,
+    user: details.userId != null ? String(details.userId) : 'unknown',
+    conversationId: details.conversationId,
+    messageId: details.messageId,
+    workspaceId: details.workspaceId,
+    query: details.query,
+    sources: sources
+      .filter((source) => source?.id != null)
+      .map(({ id, source, score }) => ({ id: String(id), source, score })),
+    correlationId,
+    answerMode: details.answerMode,
+    documentsRetrieved: details.documentsRetrieved,
+    documentsIncluded: details.documentsIncluded,
+  };
+}
+
+/**
+ * Stores RAGE audit events in MongoDB while `RAGE_ENABLE_AUDIT_LOG` is enabled.
+ * Events expire after `RAGE_AUDIT_RETENTION_DAYS`, read when each event is written.
+ * @returns {boolean} Whether the audit store was registered
+ */
+function registerRageAuditStore() {
+  if (!getRageInterceptor()) {
+    return false;
+  }
+
+  const { rageLogger } = require('../../../rageapi/logging/logger');
+  rageLogger.setAuditSink((event, details, correlationId) =>
+    createRageAuditEvent(toRageAuditEvent(event, details, correlationId), {
+      retentionDays: getRageInterceptor()?.config?.RAGE_AUDIT_RETENTION_DAYS,
+    }),
+  );
+  return true;
+}
+
+/**
+ * Lists the knowledge base sources cited by a response: the context injected for it
+ * and the results of its `knowledge_base_search` tool calls.
+ * @param {Partial<TMessage>} [message] - Response message
+ * @returns {string[]} Source names
+ */
+function getRageMessageSources(message) {
+  const citations = [
+    ...(message?.rageSources ?? []),
+    ...(message?.attachments ?? []).flatMap(
+      (attachment) => attachment?.[Tools.knowledge_base_search]?.sources ?? [],
+    ),
+  ];
+  return [
+    ...new Set(
+      citations.map((citation) => citation?.source).filter((source) => typeof source === 'string'),
+    ),
+  ];
+}
+
+/**
+ * Reduces stored feedback to its rating and reason key.
+ * @param {import('librechat-data-provider').TMinimalFeedback | null} [feedback]
+ * @returns {import('@librechat/data-schemas').RageFeedback | null}
+ */
+function toRageFeedback(feedback) {
+  if (!feedback?.rating) {
+    return null;
+  }
+  const tag = typeof feedback.tag === 'string' ? feedback.tag : feedback.tag?.key;
+  return { rating: feedback.rating, tag };
+}
+
+/**
+ * Credits the feedback on a response to the knowledge base sources it cited,
+ * replacing the previous rating of the response. Failures are logged, not thrown.
+ * @param {Partial<TMessage>} message - Response message before the feedback was saved
+ * @param {import('librechat-data-provider').TMinimalFeedback | null} feedback - New feedback; `null` when it was removed
+ * @returns {Promise<number>} Number of sources updated
+ */
+async function recordRageFeedback(message, feedback) {
+  const sources = getRageMessageSources(message);
+  if (sources.length === 0) {
+    return 0;
+  }
+
+  try {
+    const updated = await recordRageSourceFeedback({
+      sources,
+      previous: toRageFeedback(message.feedback),
+      current: toRageFeedback(feedback),
+    });
+    if (updated > 0) {
+      const { sourceFeedback } = require('../../../rageapi/enrichment/sourceFeedback');
+      sourceFeedback.invalidate(sources);
+    }
+    return updated;
+  } catch (error) {
+    logger.error('[RageService] Failed to record RAGE source feedback:', error);
+    return 0;
+  }
+}
+
+/**
+ * Lets RAGE scoring read the feedback statistics of sources from MongoDB.
+ * @returns {boolean} Whether the statistics were registered
+ */
+function registerRageSourceFeedback() {
+  if (!getRageInterceptor()) {
+    return false;
+  }
+
+  const { sourceFeedback } = require('../../../rageapi/enrichment/sourceFeedback');
+  sourceFeedback.setStatsProvider(getRageSourceStats);
+  return true;
+}
+
+module.exports = {
+  configureRage,
+  reloadRageConfig,
+  getRageLocale,
+  getRageInterceptor,
+  isMetricsTokenValid,
+  isRageEnabledForEndpoint,
+  toRageAuditEvent,
+  recordRageFeedback,
+  getRageMessageSources,
+  registerRageAuditStore,
+  registerRageSourceFeedback,
+};
@@ -16,6 +16,7 @@ const {
   actionDelimiter,
   ImageVisionTool,
   openapiToFunction,
+  RageRetrievalMode,
   AgentCapabilities,
   defaultAgentCapabilities,
   validateAndParseOpenAPISpec,
@@ -36,6 +37,7 @@ const { processFileURL, uploadImageBuffer } = require('~/server/services/Files/p
 const { getEndpointsConfig, getCachedTools } = require('~/server/services/Config');
 const { createOnSearchResults } = require('~/server/services/Tools/search');
 const { isActionDomainAllowed } = require('~/server/services/domains');
+const { isRageEnabledForEndpoint } = require('~/server/services/RageService');
 const { recordUsage } = require('~/server/services/Threads');
 const { loadTools } = require('~/app/clients/tools/util');
 const { redactMessage } = require('~/config/parsers');
@@ -493,14 +495,19 @@ async function processRequiredActions(client, requiredActions) {
  * @param {Object} params - Run params containing user and request information.
  * @param {ServerRequest} params.req - The request object.
  * @param {ServerResponse} params.res - The request object.
- * @param {Pick<Agent, 'id' | 'provider' | 'model' | 'tools'} params.agent - The agent to load tools for.
+ * @param {Pick<Agent, 'id' | 'provider' | 'model' | 'tools' | 'rage_retrieval'>} params.agent - The agent to load tools for.
  * @param {string | undefined} [params.openAIApiKey] - The OpenAI API key.
  * @returns {Promise<{ tools?: StructuredTool[] }>} The agent tools.
  */
 async function loadAgentTools({ req, res, agent, tool_resources, openAIApiKey }) {
-  if (!agent.tools || agent.tools.length === 0) {
+  /** Agents in RAGE `tool` mode search the knowledge base on demand */
+  const requestedTools =
+    agent.rage_retrieval === RageRetrievalMode.tool
+      ? [...(agent.tools ?? []), Tools.knowledge_base_search]
+      : agent.tools;
+  if (!requestedTools || requestedTools.length === 0) {
     return {};
-  } else if (agent.tools && agent.tools.length === 1 && agent.tools[0] === AgentCapabilities.ocr) {
+  } else if (requestedTools.length === 1 && requestedTools[0] === AgentCapabilities.ocr) {
     return {};
   }
 
@@ -524,8 +531,10 @@ async function loadAgentTools({ req, res, agent, tool_resources, openAIApiKey })
   const areToolsEnabled = checkCapability(AgentCapabilities.tools);
 
   let includesWebSearch = false;
-  const _agentTools = agent.tools?.filter((tool) => {
-    if (tool === Tools.file_search) {
+  const _agentTools = requestedTools.filter((tool) => {
+    if (tool === Tools.knowledge_base_search) {
+      return isRageEnabledForEndpoint(EModelEndpoint.agents);
+    } else if (tool === Tools.file_search) {
       return checkCapability(AgentCapabilities.file_search);
     } else if (tool === Tools.execute_code) {
       return checkCapability(AgentCapabilities.execute_code);
@@ -567,7 +576,12 @@ async function loadAgentTools({ req, res, agent, tool_resources, openAIApiKey })
   const agentTools = [];
   for (let i = 0; i < loadedTools.length; i++) {
     const tool = loadedTools[i];
-    if (tool.name && (tool.name === Tools.execute_code || tool.name === Tools.file_search)) {
+    if (
+      tool.name &&
+      (tool.name === Tools.execute_code ||
+        tool.name === Tools.file_search ||
+        tool.name === Tools.knowledge_base_search)
+    ) {
       agentTools.push(tool);
       continue;
     }
@@ -0,0 +1,91 @@
+const { logger } = require('@librechat/data-schemas');
+const { encryptV2, decryptV2 } = require('@librechat/api');
+const { getWorkspaceById, hasWorkspaceAccess } = require('~/models');
+
+/**
+ * @typedef {Object} RageWorkspace
+ * @property {string} id - Workspace ID
+ * @property {string} name - Workspace name
+ * @property {Date} [updatedAt] - Last update, used to refresh cached clients
+ * @property {Object} pipeline - Decrypted pipeline credentials
+ * @property {string} pipeline.provider
+ * @property {string} [pipeline.apiUrl]
+ * @property {string} [pipeline.organizationId]
+ * @property {string} pipeline.pipelineId
+ * @property {string} [pipeline.apiKey]
+ */
+
+/**
+ * Returns the fields of a workspace that any user with access may see.
+ * @param {Object} workspace - Workspace document
+ * @returns {TRageWorkspace}
+ */
+function toPublicWorkspace(workspace) {
+  return {
+    _id: workspace._id.toString(),
+    name: workspace.name,
+    description: workspace.description,
+  };
+}
+
+/**
+ * Returns a workspace for administration, without its API key.
+ * @param {Object} workspace - Workspace document
+ * @returns {Object}
+ */
+function toAdminWorkspace(workspace) {
+  const { apiKey, ...pipeline } = workspace.pipeline ?? {};
+  return {
+    ...workspace,
+    _id: workspace._id.toString(),
+    pipeline: { ...pipeline, hasApiKey: !!apiKey },
+  };
+}
+
+/**
+ * Encrypts the API key of a pipeline payload before it is stored.
+ * @param {Object} [pipeline] - Pipeline payload
+ * @returns {Promise<Object|undefined>}
+ */
+async function encryptPipeline(pipeline) {
+  if (!pipeline || typeof pipeline.apiKey !== 'string' || pipeline.apiKey === '') {
+    return pipeline;
+  }
+  return { ...pipeline, apiKey: await encryptV2(pipeline.apiKey) };
+}
+
+/**
+ * Loads a workspace with decrypted credentials if the user may use it.
+ * @param {string} workspaceId - Workspace ID
+ * @param {{ role?: string, groups?: string[] }} user - Requesting user
+ * @returns {Promise<RageWorkspace|null>}
+ */
+async function getWorkspaceForUser(workspaceId, user) {
+  if (!workspaceId) {
+    return null;
+  }
+
+  const workspace = await getWorkspaceById(workspaceId, { includeCredentials: true });
+  if (!hasWorkspaceAccess(workspace, { role: user?.role, groups: user?.groups })) {
+    logger.debug(`[WorkspaceService] Workspace ${workspaceId} not available for user`);
+    return null;
+  }
+
+  const { apiKey, ...pipeline } = workspace.pipeline;
+  return {
+    id: workspace._id.toString(),
+    name: workspace.name,
+    updatedAt: workspace.updatedAt,
+    pipeline: {
+      ...pipeline,
+      apiKey: apiKey ? await decryptV2(apiKey) : undefined,
+    },
+  };
+}
+
+module.exports = {
+  encryptPipeline,
+  toAdminWorkspace,
+  toPublicWorkspace,
+  getWorkspaceForUser,
+};
@@ -727,6 +727,34 @@ describe('cloneMessagesWithTimestamps', () => {
     expect(child.createdAt).toEqual(new Date(messagesToClone[1].createdAt));
   });
 
+  test('should keep the RAGE context snapshot of user messages', () => {
+    const rageSnapshot = {
+      context: 'Knowledge base context',
+      sources: [{ index: 1, id: 'doc-1', source: 'handbook.pdf', score: 0.9, snippet: '' }],
+      workspaceId: 'ws-1',
+      createdAt: '2023-01-01T00:00:00Z',
+    };
+    const messagesToClone = [
+      {
+        messageId: 'question',
+        parentMessageId: Constants.NO_PARENT,
+        text: 'Question',
+        isCreatedByUser: true,
+        rageSnapshot,
+        createdAt: '2023-01-01T00:00:00Z',
+      },
+    ];
+
+    const importBatchBuilder = createImportBatchBuilder('testUser');
+    importBatchBuilder.startConversation();
+
+    cloneMessagesWithTimestamps(messagesToClone, importBatchBuilder);
+
+    const [question] = importBatchBuilder.messages;
+    expect(question.messageId).not.toBe('question');
+    expect(question.rageSnapshot).toEqual(rageSnapshot);
+  });
+
   test('should handle complex multi-branch scenario with out-of-order timestamps', () => {
     const complexMessages = [
       // Branch 1: Root -> A -> (B, C) -> D
@@ -946,6 +946,42 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports TRageSource
+ * @typedef {import('librechat-data-provider').TRageSource} TRageSource
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TRageSearchProgress
+ * @typedef {import('librechat-data-provider').TRageSearchProgress} TRageSearchProgress
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TRageConfig
+ * @typedef {import('librechat-data-provider').TRageConfig} TRageConfig
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TRageSnapshot
+ * @typedef {import('librechat-data-provider').TRageSnapshot} TRageSnapshot
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TRageSearchEvent
+ * @typedef {import('librechat-data-provider').TRageSearchEvent} TRageSearchEvent
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TRageWorkspace
+ * @typedef {import('librechat-data-provider').TRageWorkspace} TRageWorkspace
+ * @memberof typedefs
+ */
+
 /**
  * @exports AssistantCreateParams
  * @typedef {import('librechat-data-provider').AssistantCreateParams} AssistantCreateParams
@@ -14,6 +14,8 @@ export interface Artifact {
   content?: string;
   title?: string;
   type?: string;
+  /** Path of a document opened from the document browser */
+  documentPath?: string;
 }
 
 export type ArtifactFiles =
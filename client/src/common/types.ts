@@ -344,6 +344,12 @@ export type TOptions = {
   isResubmission?: boolean;
   /** Currently only utilized when `isResubmission === true`, uses that message's currently attached files */
   overrideFiles?: t.TMessage['files'];
+  /** Documents mentioned in the resubmitted message, sent instead of the pending mentions */
+  overrideDocuments?: t.TMessage['documents'];
+  /** User message whose RAGE context snapshot is reused, e.g. the original of an edited message */
+  rageSnapshotMessageId?: string;
+  /** Searches the knowledge base again instead of reusing the turn's RAGE context snapshot */
+  refreshKnowledge?: boolean;
 };
 
 export type TAskFunction = (props: TAskProps, options?: TOptions) => void;
@@ -6,7 +6,9 @@ import useArtifactProps from '~/hooks/Artifacts/useArtifactProps';
 import { useAutoScroll } from '~/hooks/Artifacts/useAutoScroll';
 import { ArtifactCodeEditor } from './ArtifactCodeEditor';
 import { useGetStartupConfig } from '~/data-provider';
+import { isDocumentPreview } from '~/utils/documents';
 import { ArtifactPreview } from './ArtifactPreview';
+import { DocumentPreview } from './DocumentPreview';
 import { useEditorContext } from '~/Providers';
 import { cn } from '~/utils';
 
@@ -37,6 +39,20 @@ export default function ArtifactTabs({
   const contentRef = useRef<HTMLDivElement>(null);
   useAutoScroll({ ref: contentRef, content, isSubmitting });
   const { files, fileKey, template, sharedProps } = useArtifactProps({ artifact });
+
+  if (isDocumentPreview(artifact)) {
+    return (
+      <>
+        <Tabs.Content value="code" id="artifacts-code" className="flex-grow overflow-auto">
+          <DocumentPreview artifact={artifact} showSource={true} />
+        </Tabs.Content>
+        <Tabs.Content value="preview" className="flex-grow overflow-auto bg-surface-primary">
+          <DocumentPreview artifact={artifact} />
+        </Tabs.Content>
+      </>
+    );
+  }
+
   return (
     <>
       <Tabs.Content
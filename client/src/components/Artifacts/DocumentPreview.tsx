@@ -0,0 +1,30 @@
+import { memo, useMemo } from 'react';
+import type { Artifact } from '~/common';
+import MarkdownLite from '~/components/Chat/Messages/Content/MarkdownLite';
+import { toCodeBlock } from '~/utils/documents';
+
+/**
+ * Renders a document opened from the document browser: Markdown as formatted text,
+ * other files (and the code tab) as a highlighted code block.
+ */
+export const DocumentPreview = memo(function ({
+  artifact,
+  showSource = false,
+}: {
+  artifact: Artifact;
+  showSource?: boolean;
+}) {
+  const content = useMemo(() => {
+    const text = artifact.content ?? '';
+    if (artifact.type === 'text/markdown' && !showSource) {
+      return text;
+    }
+    return toCodeBlock(text, artifact.language);
+  }, [artifact.content, artifact.type, artifact.language, showSource]);
+
+  return (
+    <div className="markdown prose dark:prose-invert light w-full max-w-none break-words px-6 py-4 text-sm text-text-primary">
+      <MarkdownLite content={content} codeExecution={false} />
+    </div>
+  );
+});
@@ -16,7 +16,8 @@ const DownloadArtifact = ({
   const localize = useLocalize();
   const { currentCode } = useEditorContext();
   const [isDownloaded, setIsDownloaded] = useState(false);
-  const { fileKey: fileName } = useArtifactProps({ artifact });
+  const { fileKey } = useArtifactProps({ artifact });
+  const fileName = artifact.documentPath != null ? (artifact.title ?? fileKey) : fileKey;
 
   const handleDownload = () => {
     try {
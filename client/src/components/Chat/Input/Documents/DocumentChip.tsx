@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { useToastContext } from '@librechat/client';
+import type { TMessageDocument } from 'librechat-data-provider';
+import FilePreview from '~/components/Chat/Input/Files/FilePreview';
+import RemoveFile from '~/components/Chat/Input/Files/RemoveFile';
+import { useLocalize, useOpenDocument } from '~/hooks';
+import { useFetchDocumentContent } from '~/data-provider';
+import { getFileType } from '~/utils';
+
+/**
+ * A document mentioned with `@`; clicking it opens the current version of the document
+ * in the Artifacts panel.
+ */
+export default function DocumentChip({
+  document,
+  onRemove,
+}: {
+  document: TMessageDocument;
+  onRemove?: () => void;
+}) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const fetchDocument = useFetchDocumentContent();
+  const openDocument = useOpenDocument();
+  const [isOpening, setIsOpening] = useState(false);
+
+  const handleOpen = async () => {
+    setIsOpening(true);
+    try {
+      openDocument(await fetchDocument(document.path));
+    } catch {
+      showToast({ message: localize('com_ui_documents_open_error'), status: 'error' });
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  const description =
+    document.excerpt === true
+      ? `${document.path} · ${localize('com_ui_documents_excerpt')}`
+      : document.path;
+
+  return (
+    <div className="group relative inline-block text-sm text-text-primary">
+      <button
+        type="button"
+        onClick={handleOpen}
+        disabled={isOpening}
+        aria-label={document.name}
+        className="relative overflow-hidden rounded-2xl border border-border-light bg-surface-hover-alt disabled:cursor-wait"
+      >
+        <div className="w-56 p-1.5">
+          <div className="flex flex-row items-center gap-2">
+            <FilePreview
+              file={{ progress: isOpening ? 0 : 1 }}
+              fileType={getFileType('text')}
+              className="relative"
+            />
+            <div className="overflow-hidden text-left">
+              <div className="truncate font-medium" title={document.name}>
+                {document.name}
+              </div>
+              <div className="truncate text-text-secondary" title={description}>
+                {description}
+              </div>
+            </div>
+          </div>
+        </div>
+      </button>
+      {onRemove && <RemoveFile onRemove={onRemove} />}
+    </div>
+  );
+}
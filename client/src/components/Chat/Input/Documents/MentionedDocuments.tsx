@@ -0,0 +1,37 @@
+import { memo } from 'react';
+import { useRecoilState } from 'recoil';
+import { useChatContext } from '~/Providers';
+import { useLocalize } from '~/hooks';
+import DocumentChip from './DocumentChip';
+import store from '~/store';
+
+/** Documents mentioned with `@` that are sent with the next message */
+function MentionedDocuments() {
+  const localize = useLocalize();
+  const { index } = useChatContext();
+  const [documents, setDocuments] = useRecoilState(store.documentsByIndex(index));
+
+  if (documents.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      role="group"
+      aria-label={localize('com_ui_documents_mentioned')}
+      className="mx-2 mt-2 flex flex-wrap gap-2"
+    >
+      {documents.map((document) => (
+        <DocumentChip
+          key={document.path}
+          document={document}
+          onRemove={() =>
+            setDocuments((prev) => prev.filter((mentioned) => mentioned.path !== document.path))
+          }
+        />
+      ))}
+    </div>
+  );
+}
+
+export default memo(MentionedDocuments);
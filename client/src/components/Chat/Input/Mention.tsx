@@ -1,18 +1,36 @@
 import { useState, useRef, useEffect } from 'react';
-import { useCombobox } from '@librechat/client';
+import { useSetRecoilState } from 'recoil';
+import { FileText, Folder } from 'lucide-react';
 import { AutoSizer, List } from 'react-virtualized';
 import { EModelEndpoint } from 'librechat-data-provider';
+import { useCombobox, useToastContext } from '@librechat/client';
+import type { TDocumentEntry } from 'librechat-data-provider';
 import type { MentionOption, ConvoGenerator } from '~/common';
 import type { SetterOrUpdater } from 'recoil';
 import useSelectMention from '~/hooks/Input/useSelectMention';
+import { useAssistantsMapContext, useChatContext } from '~/Providers';
 import { useLocalize, TranslationKeys } from '~/hooks';
-import { useAssistantsMapContext } from '~/Providers';
 import useMentions from '~/hooks/Input/useMentions';
+import { useFetchDocuments } from '~/data-provider';
 import { removeCharIfLast } from '~/utils';
 import MentionItem from './MentionItem';
+import store from '~/store';
 
 const ROW_HEIGHT = 40;
 
+/** Folders of the document browser open when picked; documents are mentioned */
+const getDocumentOption = (entry: TDocumentEntry): MentionOption => ({
+  value: entry.path,
+  label: entry.name,
+  type: entry.type === 'directory' ? 'documents' : 'document',
+  icon:
+    entry.type === 'directory' ? (
+      <Folder className="icon-md" aria-hidden="true" />
+    ) : (
+      <FileText className="icon-md" aria-hidden="true" />
+    ),
+});
+
 export default function Mention({
   setShowMentionPopover,
   newConversation,
@@ -20,6 +38,7 @@ export default function Mention({
   commandChar = '@',
   placeholder = 'com_ui_mention',
   includeAssistants = true,
+  includeDocuments = false,
 }: {
   setShowMentionPopover: SetterOrUpdater<boolean>;
   newConversation: ConvoGenerator;
@@ -27,9 +46,14 @@ export default function Mention({
   commandChar?: string;
   placeholder?: TranslationKeys;
   includeAssistants?: boolean;
+  includeDocuments?: boolean;
 }) {
   const localize = useLocalize();
+  const { index } = useChatContext();
+  const { showToast } = useToastContext();
+  const fetchDocuments = useFetchDocuments();
   const assistantsMap = useAssistantsMapContext();
+  const setDocuments = useSetRecoilState(store.documentsByIndex(index));
   const {
     options,
     presets,
@@ -38,7 +62,7 @@ export default function Mention({
     modelsConfig,
     endpointsConfig,
     assistantListMap,
-  } = useMentions({ assistantMap: assistantsMap || {}, includeAssistants });
+  } = useMentions({ assistantMap: assistantsMap || {}, includeAssistants, includeDocuments });
   const { onSelectMention } = useSelectMention({
     presets,
     modelSpecs,
@@ -57,6 +81,22 @@ export default function Mention({
     options: inputOptions,
   });
 
+  const openDocumentFolder = async (path: string) => {
+    try {
+      const listing = await fetchDocuments(path);
+      const parentOption: MentionOption = {
+        value: path.split('/').slice(0, -1).join('/'),
+        label: '..',
+        description: localize('com_ui_documents_parent'),
+        type: 'documents',
+        icon: <Folder className="icon-md" aria-hidden="true" />,
+      };
+      setInputOptions([...(path ? [parentOption] : []), ...listing.entries.map(getDocumentOption)]);
+    } catch {
+      showToast({ message: localize('com_ui_documents_list_error'), status: 'error' });
+    }
+  };
+
   const handleSelect = (mention?: MentionOption) => {
     if (!mention) {
       return;
@@ -99,6 +139,18 @@ export default function Mention({
       setSearchValue('');
       setInputOptions(models);
       inputRef.current?.focus();
+    } else if (mention.type === 'documents') {
+      setSearchValue('');
+      setActiveIndex(0);
+      inputRef.current?.focus();
+      openDocumentFolder(mention.value);
+    } else if (mention.type === 'document') {
+      setDocuments((prev) =>
+        prev.some((document) => document.path === mention.value)
+          ? prev
+          : [...prev, { path: mention.value, name: mention.label ?? mention.value }],
+      );
+      defaultSelect();
     } else {
       defaultSelect();
     }
@@ -182,7 +234,7 @@ export default function Mention({
               setActiveIndex((prevIndex) => (prevIndex - 1 + matches.length) % matches.length);
             } else if (e.key === 'Enter' || e.key === 'Tab') {
               const mentionOption = matches[activeIndex] as MentionOption | undefined;
-              if (mentionOption?.type === 'endpoint') {
+              if (mentionOption?.type === 'endpoint' || mentionOption?.type === 'documents') {
                 e.preventDefault();
               } else if (e.key === 'Enter') {
                 e.preventDefault();
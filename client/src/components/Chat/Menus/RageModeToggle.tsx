@@ -0,0 +1,58 @@
+import { useCallback } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { TooltipAnchor } from '@librechat/client';
+import { RageAnswerMode } from 'librechat-data-provider';
+import { useChatContext } from '~/Providers';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+export default function RageModeToggle() {
+  const localize = useLocalize();
+  const { conversation, setConversation, isSubmitting } = useChatContext();
+  const isStrict = conversation?.rage_mode === RageAnswerMode.strict;
+
+  const handleToggle = useCallback(() => {
+    setConversation((prev) =>
+      prev
+        ? {
+            ...prev,
+            rage_mode: isStrict ? RageAnswerMode.expansive : RageAnswerMode.strict,
+          }
+        : prev,
+    );
+  }, [isStrict, setConversation]);
+
+  if (!conversation?.workspace_id) {
+    return null;
+  }
+
+  const description = localize(
+    isStrict ? 'com_ui_rage_mode_strict_info' : 'com_ui_rage_mode_expansive_info',
+  );
+
+  return (
+    <TooltipAnchor
+      description={description}
+      render={
+        <button
+          type="button"
+          role="switch"
+          aria-checked={isStrict}
+          disabled={isSubmitting}
+          onClick={handleToggle}
+          aria-label={localize('com_ui_rage_mode_strict')}
+          data-testid="rage-mode-toggle"
+          className={cn(
+            'inline-flex size-10 flex-shrink-0 items-center justify-center rounded-xl border border-border-light text-text-primary transition-all ease-in-out hover:bg-surface-tertiary',
+            isStrict
+              ? 'bg-surface-active shadow-md'
+              : 'bg-transparent shadow-sm hover:bg-surface-hover hover:shadow-md',
+            'active:shadow-inner',
+          )}
+        >
+          <ShieldCheck className="relative h-5 w-5 md:h-4 md:w-4" aria-hidden="true" />
+        </button>
+      }
+    />
+  );
+}
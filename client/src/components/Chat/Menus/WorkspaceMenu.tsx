@@ -0,0 +1,99 @@
+import { useState, useId, useMemo, useCallback } from 'react';
+import * as Ariakit from '@ariakit/react';
+import { Check, Library } from 'lucide-react';
+import { LocalStorageKeys } from 'librechat-data-provider';
+import { DropdownPopup, TooltipAnchor } from '@librechat/client';
+import type { FC } from 'react';
+import type * as t from '~/common';
+import { useWorkspacesQuery } from '~/data-provider';
+import { useChatContext } from '~/Providers';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+const WorkspaceMenu: FC = () => {
+  const localize = useLocalize();
+  const menuId = useId();
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const { conversation, setConversation, isSubmitting } = useChatContext();
+  const { data: workspaces = [] } = useWorkspacesQuery();
+
+  const workspaceId = conversation?.workspace_id ?? null;
+  const selected = useMemo(
+    () => workspaces.find((workspace) => workspace._id === workspaceId),
+    [workspaces, workspaceId],
+  );
+
+  const handleSelect = useCallback(
+    (id: string | null) => {
+      if (id) {
+        localStorage.setItem(LocalStorageKeys.LAST_WORKSPACE, id);
+      } else {
+        localStorage.removeItem(LocalStorageKeys.LAST_WORKSPACE);
+      }
+      setConversation((prev) => (prev ? { ...prev, workspace_id: id } : prev));
+    },
+    [setConversation],
+  );
+
+  const dropdownItems: t.MenuItemProps[] = useMemo(() => {
+    const renderIcon = (isSelected: boolean) => (
+      <Check className={cn('size-4', isSelected ? 'opacity-100' : 'opacity-0')} />
+    );
+
+    return [
+      {
+        id: 'workspace-none',
+        label: localize('com_ui_workspace_none'),
+        icon: renderIcon(!selected),
+        onClick: () => handleSelect(null),
+      },
+      ...workspaces.map((workspace) => ({
+        id: `workspace-${workspace._id}`,
+        label: workspace.name,
+        icon: renderIcon(selected?._id === workspace._id),
+        onClick: () => handleSelect(workspace._id),
+      })),
+    ];
+  }, [workspaces, selected, handleSelect, localize]);
+
+  if (workspaces.length === 0) {
+    return null;
+  }
+
+  const label = selected?.name ?? localize('com_ui_workspace_none');
+
+  return (
+    <DropdownPopup
+      portal={true}
+      menuId={menuId}
+      focusLoop={true}
+      isOpen={isMenuOpen}
+      unmountOnHide={true}
+      setIsOpen={setIsMenuOpen}
+      keyPrefix="workspace-menu-"
+      trigger={
+        <TooltipAnchor
+          description={localize('com_ui_workspace_select')}
+          render={
+            <Ariakit.MenuButton
+              id="workspace-menu-button"
+              disabled={isSubmitting}
+              aria-label={`${localize('com_ui_workspace_select')}: ${label}`}
+              className={cn(
+                'flex h-10 max-w-48 flex-shrink-0 items-center justify-center gap-2 rounded-xl border border-border-light px-3 text-sm transition-colors duration-200 hover:bg-surface-hover',
+                isMenuOpen ? 'bg-surface-hover' : '',
+              )}
+              data-testid="workspace-menu"
+            >
+              <Library className="icon-sm flex-shrink-0" aria-hidden="true" />
+              <span className="truncate">{label}</span>
+            </Ariakit.MenuButton>
+          }
+        />
+      }
+      items={dropdownItems}
+    />
+  );
+};
+
+export default WorkspaceMenu;
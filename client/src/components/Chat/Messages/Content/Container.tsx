@@ -1,4 +1,5 @@
 import { TMessage } from 'librechat-data-provider';
+import Documents from './Documents';
 import Files from './Files';
 
 const Container = ({ children, message }: { children: React.ReactNode; message?: TMessage }) => (
@@ -7,6 +8,7 @@ const Container = ({ children, message }: { children: React.ReactNode; message?:
     dir="auto"
   >
     {message?.isCreatedByUser === true && <Files message={message} />}
+    {message?.isCreatedByUser === true && <Documents message={message} />}
     {children}
   </div>
 );
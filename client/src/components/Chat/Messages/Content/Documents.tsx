@@ -0,0 +1,20 @@
+import { memo } from 'react';
+import type { TMessage } from 'librechat-data-provider';
+import DocumentChip from '~/components/Chat/Input/Documents/DocumentChip';
+
+/** Documents a user message was sent with */
+const Documents = ({ message }: { message?: TMessage }) => {
+  if (!message?.documents?.length) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {message.documents.map((document) => (
+        <DocumentChip key={document.path} document={document} />
+      ))}
+    </div>
+  );
+};
+
+export default memo(Documents);
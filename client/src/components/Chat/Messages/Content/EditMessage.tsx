@@ -61,6 +61,8 @@ const EditMessage = ({
         },
         {
           overrideFiles: message.files,
+          overrideDocuments: message.documents ?? [],
+          rageSnapshotMessageId: message.messageId,
         },
       );
 
@@ -8,6 +8,7 @@ import {
 import { memo } from 'react';
 import type { TMessageContentParts, TAttachment } from 'librechat-data-provider';
 import { OpenAIImageGen, EmptyText, Reasoning, ExecuteCode, AgentUpdate, Text } from './Parts';
+import { KnowledgeSources } from '~/components/Rage';
 import { ErrorMessage } from './MessageContent';
 import RetrievalCall from './RetrievalCall';
 import CodeAnalyze from './CodeAnalyze';
@@ -118,6 +119,23 @@ const Part = memo(
             isLast={isLast}
           />
         );
+      } else if (isToolCall && toolCall.name === Tools.knowledge_base_search) {
+        return (
+          <>
+            <ToolCall
+              args={toolCall.args ?? ''}
+              name={toolCall.name}
+              output={toolCall.output ?? ''}
+              initialProgress={toolCall.progress ?? 0.1}
+              isSubmitting={isSubmitting}
+            />
+            <KnowledgeSources
+              sources={attachments?.flatMap(
+                (attachment) => attachment[Tools.knowledge_base_search]?.sources ?? [],
+              )}
+            />
+          </>
+        );
       } else if (isToolCall) {
         return (
           <ToolCall
@@ -84,7 +84,7 @@ export default function Attachment({ attachment }: { attachment?: TAttachment })
   if (!attachment) {
     return null;
   }
-  if (attachment.type === Tools.web_search) {
+  if (attachment.type === Tools.web_search || attachment.type === Tools.knowledge_base_search) {
     return null;
   }
 
@@ -118,7 +118,10 @@ export function AttachmentGroup({ attachments }: { attachments?: TAttachment[] }
 
     if (isImage) {
       imageAttachments.push(attachment);
-    } else if (attachment.type !== Tools.web_search) {
+    } else if (
+      attachment.type !== Tools.web_search &&
+      attachment.type !== Tools.knowledge_base_search
+    ) {
       fileAttachments.push(attachment);
     }
   });
@@ -1,5 +1,6 @@
 import React, { useState, useMemo, memo } from 'react';
 import { useRecoilState } from 'recoil';
+import { DatabaseZap } from 'lucide-react';
 import type { TConversation, TMessage, TFeedback } from 'librechat-data-provider';
 import { EditIcon, Clipboard, CheckMark, ContinueIcon, RegenerateIcon } from '@librechat/client';
 import { useGenerationsByLatest, useLocalize } from '~/hooks';
@@ -17,6 +18,8 @@ type THoverButtons = {
   isSubmitting: boolean;
   message: TMessage;
   regenerate: () => void;
+  /** Regenerates with freshly retrieved knowledge base context instead of the turn's snapshot */
+  refreshKnowledge?: () => void;
   handleContinue: (e: React.MouseEvent<HTMLButtonElement>) => void;
   latestMessage: TMessage | null;
   isLast: boolean;
@@ -115,6 +118,7 @@ const HoverButtons = ({
   isSubmitting,
   message,
   regenerate,
+  refreshKnowledge,
   handleContinue,
   latestMessage,
   isLast,
@@ -156,6 +160,7 @@ const HoverButtons = ({
   }
 
   const { isCreatedByUser, error } = message;
+  const usedKnowledge = !!message.rageSources?.length || message.rageSearch != null;
 
   if (error === true) {
     return (
@@ -253,6 +258,17 @@ const HoverButtons = ({
         />
       )}
 
+      {/* Refresh Knowledge Button */}
+      {regenerateEnabled && usedKnowledge && refreshKnowledge && (
+        <HoverButton
+          onClick={refreshKnowledge}
+          title={localize('com_ui_rage_refresh_knowledge')}
+          icon={<DatabaseZap size="19" aria-hidden="true" />}
+          isLast={isLast}
+          className="active"
+        />
+      )}
+
       {/* Continue Button */}
       {continueSupported && (
         <HoverButton
@@ -9,6 +9,7 @@ import HoverButtons from '~/components/Chat/Messages/HoverButtons';
 import MessageIcon from '~/components/Chat/Messages/MessageIcon';
 import { Plugin } from '~/components/Messages/Content';
 import SubRow from '~/components/Chat/Messages/SubRow';
+import { KnowledgeSources, RageSearch } from '~/components/Rage';
 import { MessageContext } from '~/Providers';
 import { useMessageActions } from '~/hooks';
 import { cn, logger } from '~/utils';
@@ -51,6 +52,7 @@ const MessageRender = memo(
       copyToClipboard,
       setLatestMessage,
       regenerateMessage,
+      refreshKnowledge,
       handleFeedback,
     } = useMessageActions({
       message: msg,
@@ -168,6 +170,7 @@ const MessageRender = memo(
                   isExpanded: false,
                 }}
               >
+                {!msg.isCreatedByUser && <RageSearch message={msg} isSubmitting={isSubmitting} />}
                 {msg.plugin && <Plugin plugin={msg.plugin} />}
                 <MessageContent
                   ask={ask}
@@ -184,6 +187,7 @@ const MessageRender = memo(
                   setSiblingIdx={setSiblingIdx ?? (() => ({}))}
                 />
               </MessageContext.Provider>
+              {!msg.isCreatedByUser && <KnowledgeSources sources={msg.rageSources} />}
             </div>
 
             {hasNoChildren && (isSubmittingFamily === true || isSubmitting) ? (
@@ -203,6 +207,7 @@ const MessageRender = memo(
                   isSubmitting={isSubmitting}
                   conversation={conversation ?? null}
                   regenerate={handleRegenerateMessage}
+                  refreshKnowledge={refreshKnowledge}
                   copyToClipboard={copyToClipboard}
                   handleContinue={handleContinue}
                   latestMessage={latestMessage}
@@ -7,6 +7,7 @@ import PlaceholderRow from '~/components/Chat/Messages/ui/PlaceholderRow';
 import SiblingSwitch from '~/components/Chat/Messages/SiblingSwitch';
 import HoverButtons from '~/components/Chat/Messages/HoverButtons';
 import MessageIcon from '~/components/Chat/Messages/MessageIcon';
+import { KnowledgeSources, RageSearch } from '~/components/Rage';
 import { useAttachments, useMessageActions } from '~/hooks';
 import SubRow from '~/components/Chat/Messages/SubRow';
 import { cn, logger } from '~/utils';
@@ -52,6 +53,7 @@ const ContentRender = memo(
       copyToClipboard,
       setLatestMessage,
       regenerateMessage,
+      refreshKnowledge,
       handleFeedback,
     } = useMessageActions({
       message: msg,
@@ -163,6 +165,7 @@ const ContentRender = memo(
 
           <div className="flex flex-col gap-1">
             <div className="flex max-w-full flex-grow flex-col gap-0">
+              {!msg.isCreatedByUser && <RageSearch message={msg} isSubmitting={isSubmitting} />}
               <ContentParts
                 edit={edit}
                 isLast={isLast}
@@ -177,6 +180,7 @@ const ContentRender = memo(
                 conversationId={conversation?.conversationId}
                 content={msg.content as Array<TMessageContentParts | undefined>}
               />
+              {!msg.isCreatedByUser && <KnowledgeSources sources={msg.rageSources} />}
             </div>
 
             {(isSubmittingFamily || isSubmitting) && !(msg.children?.length ?? 0) ? (
@@ -196,6 +200,7 @@ const ContentRender = memo(
                   isSubmitting={isSubmitting}
                   conversation={conversation ?? null}
                   regenerate={handleRegenerateMessage}
+                  refreshKnowledge={refreshKnowledge}
                   copyToClipboard={copyToClipboard}
                   handleContinue={handleContinue}
                   latestMessage={latestMessage}
@@ -1,7 +1,9 @@
 import { useState, memo } from 'react';
 import { useRecoilState } from 'recoil';
+import { useNavigate } from 'react-router-dom';
 import * as Select from '@ariakit/react/select';
-import { FileText, LogOut } from 'lucide-react';
+import { SystemRoles } from 'librechat-data-provider';
+import { FileText, LogOut, ScrollText, ThumbsDown } from 'lucide-react';
 import { LinkIcon, GearIcon, DropdownMenuSeparator, UserIcon } from '@librechat/client';
 import { useGetStartupConfig, useGetUserBalance } from '~/data-provider';
 import FilesView from '~/components/Chat/Input/Files/FilesView';
@@ -13,6 +15,7 @@ import store from '~/store';
 
 function AccountSettings() {
   const localize = useLocalize();
+  const navigate = useNavigate();
   const { user, isAuthenticated, logout } = useAuthContext();
   const { data: startupConfig } = useGetStartupConfig();
   const balanceQuery = useGetUserBalance({
@@ -101,6 +104,26 @@ function AccountSettings() {
             {localize('com_nav_help_faq')}
           </Select.SelectItem>
         )}
+        {user?.role === SystemRoles.ADMIN && (
+          <Select.SelectItem
+            value=""
+            onClick={() => navigate('/d/rage-audit')}
+            className="select-item text-sm"
+          >
+            <ScrollText className="icon-md" aria-hidden="true" />
+            {localize('com_ui_rage_audit')}
+          </Select.SelectItem>
+        )}
+        {user?.role === SystemRoles.ADMIN && (
+          <Select.SelectItem
+            value=""
+            onClick={() => navigate('/d/rage-sources')}
+            className="select-item text-sm"
+          >
+            <ThumbsDown className="icon-md" aria-hidden="true" />
+            {localize('com_ui_rage_source_report')}
+          </Select.SelectItem>
+        )}
         <Select.SelectItem
           value=""
           onClick={() => setShowSettings(true)}
@@ -0,0 +1,104 @@
+import { memo } from 'react';
+import * as Ariakit from '@ariakit/react';
+import { BookOpen, ExternalLink } from 'lucide-react';
+import type { TRageSource } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+
+function formatScore(score: number) {
+  return Math.round((score || 0) * 100);
+}
+
+/** Returns the link only when it is an http(s) URL, so a `javascript:` link from the index never renders */
+function getSafeUrl(url?: string) {
+  if (!url) {
+    return undefined;
+  }
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? url : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function SourceChip({ source }: { source: TRageSource }) {
+  const localize = useLocalize();
+  const popover = Ariakit.usePopoverStore({ placement: 'top-start' });
+  const label = source.title ?? source.source;
+  const url = getSafeUrl(source.url);
+  const location = [source.page != null ? `p. ${source.page}` : '', source.section ?? '']
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <>
+      <Ariakit.PopoverDisclosure
+        store={popover}
+        className="inline-flex h-6 max-w-48 items-center gap-1 rounded-xl border border-border-medium bg-surface-secondary px-2 text-xs font-medium text-text-primary transition-colors hover:bg-surface-hover focus:outline-none focus:ring-2 focus:ring-ring"
+        title={label}
+      >
+        <span className="text-text-secondary">[{source.index}]</span>
+        <span className="truncate">{label}</span>
+      </Ariakit.PopoverDisclosure>
+      <Ariakit.Popover
+        store={popover}
+        gutter={8}
+        portal
+        unmountOnHide
+        className="popover-animate z-[999] flex w-[340px] max-w-[calc(100vw-2rem)] flex-col gap-2 rounded-xl border border-border-medium bg-surface-secondary p-3 text-text-primary shadow-lg"
+      >
+        <div className="flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <h4 className="line-clamp-2 text-sm font-semibold">{label}</h4>
+            {location && <span className="text-xs text-text-secondary">{location}</span>}
+          </div>
+          <span className="shrink-0 rounded-lg bg-surface-tertiary px-1.5 py-0.5 text-xs text-text-secondary">
+            {localize('com_ui_rage_source_relevance', { 0: formatScore(source.score) })}
+          </span>
+        </div>
+        <p className="max-h-48 overflow-y-auto whitespace-pre-wrap break-words text-xs text-text-secondary">
+          {source.snippet}
+        </p>
+        {url != null && (
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center gap-1 text-xs font-medium text-[#0066cc] hover:underline dark:text-blue-400"
+          >
+            <ExternalLink className="size-3" aria-hidden="true" />
+            {localize('com_ui_rage_open_source')}
+          </a>
+        )}
+      </Ariakit.Popover>
+    </>
+  );
+}
+
+function KnowledgeSources({ sources }: { sources?: TRageSource[] }) {
+  const localize = useLocalize();
+
+  if (!sources || sources.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="mt-2 flex flex-col gap-1.5"
+      role="group"
+      aria-label={localize('com_ui_rage_sources')}
+    >
+      <div className="flex items-center gap-1.5 text-xs font-medium text-text-secondary">
+        <BookOpen className="size-3.5" aria-hidden="true" />
+        {localize('com_ui_rage_sources')}
+      </div>
+      <div className="flex flex-wrap gap-1.5">
+        {sources.map((source) => (
+          <SourceChip key={`${source.index}-${source.id}`} source={source} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default memo(KnowledgeSources);
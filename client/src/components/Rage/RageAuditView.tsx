@@ -0,0 +1,270 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Download, Search } from 'lucide-react';
+import { SystemRoles } from 'librechat-data-provider';
+import {
+  Table,
+  Input,
+  Label,
+  Button,
+  Spinner,
+  TableRow,
+  TableHead,
+  TableBody,
+  TableCell,
+  TableHeader,
+  useToastContext,
+} from '@librechat/client';
+import type {
+  TRageAuditEvent,
+  TRageAuditFilters,
+  TRageAuditExportFormat,
+} from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useRageAuditQuery, useExportRageAuditMutation } from '~/data-provider';
+import BackToChat from '~/components/Prompts/BackToChat';
+import { useAuthContext, useLocalize } from '~/hooks';
+
+const pageSize = 25;
+
+const filterFields: Array<{
+  key: keyof TRageAuditFilters;
+  label: TranslationKeys;
+  type?: 'date';
+}> = [
+  { key: 'user', label: 'com_ui_rage_audit_filter_user' },
+  { key: 'query', label: 'com_ui_rage_audit_filter_query' },
+  { key: 'sourceId', label: 'com_ui_rage_audit_filter_source' },
+  { key: 'conversationId', label: 'com_ui_rage_audit_filter_conversation' },
+  { key: 'messageId', label: 'com_ui_rage_audit_filter_message' },
+  { key: 'from', label: 'com_ui_rage_audit_filter_from', type: 'date' },
+  { key: 'to', label: 'com_ui_rage_audit_filter_to', type: 'date' },
+];
+
+const headClassName = 'bg-surface-secondary py-3 text-left text-sm font-medium text-text-secondary';
+
+function AuditSources({ event }: { event: TRageAuditEvent }) {
+  if (event.sources.length === 0) {
+    return <span className="text-text-secondary">-</span>;
+  }
+
+  return (
+    <ul className="space-y-0.5">
+      {event.sources.map((source) => (
+        <li key={source.id} className="truncate" title={source.id}>
+          {source.source ?? source.id}
+          {source.score != null && (
+            <span className="ml-1 text-text-secondary">{source.score.toFixed(2)}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function RageAuditView() {
+  const navigate = useNavigate();
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { user } = useAuthContext();
+  const isAdmin = user?.role === SystemRoles.ADMIN;
+
+  const [draft, setDraft] = useState<TRageAuditFilters>({});
+  const [filters, setFilters] = useState<TRageAuditFilters>({});
+  const [page, setPage] = useState(1);
+
+  const { data, isFetching } = useRageAuditQuery(
+    { ...filters, page, pageSize },
+    { enabled: isAdmin },
+  );
+  const exportMutation = useExportRageAuditMutation({
+    onError: () => {
+      showToast({ message: localize('com_ui_rage_audit_export_error'), status: 'error' });
+    },
+  });
+
+  useEffect(() => {
+    let timeoutId: ReturnType<typeof setTimeout>;
+    if (user && !isAdmin) {
+      timeoutId = setTimeout(() => {
+        navigate('/c/new');
+      }, 1000);
+    }
+    return () => {
+      clearTimeout(timeoutId);
+    };
+  }, [user, isAdmin, navigate]);
+
+  if (!isAdmin) {
+    return null;
+  }
+
+  const events = data?.events ?? [];
+  const total = data?.total ?? 0;
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+
+  const handleSearch = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    setFilters(draft);
+    setPage(1);
+  };
+
+  const handleClear = () => {
+    setDraft({});
+    setFilters({});
+    setPage(1);
+  };
+
+  const handleExport = (format: TRageAuditExportFormat) => {
+    exportMutation.mutate({ ...filters, format });
+  };
+
+  const getUserLabel = (userId: string) => {
+    const auditUser = data?.users[userId];
+    return auditUser?.email ?? auditUser?.name ?? userId;
+  };
+
+  return (
+    <div className="flex h-screen w-full flex-col gap-4 overflow-y-auto bg-surface-primary p-4">
+      <div className="flex items-center justify-between gap-2">
+        <h1 className="text-xl font-semibold text-text-primary">{localize('com_ui_rage_audit')}</h1>
+        <BackToChat />
+      </div>
+
+      <form
+        onSubmit={handleSearch}
+        className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-4"
+        aria-label={localize('com_ui_rage_audit_filters')}
+      >
+        {filterFields.map(({ key, label, type }) => (
+          <div key={key} className="flex flex-col gap-1">
+            <Label htmlFor={`rage-audit-${key}`} className="text-sm text-text-secondary">
+              {localize(label)}
+            </Label>
+            <Input
+              id={`rage-audit-${key}`}
+              type={type ?? 'text'}
+              value={draft[key] ?? ''}
+              onChange={(e) => setDraft((prev) => ({ ...prev, [key]: e.target.value }))}
+            />
+          </div>
+        ))}
+        <div className="flex items-end gap-2">
+          <Button type="submit" variant="submit" className="gap-2">
+            <Search className="size-4" aria-hidden="true" />
+            {localize('com_ui_search')}
+          </Button>
+          <Button type="button" variant="outline" onClick={handleClear}>
+            {localize('com_ui_clear')}
+          </Button>
+        </div>
+      </form>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm text-text-secondary" aria-live="polite">
+          {localize('com_ui_rage_audit_total', { 0: total })}
+          {isFetching && <Spinner className="size-4" />}
+        </div>
+        <div className="flex gap-2">
+          {(['csv', 'json'] as const).map((format) => (
+            <Button
+              key={format}
+              variant="outline"
+              size="sm"
+              className="gap-2"
+              disabled={exportMutation.isLoading || total === 0}
+              onClick={() => handleExport(format)}
+            >
+              <Download className="size-4" aria-hidden="true" />
+              {localize(
+                format === 'csv' ? 'com_ui_rage_audit_export_csv' : 'com_ui_rage_audit_export_json',
+              )}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div className="rounded-lg border border-border-light bg-transparent shadow-sm">
+        <Table className="w-full table-fixed">
+          <TableHeader>
+            <TableRow className="border-b border-border-light">
+              <TableHead className={`w-[14%] ${headClassName}`}>
+                {localize('com_ui_date')}
+              </TableHead>
+              <TableHead className={`w-[16%] ${headClassName}`}>
+                {localize('com_ui_rage_audit_user')}
+              </TableHead>
+              <TableHead className={`w-[28%] ${headClassName}`}>
+                {localize('com_ui_rage_search_query')}
+              </TableHead>
+              <TableHead className={`w-[24%] ${headClassName}`}>
+                {localize('com_ui_rage_audit_sources')}
+              </TableHead>
+              <TableHead className={`w-[18%] ${headClassName}`}>
+                {localize('com_ui_rage_audit_conversation')}
+              </TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {events.length ? (
+              events.map((event) => (
+                <TableRow key={event._id} className="align-top text-sm text-text-primary">
+                  <TableCell>{new Date(event.createdAt).toLocaleString()}</TableCell>
+                  <TableCell className="truncate" title={event.user}>
+                    {getUserLabel(event.user)}
+                  </TableCell>
+                  <TableCell className="break-words">{event.query ?? '-'}</TableCell>
+                  <TableCell>
+                    <AuditSources event={event} />
+                  </TableCell>
+                  <TableCell className="text-xs text-text-secondary">
+                    <div className="truncate" title={event.conversationId}>
+                      {event.conversationId ?? '-'}
+                    </div>
+                    <div className="truncate" title={event.messageId}>
+                      {event.messageId}
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={5} className="h-24 text-center text-sm text-text-secondary">
+                  {isFetching ? localize('com_ui_loading') : localize('com_ui_rage_audit_empty')}
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      <div
+        className="flex items-center justify-end gap-2"
+        role="navigation"
+        aria-label="Pagination"
+      >
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setPage((prev) => Math.max(prev - 1, 1))}
+          disabled={page <= 1}
+          aria-label={localize('com_ui_prev')}
+        >
+          {localize('com_ui_prev')}
+        </Button>
+        <div aria-live="polite" className="text-sm">
+          {`${page} / ${totalPages}`}
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setPage((prev) => Math.min(prev + 1, totalPages))}
+          disabled={page >= totalPages}
+          aria-label={localize('com_ui_next')}
+        >
+          {localize('com_ui_next')}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { memo, useState } from 'react';
+import { useRecoilValue } from 'recoil';
+import { RageSearchStatus } from 'librechat-data-provider';
+import type { TMessage, TRageSearchProgress } from 'librechat-data-provider';
+import ProgressText from '~/components/Chat/Messages/Content/ProgressText';
+import { useLocalize } from '~/hooks';
+import store from '~/store';
+
+const failedStatuses = new Set<string>([RageSearchStatus.circuit_open, RageSearchStatus.failed]);
+
+/**
+ * Collapsible "Searched knowledge base" step for a response message. Live progress is
+ * keyed by the user message while streaming; the final status is saved on the response.
+ * Regenerations that reused the turn's context snapshot are labeled as such.
+ */
+function RageSearch({ message, isSubmitting }: { message: TMessage; isSubmitting: boolean }) {
+  const localize = useLocalize();
+  const [showInfo, setShowInfo] = useState(false);
+  const rageSearchMap = useRecoilValue(store.rageSearchMap);
+  const search: TRageSearchProgress | undefined =
+    message.rageSearch ?? rageSearchMap[message.parentMessageId ?? ''];
+
+  if (!search) {
+    return null;
+  }
+
+  const searching = search.status === RageSearchStatus.searching;
+  const cancelled = searching && !isSubmitting;
+  const error = cancelled || failedStatuses.has(search.status);
+
+  const getStatusText = () => {
+    switch (search.status) {
+      case RageSearchStatus.found:
+        return localize('com_ui_rage_search_found', { 0: search.documentsIncluded ?? 0 });
+      case RageSearchStatus.no_results:
+        return localize('com_ui_rage_search_no_results');
+      case RageSearchStatus.filtered_out:
+        return localize('com_ui_rage_search_filtered_out', { 0: search.documentsRetrieved ?? 0 });
+      case RageSearchStatus.circuit_open:
+        return localize('com_ui_rage_search_circuit_open');
+      case RageSearchStatus.failed:
+        return localize('com_ui_rage_search_failed');
+      default:
+        return localize('com_ui_cancelled');
+    }
+  };
+
+  const getFinishedText = () =>
+    search.reused === true
+      ? localize('com_ui_rage_search_reused', { 0: getStatusText() })
+      : getStatusText();
+
+  const details = [
+    search.query ? `${localize('com_ui_rage_search_query')}: ${search.query}` : '',
+    search.documentsRetrieved != null
+      ? localize('com_ui_rage_search_retrieved', { 0: search.documentsRetrieved })
+      : '',
+    search.documentsIncluded != null
+      ? localize('com_ui_rage_search_included', { 0: search.documentsIncluded })
+      : '',
+    search.reused === true ? localize('com_ui_rage_search_reused_info') : '',
+  ].filter(Boolean);
+
+  return (
+    <>
+      <div className="relative my-2.5 flex h-5 shrink-0 items-center gap-2.5">
+        <ProgressText
+          progress={searching && !cancelled ? 0.5 : 1}
+          onClick={() => setShowInfo((prev) => !prev)}
+          inProgressText={localize('com_ui_rage_searching')}
+          finishedText={getFinishedText()}
+          hasInput={details.length > 0}
+          isExpanded={showInfo}
+          error={error}
+        />
+      </div>
+      {showInfo && details.length > 0 && (
+        <div className="mb-2 rounded-xl border border-border-light bg-surface-secondary p-3 text-sm text-text-secondary shadow-md">
+          {details.map((line) => (
+            <p key={line} className="break-words">
+              {line}
+            </p>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default memo(RageSearch);
@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { SystemRoles, getTagByKey } from 'librechat-data-provider';
+import {
+  Table,
+  Input,
+  Label,
+  Spinner,
+  TableRow,
+  TableHead,
+  TableBody,
+  TableCell,
+  TableHeader,
+} from '@librechat/client';
+import type { TFeedbackTagKey, TRageSourceReportEntry } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useRageSourceReportQuery } from '~/data-provider';
+import BackToChat from '~/components/Prompts/BackToChat';
+import { useAuthContext, useLocalize } from '~/hooks';
+
+const limit = 50;
+const defaultMinFeedback = 3;
+
+const headClassName = 'bg-surface-secondary py-3 text-left text-sm font-medium text-text-secondary';
+
+/** Most frequent thumbs-down reasons given for the responses citing a source */
+function NegativeReasons({ entry }: { entry: TRageSourceReportEntry }) {
+  const localize = useLocalize();
+  const reasons = Object.entries(entry.reasons ?? {})
+    .map(([key, count]) => ({ tag: getTagByKey(key as TFeedbackTagKey), count }))
+    .filter(({ tag, count }) => tag?.direction === 'thumbsDown' && count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 3);
+
+  if (reasons.length === 0) {
+    return <span className="text-text-secondary">-</span>;
+  }
+
+  return (
+    <ul className="space-y-0.5">
+      {reasons.map(({ tag, count }) => (
+        <li key={tag?.key}>
+          {localize(tag?.label as TranslationKeys)}
+          <span className="ml-1 text-text-secondary">{count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function RageSourceReportView() {
+  const navigate = useNavigate();
+  const localize = useLocalize();
+  const { user } = useAuthContext();
+  const isAdmin = user?.role === SystemRoles.ADMIN;
+
+  const [minFeedback, setMinFeedback] = useState(defaultMinFeedback);
+
+  const { data, isFetching } = useRageSourceReportQuery(
+    { limit, minFeedback },
+    { enabled: isAdmin },
+  );
+
+  useEffect(() => {
+    let timeoutId: ReturnType<typeof setTimeout>;
+    if (user && !isAdmin) {
+      timeoutId = setTimeout(() => {
+        navigate('/c/new');
+      }, 1000);
+    }
+    return () => {
+      clearTimeout(timeoutId);
+    };
+  }, [user, isAdmin, navigate]);
+
+  if (!isAdmin) {
+    return null;
+  }
+
+  const sources = data?.sources ?? [];
+
+  return (
+    <div className="flex h-screen w-full flex-col gap-4 overflow-y-auto bg-surface-primary p-4">
+      <div className="flex items-center justify-between gap-2">
+        <h1 className="text-xl font-semibold text-text-primary">
+          {localize('com_ui_rage_source_report')}
+        </h1>
+        <BackToChat />
+      </div>
+
+      <p className="text-sm text-text-secondary">
+        {localize('com_ui_rage_source_report_description')}
+      </p>
+
+      <div className="flex items-end gap-3">
+        <div className="flex flex-col gap-1">
+          <Label htmlFor="rage-source-min-feedback" className="text-sm text-text-secondary">
+            {localize('com_ui_rage_source_report_min_feedback')}
+          </Label>
+          <Input
+            id="rage-source-min-feedback"
+            type="number"
+            min={1}
+            className="w-32"
+            value={minFeedback}
+            onChange={(e) => setMinFeedback(Math.max(parseInt(e.target.value, 10) || 1, 1))}
+          />
+        </div>
+        {isFetching && <Spinner className="mb-2 size-4" />}
+      </div>
+
+      <div className="rounded-lg border border-border-light bg-transparent shadow-sm">
+        <Table className="w-full table-fixed">
+          <TableHeader>
+            <TableRow className="border-b border-border-light">
+              <TableHead className={`w-[30%] ${headClassName}`}>
+                {localize('com_ui_rage_audit_sources')}
+              </TableHead>
+              <TableHead className={`w-[12%] ${headClassName}`}>
+                {localize('com_ui_rage_source_report_negative_rate')}
+              </TableHead>
+              <TableHead className={`w-[10%] ${headClassName}`}>
+                {localize('com_ui_feedback_negative')}
+              </TableHead>
+              <TableHead className={`w-[10%] ${headClassName}`}>
+                {localize('com_ui_feedback_positive')}
+              </TableHead>
+              <TableHead className={`w-[22%] ${headClassName}`}>
+                {localize('com_ui_rage_source_report_reasons')}
+              </TableHead>
+              <TableHead className={`w-[16%] ${headClassName}`}>
+                {localize('com_ui_rage_source_report_last_feedback')}
+              </TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {sources.length ? (
+              sources.map((entry) => (
+                <TableRow key={entry.source} className="align-top text-sm text-text-primary">
+                  <TableCell className="break-words">{entry.source}</TableCell>
+                  <TableCell>{`${Math.round(entry.negativeRate * 100)}%`}</TableCell>
+                  <TableCell>{entry.negative}</TableCell>
+                  <TableCell>{entry.positive}</TableCell>
+                  <TableCell>
+                    <NegativeReasons entry={entry} />
+                  </TableCell>
+                  <TableCell>
+                    {entry.lastFeedbackAt ? new Date(entry.lastFeedbackAt).toLocaleString() : '-'}
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={6} className="h-24 text-center text-sm text-text-secondary">
+                  {isFetching
+                    ? localize('com_ui_loading')
+                    : localize('com_ui_rage_source_report_empty')}
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
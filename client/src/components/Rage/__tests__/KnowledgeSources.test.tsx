@@ -0,0 +1,38 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { TRageSource } from 'librechat-data-provider';
+import KnowledgeSources from '../KnowledgeSources';
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string) => key,
+}));
+
+describe('KnowledgeSources', () => {
+  const source: TRageSource = {
+    index: 1,
+    id: 'doc-1',
+    source: 'travel.md',
+    score: 0.9,
+    snippet: 'Economy class flights only.',
+  };
+
+  const openSource = (url: string) => {
+    render(<KnowledgeSources sources={[{ ...source, url }]} />);
+    fireEvent.click(screen.getByText('travel.md'));
+  };
+
+  test('links to http(s) sources', async () => {
+    openSource('https://kb.example.com/travel');
+
+    const link = await screen.findByText('com_ui_rage_open_source');
+    expect(link.closest('a')).toHaveAttribute('href', 'https://kb.example.com/travel');
+  });
+
+  test('does not render javascript: links', async () => {
+    openSource('javascript:alert(document.cookie)');
+
+    expect(await screen.findByText('Economy class flights only.')).toBeInTheDocument();
+    expect(screen.queryByText('com_ui_rage_open_source')).not.toBeInTheDocument();
+  });
+});
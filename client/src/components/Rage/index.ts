@@ -0,0 +1,4 @@
+export { default as KnowledgeSources } from './KnowledgeSources';
+export { default as RageSearch } from './RageSearch';
+export { default as RageAuditView } from './RageAuditView';
+export { default as RageSourceReportView } from './RageSourceReportView';
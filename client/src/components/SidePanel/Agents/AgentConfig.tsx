@@ -15,13 +15,14 @@ import { useFileMapContext, useAgentPanelContext } from '~/Providers';
 import useAgentCapabilities from '~/hooks/Agents/useAgentCapabilities';
 import Action from '~/components/SidePanel/Builder/Action';
 import { ToolSelectDialog } from '~/components/Tools';
-import { useGetAgentFiles } from '~/data-provider';
+import { useGetAgentFiles, useWorkspacesQuery } from '~/data-provider';
 import { icons } from '~/hooks/Endpoint/Icons';
 import Instructions from './Instructions';
 import AgentAvatar from './AgentAvatar';
 import FileContext from './FileContext';
 import SearchForm from './Search/Form';
 import { useLocalize } from '~/hooks';
+import KnowledgeBase from './KnowledgeBase';
 import FileSearch from './FileSearch';
 import Artifacts from './Artifacts';
 import AgentTool from './AgentTool';
@@ -58,6 +59,8 @@ export default function AgentConfig({ createMutation }: Pick<AgentPanelProps, 'c
   const agent_id = useWatch({ control, name: 'id' });
 
   const { data: agentFiles = [] } = useGetAgentFiles(agent_id);
+  const { data: workspaces = [] } = useWorkspacesQuery();
+  const knowledgeBaseEnabled = workspaces.length > 0;
 
   const mergedFileMap = useMemo(() => {
     const newFileMap = { ...fileMap };
@@ -276,7 +279,8 @@ export default function AgentConfig({ createMutation }: Pick<AgentPanelProps, 'c
           fileSearchEnabled ||
           artifactsEnabled ||
           ocrEnabled ||
-          webSearchEnabled) && (
+          webSearchEnabled ||
+          knowledgeBaseEnabled) && (
           <div className="mb-4 flex w-full flex-col items-start gap-3">
             <label className="text-token-text-primary block font-medium">
               {localize('com_assistants_capabilities')}
@@ -291,6 +295,8 @@ export default function AgentConfig({ createMutation }: Pick<AgentPanelProps, 'c
             {artifactsEnabled && <Artifacts />}
             {/* File Search */}
             {fileSearchEnabled && <FileSearch agent_id={agent_id} files={knowledge_files} />}
+            {/* RAGE Knowledge Base */}
+            {knowledgeBaseEnabled && <KnowledgeBase />}
           </div>
         )}
         {/* Agent Tools & Actions */}
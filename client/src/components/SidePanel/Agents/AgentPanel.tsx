@@ -176,6 +176,7 @@ export default function AgentPanel() {
         end_after_tools,
         hide_sequential_outputs,
         recursion_limit,
+        rage_retrieval,
       } = data;
 
       const model = _model ?? '';
@@ -198,6 +199,7 @@ export default function AgentPanel() {
             end_after_tools,
             hide_sequential_outputs,
             recursion_limit,
+            rage_retrieval,
           },
         });
         return;
@@ -223,6 +225,7 @@ export default function AgentPanel() {
         end_after_tools,
         hide_sequential_outputs,
         recursion_limit,
+        rage_retrieval,
       });
     },
     [agent_id, create, update, showToast, localize],
@@ -0,0 +1,63 @@
+import { useMemo } from 'react';
+import { Controller, useFormContext } from 'react-hook-form';
+import { RageRetrievalMode } from 'librechat-data-provider';
+import {
+  Dropdown,
+  HoverCard,
+  HoverCardPortal,
+  HoverCardContent,
+  HoverCardTrigger,
+  CircleHelpIcon,
+} from '@librechat/client';
+import type { AgentForm } from '~/common';
+import { useLocalize } from '~/hooks';
+import { ESide } from '~/common';
+
+export default function KnowledgeBase() {
+  const localize = useLocalize();
+  const { control } = useFormContext<AgentForm>();
+
+  const options = useMemo(
+    () => [
+      { value: RageRetrievalMode.always, label: localize('com_ui_rage_retrieval_always') },
+      { value: RageRetrievalMode.tool, label: localize('com_ui_rage_retrieval_tool') },
+      { value: RageRetrievalMode.off, label: localize('com_ui_rage_retrieval_off') },
+    ],
+    [localize],
+  );
+
+  return (
+    <div className="w-full">
+      <HoverCard openDelay={50}>
+        <div className="mb-1.5 flex items-center gap-2">
+          <label htmlFor="rage_retrieval" className="text-token-text-primary block font-medium">
+            {localize('com_ui_rage_knowledge_base')}
+          </label>
+          <HoverCardTrigger>
+            <CircleHelpIcon className="h-4 w-4 text-text-tertiary" />
+          </HoverCardTrigger>
+        </div>
+        <HoverCardPortal>
+          <HoverCardContent side={ESide.Top} className="w-80">
+            <p className="text-sm text-text-secondary">{localize('com_ui_rage_retrieval_info')}</p>
+          </HoverCardContent>
+        </HoverCardPortal>
+      </HoverCard>
+      <Controller
+        name="rage_retrieval"
+        control={control}
+        render={({ field }) => (
+          <Dropdown
+            value={field.value ?? RageRetrievalMode.always}
+            onChange={field.onChange}
+            options={options}
+            sizeClasses="w-full"
+            className="z-50"
+            testId="rage_retrieval"
+            ariaLabel={localize('com_ui_rage_knowledge_base')}
+          />
+        )}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,233 @@
+import { useMemo, useState } from 'react';
+import { matchSorter } from 'match-sorter';
+import { ChevronRight, FileCode, FileText, Folder, RefreshCw, Settings2 } from 'lucide-react';
+import { Input, Button, Spinner, TooltipAnchor, useToastContext } from '@librechat/client';
+import type { TDocumentEntry } from 'librechat-data-provider';
+import {
+  useDocumentsQuery,
+  useGetStartupConfig,
+  useFetchDocumentContent,
+  useDocumentSettingsQuery,
+} from '~/data-provider';
+import { useLocalize, useOpenDocument } from '~/hooks';
+import DocumentSettings from './DocumentSettings';
+import { cn } from '~/utils';
+
+/** Extracts the message the documents API responds with, if any */
+const getErrorMessage = (error: unknown): string | undefined =>
+  (error as { response?: { data?: { error?: string } } } | null)?.response?.data?.error;
+
+const DocumentIcon = ({ entry }: { entry: TDocumentEntry }) => {
+  if (entry.type === 'directory') {
+    return <Folder className="size-4 shrink-0 text-text-secondary" aria-hidden="true" />;
+  }
+  return /\.(md|markdown|mdx|txt)$/i.test(entry.name) ? (
+    <FileText className="size-4 shrink-0 text-text-secondary" aria-hidden="true" />
+  ) : (
+    <FileCode className="size-4 shrink-0 text-text-secondary" aria-hidden="true" />
+  );
+};
+
+export default function DocumentBrowser() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { data: startupConfig } = useGetStartupConfig();
+  const [folder, setFolder] = useState('');
+  const [filter, setFilter] = useState('');
+  const [showSettings, setShowSettings] = useState(false);
+  const [openingPath, setOpeningPath] = useState<string | null>(null);
+
+  const { data: settings } = useDocumentSettingsQuery();
+  const { data: listing, error, isLoading, isFetching, refetch } = useDocumentsQuery(folder);
+  const fetchDocument = useFetchDocumentContent();
+  const openDocument = useOpenDocument();
+
+  const source = settings?.source ?? startupConfig?.documents?.source ?? 'local';
+  const canEditSettings = startupConfig?.documents?.userOverrides === true;
+
+  const entries = useMemo(() => {
+    const allEntries = listing?.entries ?? [];
+    return filter ? matchSorter(allEntries, filter, { keys: ['name'] }) : allEntries;
+  }, [listing?.entries, filter]);
+
+  const breadcrumbs = useMemo(() => {
+    const segments = folder.split('/').filter(Boolean);
+    return segments.map((name, index) => ({
+      name,
+      path: segments.slice(0, index + 1).join('/'),
+    }));
+  }, [folder]);
+
+  const changeFolder = (path: string) => {
+    setFilter('');
+    setFolder(path);
+  };
+
+  const handleOpen = async (entry: TDocumentEntry) => {
+    if (entry.type === 'directory') {
+      changeFolder(entry.path);
+      return;
+    }
+
+    setOpeningPath(entry.path);
+    try {
+      openDocument(await fetchDocument(entry.path));
+    } catch (openError) {
+      showToast({
+        message: getErrorMessage(openError) ?? localize('com_ui_documents_open_error'),
+        status: 'error',
+      });
+    } finally {
+      setOpeningPath(null);
+    }
+  };
+
+  const errorMessage = error != null ? (getErrorMessage(error) ?? localize('com_ui_error')) : null;
+
+  return (
+    <div className="flex h-full w-full flex-col overflow-hidden">
+      <div
+        role="region"
+        aria-label={localize('com_sidepanel_documents')}
+        className="mt-2 space-y-2"
+      >
+        <div className="flex items-center justify-between gap-2 text-xs text-text-secondary">
+          <div className="flex min-w-0 items-center gap-2" aria-live="polite">
+            <span
+              className={cn(
+                'size-2 shrink-0 rounded-full bg-green-500',
+                isLoading && 'bg-yellow-400',
+                errorMessage != null && 'bg-red-500',
+              )}
+              aria-hidden="true"
+            />
+            <span className="truncate">
+              {localize(
+                source === 'gitlab'
+                  ? 'com_ui_documents_source_gitlab'
+                  : 'com_ui_documents_source_local',
+              )}
+              {settings?.project != null && settings.project !== '' ? ` · ${settings.project}` : ''}
+              {' · '}
+              {localize(
+                errorMessage != null
+                  ? 'com_ui_documents_unavailable'
+                  : 'com_ui_documents_connected',
+              )}
+            </span>
+          </div>
+          <div className="flex items-center">
+            <TooltipAnchor
+              description={localize('com_ui_documents_refresh')}
+              render={
+                <Button
+                  variant="ghost"
+                  className="h-8 w-8 p-0"
+                  aria-label={localize('com_ui_documents_refresh')}
+                  onClick={() => refetch()}
+                  disabled={isFetching}
+                >
+                  <RefreshCw className={cn('size-4', isFetching && 'animate-spin')} />
+                </Button>
+              }
+            />
+            {canEditSettings && (
+              <TooltipAnchor
+                description={localize('com_ui_documents_settings')}
+                render={
+                  <Button
+                    variant="ghost"
+                    className="h-8 w-8 p-0"
+                    aria-label={localize('com_ui_documents_settings')}
+                    aria-expanded={showSettings}
+                    onClick={() => setShowSettings((prev) => !prev)}
+                  >
+                    <Settings2 className="size-4" />
+                  </Button>
+                }
+              />
+            )}
+          </div>
+        </div>
+        {showSettings && canEditSettings && settings != null && (
+          <DocumentSettings
+            settings={settings}
+            onSaved={() => {
+              changeFolder('');
+              setShowSettings(false);
+            }}
+          />
+        )}
+        <Input
+          placeholder={localize('com_ui_documents_filter')}
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          aria-label={localize('com_ui_documents_filter')}
+        />
+        <nav
+          aria-label={localize('com_ui_documents_path')}
+          className="flex flex-wrap items-center gap-1 text-xs text-text-secondary"
+        >
+          <button
+            type="button"
+            className="rounded px-1 hover:bg-surface-hover hover:text-text-primary"
+            onClick={() => changeFolder('')}
+          >
+            {localize('com_ui_documents_root')}
+          </button>
+          {breadcrumbs.map((crumb) => (
+            <span key={crumb.path} className="flex items-center gap-1">
+              <ChevronRight className="size-3" aria-hidden="true" />
+              <button
+                type="button"
+                className="rounded px-1 hover:bg-surface-hover hover:text-text-primary"
+                onClick={() => changeFolder(crumb.path)}
+              >
+                {crumb.name}
+              </button>
+            </span>
+          ))}
+        </nav>
+        <div className="rounded-lg border border-border-light">
+          {isLoading && (
+            <div className="flex items-center justify-center p-4">
+              <Spinner />
+            </div>
+          )}
+          {!isLoading && errorMessage != null && (
+            <p className="p-3 text-sm text-red-500" role="alert">
+              {errorMessage}
+            </p>
+          )}
+          {!isLoading && errorMessage == null && entries.length === 0 && (
+            <p className="p-3 text-center text-sm text-text-secondary">
+              {localize('com_ui_documents_empty')}
+            </p>
+          )}
+          {!isLoading && errorMessage == null && entries.length > 0 && (
+            <ul className="max-h-[60vh] overflow-y-auto py-1">
+              {entries.map((entry) => (
+                <li key={entry.path}>
+                  <button
+                    type="button"
+                    title={entry.path}
+                    onClick={() => handleOpen(entry)}
+                    disabled={openingPath != null}
+                    className="flex w-full items-center gap-2 px-3 py-1.5 text-left text-sm text-text-primary hover:bg-surface-hover disabled:cursor-wait"
+                  >
+                    {openingPath === entry.path ? (
+                      <Spinner className="size-4 shrink-0" />
+                    ) : (
+                      <DocumentIcon entry={entry} />
+                    )}
+                    <span className="truncate">{entry.name}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
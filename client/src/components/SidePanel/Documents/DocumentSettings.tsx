@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { Input, Label, Button, Dropdown, useToastContext } from '@librechat/client';
+import type { TDocumentSettings, TDocumentSourceType } from 'librechat-data-provider';
+import { useUpdateDocumentSettingsMutation } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+/** Lets a user browse another folder or GitLab project than the configured one */
+export default function DocumentSettings({
+  settings,
+  onSaved,
+}: {
+  settings: TDocumentSettings;
+  onSaved: () => void;
+}) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const override = settings.override;
+  const [source, setSource] = useState<TDocumentSourceType>(override?.source ?? settings.source);
+  const [path, setPath] = useState(override?.path ?? '');
+  const [project, setProject] = useState(override?.project ?? '');
+  const [ref, setRef] = useState(override?.ref ?? '');
+  const [token, setToken] = useState('');
+
+  const mutation = useUpdateDocumentSettingsMutation({
+    onSuccess: (_data, variables) => {
+      showToast({
+        message: localize(
+          variables == null ? 'com_ui_documents_settings_reset' : 'com_ui_documents_settings_saved',
+        ),
+        status: 'success',
+      });
+      setToken('');
+      onSaved();
+    },
+    onError: (error) => {
+      const message = (error as { response?: { data?: { error?: string } } })?.response?.data
+        ?.error;
+      showToast({ message: message ?? localize('com_ui_error'), status: 'error' });
+    },
+  });
+
+  const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    mutation.mutate({
+      source,
+      path,
+      ...(source === 'gitlab' && { project, ref }),
+      // An empty field keeps the saved token
+      ...(source === 'gitlab' && token !== '' && { token }),
+    });
+  };
+
+  const sourceOptions = settings.sources.map((value) => ({
+    value,
+    label: localize(
+      value === 'gitlab' ? 'com_ui_documents_source_gitlab' : 'com_ui_documents_source_local',
+    ),
+  }));
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      aria-label={localize('com_ui_documents_settings')}
+      className="space-y-3 rounded-lg border border-border-light p-3"
+    >
+      {sourceOptions.length > 1 && (
+        <div className="flex items-center justify-between gap-2">
+          <Label className="text-sm">{localize('com_ui_documents_source')}</Label>
+          <Dropdown
+            value={source}
+            onChange={(value) => setSource(value as TDocumentSourceType)}
+            options={sourceOptions}
+            ariaLabel={localize('com_ui_documents_source')}
+            className="z-50"
+          />
+        </div>
+      )}
+      <div className="space-y-1">
+        <Label htmlFor="documents-path" className="text-sm">
+          {localize('com_ui_documents_folder')}
+        </Label>
+        <Input
+          id="documents-path"
+          value={path}
+          placeholder={localize('com_ui_documents_folder_placeholder')}
+          onChange={(e) => setPath(e.target.value)}
+        />
+      </div>
+      {source === 'gitlab' && (
+        <>
+          <div className="space-y-1">
+            <Label htmlFor="documents-project" className="text-sm">
+              {localize('com_ui_documents_project')}
+            </Label>
+            <Input
+              id="documents-project"
+              value={project}
+              placeholder={localize('com_ui_documents_project_placeholder')}
+              onChange={(e) => setProject(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="documents-ref" className="text-sm">
+              {localize('com_ui_documents_ref')}
+            </Label>
+            <Input
+              id="documents-ref"
+              value={ref}
+              placeholder={settings.ref ?? 'main'}
+              onChange={(e) => setRef(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="documents-token" className="text-sm">
+              {localize('com_ui_documents_token')}
+            </Label>
+            <Input
+              id="documents-token"
+              type="password"
+              autoComplete="off"
+              value={token}
+              placeholder={
+                override?.hasToken === true ? localize('com_ui_documents_token_saved') : ''
+              }
+              onChange={(e) => setToken(e.target.value)}
+            />
+          </div>
+        </>
+      )}
+      <div className="flex justify-end gap-2">
+        {override != null && (
+          <Button
+            type="button"
+            variant="outline"
+            disabled={mutation.isLoading}
+            onClick={() => mutation.mutate(null)}
+          >
+            {localize('com_ui_documents_reset')}
+          </Button>
+        )}
+        <Button type="submit" variant="submit" disabled={mutation.isLoading}>
+          {localize('com_ui_save')}
+        </Button>
+      </div>
+    </form>
+  );
+}
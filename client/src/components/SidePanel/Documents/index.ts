@@ -0,0 +1,2 @@
+export { default as DocumentBrowser } from './DocumentBrowser';
+export { default as DocumentSettings } from './DocumentSettings';
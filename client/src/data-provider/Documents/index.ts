@@ -0,0 +1,2 @@
+/* Document Browser */
+export * from './queries';
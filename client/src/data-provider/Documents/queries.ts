@@ -0,0 +1,82 @@
+/* Document Browser */
+import { QueryKeys, MutationKeys, dataService } from 'librechat-data-provider';
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import type {
+  UseQueryOptions,
+  UseMutationOptions,
+  QueryObserverResult,
+} from '@tanstack/react-query';
+import type {
+  TDocumentListing,
+  TDocumentContent,
+  TDocumentSettings,
+  TDocumentSourceOverride,
+} from 'librechat-data-provider';
+
+export const useDocumentsQuery = (
+  path = '',
+  config?: UseQueryOptions<TDocumentListing>,
+): QueryObserverResult<TDocumentListing> => {
+  return useQuery<TDocumentListing>(
+    [QueryKeys.documents, path],
+    () => dataService.getDocuments(path),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      retry: false,
+      ...config,
+    },
+  );
+};
+
+export const useDocumentSettingsQuery = (
+  config?: UseQueryOptions<TDocumentSettings>,
+): QueryObserverResult<TDocumentSettings> => {
+  return useQuery<TDocumentSettings>(
+    [QueryKeys.documentSettings],
+    () => dataService.getDocumentSettings(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      refetchOnMount: false,
+      ...config,
+    },
+  );
+};
+
+/** Lists a folder on demand, sharing the query cache with the document browser */
+export const useFetchDocuments = () => {
+  const queryClient = useQueryClient();
+  return (path: string) =>
+    queryClient.fetchQuery<TDocumentListing>([QueryKeys.documents, path], () =>
+      dataService.getDocuments(path),
+    );
+};
+
+/** Loads a document on demand, sharing the query cache with previously opened documents */
+export const useFetchDocumentContent = () => {
+  const queryClient = useQueryClient();
+  return (path: string) =>
+    queryClient.fetchQuery<TDocumentContent>([QueryKeys.documentContent, path], () =>
+      dataService.getDocumentContent(path),
+    );
+};
+
+export const useUpdateDocumentSettingsMutation = (
+  options?: UseMutationOptions<TDocumentSettings, Error, TDocumentSourceOverride | null>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation<TDocumentSettings, Error, TDocumentSourceOverride | null>(
+    [MutationKeys.updateDocumentSettings],
+    (override: TDocumentSourceOverride | null) => dataService.updateDocumentSettings(override),
+    {
+      ...options,
+      onSuccess: (...params) => {
+        queryClient.setQueryData([QueryKeys.documentSettings], params[0]);
+        queryClient.removeQueries([QueryKeys.documents]);
+        queryClient.removeQueries([QueryKeys.documentContent]);
+        options?.onSuccess?.(...params);
+      },
+    },
+  );
+};
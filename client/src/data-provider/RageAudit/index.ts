@@ -0,0 +1,2 @@
+/* RAGE Audit */
+export * from './queries';
@@ -0,0 +1,70 @@
+/* RAGE Audit */
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import type {
+  UseQueryOptions,
+  UseMutationOptions,
+  QueryObserverResult,
+} from '@tanstack/react-query';
+import type {
+  TRageAuditParams,
+  TRageAuditResponse,
+  TRageAuditExportParams,
+  TRageSourceReportParams,
+  TRageSourceReportResponse,
+} from 'librechat-data-provider';
+
+export const useRageAuditQuery = (
+  params: TRageAuditParams,
+  config?: UseQueryOptions<TRageAuditResponse>,
+): QueryObserverResult<TRageAuditResponse> => {
+  return useQuery<TRageAuditResponse>(
+    [QueryKeys.rageAudit, params],
+    () => dataService.getRageAudit(params),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      keepPreviousData: true,
+      ...config,
+    },
+  );
+};
+
+/** Downloads the matching audit events as a CSV or JSON file */
+export const useExportRageAuditMutation = (
+  options?: UseMutationOptions<void, Error, TRageAuditExportParams>,
+) => {
+  return useMutation(async (params: TRageAuditExportParams) => {
+    const response = await dataService.exportRageAudit(params);
+    const format = params.format ?? 'csv';
+    const fileName =
+      /filename="?([^";]+)"?/.exec(response.headers['content-disposition'] ?? '')?.[1] ??
+      `rage-audit.${format}`;
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  }, options);
+};
+
+/** Sources that most often lead to bad answers, from response feedback */
+export const useRageSourceReportQuery = (
+  params: TRageSourceReportParams,
+  config?: UseQueryOptions<TRageSourceReportResponse>,
+): QueryObserverResult<TRageSourceReportResponse> => {
+  return useQuery<TRageSourceReportResponse>(
+    [QueryKeys.rageSourceReport, params],
+    () => dataService.getRageSourceReport(params),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      keepPreviousData: true,
+      ...config,
+    },
+  );
+};
@@ -0,0 +1,2 @@
+/* Workspaces */
+export * from './queries';
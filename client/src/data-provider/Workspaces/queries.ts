@@ -0,0 +1,16 @@
+/* Workspaces */
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import { useQuery } from '@tanstack/react-query';
+import type { UseQueryOptions, QueryObserverResult } from '@tanstack/react-query';
+import type { TRageWorkspace } from 'librechat-data-provider';
+
+export const useWorkspacesQuery = (
+  config?: UseQueryOptions<TRageWorkspace[]>,
+): QueryObserverResult<TRageWorkspace[]> => {
+  return useQuery<TRageWorkspace[]>([QueryKeys.workspaces], () => dataService.getWorkspaces(), {
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    refetchOnMount: false,
+    ...config,
+  });
+};
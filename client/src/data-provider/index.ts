@@ -1,12 +1,17 @@
 export * from './Auth';
 export * from './Agents';
+/* Document Browser */
+export * from './Documents';
 export * from './Endpoints';
 export * from './Files';
 /* Memories */
 export * from './Memories';
 export * from './Messages';
 export * from './Misc';
+/* RAGE Audit */
+export * from './RageAudit';
 export * from './Tools';
+export * from './Workspaces';
 export * from './connection';
 export * from './mutations';
 export * from './prompts';
@@ -1,7 +1,8 @@
 import { useMemo, useState, useEffect, useRef } from 'react';
 import { Constants } from 'librechat-data-provider';
-import { useRecoilState, useRecoilValue, useResetRecoilState } from 'recoil';
+import { useRecoilState, useResetRecoilState } from 'recoil';
 import { getLatestText, logger } from '~/utils';
+import { keepDocumentArtifacts } from '~/utils/documents';
 import { useChatContext } from '~/Providers';
 import { getKey } from '~/utils/artifacts';
 import store from '~/store';
@@ -10,8 +11,7 @@ export default function useArtifacts() {
   const [activeTab, setActiveTab] = useState('preview');
   const { isSubmitting, latestMessage, conversation } = useChatContext();
 
-  const artifacts = useRecoilValue(store.artifactsState);
-  const resetArtifacts = useResetRecoilState(store.artifactsState);
+  const [artifacts, setArtifacts] = useRecoilState(store.artifactsState);
   const resetCurrentArtifactId = useResetRecoilState(store.currentArtifactId);
   const [currentArtifactId, setCurrentArtifactId] = useRecoilState(store.currentArtifactId);
 
@@ -29,7 +29,7 @@ export default function useArtifacts() {
 
   useEffect(() => {
     const resetState = () => {
-      resetArtifacts();
+      setArtifacts(keepDocumentArtifacts);
       resetCurrentArtifactId();
       prevConversationIdRef.current = conversation?.conversationId ?? null;
       lastRunMessageIdRef.current = null;
@@ -50,7 +50,7 @@ export default function useArtifacts() {
       logger.log('artifacts_visibility', 'Unmounting artifacts');
       resetState();
     };
-  }, [conversation?.conversationId, resetArtifacts, resetCurrentArtifactId]);
+  }, [conversation?.conversationId, setArtifacts, resetCurrentArtifactId]);
 
   useEffect(() => {
     if (orderedArtifactIds.length > 0) {
@@ -20,6 +20,7 @@ export default function useAddedHelpers({
 
   const clearAllSubmissions = store.useClearSubmissionState();
   const [files, setFiles] = useRecoilState(store.filesByIndex(rootIndex));
+  const [documents, setDocuments] = useRecoilState(store.documentsByIndex(rootIndex));
   const latestMessage = useRecoilValue(store.latestMessageFamily(rootIndex));
   const setLatestMultiMessage = useSetRecoilState(store.latestMessageFamily(currentIndex));
 
@@ -57,6 +58,8 @@ export default function useAddedHelpers({
     index: currentIndex,
     files,
     setFiles,
+    documents,
+    setDocuments,
     getMessages,
     setMessages,
     isSubmitting,
@@ -18,10 +18,11 @@ import type {
   TConversation,
   TEndpointOption,
   TEndpointsConfig,
+  TMessageDocument,
   EndpointSchemaKey,
 } from 'librechat-data-provider';
 import type { SetterOrUpdater } from 'recoil';
-import type { TAskFunction, ExtendedFile } from '~/common';
+import type { TAskFunction, TOptions, ExtendedFile } from '~/common';
 import useSetFilesToDelete from '~/hooks/Files/useSetFilesToDelete';
 import useGetSender from '~/hooks/Conversations/useGetSender';
 import store, { useGetEphemeralAgent } from '~/store';
@@ -40,6 +41,8 @@ export default function useChatFunctions({
   index = 0,
   files,
   setFiles,
+  documents,
+  setDocuments,
   getMessages,
   setMessages,
   isSubmitting,
@@ -57,6 +60,8 @@ export default function useChatFunctions({
   setMessages: (messages: TMessage[]) => void;
   files?: Map<string, ExtendedFile>;
   setFiles?: SetterOrUpdater<Map<string, ExtendedFile>>;
+  documents?: TMessageDocument[];
+  setDocuments?: SetterOrUpdater<TMessageDocument[]>;
   setSubmission: SetterOrUpdater<TSubmission | null>;
   setLatestMessage?: SetterOrUpdater<TMessage | null>;
 }) {
@@ -88,6 +93,9 @@ export default function useChatFunctions({
       isEdited = false,
       overrideMessages,
       overrideFiles,
+      overrideDocuments,
+      rageSnapshotMessageId,
+      refreshKnowledge = false,
     } = {},
   ) => {
     setShowStopButton(false);
@@ -228,6 +236,17 @@ export default function useChatFunctions({
       setFilesToDelete({});
     }
 
+    /** Regenerations and resubmissions send the documents of their message, not the pending ones */
+    const submissionDocuments = overrideDocuments ?? targetParentMessage?.documents;
+    if (isRegenerate || overrideDocuments != null) {
+      if (submissionDocuments && submissionDocuments.length > 0) {
+        currentMsg.documents = [...submissionDocuments];
+      }
+    } else if (!isEditOrContinue && setDocuments && documents && documents.length > 0) {
+      currentMsg.documents = [...documents];
+      setDocuments([]);
+    }
+
     const responseMessageId =
       editedMessageId ??
       (latestMessage?.messageId && isRegenerate ? latestMessage?.messageId + '_' : null) ??
@@ -304,6 +323,8 @@ export default function useChatFunctions({
         ...currentMsg,
         responseMessageId,
         overrideParentMessageId: isRegenerate ? messageId : null,
+        rageSnapshotMessageId,
+        rageRefresh: refreshKnowledge,
       },
       messages: currentMessages,
       isEdited: isEditOrContinue,
@@ -328,12 +349,15 @@ export default function useChatFunctions({
     logger.dir('message_stream', submission, { depth: null });
   };
 
-  const regenerate = ({ parentMessageId }) => {
+  const regenerate = (
+    { parentMessageId },
+    { refreshKnowledge = false }: Pick<TOptions, 'refreshKnowledge'> = {},
+  ) => {
     const messages = getMessages();
     const parentMessage = messages?.find((element) => element.messageId == parentMessageId);
 
     if (parentMessage && parentMessage.isCreatedByUser) {
-      ask({ ...parentMessage }, { isRegenerate: true });
+      ask({ ...parentMessage }, { isRegenerate: true, refreshKnowledge });
     } else {
       console.error(
         'Failed to regenerate the message: parentMessage not found or not created by user.',
@@ -13,6 +13,7 @@ import store from '~/store';
 export default function useChatHelpers(index = 0, paramId?: string) {
   const clearAllSubmissions = store.useClearSubmissionState();
   const [files, setFiles] = useRecoilState(store.filesByIndex(index));
+  const [documents, setDocuments] = useRecoilState(store.documentsByIndex(index));
   const [filesLoading, setFilesLoading] = useState(false);
 
   const queryClient = useQueryClient();
@@ -77,6 +78,8 @@ export default function useChatHelpers(index = 0, paramId?: string) {
     index,
     files,
     setFiles,
+    documents,
+    setDocuments,
     getMessages,
     setMessages,
     isSubmitting,
@@ -22,6 +22,7 @@ export default function useClearStates() {
           }
 
           reset(store.filesByIndex(key));
+          reset(store.documentsByIndex(key));
           reset(store.presetByIndex(key));
           reset(store.textByIndex(key));
           reset(store.showStopButtonByIndex(key));
@@ -0,0 +1 @@
+export { default as useOpenDocument } from './useOpenDocument';
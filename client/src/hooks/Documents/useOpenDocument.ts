@@ -0,0 +1,22 @@
+import { useCallback } from 'react';
+import { useSetRecoilState } from 'recoil';
+import type { TDocumentContent } from 'librechat-data-provider';
+import { createDocumentArtifact } from '~/utils/documents';
+import store from '~/store';
+
+/** Shows a document in the Artifacts panel, next to the artifacts of the conversation */
+export default function useOpenDocument() {
+  const setArtifacts = useSetRecoilState(store.artifactsState);
+  const setCurrentArtifactId = useSetRecoilState(store.currentArtifactId);
+  const setArtifactsVisible = useSetRecoilState(store.artifactsVisibility);
+
+  return useCallback(
+    (document: TDocumentContent) => {
+      const artifact = createDocumentArtifact(document);
+      setArtifacts((prev) => ({ ...prev, [artifact.id]: artifact }));
+      setArtifactsVisible(true);
+      setCurrentArtifactId(artifact.id);
+    },
+    [setArtifacts, setCurrentArtifactId, setArtifactsVisible],
+  );
+}
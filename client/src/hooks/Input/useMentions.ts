@@ -1,4 +1,5 @@
-import { useMemo } from 'react';
+import React, { useMemo } from 'react';
+import { FolderOpen } from 'lucide-react';
 import { useGetModelsQuery } from 'librechat-data-provider/react-query';
 import {
   Permissions,
@@ -21,6 +22,7 @@ import useAssistantListMap from '~/hooks/Assistants/useAssistantListMap';
 import { mapEndpoints, getPresetTitle } from '~/utils';
 import { EndpointIcon } from '~/components/Endpoints';
 import useHasAccess from '~/hooks/Roles/useHasAccess';
+import useLocalize from '~/hooks/useLocalize';
 
 const defaultInterface = getConfigDefaults().interface;
 
@@ -52,10 +54,13 @@ const assistantMapFn =
 export default function useMentions({
   assistantMap,
   includeAssistants,
+  includeDocuments = false,
 }: {
   assistantMap: TAssistantsMap;
   includeAssistants: boolean;
+  includeDocuments?: boolean;
 }) {
+  const localize = useLocalize();
   const hasAgentAccess = useHasAccess({
     permissionType: PermissionTypes.AGENTS,
     permission: Permissions.USE,
@@ -126,6 +131,7 @@ export default function useMentions({
   );
 
   const modelSpecs = useMemo(() => startupConfig?.modelSpecs?.list ?? [], [startupConfig]);
+  const hasDocuments = includeDocuments && startupConfig?.documents != null;
 
   const options: MentionOption[] = useMemo(() => {
     let validEndpoints = endpoints;
@@ -211,6 +217,16 @@ export default function useMentions({
         }),
         type: 'preset' as const,
       })) ?? []),
+      ...(hasDocuments
+        ? [
+            {
+              value: '',
+              label: localize('com_sidepanel_documents'),
+              type: 'documents' as const,
+              icon: React.createElement(FolderOpen, { size: 20, className: 'icon-md' }),
+            },
+          ]
+        : []),
       ...modelOptions,
     ];
 
@@ -225,6 +241,8 @@ export default function useMentions({
     endpointsConfig,
     assistantListMap,
     includeAssistants,
+    hasDocuments,
+    localize,
     interfaceConfig.presets,
     interfaceConfig.modelSelect,
   ]);
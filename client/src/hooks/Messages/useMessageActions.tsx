@@ -119,6 +119,14 @@ export default function useMessageActions(props: TMessageActions) {
     regenerate(message);
   }, [isSubmitting, isCreatedByUser, message, regenerate]);
 
+  const refreshKnowledge = useCallback(() => {
+    if (isSubmitting || !message) {
+      return;
+    }
+
+    regenerate(message, { refreshKnowledge: true });
+  }, [isSubmitting, message, regenerate]);
+
   const copyToClipboard = useCopyToClipboard({ text, content, searchResults });
 
   const messageLabel = useMemo(() => {
@@ -180,6 +188,7 @@ export default function useMessageActions(props: TMessageActions) {
     copyToClipboard,
     setLatestMessage,
     regenerateMessage,
+    refreshKnowledge,
     handleFeedback,
     feedback,
   };
@@ -1,6 +1,13 @@
 import { useMemo } from 'react';
 import { Blocks, MCPIcon, AttachmentIcon } from '@librechat/client';
-import { MessageSquareQuote, ArrowRightToLine, Settings2, Database, Bookmark } from 'lucide-react';
+import {
+  MessageSquareQuote,
+  ArrowRightToLine,
+  FolderOpen,
+  Settings2,
+  Database,
+  Bookmark,
+} from 'lucide-react';
 import {
   isAssistantsEndpoint,
   isAgentsEndpoint,
@@ -13,6 +20,7 @@ import type { TInterfaceConfig, TEndpointsConfig } from 'librechat-data-provider
 import type { NavLink } from '~/common';
 import AgentPanelSwitch from '~/components/SidePanel/Agents/AgentPanelSwitch';
 import BookmarkPanel from '~/components/SidePanel/Bookmarks/BookmarkPanel';
+import DocumentBrowser from '~/components/SidePanel/Documents/DocumentBrowser';
 import MemoryViewer from '~/components/SidePanel/Memories/MemoryViewer';
 import PanelSwitch from '~/components/SidePanel/Builder/PanelSwitch';
 import PromptsAccordion from '~/components/Prompts/PromptsAccordion';
@@ -134,6 +142,16 @@ export default function useSideNavLinks({
       });
     }
 
+    if (startupConfig?.documents) {
+      links.push({
+        title: 'com_sidepanel_documents',
+        label: '',
+        icon: FolderOpen,
+        id: 'documents',
+        Component: DocumentBrowser,
+      });
+    }
+
     links.push({
       title: 'com_sidepanel_attach_files',
       label: '',
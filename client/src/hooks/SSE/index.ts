@@ -2,3 +2,4 @@ export { default as useSSE } from './useSSE';
 export { default as useStepHandler } from './useStepHandler';
 export { default as useContentHandler } from './useContentHandler';
 export { default as useAttachmentHandler } from './useAttachmentHandler';
+export { default as useRageSearchHandler } from './useRageSearchHandler';
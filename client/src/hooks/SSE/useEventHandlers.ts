@@ -30,6 +30,7 @@ import {
   findConversationInInfinite,
 } from '~/utils';
 import useAttachmentHandler from '~/hooks/SSE/useAttachmentHandler';
+import useRageSearchHandler from '~/hooks/SSE/useRageSearchHandler';
 import useContentHandler from '~/hooks/SSE/useContentHandler';
 import store, { useApplyNewAgentTemplate } from '~/store';
 import useStepHandler from '~/hooks/SSE/useStepHandler';
@@ -190,6 +191,7 @@ export default function useEventHandlers({
     lastAnnouncementTimeRef,
   });
   const attachmentHandler = useAttachmentHandler(queryClient);
+  const rageSearchHandler = useRageSearchHandler();
 
   const messageHandler = useCallback(
     (data: string | undefined, submission: EventSubmission) => {
@@ -798,6 +800,7 @@ export default function useEventHandlers({
     contentHandler,
     createdHandler,
     attachmentHandler,
+    rageSearchHandler,
     abortConversation,
   };
 }
@@ -0,0 +1,19 @@
+import { useSetRecoilState } from 'recoil';
+import type { TRageSearchEvent } from 'librechat-data-provider';
+import store from '~/store';
+
+export default function useRageSearchHandler() {
+  const setRageSearchMap = useSetRecoilState(store.rageSearchMap);
+
+  return ({ data }: { data: TRageSearchEvent }) => {
+    const { messageId, conversationId: _conversationId, ...progress } = data;
+    if (!messageId) {
+      return;
+    }
+
+    setRageSearchMap((prevMap) => ({
+      ...prevMap,
+      [messageId]: progress,
+    }));
+  };
+}
@@ -70,6 +70,7 @@ export default function useSSE(
     contentHandler,
     createdHandler,
     attachmentHandler,
+    rageSearchHandler,
     abortConversation,
   } = useEventHandlers({
     genTitle,
@@ -116,6 +117,15 @@ export default function useSSE(
       }
     });
 
+    sse.addEventListener('rage', (e: MessageEvent) => {
+      try {
+        const data = JSON.parse(e.data);
+        rageSearchHandler({ data });
+      } catch (error) {
+        console.error(error);
+      }
+    });
+
     sse.addEventListener('message', (e: MessageEvent) => {
       const data = JSON.parse(e.data);
 
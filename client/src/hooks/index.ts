@@ -4,6 +4,7 @@ export * from './Agents';
 export * from './Chat';
 export * from './Config';
 export * from './Conversations';
+export * from './Documents';
 export * from './Nav';
 export * from './Files';
 export * from './Generic';
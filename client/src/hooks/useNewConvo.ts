@@ -155,6 +155,13 @@ const useNewConvo = (index = 0) => {
           });
         }
 
+        if (
+          conversation.conversationId === Constants.NEW_CONVO &&
+          conversation.workspace_id === undefined
+        ) {
+          conversation.workspace_id = localStorage.getItem(LocalStorageKeys.LAST_WORKSPACE);
+        }
+
         if (disableParams === true) {
           conversation.disableParams = true;
         }
@@ -5,6 +5,7 @@ import {
   CreatePromptForm,
   EmptyPromptPreview,
 } from '~/components/Prompts';
+import { RageAuditView, RageSourceReportView } from '~/components/Rage';
 import DashboardRoute from './Layouts/Dashboard';
 
 const dashboardRoutes = {
@@ -72,6 +73,14 @@ const dashboardRoutes = {
         },
       ],
     },
+    {
+      path: 'rage-audit',
+      element: <RageAuditView />,
+    },
+    {
+      path: 'rage-sources',
+      element: <RageSourceReportView />,
+    },
     {
       path: '*',
       element: <Navigate to="/d/files" replace={true} />,
@@ -11,7 +11,13 @@ import {
   useRecoilCallback,
 } from 'recoil';
 import { LocalStorageKeys, Constants } from 'librechat-data-provider';
-import type { TMessage, TPreset, TConversation, TSubmission } from 'librechat-data-provider';
+import type {
+  TMessage,
+  TPreset,
+  TConversation,
+  TSubmission,
+  TMessageDocument,
+} from 'librechat-data-provider';
 import type { TOptionSettings, ExtendedFile } from '~/common';
 import { useSetConvoContext } from '~/Providers/SetConvoContext';
 import { storeEndpointSettings, logger, createChatSearchParams } from '~/utils';
@@ -130,6 +136,12 @@ const filesByIndex = atomFamily<Map<string, ExtendedFile>, string | number>({
   default: new Map(),
 });
 
+/** Documents mentioned with `@` that are sent with the next message */
+const documentsByIndex = atomFamily<TMessageDocument[], string | number>({
+  key: 'documentsByIndex',
+  default: [],
+});
+
 const conversationKeysAtom = atom<(string | number)[]>({
   key: 'conversationKeys',
   default: [],
@@ -388,6 +400,7 @@ export default {
   conversationKeysAtom,
   conversationByIndex,
   filesByIndex,
+  documentsByIndex,
   presetByIndex,
   submissionByIndex,
   textByIndex,
@@ -1,5 +1,5 @@
 import { atom } from 'recoil';
-import { TAttachment } from 'librechat-data-provider';
+import { TAttachment, TRageSearchProgress } from 'librechat-data-provider';
 import { atomWithLocalStorage } from './utils';
 import { BadgeItem } from '~/common';
 
@@ -10,6 +10,12 @@ const messageAttachmentsMap = atom<Record<string, TAttachment[] | undefined>>({
   default: {},
 });
 
+/** Latest knowledge base search progress, keyed by the user message that triggered it */
+const rageSearchMap = atom<Record<string, TRageSearchProgress | undefined>>({
+  key: 'rageSearchMap',
+  default: {},
+});
+
 const queriesEnabled = atom<boolean>({
   key: 'queriesEnabled',
   default: true,
@@ -30,6 +36,7 @@ const chatBadges = atomWithLocalStorage<Pick<BadgeItem, 'id'>[]>('chatBadges', [
 export default {
   hideBannerHint,
   messageAttachmentsMap,
+  rageSearchMap,
   queriesEnabled,
   isEditingBadges,
   chatBadges,
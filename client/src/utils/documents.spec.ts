@@ -0,0 +1,70 @@
+import {
+  toCodeBlock,
+  isDocumentPreview,
+  keepDocumentArtifacts,
+  createDocumentArtifact,
+  getDocumentArtifactType,
+} from './documents';
+
+describe('getDocumentArtifactType', () => {
+  it('renders Mermaid and HTML documents with the Sandpack preview', () => {
+    expect(getDocumentArtifactType('flow.MMD')).toEqual({ type: 'application/vnd.mermaid' });
+    expect(getDocumentArtifactType('index.html')).toEqual({ type: 'text/html' });
+  });
+
+  it('renders Markdown and code documents with the document preview', () => {
+    expect(getDocumentArtifactType('README.md')).toEqual({
+      type: 'text/markdown',
+      language: 'markdown',
+    });
+    expect(getDocumentArtifactType('setup.py')).toEqual({ type: 'text/plain', language: 'python' });
+    expect(getDocumentArtifactType('notes.txt')).toEqual({
+      type: 'text/plain',
+      language: 'plaintext',
+    });
+  });
+});
+
+describe('createDocumentArtifact', () => {
+  it('creates an artifact keyed by the document path', () => {
+    const artifact = createDocumentArtifact({
+      source: 'gitlab',
+      name: 'vpn.md',
+      path: 'guides/vpn.md',
+      content: '# VPN',
+      size: 5,
+    });
+
+    expect(artifact).toEqual(
+      expect.objectContaining({
+        id: 'document:guides/vpn.md',
+        title: 'vpn.md',
+        content: '# VPN',
+        documentPath: 'guides/vpn.md',
+        type: 'text/markdown',
+      }),
+    );
+    expect(isDocumentPreview(artifact)).toBe(true);
+    expect(isDocumentPreview({ ...artifact, documentPath: undefined })).toBe(false);
+  });
+});
+
+describe('keepDocumentArtifacts', () => {
+  it('keeps only documents when the artifacts of a conversation are cleared', () => {
+    const document = { id: 'document:a.md', documentPath: 'a.md', lastUpdateTime: 1 };
+    const generated = { id: 'msg-1', lastUpdateTime: 2 };
+
+    expect(keepDocumentArtifacts({ [document.id]: document, [generated.id]: generated })).toEqual({
+      [document.id]: document,
+    });
+    expect(keepDocumentArtifacts({ [generated.id]: generated })).toBeNull();
+    expect(keepDocumentArtifacts(null)).toBeNull();
+  });
+});
+
+describe('toCodeBlock', () => {
+  it('uses a fence longer than any backtick run of the content', () => {
+    expect(toCodeBlock('const a = 1;', 'javascript')).toBe('```javascript\nconst a = 1;\n```');
+    expect(toCodeBlock('```js\nx\n```', 'markdown')).toBe('````markdown\n```js\nx\n```\n````');
+  });
+});
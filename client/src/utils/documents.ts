@@ -0,0 +1,80 @@
+import type { TDocumentContent } from 'librechat-data-provider';
+import type { Artifact } from '~/common';
+
+/** Artifact types rendered with the document preview instead of Sandpack */
+export const documentPreviewTypes = new Set(['text/markdown', 'text/plain']);
+
+/** Languages of code files, by extension, for syntax highlighting */
+const codeLanguages: Record<string, string> = {
+  json: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+  csv: 'csv',
+  css: 'css',
+  js: 'javascript',
+  jsx: 'jsx',
+  ts: 'typescript',
+  tsx: 'tsx',
+  py: 'python',
+  sh: 'bash',
+  sql: 'sql',
+};
+
+const getExtension = (name: string) => name.split('.').pop()?.toLowerCase() ?? '';
+
+/** Returns the ID of the artifact showing a document */
+export const getDocumentArtifactId = (path: string) => `document:${path}`;
+
+/**
+ * Maps a document to the artifact type that renders it: Mermaid and HTML use the
+ * Sandpack preview of the Artifacts panel, other files the document preview.
+ */
+export function getDocumentArtifactType(name: string): Pick<Artifact, 'type' | 'language'> {
+  const extension = getExtension(name);
+  if (extension === 'mmd' || extension === 'mermaid') {
+    return { type: 'application/vnd.mermaid' };
+  }
+  if (extension === 'html' || extension === 'htm') {
+    return { type: 'text/html' };
+  }
+  if (extension === 'md' || extension === 'markdown' || extension === 'mdx') {
+    return { type: 'text/markdown', language: 'markdown' };
+  }
+  return { type: 'text/plain', language: codeLanguages[extension] ?? 'plaintext' };
+}
+
+/** Creates the artifact that opens a document in the Artifacts panel */
+export function createDocumentArtifact(document: TDocumentContent): Artifact {
+  return {
+    id: getDocumentArtifactId(document.path),
+    title: document.name,
+    content: document.content,
+    documentPath: document.path,
+    lastUpdateTime: Date.now(),
+    ...getDocumentArtifactType(document.name),
+  };
+}
+
+/** Whether an artifact is a document rendered with the document preview */
+export const isDocumentPreview = (artifact: Artifact) =>
+  artifact.documentPath != null && documentPreviewTypes.has(artifact.type ?? '');
+
+/**
+ * Keeps the documents of the Artifacts panel when the artifacts of a conversation are cleared,
+ * since documents do not belong to a conversation.
+ */
+export function keepDocumentArtifacts(
+  artifacts: Record<string, Artifact | undefined> | null,
+): Record<string, Artifact | undefined> | null {
+  const documents = Object.entries(artifacts ?? {}).filter(
+    ([, artifact]) => artifact?.documentPath != null,
+  );
+  return documents.length > 0 ? Object.fromEntries(documents) : null;
+}
+
+/** Wraps text in a Markdown code block whose fence cannot occur in the text */
+export function toCodeBlock(content: string, language = ''): string {
+  const longestRun = Math.max(2, ...(content.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language}\n${content}\n${fence}`;
+}
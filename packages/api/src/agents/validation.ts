@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { RageRetrievalMode } from 'librechat-data-provider';
 
 /** Avatar schema shared between create and update */
 export const agentAvatarSchema = z.object({
@@ -40,6 +41,7 @@ export const agentBaseSchema = z.object({
   hide_sequential_outputs: z.boolean().optional(),
   artifacts: z.string().optional(),
   recursion_limit: z.number().optional(),
+  rage_retrieval: z.nativeEnum(RageRetrievalMode).optional(),
   conversation_starters: z.array(z.string()).optional(),
   tool_resources: agentToolResourcesSchema,
 });
@@ -1,5 +1,10 @@
 import type { AssistantsEndpoint } from './schemas';
 import * as q from './types/queries';
+import type {
+  TRageAuditParams,
+  TRageAuditExportParams,
+  TRageSourceReportParams,
+} from './types/rage';
 
 // Testing this buildQuery function
 const buildQuery = (params: Record<string, unknown>): string => {
@@ -305,3 +310,20 @@ export const verifyTwoFactorTemp = () => '/api/auth/2fa/verify-temp';
 export const memories = () => '/api/memories';
 export const memory = (key: string) => `${memories()}/${encodeURIComponent(key)}`;
 export const memoryPreferences = () => `${memories()}/preferences`;
+
+/* RAGE Workspaces */
+export const workspaces = () => '/api/workspaces';
+
+/* RAGE Audit */
+export const rageAudit = (params: TRageAuditParams = {}) => `/api/rage/audit${buildQuery(params)}`;
+export const rageAuditExport = (params: TRageAuditExportParams) =>
+  `/api/rage/audit/export${buildQuery(params)}`;
+
+/* Document Browser */
+export const documents = (path = '') => `/api/documents${buildQuery({ path })}`;
+export const documentContent = (path: string) => `/api/documents/content${buildQuery({ path })}`;
+export const documentSettings = () => '/api/documents/settings';
+
+/* RAGE Source Report */
+export const rageSourceReport = (params: TRageSourceReportParams = {}) =>
+  `/api/rage/sources/report${buildQuery(params)}`;
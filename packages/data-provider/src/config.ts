@@ -1,7 +1,7 @@
 import { z } from 'zod';
 import type { ZodError } from 'zod';
 import type { TModelsConfig } from './types';
-import { EModelEndpoint, eModelEndpointSchema } from './schemas';
+import { EModelEndpoint, RageAnswerMode, eModelEndpointSchema } from './schemas';
 import { specsConfigSchema, TSpecsConfig } from './models';
 import { fileConfigSchema } from './file-config';
 import { FileSources } from './types/files';
@@ -53,6 +53,9 @@ export const excludedKeys = new Set([
   'files',
   'spec',
   'disableParams',
+  'workspace_id',
+  'rage_mode',
+  'rage_language',
 ]);
 
 export enum SettingsViews {
@@ -618,6 +621,11 @@ export type TStartupConfig = {
     }
   >;
   mcpPlaceholder?: string;
+  /** Document browser, present when enabled */
+  documents?: {
+    source: 'local' | 'gitlab';
+    userOverrides: boolean;
+  };
 };
 
 export enum OCRStrategy {
@@ -746,12 +754,272 @@ export const memorySchema = z.object({
 
 export type TMemoryConfig = z.infer<typeof memorySchema>;
 
+/** Credentials and URLs of a RAGE retrieval provider; string values may reference `${ENV_VAR}` */
+const rageConnectionSchema = z.object({
+  url: z.string().optional(),
+  apiKey: z.string().optional(),
+});
+
+/** Fields of a RAGE context template */
+const rageTemplateFieldsSchema = z.object({
+  header: z.string().optional(),
+  documentFormat: z.string().optional(),
+  footer: z.string().optional(),
+  strictFooter: z.string().optional(),
+  noContext: z.string().optional(),
+});
+
+/** Context templates of a language; style-specific fields take precedence */
+const rageLocaleTemplatesSchema = rageTemplateFieldsSchema.extend({
+  standard: rageTemplateFieldsSchema.optional(),
+  detailed: rageTemplateFieldsSchema.optional(),
+  compact: rageTemplateFieldsSchema.optional(),
+});
+
+export const rageSchema = z.object({
+  enabled: z.boolean().optional(),
+  /** Default retrieval provider; workspaces may use their own pipeline */
+  provider: z.enum(['vectorize', 'qdrant', 'rag_api', 'fixture']).optional(),
+  /** Endpoints RAGE is used for (e.g. `agents`, `openAI` or a custom endpoint name); all when omitted */
+  endpoints: z.array(z.string()).optional(),
+  providers: z
+    .object({
+      vectorize: rageConnectionSchema.optional(),
+      qdrant: rageConnectionSchema
+        .extend({
+          vectorName: z.string().optional(),
+          textField: z.string().optional(),
+        })
+        .optional(),
+      ragApi: rageConnectionSchema.optional(),
+      embedding: rageConnectionSchema.extend({ model: z.string().optional() }).optional(),
+      fixture: z.object({ path: z.string().optional() }).optional(),
+    })
+    .optional(),
+  /** Default pipeline of each provider, used by workspaces that do not set their own */
+  pipelines: z
+    .object({
+      vectorize: z
+        .object({
+          organizationId: z.string().optional(),
+          pipelineId: z.string().optional(),
+        })
+        .optional(),
+      qdrant: z.object({ collection: z.string().optional() }).optional(),
+      ragApi: z
+        .object({
+          fileIds: z.array(z.string()).optional(),
+          entityId: z.string().optional(),
+        })
+        .optional(),
+    })
+    .optional(),
+  retrieval: z
+    .object({
+      numResults: z.number().optional(),
+      rerank: z.boolean().optional(),
+      scoreField: z.enum(['similarity', 'relevancy', 'auto']).optional(),
+      timeoutMs: z.number().optional(),
+      retryAttempts: z.number().optional(),
+      retryDelayMs: z.number().optional(),
+    })
+    .optional(),
+  thresholds: z
+    .object({
+      minRelevanceScore: z.number().optional(),
+      minSimilarityScore: z.number().optional(),
+    })
+    .optional(),
+  hybrid: z
+    .object({
+      provider: z.enum(['none', 'meilisearch', 'bm25']).optional(),
+      numResults: z.number().optional(),
+      textField: z.string().optional(),
+      vectorWeight: z.number().optional(),
+      lexicalWeight: z.number().optional(),
+      rrfK: z.number().optional(),
+    })
+    .optional(),
+  /** Learned source boost from the feedback on responses that cited each source */
+  feedback: z
+    .object({
+      scoring: z.boolean().optional(),
+      maxBoost: z.number().optional(),
+      minVotes: z.number().optional(),
+    })
+    .optional(),
+  /** Sub-queries for comparisons and multi-part questions */
+  decomposition: z
+    .object({
+      enabled: z.boolean().optional(),
+      maxSubQueries: z.number().optional(),
+      timeoutMs: z.number().optional(),
+    })
+    .optional(),
+  /** Neighbouring chunks and merged excerpts of the same document */
+  chunks: z
+    .object({
+      expansion: z.boolean().optional(),
+      window: z.number().optional(),
+      documentField: z.string().optional(),
+      indexField: z.string().optional(),
+    })
+    .optional(),
+  /** Language detection and translation of queries for multilingual knowledge bases */
+  multilingual: z
+    .object({
+      detection: z.boolean().optional(),
+      translation: z.boolean().optional(),
+      /** Languages of the knowledge base documents, e.g. `[pt, en]` */
+      languages: z.array(z.string()).optional(),
+      url: z.string().optional(),
+      model: z.string().optional(),
+      apiKey: z.string().optional(),
+      timeoutMs: z.number().optional(),
+    })
+    .optional(),
+  /** Personal data removed from the query before it is sent to the retrieval provider */
+  redaction: z
+    .object({
+      enabled: z.boolean().optional(),
+      /** Built-in detectors: `email`, `cpf`, `cnpj`, `phone`, `credit_card` */
+      detectors: z.array(z.string()).optional(),
+      /** Admin rules keyed by name: a regular expression, or its pattern, flags and replacement */
+      rules: z
+        .record(
+          z.union([
+            z.string(),
+            z.object({
+              pattern: z.string(),
+              flags: z.string().optional(),
+              replacement: z.string().optional(),
+            }),
+          ]),
+        )
+        .optional(),
+    })
+    .optional(),
+  filters: z
+    .object({
+      inline: z.boolean().optional(),
+      dateField: z.string().optional(),
+      /** Metadata values each role may retrieve, keyed by role name (`*` applies to everyone) */
+      roles: z.record(z.record(z.array(z.string()))).optional(),
+      /** Metadata values each group may retrieve, keyed by group name */
+      groups: z.record(z.record(z.array(z.string()))).optional(),
+    })
+    .optional(),
+  queryRewrite: z
+    .object({
+      enabled: z.boolean().optional(),
+      maxTurns: z.number().optional(),
+      url: z.string().optional(),
+      model: z.string().optional(),
+      apiKey: z.string().optional(),
+      timeoutMs: z.number().optional(),
+    })
+    .optional(),
+  answerMode: z
+    .object({
+      default: z.nativeEnum(RageAnswerMode).optional(),
+      strictOverridePhrases: z.array(z.string()).optional(),
+    })
+    .optional(),
+  tokens: z
+    .object({
+      maxTokens: z.number().optional(),
+      bufferTokens: z.number().optional(),
+      contextWindowShare: z.number().optional(),
+      encoding: z.enum(['cl100k_base', 'o200k_base', 'p50k_base', 'r50k_base']).optional(),
+    })
+    .optional(),
+  /** Formatting of the injected context; the text fields replace those of the selected style */
+  templates: rageTemplateFieldsSchema
+    .extend({
+      style: z.enum(['standard', 'detailed', 'compact']).optional(),
+      maxContextLength: z.number().optional(),
+      /** YAML or JSON file with templates keyed by locale, or a directory of `<locale>.yaml` files */
+      path: z.string().optional(),
+      /** Templates keyed by locale (`pt`, `pt-BR`), used for the conversation or UI language */
+      languages: z.record(rageLocaleTemplatesSchema).optional(),
+    })
+    .optional(),
+  cache: z
+    .object({
+      enabled: z.boolean().optional(),
+      ttl: z.number().optional(),
+    })
+    .optional(),
+  audit: z
+    .object({
+      enabled: z.boolean().optional(),
+      retentionDays: z.number().optional(),
+    })
+    .optional(),
+  resilience: z
+    .object({
+      /** Share circuit breaker and rate-limit state across instances (requires `USE_REDIS`) */
+      shared: z.boolean().optional(),
+    })
+    .optional(),
+  metrics: z
+    .object({
+      enabled: z.boolean().optional(),
+      token: z.string().optional(),
+    })
+    .optional(),
+});
+
+export type TRageConfig = z.infer<typeof rageSchema>;
+
+/** GitLab project browsed by the document panel */
+export const documentsGitLabSchema = z.object({
+  /** GitLab instance, e.g. `https://gitlab.com` */
+  url: z.string().optional(),
+  /** Project ID or path, e.g. `group/handbook` */
+  project: z.union([z.string(), z.number()]),
+  /** Branch, tag or commit; the default branch when omitted */
+  ref: z.string().optional(),
+  /** Folder of the repository shown as the root */
+  path: z.string().optional(),
+  /** Access token, usually `${GITLAB_TOKEN}` */
+  token: z.string().optional(),
+});
+
+/** Document browser side panel, listing a local folder or a GitLab repository */
+export const documentsSchema = z.object({
+  enabled: z.boolean().optional(),
+  /** Source used unless the user picked another one */
+  source: z.enum(['local', 'gitlab']).optional(),
+  local: z
+    .object({
+      /** Folder shown as the root; users may only browse below it */
+      path: z.string(),
+    })
+    .optional(),
+  gitlab: documentsGitLabSchema.optional(),
+  /** File extensions listed, e.g. `['.md', '.mmd']` */
+  extensions: z.array(z.string()).optional(),
+  /** Largest file that can be opened, in bytes */
+  maxFileSize: z.number().optional(),
+  /** Seconds GitLab listings and files are cached */
+  cacheTtl: z.number().optional(),
+  /** Characters of the documents mentioned in a message that are sent to the model */
+  maxContextLength: z.number().int().positive().optional(),
+  /** Let users browse another folder or GitLab project */
+  userOverrides: z.boolean().optional(),
+});
+
+export type TDocumentsConfig = z.infer<typeof documentsSchema>;
+
 export const configSchema = z.object({
   version: z.string(),
   cache: z.boolean().default(true),
   ocr: ocrSchema.optional(),
   webSearch: webSearchSchema.optional(),
   memory: memorySchema.optional(),
+  rage: rageSchema.optional(),
+  documents: documentsSchema.optional(),
   secureImageLinks: z.boolean().optional(),
   imageOutputType: z.nativeEnum(EImageOutputType).default(EImageOutputType.PNG),
   includedTools: z.array(z.string()).optional(),
@@ -1228,6 +1496,18 @@ export enum CacheKeys {
    * Key for SAML session.
    */
   SAML_SESSION = 'SAML_SESSION',
+  /**
+   * Key for cached RAGE retrieval results.
+   */
+  RAGE_RESULTS = 'RAGE_RESULTS',
+  /**
+   * Key prefix for RAGE circuit breaker and rate-limit state shared across instances.
+   */
+  RAGE_RESILIENCE = 'RAGE_RESILIENCE',
+  /**
+   * Key for cached document browser listings and files.
+   */
+  DOCUMENTS = 'DOCUMENTS',
 }
 
 /**
@@ -1552,6 +1832,8 @@ export enum LocalStorageKeys {
   LAST_AGENT_PROVIDER = 'lastAgentProvider',
   /** Key for the last selected agent model */
   LAST_AGENT_MODEL = 'lastAgentModel',
+  /** Key for the last selected RAGE workspace */
+  LAST_WORKSPACE = 'lastSelectedWorkspace',
   /** Pin state for MCP tools per conversation ID */
   PIN_MCP_ = 'PIN_MCP_',
   /** Pin state for Web Search per conversation ID */
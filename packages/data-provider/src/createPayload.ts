@@ -36,6 +36,9 @@ export default function createPayload(submission: t.TSubmission) {
     isRegenerate,
     editedContent,
     conversationId,
+    workspace_id: conversation.workspace_id ?? null,
+    rage_mode: conversation.rage_mode,
+    rage_language: conversation.rage_language,
     isContinued: !!(isEdited && isContinued),
     ephemeralAgent: s.isAssistantsEndpoint(endpoint) ? undefined : ephemeralAgent,
   };
@@ -6,6 +6,20 @@ import * as ag from './types/agents';
 import * as m from './types/mutations';
 import * as q from './types/queries';
 import * as f from './types/files';
+import type {
+  TRageWorkspace,
+  TRageAuditParams,
+  TRageAuditResponse,
+  TRageAuditExportParams,
+  TRageSourceReportParams,
+  TRageSourceReportResponse,
+} from './types/rage';
+import type {
+  TDocumentListing,
+  TDocumentContent,
+  TDocumentSettings,
+  TDocumentSourceOverride,
+} from './types/documents';
 import * as config from './config';
 import request from './request';
 import * as s from './schemas';
@@ -852,6 +866,50 @@ export const updateMemoryPreferences = (preferences: {
   return request.patch(endpoints.memoryPreferences(), preferences);
 };
 
+/* RAGE Workspaces */
+export const getWorkspaces = (): Promise<TRageWorkspace[]> => {
+  return request.get(endpoints.workspaces());
+};
+
+/* RAGE Audit */
+export const getRageAudit = (params: TRageAuditParams): Promise<TRageAuditResponse> => {
+  return request.get(endpoints.rageAudit(params));
+};
+
+export const exportRageAudit = (params: TRageAuditExportParams): Promise<AxiosResponse> => {
+  return request.getResponse(endpoints.rageAuditExport(params), {
+    responseType: 'blob',
+  });
+};
+
+/* RAGE Source Report */
+export const getRageSourceReport = (
+  params: TRageSourceReportParams,
+): Promise<TRageSourceReportResponse> => {
+  return request.get(endpoints.rageSourceReport(params));
+};
+
+/* Document Browser */
+export const getDocuments = (path?: string): Promise<TDocumentListing> => {
+  return request.get(endpoints.documents(path));
+};
+
+export const getDocumentContent = (path: string): Promise<TDocumentContent> => {
+  return request.get(endpoints.documentContent(path));
+};
+
+export const getDocumentSettings = (): Promise<TDocumentSettings> => {
+  return request.get(endpoints.documentSettings());
+};
+
+export const updateDocumentSettings = (
+  override: TDocumentSourceOverride | null,
+): Promise<TDocumentSettings> => {
+  return override == null
+    ? request.delete(endpoints.documentSettings())
+    : request.put(endpoints.documentSettings(), override);
+};
+
 export const createMemory = (data: {
   key: string;
   value: string;
@@ -26,6 +26,8 @@ export * from './types/files';
 export * from './types/mutations';
 export * from './types/queries';
 export * from './types/runs';
+export * from './types/rage';
+export * from './types/documents';
 export * from './types/web';
 /* query/mutation keys */
 export * from './keys';
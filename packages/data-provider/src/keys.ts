@@ -50,6 +50,16 @@ export enum QueryKeys {
   banner = 'banner',
   /* Memories */
   memories = 'memories',
+  /* RAGE Workspaces */
+  workspaces = 'workspaces',
+  /* RAGE Audit */
+  rageAudit = 'rageAudit',
+  /* RAGE Source Report */
+  rageSourceReport = 'rageSourceReport',
+  /* Document Browser */
+  documents = 'documents',
+  documentContent = 'documentContent',
+  documentSettings = 'documentSettings',
 }
 
 // Dynamic query keys that require parameters
@@ -80,4 +90,5 @@ export enum MutationKeys {
   enableTwoFactor = 'enableTwoFactor',
   verifyTwoFactor = 'verifyTwoFactor',
   updateMemoryPreferences = 'updateMemoryPreferences',
+  updateDocumentSettings = 'updateDocumentSettings',
 }
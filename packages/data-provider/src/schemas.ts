@@ -3,6 +3,13 @@ import { Tools } from './types/assistants';
 import type { TMessageContentParts, FunctionTool, FunctionToolCall } from './types/assistants';
 import { TFeedback, feedbackSchema } from './feedback';
 import type { SearchResultData } from './types/web';
+import type {
+  TRageSource,
+  TRageSnapshot,
+  TRageSearchResult,
+  TRageSearchProgress,
+} from './types/rage';
+import type { TMessageDocument } from './types/documents';
 import type { TFile } from './types/files';
 
 export const isUUID = z.string().uuid();
@@ -111,6 +118,37 @@ export enum ImageDetail {
   high = 'high',
 }
 
+/** How strictly responses are grounded in the RAGE knowledge base */
+export enum RageAnswerMode {
+  /** Answers only from retrieved context, refusing when nothing relevant is found */
+  strict = 'strict',
+  /** Uses retrieved context when relevant, alongside general knowledge */
+  expansive = 'expansive',
+}
+
+/** When an agent retrieves RAGE knowledge base context */
+export enum RageRetrievalMode {
+  /** Injects retrieved context into every turn */
+  always = 'always',
+  /** Lets the agent search the knowledge base on demand with the `knowledge_base_search` tool */
+  tool = 'tool',
+  /** Never retrieves knowledge base context */
+  off = 'off',
+}
+
+/** Progress of the RAGE knowledge base search that runs before a response */
+export enum RageSearchStatus {
+  searching = 'searching',
+  /** Relevant documents were added to the context */
+  found = 'found',
+  no_results = 'no_results',
+  /** Documents were found but none were relevant enough or fit the context window */
+  filtered_out = 'filtered_out',
+  /** The search was skipped because the knowledge base is failing */
+  circuit_open = 'circuit_open',
+  failed = 'failed',
+}
+
 export enum ReasoningEffort {
   none = '',
   low = 'low',
@@ -170,6 +208,7 @@ export const defaultAgentFormValues = {
   artifacts: '',
   isCollaborative: false,
   recursion_limit: undefined,
+  rage_retrieval: RageRetrievalMode.always,
   [Tools.execute_code]: false,
   [Tools.file_search]: false,
   [Tools.web_search]: false,
@@ -501,6 +540,10 @@ export const tMessageSchema = z.object({
   parentMessageId: z.string().nullable(),
   responseMessageId: z.string().nullable().optional(),
   overrideParentMessageId: z.string().nullable().optional(),
+  /** User message whose RAGE snapshot is reused, e.g. the original of an edited message */
+  rageSnapshotMessageId: z.string().nullable().optional(),
+  /** Retrieves RAGE context again instead of reusing the turn's snapshot */
+  rageRefresh: z.boolean().optional(),
   bg: z.string().nullable().optional(),
   model: z.string().nullable().optional(),
   title: z.string().nullable().or(z.literal('New Chat')).default('New Chat'),
@@ -543,6 +586,7 @@ export type TAttachmentMetadata = {
   toolCallId: string;
   [Tools.web_search]?: SearchResultData;
   [Tools.memory]?: MemoryArtifact;
+  [Tools.knowledge_base_search]?: TRageSearchResult;
 };
 
 export type TAttachment =
@@ -562,6 +606,13 @@ export type TMessage = z.input<typeof tMessageSchema> & {
   attachments?: TAttachment[];
   clientTimestamp?: string;
   feedback?: TFeedback;
+  rageSources?: TRageSource[];
+  /** Final RAGE retrieval status of the turn, shown as the "Searched knowledge base" step */
+  rageSearch?: TRageSearchProgress;
+  /** RAGE context injected for this user message */
+  rageSnapshot?: TRageSnapshot;
+  /** Documents mentioned with `@`, whose contents were sent as context */
+  documents?: TMessageDocument[];
 };
 
 export const coerceNumber = z.union([z.number(), z.string()]).transform((val) => {
@@ -660,6 +711,11 @@ export const tConversationSchema = z.object({
   greeting: z.string().optional(),
   spec: z.string().nullable().optional(),
   iconURL: z.string().nullable().optional(),
+  /* RAGE knowledge base workspace */
+  workspace_id: z.string().nullable().optional(),
+  rage_mode: z.nativeEnum(RageAnswerMode).optional(),
+  /* language of the knowledge base context, e.g. `pt-BR` */
+  rage_language: z.string().optional(),
   /* temporary chat */
   expiredAt: z.string().nullable().optional(),
   /** @deprecated */
@@ -8,6 +8,7 @@ import type {
   EModelEndpoint,
   TConversationTag,
   TAttachment,
+  RageAnswerMode,
 } from './schemas';
 import type { SettingDefinition } from './generate';
 import type { TMinimalFeedback } from './feedback';
@@ -107,6 +108,12 @@ export type TPayload = Partial<TMessage> &
     messages?: TMessages;
     isTemporary: boolean;
     ephemeralAgent?: TEphemeralAgent | null;
+    /** RAGE workspace used for knowledge base enrichment */
+    workspace_id?: string | null;
+    /** Knowledge base grounding mode */
+    rage_mode?: RageAnswerMode;
+    /** Language of the knowledge base context templates, e.g. `pt-BR` */
+    rage_language?: string;
     editedContent?: {
       index: number;
       text: string;
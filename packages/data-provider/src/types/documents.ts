@@ -0,0 +1,64 @@
+/** Backend a document browser lists files from */
+export type TDocumentSourceType = 'local' | 'gitlab';
+
+/** A file or folder of the document browser; paths are relative to the configured root */
+export type TDocumentEntry = {
+  name: string;
+  path: string;
+  type: 'file' | 'directory';
+  /** Size in bytes (local files only) */
+  size?: number;
+};
+
+/** Contents of a folder of the document browser */
+export type TDocumentListing = {
+  source: TDocumentSourceType;
+  /** Folder listed, relative to the root; empty for the root */
+  path: string;
+  entries: TDocumentEntry[];
+};
+
+/** A document opened from the document browser */
+export type TDocumentContent = {
+  source: TDocumentSourceType;
+  name: string;
+  path: string;
+  content: string;
+  size: number;
+};
+
+/** A document mentioned with `@` in a message, sent to the model as context */
+export type TMessageDocument = {
+  path: string;
+  name: string;
+  source?: TDocumentSourceType;
+  /** Whether only the passages most relevant to the message were sent */
+  excerpt?: boolean;
+};
+
+/** Settings a user may change to browse another folder or GitLab project */
+export type TDocumentSourceOverride = {
+  source?: TDocumentSourceType;
+  /** Folder shown as the root, within the configured folder; of the repository for the user's own GitLab project */
+  path?: string;
+  /** GitLab project ID or path, e.g. `group/handbook` */
+  project?: string;
+  /** GitLab branch, tag or commit */
+  ref?: string;
+  /** Personal GitLab access token; only sent when it changes */
+  token?: string;
+};
+
+/** Document browser settings of the current user */
+export type TDocumentSettings = {
+  /** Sources configured by the administrator */
+  sources: TDocumentSourceType[];
+  /** Source and root folder in use */
+  source: TDocumentSourceType;
+  path: string;
+  project?: string;
+  ref?: string;
+  userOverrides: boolean;
+  /** The user's own settings, if any */
+  override?: Omit<TDocumentSourceOverride, 'token'> & { hasToken: boolean };
+};
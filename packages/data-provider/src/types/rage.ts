@@ -0,0 +1,161 @@
+import type { RageSearchStatus } from '../schemas';
+
+/** A knowledge-base document that was injected as RAGE context for a response */
+export type TRageSource = {
+  /** 1-based position of the document in the injected context */
+  index: number;
+  id: string;
+  source: string;
+  title?: string;
+  url?: string;
+  page?: number | string;
+  section?: string;
+  /** Final relevance score (0-1) after RAGE scoring boosts */
+  score: number;
+  similarity?: number;
+  relevancy?: number;
+  /** Sub-queries of a decomposed question that retrieved the document */
+  subQueries?: string[];
+  /** Positions of the chunks merged into the excerpt, in document order */
+  chunkIndexes?: number[];
+  /** Preview of the retrieved chunk */
+  snippet: string;
+};
+
+/** A progress update of the RAGE knowledge base search */
+export type TRageSearchProgress = {
+  status: RageSearchStatus;
+  /** Search query, after inline filters were removed and follow-ups condensed */
+  query?: string;
+  documentsRetrieved?: number;
+  documentsIncluded?: number;
+  /** The context was reused from the turn's snapshot instead of searched again */
+  reused?: boolean;
+};
+
+/**
+ * The RAGE context injected for a user message, stored on the message so that
+ * regenerations, edits and forks of the turn answer from the same documents
+ */
+export type TRageSnapshot = {
+  /** Formatted context exactly as it was added to the system prompt */
+  context: string;
+  sources: TRageSource[];
+  /** Final status of the search that produced the snapshot */
+  search?: TRageSearchProgress;
+  workspaceId?: string;
+  answerMode?: string;
+  createdAt: string;
+};
+
+/** The `rage` SSE event, keyed by the user message that triggered the search */
+export type TRageSearchEvent = TRageSearchProgress & {
+  conversationId?: string;
+  /** ID of the user message; the response is its child */
+  messageId: string;
+};
+
+/** Artifact of a `knowledge_base_search` agent tool call */
+export type TRageSearchResult = {
+  /** Query sent by the agent */
+  query: string;
+  /** Documents returned to the agent, in citation order */
+  sources: TRageSource[];
+};
+
+/** A RAGE workspace (department knowledge base) the user can select for a conversation */
+export type TRageWorkspace = {
+  _id: string;
+  name: string;
+  description?: string;
+};
+
+/** A document shown to the model, as recorded in the RAGE audit trail */
+export type TRageAuditSource = {
+  id: string;
+  source?: string;
+  score?: number;
+};
+
+/** A stored RAGE audit event */
+export type TRageAuditEvent = {
+  _id: string;
+  /** Audit event name, e.g. `context_enrichment` */
+  event: string;
+  /** ID of the user the context was retrieved for */
+  user: string;
+  conversationId?: string;
+  /** User message the context was retrieved for */
+  messageId?: string;
+  workspaceId?: string;
+  /** Query sent to the retrieval provider */
+  query?: string;
+  sources: TRageAuditSource[];
+  correlationId?: string;
+  answerMode?: string;
+  documentsRetrieved?: number;
+  documentsIncluded?: number;
+  expiresAt?: string;
+  createdAt: string;
+};
+
+/** Search criteria for RAGE audit events; every field narrows the results */
+export type TRageAuditFilters = {
+  /** User ID or email */
+  user?: string;
+  conversationId?: string;
+  messageId?: string;
+  /** Chunk ID or source name */
+  sourceId?: string;
+  /** Case-insensitive substring of the query */
+  query?: string;
+  event?: string;
+  /** Earliest date (YYYY-MM-DD, inclusive) */
+  from?: string;
+  /** Latest date (YYYY-MM-DD, inclusive) */
+  to?: string;
+};
+
+export type TRageAuditParams = TRageAuditFilters & {
+  /** 1-based page */
+  page?: number;
+  pageSize?: number;
+};
+
+export type TRageAuditResponse = {
+  events: TRageAuditEvent[];
+  total: number;
+  page: number;
+  pageSize: number;
+  /** Names and emails of the users in `events`, by user ID */
+  users: Record<string, { name?: string; email?: string }>;
+};
+
+export type TRageAuditExportFormat = 'csv' | 'json';
+
+export type TRageAuditExportParams = TRageAuditFilters & {
+  format?: TRageAuditExportFormat;
+};
+
+/** Thumbs-up/down statistics of a knowledge base source, from the responses that cited it */
+export type TRageSourceReportEntry = {
+  source: string;
+  positive: number;
+  negative: number;
+  total: number;
+  /** Share of negative ratings, between 0 and 1 */
+  negativeRate: number;
+  /** Negative and positive feedback reasons, by tag key */
+  reasons?: Record<string, number>;
+  lastFeedbackAt?: string;
+};
+
+export type TRageSourceReportParams = {
+  limit?: number;
+  /** Sources with fewer ratings are left out */
+  minFeedback?: number;
+};
+
+export type TRageSourceReportResponse = {
+  sources: TRageSourceReportEntry[];
+};
@@ -6,6 +6,12 @@ import { createRoleMethods, type RoleMethods } from './role';
 import { createMemoryMethods, type MemoryMethods } from './memory';
 import { createShareMethods, type ShareMethods } from './share';
 import { createPluginAuthMethods, type PluginAuthMethods } from './pluginAuth';
+/* RAGE Workspaces */
+import { createWorkspaceMethods, type WorkspaceMethods } from './workspace';
+/* RAGE Audit */
+import { createRageAuditMethods, type RageAuditMethods } from './rageAudit';
+/* RAGE Source Feedback */
+import { createRageSourceStatsMethods, type RageSourceStatsMethods } from './rageSourceStats';
 
 /**
  * Creates all database methods for all collections
@@ -19,14 +25,28 @@ export function createMethods(mongoose: typeof import('mongoose')) {
     ...createMemoryMethods(mongoose),
     ...createShareMethods(mongoose),
     ...createPluginAuthMethods(mongoose),
+    ...createWorkspaceMethods(mongoose),
+    ...createRageAuditMethods(mongoose),
+    ...createRageSourceStatsMethods(mongoose),
   };
 }
 
-export type { MemoryMethods, ShareMethods, TokenMethods, PluginAuthMethods };
+export type {
+  MemoryMethods,
+  ShareMethods,
+  TokenMethods,
+  PluginAuthMethods,
+  WorkspaceMethods,
+  RageAuditMethods,
+  RageSourceStatsMethods,
+};
 export type AllMethods = UserMethods &
   SessionMethods &
   TokenMethods &
   RoleMethods &
   MemoryMethods &
   ShareMethods &
-  PluginAuthMethods;
+  PluginAuthMethods &
+  WorkspaceMethods &
+  RageAuditMethods &
+  RageSourceStatsMethods;
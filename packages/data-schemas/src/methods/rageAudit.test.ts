@@ -0,0 +1,59 @@
+import { buildRageAuditFilter, getRageAuditExpiry } from './rageAudit';
+
+describe('getRageAuditExpiry', () => {
+  const now = new Date('2026-01-01T00:00:00.000Z');
+
+  it('expires events after the retention period', () => {
+    expect(getRageAuditExpiry(30, now)).toEqual(new Date('2026-01-31T00:00:00.000Z'));
+  });
+
+  it('defaults to 90 days', () => {
+    expect(getRageAuditExpiry(undefined, now)).toEqual(new Date('2026-04-01T00:00:00.000Z'));
+  });
+
+  it('keeps events forever when retention is disabled', () => {
+    expect(getRageAuditExpiry(0, now)).toBeUndefined();
+    expect(getRageAuditExpiry(Number.NaN, now)).toBeUndefined();
+  });
+});
+
+describe('buildRageAuditFilter', () => {
+  it('returns an empty filter without criteria', () => {
+    expect(buildRageAuditFilter()).toEqual({});
+    expect(buildRageAuditFilter({ user: '  ', query: '' })).toEqual({});
+  });
+
+  it('matches exact ids and sources by id or name', () => {
+    expect(
+      buildRageAuditFilter({
+        user: 'u1',
+        conversationId: 'c1',
+        messageId: 'm1',
+        sourceId: 'doc-1',
+      }),
+    ).toEqual({
+      user: 'u1',
+      conversationId: 'c1',
+      messageId: 'm1',
+      $or: [{ 'sources.id': 'doc-1' }, { 'sources.source': 'doc-1' }],
+    });
+  });
+
+  it('escapes the query substring', () => {
+    expect(buildRageAuditFilter({ query: 'cost (USD)?' }).query).toEqual({
+      $regex: 'cost \\(USD\\)\\?',
+      $options: 'i',
+    });
+  });
+
+  it('includes the whole end day for date-only ranges', () => {
+    expect(buildRageAuditFilter({ from: '2026-03-01', to: '2026-03-02' }).createdAt).toEqual({
+      $gte: new Date('2026-03-01T00:00:00.000Z'),
+      $lte: new Date('2026-03-02T23:59:59.999Z'),
+    });
+  });
+
+  it('ignores invalid dates', () => {
+    expect(buildRageAuditFilter({ from: 'not a date' })).toEqual({});
+  });
+});
@@ -0,0 +1,138 @@
+import type { FilterQuery } from 'mongoose';
+import type * as t from '~/types';
+
+/** Default number of days audit events are kept */
+export const DEFAULT_RAGE_AUDIT_RETENTION_DAYS = 90;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toDate(value: Date | string | undefined): Date | undefined {
+  if (value == null || value === '') {
+    return undefined;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Computes when an audit event expires.
+ * Retention is applied when the event is written, so changing it only affects new events.
+ */
+export function getRageAuditExpiry(
+  retentionDays: number | undefined,
+  now: Date = new Date(),
+): Date | undefined {
+  const days = retentionDays ?? DEFAULT_RAGE_AUDIT_RETENTION_DAYS;
+  if (!Number.isFinite(days) || days <= 0) {
+    return undefined;
+  }
+  return new Date(now.getTime() + days * DAY_MS);
+}
+
+/**
+ * Builds the query for audit event search criteria.
+ * A `to` date without a time includes the whole day.
+ */
+export function buildRageAuditFilter(
+  params: t.RageAuditSearchParams = {},
+): FilterQuery<t.IRageAuditEvent> {
+  const filter: FilterQuery<t.IRageAuditEvent> = {};
+
+  for (const key of ['user', 'conversationId', 'messageId', 'event'] as const) {
+    const value = params[key]?.trim();
+    if (value) {
+      filter[key] = value;
+    }
+  }
+
+  const sourceId = params.sourceId?.trim();
+  if (sourceId) {
+    filter.$or = [{ 'sources.id': sourceId }, { 'sources.source': sourceId }];
+  }
+
+  const query = params.query?.trim();
+  if (query) {
+    filter.query = { $regex: escapeRegExp(query), $options: 'i' };
+  }
+
+  const from = toDate(params.from);
+  const to = toDate(params.to);
+  if (to && typeof params.to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(params.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+  if (from || to) {
+    filter.createdAt = {
+      ...(from ? { $gte: from } : {}),
+      ...(to ? { $lte: to } : {}),
+    };
+  }
+
+  return filter;
+}
+
+// Factory function that takes mongoose instance and returns the methods
+export function createRageAuditMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Stores an audit event, expiring it after the retention period
+   */
+  async function createRageAuditEvent(
+    data: t.CreateRageAuditEventParams,
+    options: { retentionDays?: number } = {},
+  ): Promise<t.IRageAuditEventLean> {
+    const RageAuditEvent = mongoose.models.RageAuditEvent;
+    const event = await RageAuditEvent.create({
+      ...data,
+      expiresAt: getRageAuditExpiry(options.retentionDays),
+    });
+    return event.toObject() as t.IRageAuditEventLean;
+  }
+
+  /**
+   * Searches audit events, newest first
+   */
+  async function searchRageAuditEvents(
+    params: t.RageAuditSearchParams = {},
+    options: t.RageAuditSearchOptions = {},
+  ): Promise<t.RageAuditSearchResult> {
+    const RageAuditEvent = mongoose.models.RageAuditEvent;
+    const filter = buildRageAuditFilter(params);
+    const pageSize = Math.min(Math.max(options.pageSize ?? DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(options.page ?? 1, 1);
+
+    const [events, total] = await Promise.all([
+      RageAuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      RageAuditEvent.countDocuments(filter),
+    ]);
+
+    return { events: events as t.IRageAuditEventLean[], total, page, pageSize };
+  }
+
+  /**
+   * Returns a cursor over the matching audit events, newest first, for exports
+   */
+  function streamRageAuditEvents(params: t.RageAuditSearchParams = {}, limit?: number) {
+    const RageAuditEvent = mongoose.models.RageAuditEvent;
+    const query = RageAuditEvent.find(buildRageAuditFilter(params)).sort({ createdAt: -1 });
+    if (limit) {
+      query.limit(limit);
+    }
+    return query.lean().cursor();
+  }
+
+  return {
+    createRageAuditEvent,
+    searchRageAuditEvents,
+    streamRageAuditEvents,
+  };
+}
+
+export type RageAuditMethods = ReturnType<typeof createRageAuditMethods>;
@@ -0,0 +1,39 @@
+import { getRageFeedbackDelta } from './rageSourceStats';
+
+describe('getRageFeedbackDelta', () => {
+  it('counts a new rating and its reason', () => {
+    expect(getRageFeedbackDelta(undefined, { rating: 'thumbsDown', tag: 'inaccurate' })).toEqual({
+      negative: 1,
+      'reasons.inaccurate': 1,
+    });
+  });
+
+  it('moves the count when a rating is changed', () => {
+    expect(
+      getRageFeedbackDelta(
+        { rating: 'thumbsUp', tag: 'accurate_reliable' },
+        { rating: 'thumbsDown', tag: 'inaccurate' },
+      ),
+    ).toEqual({
+      positive: -1,
+      negative: 1,
+      'reasons.accurate_reliable': -1,
+      'reasons.inaccurate': 1,
+    });
+  });
+
+  it('removes the count when feedback is cleared', () => {
+    expect(getRageFeedbackDelta({ rating: 'thumbsUp' }, null)).toEqual({ positive: -1 });
+  });
+
+  it('changes nothing when the same rating is sent again', () => {
+    const feedback = { rating: 'thumbsDown', tag: 'not_helpful' } as const;
+    expect(getRageFeedbackDelta(feedback, { ...feedback })).toEqual({});
+  });
+
+  it('ignores reasons that are not tag keys', () => {
+    expect(getRageFeedbackDelta(undefined, { rating: 'thumbsDown', tag: '$set.x' })).toEqual({
+      negative: 1,
+    });
+  });
+});
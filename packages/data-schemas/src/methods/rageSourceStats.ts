@@ -0,0 +1,132 @@
+import type * as t from '~/types';
+
+const DEFAULT_REPORT_LIMIT = 20;
+const MAX_REPORT_LIMIT = 100;
+const DEFAULT_MIN_FEEDBACK = 3;
+
+/** Counters changed by a rating change: `positive`, `negative` and `reasons.<tag>` */
+export type RageFeedbackDelta = Record<string, number>;
+
+function addRating(
+  delta: RageFeedbackDelta,
+  feedback: t.RageFeedback | null | undefined,
+  step: number,
+) {
+  if (feedback?.rating !== 'thumbsUp' && feedback?.rating !== 'thumbsDown') {
+    return;
+  }
+
+  const counter = feedback.rating === 'thumbsUp' ? 'positive' : 'negative';
+  delta[counter] = (delta[counter] ?? 0) + step;
+
+  if (typeof feedback.tag === 'string' && /^[\w-]+$/.test(feedback.tag)) {
+    const reason = `reasons.${feedback.tag}`;
+    delta[reason] = (delta[reason] ?? 0) + step;
+  }
+}
+
+/**
+ * Computes how the counters of the cited sources change when a response is rated again.
+ * Rating, changing and removing feedback move the counters, so each response counts once.
+ */
+export function getRageFeedbackDelta(
+  previous: t.RageFeedback | null | undefined,
+  current: t.RageFeedback | null | undefined,
+): RageFeedbackDelta {
+  const delta: RageFeedbackDelta = {};
+  addRating(delta, previous, -1);
+  addRating(delta, current, 1);
+
+  for (const [key, value] of Object.entries(delta)) {
+    if (value === 0) {
+      delete delta[key];
+    }
+  }
+  return delta;
+}
+
+// Factory function that takes mongoose instance and returns the methods
+export function createRageSourceStatsMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Updates the quality statistics of the sources cited by a rated response
+   * @returns Number of sources updated
+   */
+  async function recordRageSourceFeedback({
+    sources,
+    previous,
+    current,
+  }: t.RecordRageSourceFeedbackParams): Promise<number> {
+    const delta = getRageFeedbackDelta(previous, current);
+    const names = [...new Set(sources.filter((source) => typeof source === 'string' && source))];
+    if (names.length === 0 || Object.keys(delta).length === 0) {
+      return 0;
+    }
+
+    const RageSourceStats = mongoose.models.RageSourceStats;
+    await RageSourceStats.bulkWrite(
+      names.map((source) => ({
+        updateOne: {
+          filter: { source },
+          update: { $inc: delta, $set: { lastFeedbackAt: new Date() } },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    );
+    return names.length;
+  }
+
+  /**
+   * Returns the quality statistics of the given sources; sources without feedback are omitted
+   */
+  async function getRageSourceStats(sources: string[]): Promise<t.IRageSourceStatsLean[]> {
+    if (sources.length === 0) {
+      return [];
+    }
+
+    const RageSourceStats = mongoose.models.RageSourceStats;
+    return (await RageSourceStats.find({ source: { $in: sources } })
+      .select('source positive negative')
+      .lean()) as t.IRageSourceStatsLean[];
+  }
+
+  /**
+   * Lists the sources that most often lead to bad answers, by share of negative ratings
+   */
+  async function getWorstRageSources(
+    options: t.RageSourceReportOptions = {},
+  ): Promise<t.RageSourceReportEntry[]> {
+    const RageSourceStats = mongoose.models.RageSourceStats;
+    const limit = Math.min(Math.max(options.limit ?? DEFAULT_REPORT_LIMIT, 1), MAX_REPORT_LIMIT);
+    const minFeedback = Math.max(options.minFeedback ?? DEFAULT_MIN_FEEDBACK, 1);
+
+    return RageSourceStats.aggregate<t.RageSourceReportEntry>([
+      { $match: { negative: { $gt: 0 } } },
+      { $addFields: { total: { $add: ['$positive', '$negative'] } } },
+      { $match: { total: { $gte: minFeedback } } },
+      { $addFields: { negativeRate: { $divide: ['$negative', '$total'] } } },
+      { $sort: { negativeRate: -1, negative: -1, source: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          source: 1,
+          positive: 1,
+          negative: 1,
+          total: 1,
+          negativeRate: 1,
+          reasons: 1,
+          lastFeedbackAt: 1,
+        },
+      },
+    ]);
+  }
+
+  return {
+    recordRageSourceFeedback,
+    getRageSourceStats,
+    getWorstRageSources,
+  };
+}
+
+export type RageSourceStatsMethods = ReturnType<typeof createRageSourceStatsMethods>;
@@ -78,6 +78,8 @@ function anonymizeMessages(messages: t.IMessage[], newConvoId: string): t.IMessa
         ? anonymizeAssistantId(message.model)
         : message.model,
       attachments: anonymizedAttachments,
+      /** The raw knowledge base context is not shared; its sources still are */
+      rageSnapshot: undefined,
     } as t.IMessage;
   });
 }
@@ -0,0 +1,40 @@
+import { SystemRoles } from 'librechat-data-provider';
+import { hasWorkspaceAccess } from './workspace';
+
+describe('hasWorkspaceAccess', () => {
+  const restricted = {
+    isActive: true,
+    access: { roles: ['FINANCE'], groups: ['legal', 'compliance'] },
+  };
+
+  it('denies missing or inactive workspaces', () => {
+    expect(hasWorkspaceAccess(null, { role: SystemRoles.ADMIN })).toBe(false);
+    expect(
+      hasWorkspaceAccess({ ...restricted, isActive: false }, { role: SystemRoles.ADMIN }),
+    ).toBe(false);
+  });
+
+  it('allows everyone when no roles or groups are set', () => {
+    const open = { isActive: true, access: { roles: [], groups: [] } };
+    expect(hasWorkspaceAccess(open, { role: SystemRoles.USER })).toBe(true);
+    expect(hasWorkspaceAccess(open)).toBe(true);
+  });
+
+  it('allows admins regardless of restrictions', () => {
+    expect(hasWorkspaceAccess(restricted, { role: SystemRoles.ADMIN })).toBe(true);
+  });
+
+  it('allows matching roles or groups', () => {
+    expect(hasWorkspaceAccess(restricted, { role: 'FINANCE' })).toBe(true);
+    expect(hasWorkspaceAccess(restricted, { role: SystemRoles.USER, groups: ['compliance'] })).toBe(
+      true,
+    );
+  });
+
+  it('denies users outside the allowed roles and groups', () => {
+    expect(hasWorkspaceAccess(restricted, { role: SystemRoles.USER, groups: ['sales'] })).toBe(
+      false,
+    );
+    expect(hasWorkspaceAccess(restricted, {})).toBe(false);
+  });
+});
@@ -0,0 +1,148 @@
+import { SystemRoles } from 'librechat-data-provider';
+import type { FilterQuery } from 'mongoose';
+import type * as t from '~/types';
+
+/**
+ * Checks whether a user may use a workspace.
+ * Admins may use every active workspace; a workspace without role or group
+ * restrictions is open to everyone.
+ */
+export function hasWorkspaceAccess(
+  workspace: Pick<t.IWorkspaceLean, 'access' | 'isActive'> | null | undefined,
+  subject: t.WorkspaceAccessSubject = {},
+): boolean {
+  if (!workspace || workspace.isActive === false) {
+    return false;
+  }
+
+  if (subject.role === SystemRoles.ADMIN) {
+    return true;
+  }
+
+  const roles = workspace.access?.roles ?? [];
+  const groups = workspace.access?.groups ?? [];
+  if (roles.length === 0 && groups.length === 0) {
+    return true;
+  }
+
+  if (subject.role && roles.includes(subject.role)) {
+    return true;
+  }
+
+  return (subject.groups ?? []).some((group) => groups.includes(group));
+}
+
+// Factory function that takes mongoose instance and returns the methods
+export function createWorkspaceMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Creates a new workspace
+   */
+  async function createWorkspace(data: t.CreateWorkspaceParams): Promise<t.IWorkspaceLean> {
+    const Workspace = mongoose.models.Workspace;
+    const workspace = await Workspace.create(data);
+    /** Re-read so the encrypted API key is excluded from the result */
+    return (await Workspace.findById(workspace._id).lean()) as t.IWorkspaceLean;
+  }
+
+  /**
+   * Updates a workspace by ID. Nested pipeline and access fields are merged.
+   */
+  async function updateWorkspace(
+    workspaceId: string,
+    data: t.UpdateWorkspaceParams,
+  ): Promise<t.IWorkspaceLean | null> {
+    const Workspace = mongoose.models.Workspace;
+    const { pipeline, access, ...rest } = data;
+    const update: Record<string, unknown> = { ...rest };
+
+    for (const [key, value] of Object.entries(pipeline ?? {})) {
+      if (value !== undefined) {
+        update[`pipeline.${key}`] = value;
+      }
+    }
+
+    for (const [key, value] of Object.entries(access ?? {})) {
+      if (value !== undefined) {
+        update[`access.${key}`] = value;
+      }
+    }
+
+    return (await Workspace.findByIdAndUpdate(
+      workspaceId,
+      { $set: update },
+      { new: true, runValidators: true },
+    ).lean()) as t.IWorkspaceLean | null;
+  }
+
+  /**
+   * Deletes a workspace by ID
+   */
+  async function deleteWorkspace(workspaceId: string): Promise<{ deletedCount?: number }> {
+    const Workspace = mongoose.models.Workspace;
+    return await Workspace.deleteOne({ _id: workspaceId });
+  }
+
+  /**
+   * Gets a workspace by ID. The encrypted API key is only included when requested.
+   */
+  async function getWorkspaceById(
+    workspaceId: string,
+    options: { includeCredentials?: boolean } = {},
+  ): Promise<t.IWorkspaceLean | null> {
+    if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+      return null;
+    }
+
+    const Workspace = mongoose.models.Workspace;
+    const query = Workspace.findById(workspaceId);
+    if (options.includeCredentials === true) {
+      query.select('+pipeline.apiKey');
+    }
+    return (await query.lean()) as t.IWorkspaceLean | null;
+  }
+
+  /**
+   * Lists all workspaces (for administration), sorted by name
+   */
+  async function listWorkspaces(): Promise<t.IWorkspaceLean[]> {
+    const Workspace = mongoose.models.Workspace;
+    return (await Workspace.find({}).sort({ name: 1 }).lean()) as t.IWorkspaceLean[];
+  }
+
+  /**
+   * Lists the active workspaces a user may use, sorted by name
+   */
+  async function getAccessibleWorkspaces(
+    subject: t.WorkspaceAccessSubject = {},
+  ): Promise<t.IWorkspaceLean[]> {
+    const Workspace = mongoose.models.Workspace;
+    const filter: FilterQuery<t.IWorkspace> = { isActive: true };
+
+    if (subject.role !== SystemRoles.ADMIN) {
+      const conditions: FilterQuery<t.IWorkspace>[] = [
+        { 'access.roles': { $size: 0 }, 'access.groups': { $size: 0 } },
+      ];
+      if (subject.role) {
+        conditions.push({ 'access.roles': subject.role });
+      }
+      if (subject.groups?.length) {
+        conditions.push({ 'access.groups': { $in: subject.groups } });
+      }
+      filter.$or = conditions;
+    }
+
+    return (await Workspace.find(filter).sort({ name: 1 }).lean()) as t.IWorkspaceLean[];
+  }
+
+  return {
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    getWorkspaceById,
+    listWorkspaces,
+    getAccessibleWorkspaces,
+    hasWorkspaceAccess,
+  };
+}
+
+export type WorkspaceMethods = ReturnType<typeof createWorkspaceMethods>;
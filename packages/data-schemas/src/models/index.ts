@@ -21,6 +21,9 @@ import { createConversationTagModel } from './conversationTag';
 import { createSharedLinkModel } from './sharedLink';
 import { createToolCallModel } from './toolCall';
 import { createMemoryModel } from './memory';
+import { createWorkspaceModel } from './workspace';
+import { createRageAuditEventModel } from './rageAudit';
+import { createRageSourceStatsModel } from './rageSourceStats';
 
 /**
  * Creates all database models for all collections
@@ -50,5 +53,8 @@ export function createModels(mongoose: typeof import('mongoose')) {
     SharedLink: createSharedLinkModel(mongoose),
     ToolCall: createToolCallModel(mongoose),
     MemoryEntry: createMemoryModel(mongoose),
+    Workspace: createWorkspaceModel(mongoose),
+    RageAuditEvent: createRageAuditEventModel(mongoose),
+    RageSourceStats: createRageSourceStatsModel(mongoose),
   };
 }
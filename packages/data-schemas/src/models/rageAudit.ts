@@ -0,0 +1,12 @@
+import rageAuditEventSchema from '~/schema/rageAudit';
+import type { IRageAuditEvent } from '~/types';
+
+/**
+ * Creates or returns the RageAuditEvent model using the provided mongoose instance and schema
+ */
+export function createRageAuditEventModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.RageAuditEvent ||
+    mongoose.model<IRageAuditEvent>('RageAuditEvent', rageAuditEventSchema)
+  );
+}
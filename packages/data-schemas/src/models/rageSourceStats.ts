@@ -0,0 +1,12 @@
+import rageSourceStatsSchema from '~/schema/rageSourceStats';
+import type { IRageSourceStats } from '~/types';
+
+/**
+ * Creates or returns the RageSourceStats model using the provided mongoose instance and schema
+ */
+export function createRageSourceStatsModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.RageSourceStats ||
+    mongoose.model<IRageSourceStats>('RageSourceStats', rageSourceStatsSchema)
+  );
+}
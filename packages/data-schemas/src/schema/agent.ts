@@ -42,6 +42,10 @@ const agentSchema = new Schema<IAgent>(
     recursion_limit: {
       type: Number,
     },
+    rage_retrieval: {
+      type: String,
+      enum: ['always', 'tool', 'off'],
+    },
     tools: {
       type: [String],
       default: undefined,
@@ -28,6 +28,17 @@ const convoSchema: Schema<IConversation> = new Schema(
     agent_id: {
       type: String,
     },
+    workspace_id: {
+      type: String,
+      index: true,
+    },
+    rage_mode: {
+      type: String,
+      enum: ['strict', 'expansive'],
+    },
+    rage_language: {
+      type: String,
+    },
     tags: {
       type: [String],
       default: [],
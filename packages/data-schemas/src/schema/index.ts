@@ -22,3 +22,6 @@ export { default as toolCallSchema } from './toolCall';
 export { default as transactionSchema } from './transaction';
 export { default as userSchema } from './user';
 export { default as memorySchema } from './memory';
+export { default as workspaceSchema } from './workspace';
+export { default as rageAuditEventSchema } from './rageAudit';
+export { default as rageSourceStatsSchema } from './rageSourceStats';
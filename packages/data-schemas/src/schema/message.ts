@@ -132,6 +132,10 @@ const messageSchema: Schema<IMessage> = new Schema(
       type: String,
     },
     attachments: { type: [{ type: mongoose.Schema.Types.Mixed }], default: undefined },
+    rageSources: { type: [{ type: mongoose.Schema.Types.Mixed }], default: undefined },
+    rageSearch: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    rageSnapshot: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    documents: { type: [{ type: mongoose.Schema.Types.Mixed }], default: undefined },
     /*
     attachments: {
       type: [
@@ -0,0 +1,65 @@
+import { Schema } from 'mongoose';
+import type { IRageAuditEvent } from '~/types/rageAudit';
+
+const rageAuditEventSchema: Schema<IRageAuditEvent> = new Schema(
+  {
+    event: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: String,
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      index: true,
+    },
+    messageId: {
+      type: String,
+      index: true,
+    },
+    workspaceId: {
+      type: String,
+    },
+    query: {
+      type: String,
+    },
+    sources: {
+      type: [
+        new Schema(
+          {
+            id: { type: String, required: true },
+            source: { type: String },
+            score: { type: Number },
+          },
+          { _id: false },
+        ),
+      ],
+      default: [],
+    },
+    correlationId: {
+      type: String,
+    },
+    answerMode: {
+      type: String,
+    },
+    documentsRetrieved: {
+      type: Number,
+    },
+    documentsIncluded: {
+      type: Number,
+    },
+    expiresAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+rageAuditEventSchema.index({ user: 1, createdAt: -1 });
+rageAuditEventSchema.index({ 'sources.id': 1 });
+rageAuditEventSchema.index({ createdAt: -1 });
+rageAuditEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default rageAuditEventSchema;
@@ -0,0 +1,33 @@
+import { Schema } from 'mongoose';
+import type { IRageSourceStats } from '~/types/rageSourceStats';
+
+const rageSourceStatsSchema: Schema<IRageSourceStats> = new Schema(
+  {
+    source: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    positive: {
+      type: Number,
+      default: 0,
+    },
+    negative: {
+      type: Number,
+      default: 0,
+    },
+    reasons: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    lastFeedbackAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+rageSourceStatsSchema.index({ negative: -1 });
+
+export default rageSourceStatsSchema;
@@ -23,6 +23,19 @@ const BackupCodeSchema = new Schema(
   { _id: false },
 );
 
+// Document browser settings chosen by the user
+const DocumentSourceSchema = new Schema(
+  {
+    source: { type: String, enum: ['local', 'gitlab'] },
+    path: { type: String },
+    project: { type: String },
+    ref: { type: String },
+    // Encrypted personal GitLab token, only loaded by the document service
+    token: { type: String, select: false },
+  },
+  { _id: false },
+);
+
 const userSchema = new Schema<IUser>(
   {
     name: {
@@ -65,6 +78,10 @@ const userSchema = new Schema<IUser>(
       type: String,
       default: SystemRoles.USER,
     },
+    groups: {
+      type: [String],
+      default: undefined,
+    },
     googleId: {
       type: String,
       unique: true,
@@ -138,6 +155,10 @@ const userSchema = new Schema<IUser>(
       },
       default: {},
     },
+    documentSource: {
+      type: DocumentSourceSchema,
+      default: undefined,
+    },
   },
   { timestamps: true },
 );
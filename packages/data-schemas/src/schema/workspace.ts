@@ -0,0 +1,66 @@
+import { Schema } from 'mongoose';
+import type { IWorkspace } from '~/types/workspace';
+
+const workspaceSchema: Schema<IWorkspace> = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    pipeline: {
+      type: new Schema(
+        {
+          provider: {
+            type: String,
+            enum: ['vectorize', 'qdrant', 'rag_api'],
+            default: 'vectorize',
+          },
+          apiUrl: {
+            type: String,
+          },
+          organizationId: {
+            type: String,
+          },
+          pipelineId: {
+            type: String,
+            required: true,
+          },
+          apiKey: {
+            type: String,
+            select: false,
+          },
+        },
+        { _id: false },
+      ),
+      required: true,
+    },
+    access: {
+      roles: {
+        type: [String],
+        default: [],
+      },
+      groups: {
+        type: [String],
+        default: [],
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true },
+);
+
+export default workspaceSchema;
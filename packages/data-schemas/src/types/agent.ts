@@ -15,6 +15,7 @@ export interface IAgent extends Omit<Document, 'model'> {
   artifacts?: string;
   access_level?: number;
   recursion_limit?: number;
+  rage_retrieval?: 'always' | 'tool' | 'off';
   tools?: string[];
   tool_kwargs?: Array<unknown>;
   actions?: string[];
@@ -33,6 +33,9 @@ export interface IConversation extends Document {
   resendFiles?: boolean;
   imageDetail?: string;
   agent_id?: string;
+  workspace_id?: string;
+  rage_mode?: 'strict' | 'expansive';
+  rage_language?: string;
   assistant_id?: string;
   instructions?: string;
   stop?: string[];
@@ -17,3 +17,9 @@ export * from './share';
 export * from './pluginAuth';
 /* Memories */
 export * from './memory';
+/* RAGE Workspaces */
+export * from './workspace';
+/* RAGE Audit */
+export * from './rageAudit';
+/* RAGE Source Feedback */
+export * from './rageSourceStats';
@@ -1,5 +1,12 @@
 import type { Document } from 'mongoose';
-import type { TFeedbackRating, TFeedbackTag } from 'librechat-data-provider';
+import type {
+  TFeedbackTag,
+  TRageSource,
+  TRageSnapshot,
+  TFeedbackRating,
+  TMessageDocument,
+  TRageSearchProgress,
+} from 'librechat-data-provider';
 
 // @ts-ignore
 export interface IMessage extends Document {
@@ -38,6 +45,10 @@ export interface IMessage extends Document {
   thread_id?: string;
   iconURL?: string;
   attachments?: unknown[];
+  rageSources?: TRageSource[];
+  rageSearch?: TRageSearchProgress;
+  rageSnapshot?: TRageSnapshot;
+  documents?: TMessageDocument[];
   expiredAt?: Date;
   createdAt?: Date;
   updatedAt?: Date;
@@ -0,0 +1,88 @@
+import type { Document, Types } from 'mongoose';
+
+/** Document shown to the model, as cited in the response */
+export interface IRageAuditSource {
+  /** Chunk or document ID from the retrieval provider */
+  id: string;
+  /** Source document name */
+  source?: string;
+  /** Relevance score after re-ranking */
+  score?: number;
+}
+
+export interface IRageAuditEvent extends Document {
+  /** Audit event name, e.g. `context_enrichment` */
+  event: string;
+  /** ID of the user the context was retrieved for */
+  user: string;
+  conversationId?: string;
+  /** User message the context was retrieved for */
+  messageId?: string;
+  workspaceId?: string;
+  /** Query sent to the retrieval provider */
+  query?: string;
+  sources: IRageAuditSource[];
+  correlationId?: string;
+  answerMode?: string;
+  documentsRetrieved?: number;
+  documentsIncluded?: number;
+  /** Removed by the TTL index after this date */
+  expiresAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IRageAuditEventLean {
+  _id: Types.ObjectId;
+  event: string;
+  user: string;
+  conversationId?: string;
+  messageId?: string;
+  workspaceId?: string;
+  query?: string;
+  sources: IRageAuditSource[];
+  correlationId?: string;
+  answerMode?: string;
+  documentsRetrieved?: number;
+  documentsIncluded?: number;
+  expiresAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export type CreateRageAuditEventParams = Omit<
+  IRageAuditEventLean,
+  '_id' | '__v' | 'expiresAt' | 'createdAt' | 'updatedAt' | 'sources'
+> & {
+  sources?: IRageAuditSource[];
+};
+
+/** Search criteria for audit events; every field narrows the results */
+export interface RageAuditSearchParams {
+  user?: string;
+  conversationId?: string;
+  messageId?: string;
+  /** Matches events that showed this chunk ID or source name */
+  sourceId?: string;
+  /** Case-insensitive substring of the query */
+  query?: string;
+  event?: string;
+  /** Earliest event date (inclusive) */
+  from?: Date | string;
+  /** Latest event date (inclusive) */
+  to?: Date | string;
+}
+
+export interface RageAuditSearchOptions {
+  /** 1-based page */
+  page?: number;
+  pageSize?: number;
+}
+
+export interface RageAuditSearchResult {
+  events: IRageAuditEventLean[];
+  total: number;
+  page: number;
+  pageSize: number;
+}
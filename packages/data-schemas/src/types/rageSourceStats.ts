@@ -0,0 +1,62 @@
+import type { Document, Types } from 'mongoose';
+
+/** Rating given to a response, as stored on its message */
+export interface RageFeedback {
+  rating: 'thumbsUp' | 'thumbsDown';
+  /** Reason key, e.g. `inaccurate` */
+  tag?: string;
+}
+
+export interface IRageSourceStats extends Document {
+  /** Source document name, as cited in responses */
+  source: string;
+  /** Responses citing the source that were rated up */
+  positive: number;
+  /** Responses citing the source that were rated down */
+  negative: number;
+  /** Ratings per reason key */
+  reasons: Map<string, number>;
+  lastFeedbackAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IRageSourceStatsLean {
+  _id: Types.ObjectId;
+  source: string;
+  positive: number;
+  negative: number;
+  reasons?: Record<string, number>;
+  lastFeedbackAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+/** Feedback on a response that cited the given sources */
+export interface RecordRageSourceFeedbackParams {
+  sources: string[];
+  /** Rating the response had before, if any */
+  previous?: RageFeedback | null;
+  /** Rating the response has now; empty when it was removed */
+  current?: RageFeedback | null;
+}
+
+export interface RageSourceReportOptions {
+  /** Most sources returned */
+  limit?: number;
+  /** Fewest ratings a source needs to be reported */
+  minFeedback?: number;
+}
+
+/** Source in the report of sources that most often lead to bad answers */
+export interface RageSourceReportEntry {
+  source: string;
+  positive: number;
+  negative: number;
+  total: number;
+  /** Share of the ratings that were negative */
+  negativeRate: number;
+  reasons: Record<string, number>;
+  lastFeedbackAt?: Date;
+}
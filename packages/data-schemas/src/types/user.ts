@@ -9,6 +9,7 @@ export interface IUser extends Document {
   avatar?: string;
   provider: string;
   role?: string;
+  groups?: string[];
   googleId?: string;
   facebookId?: string;
   openidId?: string;
@@ -33,6 +34,13 @@ export interface IUser extends Document {
   personalization?: {
     memories?: boolean;
   };
+  documentSource?: {
+    source?: 'local' | 'gitlab';
+    path?: string;
+    project?: string;
+    ref?: string;
+    token?: string;
+  } | null;
   createdAt?: Date;
   updatedAt?: Date;
 }
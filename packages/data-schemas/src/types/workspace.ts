@@ -0,0 +1,62 @@
+import type { Document, Types } from 'mongoose';
+
+export interface IWorkspacePipeline {
+  /** Retrieval provider backing the workspace */
+  provider: 'vectorize' | 'qdrant' | 'rag_api';
+  /** API base URL; falls back to the provider URL configured for RAGE when unset */
+  apiUrl?: string;
+  /** Vectorize organization or RAG API entity ID */
+  organizationId?: string;
+  /** Vectorize pipeline, Qdrant collection or comma-separated RAG API file IDs */
+  pipelineId: string;
+  /** Encrypted API key; not selected by default */
+  apiKey?: string;
+}
+
+export interface IWorkspaceAccess {
+  /** Role names allowed to use the workspace */
+  roles: string[];
+  /** Group names allowed to use the workspace */
+  groups: string[];
+}
+
+export interface IWorkspace extends Document {
+  name: string;
+  description?: string;
+  pipeline: IWorkspacePipeline;
+  access: IWorkspaceAccess;
+  isActive: boolean;
+  author?: Types.ObjectId;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IWorkspaceLean {
+  _id: Types.ObjectId;
+  name: string;
+  description?: string;
+  pipeline: IWorkspacePipeline;
+  access: IWorkspaceAccess;
+  isActive: boolean;
+  author?: Types.ObjectId;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export interface CreateWorkspaceParams {
+  name: string;
+  description?: string;
+  pipeline: Partial<IWorkspacePipeline> & Pick<IWorkspacePipeline, 'pipelineId'>;
+  access?: Partial<IWorkspaceAccess>;
+  isActive?: boolean;
+  author?: string | Types.ObjectId;
+}
+
+export type UpdateWorkspaceParams = Partial<Omit<CreateWorkspaceParams, 'author'>>;
+
+/** Subject of a workspace access check */
+export interface WorkspaceAccessSubject {
+  role?: string;
+  groups?: string[];
+}
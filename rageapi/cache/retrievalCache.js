@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { CacheKeys } = require('librechat-data-provider');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+/**
+ * Retrieval Cache
+ *
+ * Caches vector database retrieval results in the shared LibreChat Keyv cache
+ * (Redis when USE_REDIS is set, in-memory otherwise), so repeated questions
+ * skip the round trip across users and instances.
+ */
+class RetrievalCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {boolean} [options.enabled] - Whether caching is enabled (RAGE_ENABLE_CACHING)
+   * @param {number} [options.ttl] - Entry time-to-live in seconds (RAGE_CACHE_TTL, 0 disables)
+   * @param {Object} [options.store] - Keyv-compatible store; defaults to the api cache namespace
+   */
+  constructor(options = {}) {
+    this.ttl = Number(options.ttl) || 0;
+    this.enabled = options.enabled !== false;
+    this.store = options.store || null;
+  }
+
+  /**
+   * Whether results should be read from and written to the cache
+   * @returns {boolean} Cache availability
+   */
+  isEnabled() {
+    return this.enabled && this.ttl > 0 && !!this.getStore();
+  }
+
+  /**
+   * Lazily resolves the Keyv store from the api cache layer
+   * @returns {Object|null} Keyv instance or null if unavailable
+   */
+  getStore() {
+    if (this.store) {
+      return this.store;
+    }
+
+    try {
+      const getLogStores = require('../../api/cache/getLogStores');
+      this.store = getLogStores(CacheKeys.RAGE_RESULTS);
+    } catch (error) {
+      rageLogger.warn('RAGE retrieval cache unavailable, caching disabled', {
+        error: error.message
+      });
+      this.enabled = false;
+      this.store = null;
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Normalizes a query so trivially different phrasings share a cache entry
+   * @param {string} query - Search query
+   * @returns {string} Normalized query
+   */
+  normalizeQuery(query) {
+    if (!query || typeof query !== 'string') {
+      return '';
+    }
+
+    return query
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[\s?!.]+$/, '')
+      .trim();
+  }
+
+  /**
+   * Builds a deterministic cache key for a retrieval request
+   * @param {Object} params - Retrieval parameters
+   * @param {string} params.question - Search query
+   * @param {string} [params.pipelineId] - Pipeline the query runs against
+   * @param {string} [params.orgId] - Organization owning the pipeline
+   * @param {Array|Object} [params.metadataFilters] - Metadata filters sent with the query
+   * @param {number} [params.numResults] - Requested number of results
+   * @param {boolean} [params.rerank] - Whether reranking was requested
+   * @returns {string} Cache key
+   */
+  buildKey(params) {
+    const payload = {
+      q: this.normalizeQuery(params.question),
+      org: params.orgId || null,
+      pipeline: params.pipelineId || null,
+      filters: this.canonicalize(params.metadataFilters || null),
+      n: params.numResults || null,
+      rerank: params.rerank !== false
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  }
+
+  /**
+   * Recursively sorts object keys so equivalent filters hash identically
+   * @param {*} value - Value to canonicalize
+   * @returns {*} Canonical value
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.canonicalize(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.keys(value)
+        .sort()
+        .reduce((acc, key) => {
+          acc[key] = this.canonicalize(value[key]);
+          return acc;
+        }, {});
+    }
+
+    return value;
+  }
+
+  /**
+   * Reads a cached retrieval result
+   * @param {string} key - Cache key
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object|null>} Cached result or null on miss
+   */
+  async get(key, correlationId) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const cached = await this.store.get(key);
+
+      if (cached) {
+        metricsCollector.recordCacheMetric('hit', key);
+        rageLogger.debug('RAGE retrieval cache hit', { key: key.substring(0, 12) }, correlationId);
+        return cached;
+      }
+
+      metricsCollector.recordCacheMetric('miss', key);
+      return null;
+    } catch (error) {
+      metricsCollector.recordCacheMetric('miss', key);
+      rageLogger.warn('RAGE retrieval cache read failed', {
+        error: error.message
+      }, correlationId);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a retrieval result
+   * @param {string} key - Cache key
+   * @param {Object} value - Retrieval result
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<boolean>} Whether the value was stored
+   */
+  async set(key, value, correlationId) {
+    if (!this.isEnabled() || !value) {
+      return false;
+    }
+
+    try {
+      await this.store.set(key, value, this.ttl * 1000);
+      metricsCollector.recordCacheMetric('set', key);
+      return true;
+    } catch (error) {
+      rageLogger.warn('RAGE retrieval cache write failed', {
+        error: error.message
+      }, correlationId);
+      return false;
+    }
+  }
+
+  /**
+   * Returns a cached result or runs the retrieval and caches its outcome.
+   * Only results containing documents are cached so new content surfaces quickly.
+   * @param {Object} params - Retrieval parameters used to build the key
+   * @param {Function} retrieve - Async function performing the uncached retrieval
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object>} Retrieval result
+   */
+  async wrap(params, retrieve, correlationId) {
+    if (!this.isEnabled()) {
+      return retrieve();
+    }
+
+    const key = this.buildKey(params);
+    const cached = await this.get(key, correlationId);
+    if (cached) {
+      return cached;
+    }
+
+    const result = await retrieve();
+    if (result && Array.isArray(result.documents) && result.documents.length > 0) {
+      await this.set(key, result, correlationId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Updates cache configuration
+   * @param {Object} options - New options (enabled, ttl)
+   */
+  updateConfig(options) {
+    if (options.ttl !== undefined) {
+      this.ttl = Number(options.ttl) || 0;
+    }
+
+    if (options.enabled !== undefined) {
+      this.enabled = options.enabled !== false;
+    }
+  }
+
+  /**
+   * Gets cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ttl: this.ttl,
+      hitRate: metricsCollector.getCacheHitRate()
+    };
+  }
+}
+
+module.exports = {
+  RetrievalCache
+};
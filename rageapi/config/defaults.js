@@ -9,6 +9,11 @@
 const ConfigDefaults = {
   // Core Settings
   RAGE_ENABLED: false,
+  RAGE_PROVIDER: 'vectorize',
+
+  // Provider Settings
+  RAGE_QDRANT_TEXT_FIELD: 'text',
+  RAGE_EMBEDDING_MODEL: 'text-embedding-3-small',
 
   // Retrieval Settings
   RAGE_NUM_RESULTS: 5,
@@ -17,12 +22,71 @@ const ConfigDefaults = {
   RAGE_MIN_SIMILARITY_SCORE: 0.3,
   RAGE_SCORE_FIELD: 'auto',
 
+  // Metadata Filter Settings
+  RAGE_INLINE_FILTERS_ENABLED: true,
+  RAGE_FILTER_DATE_FIELD: 'updated',
+
+  // Hybrid Retrieval Settings
+  RAGE_LEXICAL_PROVIDER: 'none',
+  RAGE_LEXICAL_NUM_RESULTS: 10,
+  RAGE_LEXICAL_TEXT_FIELD: 'text',
+  RAGE_HYBRID_VECTOR_WEIGHT: 1.0,
+  RAGE_HYBRID_LEXICAL_WEIGHT: 1.0,
+  RAGE_HYBRID_RRF_K: 60,
+  RAGE_MEILI_INDEX: 'rage_chunks',
+
+  // Feedback Scoring Settings
+  RAGE_FEEDBACK_SCORING: true,
+  RAGE_FEEDBACK_MAX_BOOST: 0.1,
+  RAGE_FEEDBACK_MIN_VOTES: 3,
+
+  // Query Decomposition Settings
+  RAGE_QUERY_DECOMPOSITION: false,
+  RAGE_DECOMPOSITION_MAX_SUBQUERIES: 3,
+  RAGE_DECOMPOSITION_TIMEOUT_MS: 4000,
+
+  // Chunk Expansion Settings
+  RAGE_CHUNK_EXPANSION: false,
+  RAGE_CHUNK_EXPANSION_WINDOW: 1,
+  RAGE_CHUNK_DOCUMENT_FIELD: 'document_id',
+  RAGE_CHUNK_INDEX_FIELD: 'chunk_index',
+
+  // Multilingual Retrieval Settings
+  RAGE_LANGUAGE_DETECTION: true,
+  RAGE_QUERY_TRANSLATION: false,
+  RAGE_KNOWLEDGE_BASE_LANGUAGES: 'pt,en',
+  RAGE_TRANSLATION_TIMEOUT_MS: 1500,
+
+  // PII Redaction Settings
+  RAGE_PII_REDACTION: true,
+  RAGE_PII_DETECTORS: 'email,cpf,cnpj,phone,credit_card',
+
   // Performance Settings
   RAGE_TIMEOUT_MS: 5000,
   RAGE_RETRY_ATTEMPTS: 2,
   RAGE_RETRY_DELAY_MS: 1000,
   RAGE_CACHE_TTL: 300,
 
+  // Query Rewriting Settings
+  RAGE_QUERY_REWRITE_ENABLED: true,
+  RAGE_QUERY_REWRITE_MAX_TURNS: 4,
+  RAGE_QUERY_REWRITE_LLM_MODEL: 'gpt-4o-mini',
+  RAGE_QUERY_REWRITE_TIMEOUT_MS: 1500,
+
+  // Answer Mode Settings
+  RAGE_ANSWER_MODE: 'expansive',
+  RAGE_STRICT_OVERRIDE_PHRASES: 'use general knowledge,answer freely,outside the knowledge base,use conhecimento geral,responda livremente',
+
+  // Token Budget Settings
+  RAGE_MAX_TOKENS: 3000,
+  RAGE_TOKEN_BUFFER: 200,
+  RAGE_CONTEXT_WINDOW_SHARE: 0.5,
+  RAGE_TOKENIZER_ENCODING: 'cl100k_base',
+
+  // Context Formatting Settings
+  RAGE_FORMAT_STYLE: 'standard',
+  RAGE_MAX_CONTEXT_LENGTH: 4000,
+
   // Debug and Logging Settings
   RAGE_LOG_LEVEL: 'info',
   RAGE_DEBUG: false,
@@ -35,7 +99,9 @@ const ConfigDefaults = {
   // Feature Flags
   RAGE_ENABLE_CACHING: true,
   RAGE_ENABLE_METRICS: true,
-  RAGE_ENABLE_AUDIT_LOG: false
+  RAGE_ENABLE_AUDIT_LOG: false,
+  RAGE_AUDIT_RETENTION_DAYS: 90,
+  RAGE_SHARED_RESILIENCE: true
 };
 
 /**
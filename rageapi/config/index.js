@@ -1,5 +1,7 @@
 const { ConfigValidator } = require('./validator');
 const { getDefaults, applyProfile, getRecommendations } = require('./defaults');
+const { ConfigSchema } = require('./schema');
+const { mapYamlConfig } = require('./yamlConfig');
 // Use local logger instead of LibreChat's winston
 const { rageLogger } = require('../logging/logger');
 
@@ -7,34 +9,39 @@ const { rageLogger } = require('../logging/logger');
  * RAGE Configuration Manager
  * 
  * Central configuration management system for RAGE Interceptor.
- * Handles loading, validation, and processing of environment variables.
+ * Handles loading, validation, and processing of environment variables
+ * and of the `rage` section of librechat.yaml, which takes precedence.
  */
 class ConfigManager {
   constructor() {
     this.config = null;
     this.validator = new ConfigValidator();
     this.isInitialized = false;
+    this.overrides = {};
   }
 
   /**
-   * Initializes configuration from environment variables
+   * Initializes configuration from environment variables and librechat.yaml overrides
    * @param {Object} options - Initialization options
+   * @param {Object} [options.yamlConfig] - `rage` section of librechat.yaml; kept for later reloads
    * @returns {Object} Initialized configuration
    */
   initialize(options = {}) {
     const {
       environment = process.env.NODE_ENV || 'production',
       profile = process.env.RAGE_CONFIG_PROFILE,
-      validateOnly = false
+      validateOnly = false,
+      yamlConfig
     } = options;
 
     try {
       // Load raw environment variables
       const rawConfig = this.loadEnvironmentVariables();
+      const overrides = yamlConfig !== undefined ? mapYamlConfig(yamlConfig) : this.overrides;
       
-      // Apply defaults
+      // Apply defaults, then env vars, then librechat.yaml
       const defaultConfig = getDefaults(environment);
-      const configWithDefaults = { ...defaultConfig, ...rawConfig };
+      const configWithDefaults = { ...defaultConfig, ...rawConfig, ...overrides };
       
       // Apply profile if specified
       const profileConfig = profile ? 
@@ -83,6 +90,7 @@ class ConfigManager {
 
       if (!validateOnly) {
         this.config = validation.config;
+        this.overrides = overrides;
         this.isInitialized = true;
         
         // Inject configuration into logger to avoid circular dependency
@@ -92,6 +100,7 @@ class ConfigManager {
           environment,
           profile,
           enabled: this.config.RAGE_ENABLED,
+          yamlSettings: Object.keys(overrides).length,
           features: {
             caching: this.config.RAGE_ENABLE_CACHING,
             metrics: this.config.RAGE_ENABLE_METRICS,
@@ -124,7 +133,10 @@ class ConfigManager {
       'VECTORIZE_API_URL': 'RAGE_VECTORIZE_URI',
       'VECTORIZE_ORG_ID': 'RAGE_VECTORIZE_ORGANIZATION_ID',
       'VECTORIZE_PIPELINE_ID': 'RAGE_VECTORIZE_PIPELINE_ID',
-      'VECTORIZE_JWT_TOKEN': 'RAGE_VECTORIZE_API_KEY'
+      'VECTORIZE_JWT_TOKEN': 'RAGE_VECTORIZE_API_KEY',
+      'RAG_API_URL': 'RAGE_RAG_API_URL',
+      'MEILI_HOST': 'RAGE_MEILI_HOST',
+      'MEILI_MASTER_KEY': 'RAGE_MEILI_API_KEY'
     };
 
     // Load RAGE-prefixed variables
@@ -167,9 +179,11 @@ class ConfigManager {
     const sanitized = { ...this.config };
     
     // Mask sensitive values
-    if (sanitized.RAGE_VECTORIZE_API_KEY) {
-      sanitized.RAGE_VECTORIZE_API_KEY = this.maskSecret(sanitized.RAGE_VECTORIZE_API_KEY);
-    }
+    Object.entries(ConfigSchema).forEach(([key, spec]) => {
+      if (spec.sensitive && sanitized[key]) {
+        sanitized[key] = this.maskSecret(sanitized[key]);
+      }
+    });
 
     return sanitized;
   }
@@ -218,14 +232,14 @@ class ConfigManager {
   }
 
   /**
-   * Reloads configuration from environment
-   * @param {Object} options - Reload options
+   * Reloads configuration from environment and librechat.yaml.
+   * An invalid configuration is rejected and the current one stays active.
+   * @param {Object} options - Reload options, as for `initialize`
    * @returns {Object} New configuration
    */
   reload(options = {}) {
     rageLogger.info('Reloading RAGE configuration');
-    this.isInitialized = false;
-    this.config = null;
+    this.initialize({ ...options, validateOnly: true });
     return this.initialize(options);
   }
 
@@ -255,6 +269,7 @@ class ConfigManager {
         cacheTtl: this.config.RAGE_CACHE_TTL
       },
       api: {
+        provider: this.config.RAGE_PROVIDER,
         hasApiKey: !!this.config.RAGE_VECTORIZE_API_KEY,
         hasOrgId: !!this.config.RAGE_VECTORIZE_ORGANIZATION_ID,
         hasPipelineId: !!this.config.RAGE_VECTORIZE_PIPELINE_ID,
@@ -15,40 +15,159 @@ const ConfigSchema = {
     example: 'true'
   },
 
+  RAGE_PROVIDER: {
+    type: 'string',
+    required: false,
+    default: 'vectorize',
+    enum: ['vectorize', 'qdrant', 'rag_api', 'fixture'],
+    description: 'Retrieval provider queried for knowledge base documents',
+    example: 'vectorize'
+  },
+
+  RAGE_ENDPOINTS: {
+    type: 'string',
+    required: false,
+    description: 'Comma-separated endpoints RAGE is used for (e.g. agents,openAI or a custom endpoint name); all when empty',
+    example: 'agents,openAI'
+  },
+
   // Vectorize.io API Settings
   RAGE_VECTORIZE_URI: {
     type: 'string',
-    required: true,
+    required: false,
     validation: 'url',
-    description: 'Vectorize.io API endpoint URL',
+    description: 'Vectorize.io API endpoint URL (required when RAGE_PROVIDER is vectorize)',
     example: 'https://api.vectorize.io/v1'
   },
 
   RAGE_VECTORIZE_ORGANIZATION_ID: {
     type: 'string',
-    required: true,
+    required: false,
     validation: 'uuid',
-    description: 'Vectorize.io organization identifier (GUID)',
+    description: 'Default Vectorize.io organization identifier (GUID); workspaces may override it',
     example: '550e8400-e29b-41d4-a716-446655440000'
   },
 
   RAGE_VECTORIZE_PIPELINE_ID: {
     type: 'string',
-    required: true,
+    required: false,
     validation: 'uuid',
-    description: 'Vectorize.io pipeline identifier (GUID)',
+    description: 'Default Vectorize.io pipeline identifier (GUID); workspaces may override it',
     example: '6ba7b810-9dad-11d1-80b4-00c04fd430c8'
   },
 
   RAGE_VECTORIZE_API_KEY: {
     type: 'string',
-    required: true,
+    required: false,
     validation: 'jwt',
     sensitive: true,
-    description: 'JWT token for Vectorize.io API authentication',
+    description: 'Default JWT token for Vectorize.io API authentication; workspaces may override it',
+    example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+  },
+
+  // Qdrant Settings
+  RAGE_QDRANT_URL: {
+    type: 'string',
+    required: false,
+    validation: 'url',
+    description: 'Qdrant REST API URL (required when RAGE_PROVIDER is qdrant)',
+    example: 'http://qdrant:6333'
+  },
+
+  RAGE_QDRANT_COLLECTION: {
+    type: 'string',
+    required: false,
+    description: 'Default Qdrant collection to search; workspaces may override it',
+    example: 'knowledge_base'
+  },
+
+  RAGE_QDRANT_API_KEY: {
+    type: 'string',
+    required: false,
+    sensitive: true,
+    description: 'Qdrant API key sent in the api-key header',
+    example: 'qdrant-secret'
+  },
+
+  RAGE_QDRANT_VECTOR_NAME: {
+    type: 'string',
+    required: false,
+    description: 'Named vector to search when the collection stores several vectors per point',
+    example: 'dense'
+  },
+
+  RAGE_QDRANT_TEXT_FIELD: {
+    type: 'string',
+    required: false,
+    default: 'text',
+    description: 'Payload field holding the chunk text',
+    example: 'text'
+  },
+
+  // Embedding Settings (used by the Qdrant provider)
+  RAGE_EMBEDDING_URL: {
+    type: 'string',
+    required: false,
+    validation: 'url',
+    description: 'OpenAI-compatible embeddings API base URL (required when RAGE_PROVIDER is qdrant)',
+    example: 'http://embeddings:8080/v1'
+  },
+
+  RAGE_EMBEDDING_MODEL: {
+    type: 'string',
+    required: false,
+    default: 'text-embedding-3-small',
+    description: 'Embedding model used to embed queries; must match the collection vectors',
+    example: 'text-embedding-3-small'
+  },
+
+  RAGE_EMBEDDING_API_KEY: {
+    type: 'string',
+    required: false,
+    sensitive: true,
+    description: 'Bearer token for the embeddings API',
+    example: 'sk-...'
+  },
+
+  // RAG API Settings
+  RAGE_RAG_API_URL: {
+    type: 'string',
+    required: false,
+    validation: 'url',
+    description: 'LibreChat RAG API URL; defaults to RAG_API_URL (required when RAGE_PROVIDER is rag_api)',
+    example: 'http://rag_api:8000'
+  },
+
+  RAGE_RAG_API_FILE_IDS: {
+    type: 'string',
+    required: false,
+    description: 'Comma-separated file IDs forming the default knowledge base; workspaces may override them',
+    example: 'file-1,file-2'
+  },
+
+  RAGE_RAG_API_ENTITY_ID: {
+    type: 'string',
+    required: false,
+    description: 'Entity ID sent with single-file queries (e.g. an agent ID)',
+    example: 'agent_abc123'
+  },
+
+  RAGE_RAG_API_KEY: {
+    type: 'string',
+    required: false,
+    sensitive: true,
+    description: 'Static bearer token for the RAG API; when unset a short-lived token is signed with JWT_SECRET',
     example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
   },
 
+  // Fixture Settings (offline evaluation)
+  RAGE_FIXTURE_PATH: {
+    type: 'string',
+    required: false,
+    description: 'Saved retrieval results replayed by the fixture provider (required when RAGE_PROVIDER is fixture)',
+    example: './rageapi/tests/fixtures/evalRetrieval.json'
+  },
+
   // Retrieval Settings
   RAGE_NUM_RESULTS: {
     type: 'number',
@@ -97,6 +216,307 @@ const ConfigSchema = {
     example: 'auto'
   },
 
+  // Metadata Filter Settings
+  RAGE_ROLE_FILTERS: {
+    type: 'string',
+    required: false,
+    validation: 'json',
+    description: 'Metadata values each role may retrieve, as JSON keyed by role name ("*" applies to everyone)',
+    example: '{"USER": {"department": ["general"]}, "FINANCE": {"department": ["finance", "general"]}}'
+  },
+
+  RAGE_GROUP_FILTERS: {
+    type: 'string',
+    required: false,
+    validation: 'json',
+    description: 'Metadata values each group may retrieve, as JSON keyed by group name',
+    example: '{"controllers": {"department": ["finance"]}}'
+  },
+
+  RAGE_INLINE_FILTERS_ENABLED: {
+    type: 'boolean',
+    required: false,
+    default: true,
+    description: 'Parse #field:value, after:YYYY-MM-DD and before:YYYY-MM-DD filters from messages',
+    example: 'true'
+  },
+
+  RAGE_FILTER_DATE_FIELD: {
+    type: 'string',
+    required: false,
+    default: 'updated',
+    description: 'Metadata field holding the document date used by after: and before: filters',
+    example: 'updated'
+  },
+
+  // Hybrid Retrieval Settings
+  RAGE_LEXICAL_PROVIDER: {
+    type: 'string',
+    required: false,
+    default: 'none',
+    enum: ['none', 'meilisearch', 'bm25'],
+    description: 'Keyword retrieval leg fused with vector results (none disables hybrid search)',
+    example: 'meilisearch'
+  },
+
+  RAGE_LEXICAL_NUM_RESULTS: {
+    type: 'number',
+    required: false,
+    default: 10,
+    min: 1,
+    max: 50,
+    description: 'Maximum number of keyword matches fused with vector results',
+    example: '10'
+  },
+
+  RAGE_LEXICAL_TEXT_FIELD: {
+    type: 'string',
+    required: false,
+    default: 'text',
+    description: 'Field holding the chunk text in the lexical index or corpus',
+    example: 'text'
+  },
+
+  RAGE_HYBRID_VECTOR_WEIGHT: {
+    type: 'number',
+    required: false,
+    default: 1.0,
+    min: 0.0,
+    max: 10.0,
+    description: 'Weight of the vector ranking in reciprocal rank fusion',
+    example: '1.0'
+  },
+
+  RAGE_HYBRID_LEXICAL_WEIGHT: {
+    type: 'number',
+    required: false,
+    default: 1.0,
+    min: 0.0,
+    max: 10.0,
+    description: 'Weight of the keyword ranking in reciprocal rank fusion',
+    example: '1.0'
+  },
+
+  RAGE_HYBRID_RRF_K: {
+    type: 'number',
+    required: false,
+    default: 60,
+    min: 1,
+    max: 1000,
+    description: 'Reciprocal rank fusion constant; higher values flatten the gap between top and lower ranks',
+    example: '60'
+  },
+
+  RAGE_MEILI_HOST: {
+    type: 'string',
+    required: false,
+    validation: 'url',
+    description: 'MeiliSearch URL for the meilisearch lexical provider; defaults to MEILI_HOST',
+    example: 'http://meilisearch:7700'
+  },
+
+  RAGE_MEILI_API_KEY: {
+    type: 'string',
+    required: false,
+    sensitive: true,
+    description: 'MeiliSearch API key with search permission; defaults to MEILI_MASTER_KEY',
+    example: 'meili-search-key'
+  },
+
+  RAGE_MEILI_INDEX: {
+    type: 'string',
+    required: false,
+    default: 'rage_chunks',
+    description: 'MeiliSearch index of knowledge base chunks; {pipelineId} is replaced per workspace',
+    example: 'rage_{pipelineId}'
+  },
+
+  RAGE_BM25_CORPUS_PATH: {
+    type: 'string',
+    required: false,
+    description: 'Chunk export (JSON array or JSONL) indexed in memory by the bm25 lexical provider; {pipelineId} is replaced per workspace',
+    example: './data/rage/{pipelineId}.jsonl'
+  },
+
+  // Feedback Scoring Settings
+  RAGE_FEEDBACK_SCORING: {
+    type: 'boolean',
+    required: false,
+    default: true,
+    description: 'Boost or penalize sources by the thumbs-up/down feedback on the responses that cited them',
+    example: 'true'
+  },
+
+  RAGE_FEEDBACK_MAX_BOOST: {
+    type: 'number',
+    required: false,
+    default: 0.1,
+    min: 0,
+    max: 0.5,
+    description: 'Largest score boost (or penalty) a source earns from feedback',
+    example: '0.1'
+  },
+
+  RAGE_FEEDBACK_MIN_VOTES: {
+    type: 'number',
+    required: false,
+    default: 3,
+    min: 1,
+    max: 1000,
+    description: 'Ratings a source needs before feedback changes its score',
+    example: '3'
+  },
+
+  // Query Decomposition Settings
+  RAGE_QUERY_DECOMPOSITION: {
+    type: 'boolean',
+    required: false,
+    default: false,
+    description: 'Split comparisons and multi-part questions into sub-queries searched in parallel',
+    example: 'false'
+  },
+
+  RAGE_DECOMPOSITION_MAX_SUBQUERIES: {
+    type: 'number',
+    required: false,
+    default: 3,
+    min: 2,
+    max: 5,
+    description: 'Maximum sub-queries per question',
+    example: '3'
+  },
+
+  RAGE_DECOMPOSITION_TIMEOUT_MS: {
+    type: 'number',
+    required: false,
+    default: 4000,
+    min: 500,
+    max: 30000,
+    description: 'Timeout for searching each sub-query of a question in milliseconds',
+    example: '4000'
+  },
+
+  // Chunk Expansion Settings
+  RAGE_CHUNK_EXPANSION: {
+    type: 'boolean',
+    required: false,
+    default: false,
+    description: 'Add neighbouring chunks to retrieved chunks and merge chunks of the same document',
+    example: 'false'
+  },
+
+  RAGE_CHUNK_EXPANSION_WINDOW: {
+    type: 'number',
+    required: false,
+    default: 1,
+    min: 0,
+    max: 3,
+    description: 'Neighbouring chunks added on each side of a retrieved chunk (0 only merges retrieved chunks)',
+    example: '1'
+  },
+
+  RAGE_CHUNK_DOCUMENT_FIELD: {
+    type: 'string',
+    required: false,
+    default: 'document_id',
+    description: 'Chunk metadata field holding the ID of the source document',
+    example: 'document_id'
+  },
+
+  RAGE_CHUNK_INDEX_FIELD: {
+    type: 'string',
+    required: false,
+    default: 'chunk_index',
+    description: 'Chunk metadata field holding the position of the chunk in its document',
+    example: 'chunk_index'
+  },
+
+  // Multilingual Retrieval Settings
+  RAGE_LANGUAGE_DETECTION: {
+    type: 'boolean',
+    required: false,
+    default: true,
+    description: 'Detect the language of the query to pick the context template language',
+    example: 'true'
+  },
+
+  RAGE_QUERY_TRANSLATION: {
+    type: 'boolean',
+    required: false,
+    default: false,
+    description: 'Also search with translations of the query into the other knowledge base languages',
+    example: 'false'
+  },
+
+  RAGE_KNOWLEDGE_BASE_LANGUAGES: {
+    type: 'string',
+    required: false,
+    default: 'pt,en',
+    maxLength: 50,
+    description: 'Comma-separated languages of the knowledge base documents (en, pt, es)',
+    example: 'pt,en'
+  },
+
+  RAGE_TRANSLATION_LLM_URL: {
+    type: 'string',
+    required: false,
+    validation: 'url',
+    description: 'OpenAI-compatible API base URL used for query translation (the query rewriting model when unset)',
+    example: 'https://api.openai.com/v1'
+  },
+
+  RAGE_TRANSLATION_LLM_MODEL: {
+    type: 'string',
+    required: false,
+    maxLength: 100,
+    description: 'Model used for query translation',
+    example: 'gpt-4o-mini'
+  },
+
+  RAGE_TRANSLATION_LLM_API_KEY: {
+    type: 'string',
+    required: false,
+    sensitive: true,
+    description: 'API key for the query translation endpoint',
+    example: 'sk-...'
+  },
+
+  RAGE_TRANSLATION_TIMEOUT_MS: {
+    type: 'number',
+    required: false,
+    default: 1500,
+    min: 100,
+    max: 10000,
+    description: 'Timeout for each query translation call in milliseconds',
+    example: '1500'
+  },
+
+  // PII Redaction Settings
+  RAGE_PII_REDACTION: {
+    type: 'boolean',
+    required: false,
+    default: true,
+    description: 'Redact personal data from the query before it is sent to the retrieval provider',
+    example: 'true'
+  },
+
+  RAGE_PII_DETECTORS: {
+    type: 'string',
+    required: false,
+    default: 'email,cpf,cnpj,phone,credit_card',
+    maxLength: 200,
+    description: 'Comma-separated built-in detectors (email, cpf, cnpj, phone, credit_card)',
+    example: 'email,cpf,phone'
+  },
+
+  RAGE_PII_RULES: {
+    type: 'string',
+    required: false,
+    validation: 'json',
+    description: 'Admin redaction rules as JSON keyed by name; each is a regular expression or { pattern, flags, replacement }',
+    example: '{"employee_id": "EMP-\\\\d{6}", "contract": {"pattern": "CT-\\\\d+", "replacement": "[CONTRACT]"}}'
+  },
+
   // Performance Settings
   RAGE_TIMEOUT_MS: {
     type: 'number',
@@ -138,6 +558,194 @@ const ConfigSchema = {
     example: '300'
   },
 
+  // Query Rewriting Settings
+  RAGE_QUERY_REWRITE_ENABLED: {
+    type: 'boolean',
+    required: false,
+    default: true,
+    description: 'Rewrite follow-up messages into standalone search queries using recent conversation turns',
+    example: 'true'
+  },
+
+  RAGE_QUERY_REWRITE_MAX_TURNS: {
+    type: 'number',
+    required: false,
+    default: 4,
+    min: 0,
+    max: 20,
+    description: 'Number of previous messages considered when rewriting a query (0 to disable)',
+    example: '4'
+  },
+
+  RAGE_QUERY_REWRITE_LLM_URL: {
+    type: 'string',
+    required: false,
+    validation: 'url',
+    description: 'OpenAI-compatible API base URL used for query rewriting (heuristic rewriting when unset)',
+    example: 'https://api.openai.com/v1'
+  },
+
+  RAGE_QUERY_REWRITE_LLM_MODEL: {
+    type: 'string',
+    required: false,
+    default: 'gpt-4o-mini',
+    maxLength: 100,
+    description: 'Model used for LLM query rewriting',
+    example: 'gpt-4o-mini'
+  },
+
+  RAGE_QUERY_REWRITE_LLM_API_KEY: {
+    type: 'string',
+    required: false,
+    sensitive: true,
+    description: 'API key for the query rewriting endpoint',
+    example: 'sk-...'
+  },
+
+  RAGE_QUERY_REWRITE_TIMEOUT_MS: {
+    type: 'number',
+    required: false,
+    default: 1500,
+    min: 100,
+    max: 10000,
+    description: 'Timeout for the LLM query rewriting call in milliseconds',
+    example: '1500'
+  },
+
+  // Answer Mode Settings
+  RAGE_ANSWER_MODE: {
+    type: 'string',
+    required: false,
+    default: 'expansive',
+    enum: ['strict', 'expansive'],
+    description: 'Default answer mode for conversations that have not chosen one',
+    example: 'expansive'
+  },
+
+  RAGE_STRICT_OVERRIDE_PHRASES: {
+    type: 'string',
+    required: false,
+    default: 'use general knowledge,answer freely,outside the knowledge base,use conhecimento geral,responda livremente',
+    maxLength: 1000,
+    description: 'Comma-separated phrases that lift strict mode for a single message',
+    example: 'use general knowledge,answer freely'
+  },
+
+  // Token Budget Settings
+  RAGE_MAX_TOKENS: {
+    type: 'number',
+    required: false,
+    default: 3000,
+    min: 100,
+    max: 1000000,
+    description: 'Context token budget used when the context window of the model is unknown',
+    example: '3000'
+  },
+
+  RAGE_TOKEN_BUFFER: {
+    type: 'number',
+    required: false,
+    default: 200,
+    min: 0,
+    max: 10000,
+    description: 'Tokens kept free below the context budget',
+    example: '200'
+  },
+
+  RAGE_CONTEXT_WINDOW_SHARE: {
+    type: 'number',
+    required: false,
+    default: 0.5,
+    min: 0.05,
+    max: 1,
+    description: 'Largest share of the model context window used by retrieved context',
+    example: '0.5'
+  },
+
+  RAGE_TOKENIZER_ENCODING: {
+    type: 'string',
+    required: false,
+    default: 'cl100k_base',
+    enum: ['cl100k_base', 'o200k_base', 'p50k_base', 'r50k_base'],
+    description: 'Tiktoken encoding used when the client does not provide the encoding of its model',
+    example: 'cl100k_base'
+  },
+
+  // Context Formatting Settings
+  RAGE_FORMAT_STYLE: {
+    type: 'string',
+    required: false,
+    default: 'standard',
+    enum: ['standard', 'detailed', 'compact'],
+    description: 'Template used to format the injected context',
+    example: 'standard'
+  },
+
+  RAGE_MAX_CONTEXT_LENGTH: {
+    type: 'number',
+    required: false,
+    default: 4000,
+    min: 500,
+    max: 200000,
+    description: 'Maximum length in characters of the formatted context',
+    example: '4000'
+  },
+
+  RAGE_TEMPLATE_HEADER: {
+    type: 'string',
+    required: false,
+    maxLength: 2000,
+    description: 'Replaces the header of the selected template',
+    example: '# Company Knowledge'
+  },
+
+  RAGE_TEMPLATE_DOCUMENT_FORMAT: {
+    type: 'string',
+    required: false,
+    maxLength: 2000,
+    description: 'Replaces the document format of the selected template; supports {index}, {source}, {score}, {scorePercent}, {metadata} and {text}',
+    example: '[{index}] {source}: {text}'
+  },
+
+  RAGE_TEMPLATE_FOOTER: {
+    type: 'string',
+    required: false,
+    maxLength: 2000,
+    description: 'Replaces the footer of the selected template in expansive mode',
+    example: 'Use the context above when relevant.'
+  },
+
+  RAGE_TEMPLATE_STRICT_FOOTER: {
+    type: 'string',
+    required: false,
+    maxLength: 2000,
+    description: 'Replaces the footer of the selected template in strict mode',
+    example: 'Answer only from the context above.'
+  },
+
+  RAGE_TEMPLATE_NO_CONTEXT: {
+    type: 'string',
+    required: false,
+    maxLength: 2000,
+    description: 'Replaces the strict mode instructions used when no relevant context was found',
+    example: 'The knowledge base has no information on this question.'
+  },
+
+  RAGE_TEMPLATES_PATH: {
+    type: 'string',
+    required: false,
+    description: 'YAML or JSON file with context templates keyed by locale, or a directory with one <locale>.yaml file per language',
+    example: './rage-templates.yaml'
+  },
+
+  RAGE_TEMPLATE_LANGUAGES: {
+    type: 'string',
+    required: false,
+    validation: 'json',
+    description: 'Context templates keyed by locale, as JSON; they take precedence over RAGE_TEMPLATES_PATH',
+    example: '{"pt": {"header": "# Contexto Relevante"}, "es": {"compact": {"header": "**Contexto:**"}}}'
+  },
+
   // Debug and Logging Settings
   RAGE_LOG_LEVEL: {
     type: 'string',
@@ -184,6 +792,15 @@ const ConfigSchema = {
     example: 'LibreChat-RAGE/1.0'
   },
 
+  RAGE_METRICS_TOKEN: {
+    type: 'string',
+    required: false,
+    minLength: 16,
+    sensitive: true,
+    description: 'Bearer token that lets monitoring scrape /api/rage/metrics/prometheus without an admin session',
+    example: 'change-me-to-a-long-random-string'
+  },
+
   // Feature Flags
   RAGE_ENABLE_CACHING: {
     type: 'boolean',
@@ -207,6 +824,24 @@ const ConfigSchema = {
     default: false,
     description: 'Enable audit logging for compliance requirements',
     example: 'false'
+  },
+
+  RAGE_SHARED_RESILIENCE: {
+    type: 'boolean',
+    required: false,
+    default: true,
+    description: 'Share circuit breaker and rate-limit backoff state across instances through Redis (requires USE_REDIS)',
+    example: 'true'
+  },
+
+  RAGE_AUDIT_RETENTION_DAYS: {
+    type: 'number',
+    required: false,
+    default: 90,
+    min: 0,
+    max: 3650,
+    description: 'Days stored audit events are kept before they expire (0 to keep them forever)',
+    example: '90'
   }
 };
 
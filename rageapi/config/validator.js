@@ -211,6 +211,9 @@ class ConfigValidator {
       case 'alphanumeric':
         return this.validateAlphanumeric(key, value);
         
+      case 'json':
+        return this.validateJsonObject(key, value);
+        
       default:
         this.warnings.push(`Unknown validation format for ${key}: ${format}`);
         return true;
@@ -290,6 +293,26 @@ class ConfigValidator {
     return true;
   }
 
+  /**
+   * Validates JSON object format
+   * @param {string} key - Configuration key
+   * @param {string} value - JSON value
+   * @returns {boolean} Whether value is a JSON object
+   */
+  validateJsonObject(key, value) {
+    try {
+      const parsed = JSON.parse(value);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        this.errors.push(`${key} must be a JSON object`);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      this.errors.push(`${key} is not valid JSON: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Validates that RAGE is properly configured when enabled
    * @param {Object} config - Validated configuration
@@ -300,19 +323,37 @@ class ConfigValidator {
       return { isValid: true, warnings: ['RAGE is disabled'] };
     }
 
-    const requiredForEnabled = [
-      'RAGE_VECTORIZE_URI',
-      'RAGE_VECTORIZE_ORGANIZATION_ID',
-      'RAGE_VECTORIZE_PIPELINE_ID',
-      'RAGE_VECTORIZE_API_KEY'
-    ];
+    // Pipeline, collection, file IDs and credentials may come from per-conversation workspaces
+    const requiredByProvider = {
+      vectorize: ['RAGE_VECTORIZE_URI'],
+      qdrant: ['RAGE_QDRANT_URL', 'RAGE_EMBEDDING_URL'],
+      rag_api: ['RAGE_RAG_API_URL'],
+      fixture: ['RAGE_FIXTURE_PATH']
+    };
 
+    const provider = config.RAGE_PROVIDER || 'vectorize';
+    const requiredForEnabled = requiredByProvider[provider] || requiredByProvider.vectorize;
     const missingRequired = requiredForEnabled.filter(key => !config[key]);
     
     if (missingRequired.length > 0) {
       return {
         isValid: false,
-        errors: [`RAGE is enabled but missing required configuration: ${missingRequired.join(', ')}`]
+        errors: [`RAGE is enabled with the ${provider} provider but missing required configuration: ${missingRequired.join(', ')}`]
+      };
+    }
+
+    const requiredByLexicalProvider = {
+      meilisearch: ['RAGE_MEILI_HOST'],
+      bm25: ['RAGE_BM25_CORPUS_PATH']
+    };
+
+    const missingLexical = (requiredByLexicalProvider[config.RAGE_LEXICAL_PROVIDER] || [])
+      .filter(key => !config[key]);
+
+    if (missingLexical.length > 0) {
+      return {
+        isValid: false,
+        errors: [`Hybrid search uses ${config.RAGE_LEXICAL_PROVIDER} but is missing required configuration: ${missingLexical.join(', ')}`]
       };
     }
 
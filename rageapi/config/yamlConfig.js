@@ -0,0 +1,183 @@
+/**
+ * RAGE librechat.yaml Mapping
+ *
+ * Maps the `rage` section of librechat.yaml onto the RAGE_* configuration keys,
+ * so that both sources are validated by the same schema.
+ */
+
+/**
+ * Configuration key of each `rage` setting, by its path in librechat.yaml
+ */
+const YamlConfigKeys = {
+  enabled: 'RAGE_ENABLED',
+  provider: 'RAGE_PROVIDER',
+  endpoints: 'RAGE_ENDPOINTS',
+
+  // Providers
+  'providers.vectorize.url': 'RAGE_VECTORIZE_URI',
+  'providers.vectorize.apiKey': 'RAGE_VECTORIZE_API_KEY',
+  'providers.qdrant.url': 'RAGE_QDRANT_URL',
+  'providers.qdrant.apiKey': 'RAGE_QDRANT_API_KEY',
+  'providers.qdrant.vectorName': 'RAGE_QDRANT_VECTOR_NAME',
+  'providers.qdrant.textField': 'RAGE_QDRANT_TEXT_FIELD',
+  'providers.ragApi.url': 'RAGE_RAG_API_URL',
+  'providers.ragApi.apiKey': 'RAGE_RAG_API_KEY',
+  'providers.embedding.url': 'RAGE_EMBEDDING_URL',
+  'providers.embedding.model': 'RAGE_EMBEDDING_MODEL',
+  'providers.embedding.apiKey': 'RAGE_EMBEDDING_API_KEY',
+  'providers.fixture.path': 'RAGE_FIXTURE_PATH',
+
+  // Default pipelines
+  'pipelines.vectorize.organizationId': 'RAGE_VECTORIZE_ORGANIZATION_ID',
+  'pipelines.vectorize.pipelineId': 'RAGE_VECTORIZE_PIPELINE_ID',
+  'pipelines.qdrant.collection': 'RAGE_QDRANT_COLLECTION',
+  'pipelines.ragApi.fileIds': 'RAGE_RAG_API_FILE_IDS',
+  'pipelines.ragApi.entityId': 'RAGE_RAG_API_ENTITY_ID',
+
+  // Retrieval
+  'retrieval.numResults': 'RAGE_NUM_RESULTS',
+  'retrieval.rerank': 'RAGE_RERANK',
+  'retrieval.scoreField': 'RAGE_SCORE_FIELD',
+  'retrieval.timeoutMs': 'RAGE_TIMEOUT_MS',
+  'retrieval.retryAttempts': 'RAGE_RETRY_ATTEMPTS',
+  'retrieval.retryDelayMs': 'RAGE_RETRY_DELAY_MS',
+  'thresholds.minRelevanceScore': 'RAGE_MIN_RELEVANCE_SCORE',
+  'thresholds.minSimilarityScore': 'RAGE_MIN_SIMILARITY_SCORE',
+
+  // Hybrid retrieval
+  'hybrid.provider': 'RAGE_LEXICAL_PROVIDER',
+  'hybrid.numResults': 'RAGE_LEXICAL_NUM_RESULTS',
+  'hybrid.textField': 'RAGE_LEXICAL_TEXT_FIELD',
+  'hybrid.vectorWeight': 'RAGE_HYBRID_VECTOR_WEIGHT',
+  'hybrid.lexicalWeight': 'RAGE_HYBRID_LEXICAL_WEIGHT',
+  'hybrid.rrfK': 'RAGE_HYBRID_RRF_K',
+
+  // Feedback scoring
+  'feedback.scoring': 'RAGE_FEEDBACK_SCORING',
+  'feedback.maxBoost': 'RAGE_FEEDBACK_MAX_BOOST',
+  'feedback.minVotes': 'RAGE_FEEDBACK_MIN_VOTES',
+
+  // Query decomposition
+  'decomposition.enabled': 'RAGE_QUERY_DECOMPOSITION',
+  'decomposition.maxSubQueries': 'RAGE_DECOMPOSITION_MAX_SUBQUERIES',
+  'decomposition.timeoutMs': 'RAGE_DECOMPOSITION_TIMEOUT_MS',
+
+  // Chunk expansion
+  'chunks.expansion': 'RAGE_CHUNK_EXPANSION',
+  'chunks.window': 'RAGE_CHUNK_EXPANSION_WINDOW',
+  'chunks.documentField': 'RAGE_CHUNK_DOCUMENT_FIELD',
+  'chunks.indexField': 'RAGE_CHUNK_INDEX_FIELD',
+
+  // Multilingual retrieval
+  'multilingual.detection': 'RAGE_LANGUAGE_DETECTION',
+  'multilingual.translation': 'RAGE_QUERY_TRANSLATION',
+  'multilingual.languages': 'RAGE_KNOWLEDGE_BASE_LANGUAGES',
+  'multilingual.url': 'RAGE_TRANSLATION_LLM_URL',
+  'multilingual.model': 'RAGE_TRANSLATION_LLM_MODEL',
+  'multilingual.apiKey': 'RAGE_TRANSLATION_LLM_API_KEY',
+  'multilingual.timeoutMs': 'RAGE_TRANSLATION_TIMEOUT_MS',
+
+  // PII redaction
+  'redaction.enabled': 'RAGE_PII_REDACTION',
+  'redaction.detectors': 'RAGE_PII_DETECTORS',
+  'redaction.rules': 'RAGE_PII_RULES',
+
+  // Metadata filters
+  'filters.inline': 'RAGE_INLINE_FILTERS_ENABLED',
+  'filters.dateField': 'RAGE_FILTER_DATE_FIELD',
+  'filters.roles': 'RAGE_ROLE_FILTERS',
+  'filters.groups': 'RAGE_GROUP_FILTERS',
+
+  // Query rewriting
+  'queryRewrite.enabled': 'RAGE_QUERY_REWRITE_ENABLED',
+  'queryRewrite.maxTurns': 'RAGE_QUERY_REWRITE_MAX_TURNS',
+  'queryRewrite.url': 'RAGE_QUERY_REWRITE_LLM_URL',
+  'queryRewrite.model': 'RAGE_QUERY_REWRITE_LLM_MODEL',
+  'queryRewrite.apiKey': 'RAGE_QUERY_REWRITE_LLM_API_KEY',
+  'queryRewrite.timeoutMs': 'RAGE_QUERY_REWRITE_TIMEOUT_MS',
+
+  // Answer mode
+  'answerMode.default': 'RAGE_ANSWER_MODE',
+  'answerMode.strictOverridePhrases': 'RAGE_STRICT_OVERRIDE_PHRASES',
+
+  // Token budget
+  'tokens.maxTokens': 'RAGE_MAX_TOKENS',
+  'tokens.bufferTokens': 'RAGE_TOKEN_BUFFER',
+  'tokens.contextWindowShare': 'RAGE_CONTEXT_WINDOW_SHARE',
+  'tokens.encoding': 'RAGE_TOKENIZER_ENCODING',
+
+  // Context formatting
+  'templates.style': 'RAGE_FORMAT_STYLE',
+  'templates.maxContextLength': 'RAGE_MAX_CONTEXT_LENGTH',
+  'templates.header': 'RAGE_TEMPLATE_HEADER',
+  'templates.documentFormat': 'RAGE_TEMPLATE_DOCUMENT_FORMAT',
+  'templates.footer': 'RAGE_TEMPLATE_FOOTER',
+  'templates.strictFooter': 'RAGE_TEMPLATE_STRICT_FOOTER',
+  'templates.noContext': 'RAGE_TEMPLATE_NO_CONTEXT',
+  'templates.path': 'RAGE_TEMPLATES_PATH',
+  'templates.languages': 'RAGE_TEMPLATE_LANGUAGES',
+
+  // Features
+  'cache.enabled': 'RAGE_ENABLE_CACHING',
+  'cache.ttl': 'RAGE_CACHE_TTL',
+  'audit.enabled': 'RAGE_ENABLE_AUDIT_LOG',
+  'audit.retentionDays': 'RAGE_AUDIT_RETENTION_DAYS',
+  'resilience.shared': 'RAGE_SHARED_RESILIENCE',
+  'metrics.enabled': 'RAGE_ENABLE_METRICS',
+  'metrics.token': 'RAGE_METRICS_TOKEN'
+};
+
+/**
+ * Reads a nested value by its dotted path
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted path, e.g. `providers.qdrant.url`
+ * @returns {any} Value, or undefined when a segment is missing
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Converts a librechat.yaml value to its configuration form.
+ * Lists become comma-separated strings and objects become JSON, as they are written in env vars.
+ * @param {any} value - Value from librechat.yaml
+ * @returns {any} Configuration value
+ */
+function toConfigValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(',');
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return value;
+}
+
+/**
+ * Maps the `rage` section of librechat.yaml to RAGE_* configuration keys.
+ * Settings that are not present are omitted, so they fall back to env vars and defaults.
+ * @param {Object} [rageConfig] - `rage` section of librechat.yaml
+ * @returns {Object} Configuration overrides keyed by RAGE_* name
+ */
+function mapYamlConfig(rageConfig) {
+  const overrides = {};
+  if (!rageConfig || typeof rageConfig !== 'object') {
+    return overrides;
+  }
+
+  Object.entries(YamlConfigKeys).forEach(([path, key]) => {
+    const value = getPath(rageConfig, path);
+    if (value !== undefined && value !== null) {
+      overrides[key] = toConfigValue(value);
+    }
+  });
+
+  return overrides;
+}
+
+module.exports = {
+  YamlConfigKeys,
+  mapYamlConfig
+};
@@ -0,0 +1,142 @@
+const ANSWER_MODES = {
+  STRICT: 'strict',
+  EXPANSIVE: 'expansive'
+};
+
+/**
+ * Answer Mode Resolver
+ *
+ * Decides how strictly a response is grounded in the knowledge base. In strict
+ * mode the model answers only from the retrieved context; expansive mode lets it
+ * combine the context with general knowledge. A message containing one of the
+ * configured override phrases lifts strict mode for that message only.
+ */
+class AnswerModeResolver {
+  constructor(options = {}) {
+    this.defaultMode = this.isValidMode(options.defaultMode) ? options.defaultMode : ANSWER_MODES.EXPANSIVE;
+    this.overridePhrases = this.parsePhrases(options.overridePhrases);
+  }
+
+  /**
+   * Resolves the answer mode for a single message
+   * @param {string} message - User message
+   * @param {string} [requestedMode] - Mode stored on the conversation
+   * @returns {Object} Resolution ({ mode, requestedMode, overridden, overridePhrase, query })
+   */
+  resolve(message, requestedMode) {
+    const text = typeof message === 'string' ? message : '';
+    const mode = this.isValidMode(requestedMode) ? requestedMode : this.defaultMode;
+    const resolution = {
+      mode,
+      requestedMode: mode,
+      overridden: false,
+      overridePhrase: null,
+      query: text
+    };
+
+    if (mode !== ANSWER_MODES.STRICT) {
+      return resolution;
+    }
+
+    const overridePhrase = this.findOverridePhrase(text);
+    if (!overridePhrase) {
+      return resolution;
+    }
+
+    return {
+      ...resolution,
+      mode: ANSWER_MODES.EXPANSIVE,
+      overridden: true,
+      overridePhrase,
+      query: this.removePhrase(text, overridePhrase)
+    };
+  }
+
+  /**
+   * Finds the first override phrase contained in a message
+   * @param {string} message - User message
+   * @returns {string|null} Matching phrase or null
+   */
+  findOverridePhrase(message) {
+    const normalized = this.normalize(message);
+    return this.overridePhrases.find(phrase => normalized.includes(phrase)) || null;
+  }
+
+  /**
+   * Removes an override phrase from a message so it does not skew retrieval
+   * @param {string} message - User message
+   * @param {string} phrase - Normalized override phrase
+   * @returns {string} Message without the phrase
+   */
+  removePhrase(message, phrase) {
+    const pattern = new RegExp(phrase.split(' ').map(this.escapeRegExp).join('\\s+'), 'gi');
+    return message
+      .replace(pattern, ' ')
+      .replace(/\s+([,.;:!?])/g, '$1')
+      .replace(/^[\s,.;:!?-]+/, '')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Parses override phrases from a comma-separated string or an array
+   * @param {string|Array<string>} phrases - Configured phrases
+   * @returns {Array<string>} Normalized, non-empty phrases
+   */
+  parsePhrases(phrases) {
+    let list = [];
+    if (Array.isArray(phrases)) {
+      list = phrases;
+    } else if (typeof phrases === 'string') {
+      list = phrases.split(',');
+    }
+
+    return [...new Set(list.map(phrase => this.normalize(phrase)).filter(Boolean))];
+  }
+
+  /**
+   * Normalizes text for case- and whitespace-insensitive matching
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return typeof text === 'string' ? text.toLowerCase().replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Escapes a string for use in a regular expression
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Checks whether a value is a supported answer mode
+   * @param {string} mode - Mode to check
+   * @returns {boolean} Whether the mode is supported
+   */
+  isValidMode(mode) {
+    return Object.values(ANSWER_MODES).includes(mode);
+  }
+
+  /**
+   * Updates resolver configuration
+   * @param {Object} options - New configuration options
+   */
+  updateConfig(options) {
+    if (options.defaultMode !== undefined && this.isValidMode(options.defaultMode)) {
+      this.defaultMode = options.defaultMode;
+    }
+
+    if (options.overridePhrases !== undefined) {
+      this.overridePhrases = this.parsePhrases(options.overridePhrases);
+    }
+  }
+}
+
+module.exports = {
+  ANSWER_MODES,
+  AnswerModeResolver
+};
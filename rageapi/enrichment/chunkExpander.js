@@ -0,0 +1,317 @@
+const { rageLogger } = require('../logging/logger');
+
+/** Marks the text left out between two excerpts of the same document */
+const GAP_MARKER = '\n\n[...]\n\n';
+
+/** Longest overlap removed between consecutive chunks, in characters */
+const MAX_OVERLAP = 1000;
+
+/** Shortest suffix/prefix match treated as chunker overlap rather than coincidence */
+const MIN_OVERLAP = 20;
+
+/**
+ * Chunk Expander
+ *
+ * Retrieved chunks often stop in the middle of a procedure. When chunk
+ * metadata carries a document ID and a chunk index, the expander adds the
+ * neighbouring chunks of each result (if the retrieval provider can look
+ * them up) and merges chunks of the same document into one excerpt in
+ * document order. Neighbours are only added when they pass the filters of the
+ * request and while they fit the token budget left by the retrieved chunks,
+ * best results first.
+ */
+class ChunkExpander {
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    this.window = Number.isInteger(options.window) ? Math.max(options.window, 0) : 1;
+    this.documentField = options.documentField || 'document_id';
+    this.indexField = options.indexField || 'chunk_index';
+  }
+
+  /**
+   * Adds neighbouring chunks and merges chunks of the same document
+   * @param {Array} documents - Scored documents, best first
+   * @param {Object} options - Expansion options
+   * @param {RetrievalProvider} [options.provider] - Provider used to look up neighbouring chunks
+   * @param {number} options.budgetTokens - Tokens available for document text
+   * @param {Function} options.countTokens - Counts the tokens of a text
+   * @param {Function} [options.filterChunks] - Drops the looked-up chunks the request may not see
+   * @param {string} [options.correlationId] - Request correlation ID
+   * @returns {Promise<{documents: Array, chunksAdded: number, chunksMerged: number}>} Documents in rank order
+   */
+  async expand(documents, options = {}) {
+    const unchanged = { documents, chunksAdded: 0, chunksMerged: 0 };
+    if (!this.enabled || !Array.isArray(documents) || documents.length === 0) {
+      return unchanged;
+    }
+
+    const groups = this.groupByDocument(documents);
+    if (groups.size === 0) {
+      return unchanged;
+    }
+
+    const usedTokens = documents.reduce((sum, doc) => sum + options.countTokens(doc.text || ''), 0);
+    const neighbours = await this.fetchNeighbours(
+      groups,
+      options.provider,
+      options.budgetTokens - usedTokens,
+      options.countTokens,
+      options.filterChunks,
+      options.correlationId
+    );
+    neighbours.forEach(({ documentId, index, doc }) => {
+      groups.get(documentId).chunks.push({ index, doc, retrieved: false });
+    });
+
+    let chunksMerged = 0;
+    const merged = new Map();
+    groups.forEach((group, documentId) => {
+      if (group.chunks.length > 1) {
+        merged.set(documentId, this.mergeChunks(group.chunks));
+        chunksMerged += group.chunks.filter(chunk => chunk.retrieved).length - 1;
+      }
+    });
+
+    if (merged.size === 0) {
+      return unchanged;
+    }
+
+    // Each merged document takes the place of its best chunk
+    const expanded = [];
+    documents.forEach(doc => {
+      const documentId = this.getDocumentId(doc);
+      if (!merged.has(documentId)) {
+        expanded.push(doc);
+      } else if (groups.get(documentId).chunks[0].doc === doc) {
+        expanded.push(merged.get(documentId));
+      }
+    });
+
+    rageLogger.enrichment('expand', {
+      chunksAdded: neighbours.length,
+      chunksMerged,
+      documents: expanded.length
+    }, options.correlationId);
+
+    return { documents: expanded, chunksAdded: neighbours.length, chunksMerged };
+  }
+
+  /**
+   * Groups the retrieved chunks that carry a document ID and chunk index
+   * @param {Array} documents - Scored documents, best first
+   * @returns {Map<string, {lookupId: *, chunks: Array}>} Chunks per document ID, best chunk first
+   */
+  groupByDocument(documents) {
+    const groups = new Map();
+
+    documents.forEach(doc => {
+      const documentId = this.getDocumentId(doc);
+      const index = this.getChunkIndex(doc);
+      if (documentId === null || index === null) {
+        return;
+      }
+
+      if (!groups.has(documentId)) {
+        // The lookup sends the ID as stored, e.g. a number, so backends can match it exactly
+        groups.set(documentId, { lookupId: this.readField(doc, this.documentField), chunks: [] });
+      }
+
+      const group = groups.get(documentId);
+      if (!group.chunks.some(chunk => chunk.index === index)) {
+        group.chunks.push({ index, doc, retrieved: true });
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Looks up the neighbours of the retrieved chunks and keeps those that fit the budget,
+   * nearest neighbours of the best chunks first
+   * @param {Map} groups - Chunks per document ID
+   * @param {RetrievalProvider} [provider] - Provider used to look up chunks
+   * @param {number} availableTokens - Tokens left for added chunks
+   * @param {Function} countTokens - Counts the tokens of a text
+   * @param {Function} [filterChunks] - Drops the looked-up chunks the request may not see
+   * @param {string} [correlationId] - Request correlation ID
+   * @returns {Promise<Array<{documentId: string, index: number, doc: Object}>>} Neighbours to add
+   */
+  async fetchNeighbours(groups, provider, availableTokens, countTokens, filterChunks, correlationId) {
+    if (this.window === 0 || availableTokens <= 0 || !provider?.supportsChunkLookup) {
+      return [];
+    }
+
+    // Wanted neighbours in priority order: by distance, then by rank of the retrieved chunk
+    const wanted = [];
+    const requested = new Set();
+    for (let distance = 1; distance <= this.window; distance++) {
+      groups.forEach((group, documentId) => {
+        group.chunks.forEach(({ index }) => {
+          [index - distance, index + distance].forEach(neighbour => {
+            const key = `${documentId}:${neighbour}`;
+            if (neighbour >= 0 && !requested.has(key) && !group.chunks.some(chunk => chunk.index === neighbour)) {
+              requested.add(key);
+              wanted.push({ documentId, index: neighbour });
+            }
+          });
+        });
+      });
+    }
+
+    if (wanted.length === 0) {
+      return [];
+    }
+
+    let found;
+    try {
+      const chunks = [...groups.entries()]
+        .map(([documentId, group]) => ({
+          documentId: group.lookupId,
+          indexes: wanted.filter(entry => entry.documentId === documentId).map(entry => entry.index)
+        }))
+        .filter(entry => entry.indexes.length > 0);
+
+      found = await provider.fetchChunks({
+        documentField: this.documentField,
+        indexField: this.indexField,
+        chunks
+      }, correlationId);
+    } catch (error) {
+      rageLogger.warn('Neighbouring chunks unavailable, using retrieved chunks only', {
+        provider: provider.name,
+        error: error.message
+      }, correlationId);
+      return [];
+    }
+
+    const byKey = new Map();
+    const visible = filterChunks ? filterChunks(found || []) : found || [];
+    visible.forEach(doc => {
+      const documentId = this.getDocumentId(doc);
+      const index = this.getChunkIndex(doc);
+      if (documentId !== null && index !== null) {
+        byKey.set(`${documentId}:${index}`, doc);
+      }
+    });
+
+    const neighbours = [];
+    let remainingTokens = availableTokens;
+    wanted.forEach(({ documentId, index }) => {
+      const doc = byKey.get(`${documentId}:${index}`);
+      if (!doc) {
+        return;
+      }
+
+      const cost = countTokens(doc.text || '');
+      if (cost <= remainingTokens) {
+        neighbours.push({ documentId, index, doc });
+        remainingTokens -= cost;
+      }
+    });
+
+    return neighbours;
+  }
+
+  /**
+   * Merges chunks of one document into an excerpt in document order. The merged
+   * document keeps the score and fields of the best retrieved chunk.
+   * @param {Array<{index: number, doc: Object, retrieved: boolean}>} chunks - Chunks, best retrieved chunk first
+   * @returns {Object} Merged document
+   */
+  mergeChunks(chunks) {
+    const best = chunks[0].doc;
+    const ordered = [...chunks].sort((a, b) => a.index - b.index);
+
+    let text = '';
+    ordered.forEach((chunk, position) => {
+      const chunkText = (chunk.doc.text || '').trim();
+      if (position === 0) {
+        text = chunkText;
+      } else if (chunk.index === ordered[position - 1].index + 1) {
+        text = this.joinConsecutive(text, chunkText);
+      } else {
+        text = `${text}${GAP_MARKER}${chunkText}`;
+      }
+    });
+
+    const subQueries = [...new Set(chunks.flatMap(chunk => chunk.doc.subQueries || []))];
+
+    return {
+      ...best,
+      text,
+      chunkIndexes: ordered.map(chunk => chunk.index),
+      expandedChunks: chunks.filter(chunk => !chunk.retrieved).length,
+      ...(subQueries.length > 0 && { subQueries })
+    };
+  }
+
+  /**
+   * Joins consecutive chunks, dropping the text chunkers repeat at the boundary
+   * @param {string} previous - Text so far
+   * @param {string} next - Next chunk
+   * @returns {string} Joined text
+   */
+  joinConsecutive(previous, next) {
+    const maxOverlap = Math.min(previous.length, next.length, MAX_OVERLAP);
+    for (let length = maxOverlap; length >= MIN_OVERLAP; length--) {
+      if (previous.endsWith(next.substring(0, length))) {
+        return `${previous}${next.substring(length)}`;
+      }
+    }
+
+    return `${previous}\n${next}`;
+  }
+
+  /**
+   * Reads the document ID of a chunk
+   * @param {Object} doc - Document
+   * @returns {string|null} Document ID
+   */
+  getDocumentId(doc) {
+    const value = this.readField(doc, this.documentField);
+    return value === undefined || value === null || value === '' ? null : String(value);
+  }
+
+  /**
+   * Reads the position of a chunk in its document
+   * @param {Object} doc - Document
+   * @returns {number|null} Chunk index
+   */
+  getChunkIndex(doc) {
+    const value = this.readField(doc, this.indexField);
+    // `Number` reads null, '' and booleans as 0, which would pass for the first chunk
+    if ((typeof value !== 'number' && typeof value !== 'string') || String(value).trim() === '') {
+      return null;
+    }
+
+    const index = Number(value);
+    return Number.isInteger(index) && index >= 0 ? index : null;
+  }
+
+  /**
+   * Reads a metadata field of a chunk; a leading `metadata.` in the field name is ignored
+   * @param {Object} doc - Document
+   * @param {string} field - Metadata field
+   * @returns {*} Field value
+   */
+  readField(doc, field) {
+    return doc?.metadata?.[field.replace(/^metadata\./, '')];
+  }
+
+  /**
+   * Gets expander statistics
+   * @returns {Object} Expander configuration summary
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      window: this.window,
+      documentField: this.documentField,
+      indexField: this.indexField
+    };
+  }
+}
+
+module.exports = {
+  ChunkExpander
+};
@@ -1,5 +1,8 @@
 const { rageLogger } = require('../logging/logger');
 const { configManager } = require('../config');
+const { ANSWER_MODES } = require('./answerMode');
+const { getRankScore } = require('./relevanceScorer');
+const { loadBuiltInTemplates, resolveLanguageTemplate } = require('./templateLoader');
 
 /**
  * Context Formatter
@@ -18,14 +21,42 @@ class ContextFormatter {
     
     this.maxContextLength = options.maxContextLength || this.config.RAGE_MAX_CONTEXT_LENGTH || 4000;
     this.includeMetadata = options.includeMetadata !== false;
+    this.maxSnippetLength = options.maxSnippetLength || 500;
     this.formatStyle = options.formatStyle || this.config.RAGE_FORMAT_STYLE || 'standard';
+    this.templateOverrides = options.templateOverrides || {};
+    this.builtInLanguageTemplates = options.builtInLanguageTemplates || loadBuiltInTemplates();
+    this.languageTemplates = options.languageTemplates || {};
+  }
+
+  /**
+   * Gets the template of the current format style for a locale.
+   * Built-in translations replace the English template, the configured overrides apply to
+   * every language and the admin's templates for the locale take precedence over both.
+   * @param {string} [locale] - Conversation or UI locale, e.g. `pt-BR`
+   * @returns {Object} Formatting template
+   */
+  getTemplate(locale) {
+    const style = this.templates[this.formatStyle] ? this.formatStyle : 'standard';
+    const template = {
+      ...this.templates[style],
+      ...resolveLanguageTemplate(this.builtInLanguageTemplates, locale, style)
+    };
+    Object.entries(this.templateOverrides).forEach(([key, value]) => {
+      if (typeof value === 'string' && value) {
+        template[key] = value;
+      }
+    });
+    return {
+      ...template,
+      ...resolveLanguageTemplate(this.languageTemplates, locale, style)
+    };
   }
 
   /**
    * Formats documents into context string
    * @param {Array} documents - Retrieved documents
-   * @param {Object} options - Formatting options
-   * @returns {Object} Formatted context with metadata
+   * @param {Object} options - Formatting options (correlationId, answerMode, locale)
+   * @returns {Object} Formatted context with metadata and the formatted `documents`, in context order
    */
   formatDocuments(documents, options = {}) {
     const correlationId = options.correlationId || rageLogger.generateCorrelationId();
@@ -50,10 +81,14 @@ class ContextFormatter {
       const sortedDocs = this.sortByRelevance(documents);
       
       // Apply template formatting
-      const formattedSections = this.applyTemplate(sortedDocs, correlationId);
+      const formattedSections = this.applyTemplate(sortedDocs, correlationId, options.locale);
       
       // Combine sections
-      const fullContext = this.combineFormattedSections(formattedSections);
+      const fullContext = this.combineFormattedSections(
+        formattedSections.map(({ section }) => section),
+        options.answerMode,
+        options.locale
+      );
       
       // Calculate metadata
       const metadata = this.calculateMetadata(sortedDocs, fullContext);
@@ -69,7 +104,8 @@ class ContextFormatter {
         tokenCount: metadata.tokenCount,
         sources: metadata.sources,
         relevanceScore: metadata.averageRelevance,
-        documentCount: sortedDocs.length
+        documentCount: sortedDocs.length,
+        documents: formattedSections.map(({ doc }) => doc)
       };
 
     } catch (error) {
@@ -84,31 +120,33 @@ class ContextFormatter {
   }
 
   /**
-   * Sorts documents by relevance score
+   * Sorts documents by relevance score, in the order the token optimizer ranks them
    * @param {Array} documents - Documents to sort
    * @returns {Array} Sorted documents
    */
   sortByRelevance(documents) {
     return documents
       .slice() // Create copy to avoid mutation
-      .sort((a, b) => (b.score || 0) - (a.score || 0));
+      .sort((a, b) => getRankScore(b) - getRankScore(a));
   }
 
   /**
    * Applies formatting template to documents
    * @param {Array} documents - Sorted documents
    * @param {string} correlationId - Request correlation ID
-   * @returns {Array} Formatted sections
+   * @param {string} [locale] - Locale selecting the template language
+   * @returns {Array<{ doc: Object, section: string }>} Formatted sections with their documents
    */
-  applyTemplate(documents, correlationId) {
-    const template = this.templates[this.formatStyle] || this.templates.standard;
+  applyTemplate(documents, correlationId, locale) {
+    const template = this.getTemplate(locale);
     const sections = [];
 
     documents.forEach((doc, index) => {
       try {
-        const section = this.formatSingleDocument(doc, index, template);
+        // Number sections by position, so a skipped document leaves no gap
+        const section = this.formatSingleDocument(doc, sections.length, template);
         if (section && section.trim()) {
-          sections.push(section);
+          sections.push({ doc, section });
         }
       } catch (error) {
         rageLogger.warn('Failed to format document', {
@@ -157,25 +195,48 @@ class ContextFormatter {
   /**
    * Combines formatted sections into final context
    * @param {Array} sections - Formatted document sections
+   * @param {string} [answerMode] - Answer mode selecting the footer instructions
+   * @param {string} [locale] - Locale selecting the template language
    * @returns {string} Complete context string
    */
-  combineFormattedSections(sections) {
+  combineFormattedSections(sections, answerMode, locale) {
     if (sections.length === 0) {
       return '';
     }
 
-    const template = this.templates[this.formatStyle] || this.templates.standard;
+    const template = this.getTemplate(locale);
     
     // Build context with header and footer
     const contextParts = [
       template.header,
       ...sections,
-      template.footer
+      this.getFooter(answerMode, locale)
     ].filter(part => part && part.trim());
 
     return contextParts.join('\n\n');
   }
 
+  /**
+   * Gets the footer instructions of the current template for an answer mode
+   * @param {string} [answerMode] - Answer mode ('strict' confines the answer to the context)
+   * @param {string} [locale] - Locale selecting the template language
+   * @returns {string} Footer text
+   */
+  getFooter(answerMode, locale) {
+    const template = this.getTemplate(locale);
+    return answerMode === ANSWER_MODES.STRICT ? template.strictFooter : template.footer;
+  }
+
+  /**
+   * Formats the instructions used in strict mode when no relevant context was found
+   * @param {string} [locale] - Locale selecting the template language
+   * @returns {string} Context instructing the model to decline
+   */
+  formatNoContext(locale) {
+    const template = this.getTemplate(locale);
+    return template.noContext;
+  }
+
   /**
    * Calculates metadata for the formatted context
    * @param {Array} documents - Original documents
@@ -203,6 +264,89 @@ class ContextFormatter {
     };
   }
 
+  /**
+   * Builds citation entries for the documents included in the context
+   * @param {Array} documents - Scored documents, in the order they appear in the context
+   * @param {Object} options - Citation options
+   * @returns {Array} Citation objects suitable for persisting on a message
+   */
+  buildCitations(documents, options = {}) {
+    if (!documents || documents.length === 0) {
+      return [];
+    }
+
+    const maxSnippetLength = options.maxSnippetLength || this.maxSnippetLength;
+
+    return documents.map((doc, index) => {
+      const metadata = doc.metadata || {};
+      const text = this.sanitizeText(doc.text || '');
+      const citation = {
+        index: index + 1,
+        id: doc.id || doc.chunk_id || metadata.id || `source_${index + 1}`,
+        source: metadata.source || doc.source_display_name || doc.source || 'Unknown Source',
+        score: doc.enhancedScore ?? doc.score ?? doc.originalScore ?? 0,
+        snippet: text.length > maxSnippetLength
+          ? text.substring(0, maxSnippetLength).trim() + '...'
+          : text
+      };
+
+      const title = metadata.title || doc.source_display_name;
+      if (title && title !== citation.source) {
+        citation.title = title;
+      }
+
+      const url = this.getSafeUrl(metadata.url || metadata.link || doc.url);
+      if (url) {
+        citation.url = url;
+      }
+
+      if (metadata.page) {
+        citation.page = metadata.page;
+      }
+
+      if (metadata.section) {
+        citation.section = metadata.section;
+      }
+
+      if (doc.similarity !== undefined) {
+        citation.similarity = doc.similarity;
+      }
+
+      if (doc.relevancy !== undefined) {
+        citation.relevancy = doc.relevancy;
+      }
+
+      if (Array.isArray(doc.subQueries) && doc.subQueries.length > 0) {
+        citation.subQueries = doc.subQueries;
+      }
+
+      if (Array.isArray(doc.chunkIndexes) && doc.chunkIndexes.length > 1) {
+        citation.chunkIndexes = doc.chunkIndexes;
+      }
+
+      return citation;
+    });
+  }
+
+  /**
+   * Keeps a source link only when it is an http(s) URL, since indexed metadata may carry
+   * `javascript:` or `data:` links that would run in the chat UI
+   * @param {*} url - Link from the document metadata
+   * @returns {string|undefined} Safe URL
+   */
+  getSafeUrl(url) {
+    if (typeof url !== 'string') {
+      return undefined;
+    }
+
+    try {
+      const { protocol } = new URL(url.trim());
+      return protocol === 'http:' || protocol === 'https:' ? url.trim() : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
   /**
    * Sanitizes document text for safe inclusion
    * @param {string} text - Raw document text
@@ -280,7 +424,8 @@ class ContextFormatter {
       sources: [...new Set(documents.map(d => d.metadata?.source).filter(Boolean))],
       relevanceScore: documents.length > 0 
         ? documents.reduce((sum, d) => sum + (d.score || 0), 0) / documents.length 
-        : 0
+        : 0,
+      documents
     };
   }
 
@@ -292,7 +437,9 @@ class ContextFormatter {
     return {
       header: '# Relevant Context\n\nThe following information was retrieved from the knowledge base to help answer your question:',
       documentFormat: '## {index}. {source}\n**Relevance:** {scorePercent}%\n\n{text}',
-      footer: '---\n\n*Please use the above context to inform your response when relevant. If the context doesn\'t contain sufficient information, please indicate that additional research may be needed.*'
+      footer: '---\n\n*Please use the above context to inform your response when relevant. If the context doesn\'t contain sufficient information, please indicate that additional research may be needed.*',
+      strictFooter: '---\n\n*Answer using only the above context and do not rely on outside knowledge. If the context doesn\'t contain the answer, say that the knowledge base has no information on this topic instead of answering.*',
+      noContext: '# Relevant Context\n\nNo relevant information was found in the knowledge base for this question.\n\n---\n\n*Do not answer from general knowledge. Tell the user that the knowledge base does not cover this question and suggest rephrasing it or asking about a documented topic.*'
     };
   }
 
@@ -304,7 +451,9 @@ class ContextFormatter {
     return {
       header: '# Knowledge Base Context\n\nRetrieved information to assist with your query:',
       documentFormat: '## Document {index}: {source}\n- **Relevance Score:** {scorePercent}%\n- **Metadata:** {metadata}\n\n### Content:\n{text}\n\n---',
-      footer: '### Usage Instructions\nThe above context has been retrieved from verified knowledge sources. Please:\n1. Use this information to enhance your response accuracy\n2. Cite sources when directly referencing content\n3. Indicate if additional information beyond this context is needed'
+      footer: '### Usage Instructions\nThe above context has been retrieved from verified knowledge sources. Please:\n1. Use this information to enhance your response accuracy\n2. Cite sources when directly referencing content\n3. Indicate if additional information beyond this context is needed',
+      strictFooter: '### Usage Instructions\nThe above context has been retrieved from verified knowledge sources. Please:\n1. Answer only with information contained in this context\n2. Cite sources when directly referencing content\n3. If the context does not answer the question, state that the knowledge base does not cover it and do not answer from general knowledge',
+      noContext: '# Knowledge Base Context\n\nNo relevant documents were found in the knowledge base for this query.\n\n### Usage Instructions\nDo not answer from general knowledge. State that the knowledge base does not cover this question and suggest rephrasing it or asking about a documented topic.'
     };
   }
 
@@ -316,7 +465,9 @@ class ContextFormatter {
     return {
       header: '**Context:**',
       documentFormat: '[{index}] {source} ({scorePercent}%): {text}',
-      footer: '*End of context*'
+      footer: '*End of context*',
+      strictFooter: '*End of context. Answer only from this context; if it is insufficient, say the knowledge base does not cover the question.*',
+      noContext: '**Context:** none found. Do not answer from general knowledge; say the knowledge base does not cover the question.'
     };
   }
 
@@ -336,6 +487,14 @@ class ContextFormatter {
     if (options.includeMetadata !== undefined) {
       this.includeMetadata = options.includeMetadata;
     }
+
+    if (options.templateOverrides !== undefined) {
+      this.templateOverrides = options.templateOverrides || {};
+    }
+
+    if (options.languageTemplates !== undefined) {
+      this.languageTemplates = options.languageTemplates || {};
+    }
     
     rageLogger.debug('Context formatter configuration updated', options);
   }
@@ -349,7 +508,11 @@ class ContextFormatter {
       maxContextLength: this.maxContextLength,
       formatStyle: this.formatStyle,
       includeMetadata: this.includeMetadata,
-      availableTemplates: Object.keys(this.templates)
+      availableTemplates: Object.keys(this.templates),
+      templateLanguages: [...new Set([
+        ...Object.keys(this.builtInLanguageTemplates),
+        ...Object.keys(this.languageTemplates)
+      ])]
     };
   }
 }
@@ -0,0 +1,110 @@
+const { LANGUAGE_LOCALES, getLocaleCandidates } = require('./templateLoader');
+
+/**
+ * Function words and characters that identify each supported language.
+ * Words shared by several languages count for each of them, so the
+ * distinctive words and characters decide.
+ */
+const LANGUAGE_PROFILES = {
+  en: {
+    words: [
+      'the', 'and', 'of', 'to', 'in', 'on', 'is', 'are', 'was', 'what', 'how', 'do', 'does', 'i',
+      'my', 'for', 'with', 'can', 'which', 'when', 'where', 'who', 'why', 'should', 'about',
+      'this', 'that', 'from', 'be', 'it', 'an', 'or', 'not', 'have', 'has', 'we', 'our', 'you',
+      'your', 'there', 'any', 'get', 'need'
+    ],
+    characters: null
+  },
+  pt: {
+    words: [
+      'o', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'nos', 'nas',
+      'que', 'para', 'por', 'com', 'como', 'qual', 'quais', 'quando', 'onde', 'é', 'são', 'não',
+      'meu', 'minha', 'se', 'ao', 'isso', 'sobre', 'posso', 'pode', 'tem', 'existe', 'está',
+      'preciso', 'mais', 'e', 'também', 'você', 'eu'
+    ],
+    characters: /[ãõçêô]/g
+  },
+  es: {
+    words: [
+      'el', 'los', 'las', 'un', 'una', 'de', 'del', 'en', 'que', 'para', 'por', 'con', 'como',
+      'cuál', 'cuáles', 'cuándo', 'dónde', 'es', 'son', 'no', 'mi', 'se', 'al', 'eso', 'sobre',
+      'puedo', 'puede', 'tiene', 'hay', 'está', 'necesito', 'más', 'y', 'lo', 'qué', 'cómo',
+      'también', 'usted', 'yo'
+    ],
+    characters: /[ñ¿¡]/g
+  }
+};
+
+const PROFILE_WORDS = Object.fromEntries(
+  Object.entries(LANGUAGE_PROFILES).map(([locale, profile]) => [locale, new Set(profile.words)])
+);
+
+/** Language name of each locale, as used by the token optimizer */
+const LOCALE_LANGUAGES = Object.fromEntries(
+  Object.entries(LANGUAGE_LOCALES).map(([language, locale]) => [locale, language])
+);
+
+/**
+ * Builds the language of a locale
+ * @param {string} locale - Language code, e.g. `pt`
+ * @param {string} source - How the language was found (`detected` or `locale`)
+ * @param {number} [confidence] - Share of the language evidence
+ * @returns {{locale: string, language: string, source: string, confidence: number}} Query language
+ */
+function toQueryLanguage(locale, source, confidence = 1) {
+  return { locale, language: LOCALE_LANGUAGES[locale] || locale, source, confidence };
+}
+
+/**
+ * Detects the language of a short query from its function words and characters.
+ * Returns null when the evidence is missing or tied, e.g. for keyword queries.
+ * @param {string} text - Query text
+ * @returns {{locale: string, language: string, source: string, confidence: number}|null} Detected language
+ */
+function detectLanguage(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const lower = text.toLowerCase();
+  const words = lower.match(/\p{L}+/gu) || [];
+
+  const scores = Object.entries(LANGUAGE_PROFILES)
+    .map(([locale, profile]) => ({
+      locale,
+      score: words.filter(word => PROFILE_WORDS[locale].has(word)).length +
+        (profile.characters ? 2 * (lower.match(profile.characters) || []).length : 0)
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (best.score === 0 || best.score === second.score) {
+    return null;
+  }
+
+  const total = scores.reduce((sum, { score }) => sum + score, 0);
+  return toQueryLanguage(best.locale, 'detected', best.score / total);
+}
+
+/**
+ * Resolves the language of a query: the detected language, otherwise the
+ * language of the conversation or UI locale
+ * @param {string} text - Query text
+ * @param {string} [locale] - Conversation or UI locale, e.g. `pt-BR`
+ * @returns {{locale: string, language: string, source: string, confidence: number}|null} Query language
+ */
+function resolveQueryLanguage(text, locale) {
+  const detected = detectLanguage(text);
+  if (detected) {
+    return detected;
+  }
+
+  const language = getLocaleCandidates(locale).pop();
+  return LANGUAGE_PROFILES[language] ? toQueryLanguage(language, 'locale') : null;
+}
+
+module.exports = {
+  LANGUAGE_PROFILES,
+  detectLanguage,
+  resolveQueryLanguage
+};
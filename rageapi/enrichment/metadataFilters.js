@@ -0,0 +1,313 @@
+/**
+ * Metadata Filter Builder
+ *
+ * Builds the metadata filters applied to a retrieval from two sources:
+ *
+ * - **User context**: rules keyed by role or group name restrict documents to
+ *   the metadata values the user may see, e.g. `{"FINANCE": {"department": ["finance", "shared"]}}`.
+ *   Values granted by every matching rule are combined; the `*` rule applies to
+ *   everyone. Users matching no rule are not restricted.
+ * - **Message syntax**: `#field:value` (or `#field:"two words"`) requires a
+ *   metadata value, `after:YYYY-MM-DD` and `before:YYYY-MM-DD` bound the
+ *   document date. The syntax is stripped from the search query.
+ *
+ * Callers such as the `knowledge_base_search` agent tool may also request
+ * filters and date bounds explicitly; they are applied like message syntax.
+ *
+ * Message and requested filters can only narrow the user context: a value
+ * outside the values granted to the user makes the filter set unsatisfiable.
+ */
+class MetadataFilterBuilder {
+  constructor(options = {}) {
+    this.inlineEnabled = options.inlineEnabled !== false;
+    this.dateField = options.dateField || 'updated';
+    this.roleFilters = this.parseRules(options.roleFilters);
+    this.groupFilters = this.parseRules(options.groupFilters);
+  }
+
+  /**
+   * Builds the filters of a message
+   * @param {string} message - User message
+   * @param {Object} [user] - User context
+   * @param {string} [user.role] - User role
+   * @param {Array<string>} [user.groups] - User groups
+   * @param {Object} [requested] - Filters requested by the caller
+   * @param {Object} [requested.filters] - Required values per metadata field
+   * @param {Object} [requested.dateRange] - Date bounds ({ after, before }, YYYY-MM-DD)
+   * @returns {Object} Result ({ query, filters, dateRange, unsatisfiable, inline })
+   */
+  build(message, user = {}, requested = {}) {
+    const inline = this.inlineEnabled
+      ? this.parseInline(message)
+      : { query: typeof message === 'string' ? message : '', filters: {}, dateRange: null, tokens: [] };
+    const contextFilters = this.fromUser(user);
+
+    const filters = { ...contextFilters };
+    let unsatisfiable = false;
+
+    const narrow = (field, values) => {
+      if (!filters[field]) {
+        filters[field] = values;
+        return;
+      }
+
+      const allowed = new Set(filters[field].map(value => this.normalizeValue(value)));
+      filters[field] = values.filter(value => allowed.has(this.normalizeValue(value)));
+      if (filters[field].length === 0) {
+        unsatisfiable = true;
+      }
+    };
+
+    Object.entries(inline.filters).forEach(([field, values]) => narrow(field, values));
+    Object.entries(this.normalizeRequested(requested.filters)).forEach(([field, values]) => narrow(field, values));
+
+    return {
+      query: inline.query,
+      filters,
+      dateRange: this.mergeDateRanges(inline.dateRange, requested.dateRange),
+      unsatisfiable,
+      inline: inline.tokens
+    };
+  }
+
+  /**
+   * Normalizes filters requested by a caller into lists of string values
+   * @param {Object} [requested] - Value or values per metadata field
+   * @returns {Object} Required values per metadata field
+   */
+  normalizeRequested(requested) {
+    const filters = {};
+    if (!requested || typeof requested !== 'object') {
+      return filters;
+    }
+
+    Object.entries(requested).forEach(([field, values]) => {
+      const list = (Array.isArray(values) ? values : [values])
+        .filter(value => value !== undefined && value !== null && value !== '')
+        .map(String);
+      if (list.length > 0) {
+        filters[field.replace(/^metadata\./, '')] = [...new Set(list)];
+      }
+    });
+
+    return filters;
+  }
+
+  /**
+   * Combines date bounds, keeping the narrowest window
+   * @param {Object|null} inline - Bounds parsed from the message
+   * @param {Object} [requested] - Bounds requested by the caller
+   * @returns {Object|null} Date bounds ({ after, before })
+   */
+  mergeDateRanges(inline, requested) {
+    let dateRange = inline;
+
+    ['after', 'before'].forEach(bound => {
+      const date = requested?.[bound];
+      if (typeof date !== 'string' || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+        return;
+      }
+
+      const current = dateRange?.[bound];
+      const narrower = !current || (bound === 'after' ? date > current : date < current);
+      if (narrower) {
+        dateRange = { ...dateRange, [bound]: date };
+      }
+    });
+
+    return dateRange;
+  }
+
+  /**
+   * Extracts inline filters from a message
+   * @param {string} message - User message
+   * @returns {Object} Parsed filters ({ query, filters, dateRange, tokens })
+   */
+  parseInline(message) {
+    const text = typeof message === 'string' ? message : '';
+    const filters = {};
+    const tokens = [];
+    let dateRange = null;
+
+    const pattern = /(^|\s)(?:#([a-zA-Z_][\w.-]*):(?:"([^"]+)"|([^\s"]+))|(after|before):(\d{4}-\d{2}-\d{2}))(?=\s|$|[,.;!?])/g;
+
+    const query = text.replace(pattern, (match, lead, field, quotedValue, plainValue, bound, date) => {
+      if (bound) {
+        const timestamp = Date.parse(`${date}T00:00:00Z`);
+        if (Number.isNaN(timestamp)) {
+          return match;
+        }
+
+        dateRange = { ...dateRange, [bound]: date };
+        tokens.push(`${bound}:${date}`);
+        return lead;
+      }
+
+      const value = quotedValue || plainValue.replace(/[,.;:!?]+$/, '');
+      if (!value) {
+        return match;
+      }
+
+      const key = field.replace(/^metadata\./, '');
+      filters[key] = [...new Set([...(filters[key] || []), value])];
+      tokens.push(`#${key}:${value}`);
+      return lead;
+    });
+
+    return {
+      query: query
+        .replace(/\s+([,.;:!?])/g, '$1')
+        .replace(/\s{2,}/g, ' ')
+        .trim(),
+      filters,
+      dateRange,
+      tokens
+    };
+  }
+
+  /**
+   * Collects the metadata values granted to a user by role and group rules
+   * @param {Object} [user] - User context ({ role, groups })
+   * @returns {Object} Allowed values per metadata field
+   */
+  fromUser(user = {}) {
+    const rules = [
+      this.roleFilters['*'],
+      this.roleFilters[user.role],
+      ...(Array.isArray(user.groups) ? user.groups : []).map(group => this.groupFilters[group])
+    ].filter(Boolean);
+
+    const filters = {};
+    rules.forEach(rule => {
+      Object.entries(rule).forEach(([field, values]) => {
+        const key = field.replace(/^metadata\./, '');
+        const list = Array.isArray(values) ? values : [values];
+        filters[key] = [...new Set([...(filters[key] || []), ...list.map(String)])];
+      });
+    });
+
+    return filters;
+  }
+
+  /**
+   * Converts filters into the `metadata-filters` request format used by providers
+   * @param {Object} filters - Allowed values per metadata field
+   * @returns {Array<Object>} Provider filters, e.g. `[{ 'metadata.source': ['handbook'] }]`
+   */
+  toProviderFilters(filters = {}) {
+    return Object.entries(filters)
+      .filter(([, values]) => values.length > 0)
+      .map(([field, values]) => ({ [`metadata.${field}`]: values }));
+  }
+
+  /**
+   * Checks whether a retrieved document satisfies the filters
+   * @param {Object} doc - Retrieved document
+   * @param {Object} filters - Allowed values per metadata field
+   * @param {Object} [dateRange] - Date bounds ({ after, before })
+   * @returns {boolean} Whether the document matches
+   */
+  matches(doc, filters = {}, dateRange = null) {
+    const metadata = doc?.metadata || {};
+
+    const fieldsMatch = Object.entries(filters).every(([field, values]) => {
+      const actual = metadata[field] ?? doc[field];
+      if (actual === undefined || actual === null) {
+        return false;
+      }
+
+      const allowed = new Set(values.map(value => this.normalizeValue(value)));
+      const actualValues = Array.isArray(actual) ? actual : [actual];
+      return actualValues.some(value => allowed.has(this.normalizeValue(value)));
+    });
+
+    if (!fieldsMatch) {
+      return false;
+    }
+
+    if (!dateRange) {
+      return true;
+    }
+
+    const timestamp = Date.parse(metadata[this.dateField] ?? doc[this.dateField]);
+    if (Number.isNaN(timestamp)) {
+      return false;
+    }
+
+    if (dateRange.after && timestamp < Date.parse(`${dateRange.after}T00:00:00Z`)) {
+      return false;
+    }
+
+    if (dateRange.before && timestamp >= Date.parse(`${dateRange.before}T00:00:00Z`)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks whether a build result restricts retrieval at all
+   * @param {Object} result - Result of build()
+   * @returns {boolean} Whether any filter applies
+   */
+  hasFilters(result) {
+    return Object.keys(result?.filters || {}).length > 0 || !!result?.dateRange;
+  }
+
+  /**
+   * Parses role or group rules from a JSON string or an object
+   * @param {string|Object} rules - Configured rules
+   * @returns {Object} Rules keyed by role or group name
+   */
+  parseRules(rules) {
+    if (!rules) {
+      return {};
+    }
+
+    if (typeof rules === 'object') {
+      return rules;
+    }
+
+    try {
+      const parsed = JSON.parse(rules);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Normalizes a metadata value for case-insensitive comparison
+   * @param {any} value - Metadata value
+   * @returns {string} Normalized value
+   */
+  normalizeValue(value) {
+    return String(value).trim().toLowerCase();
+  }
+
+  /**
+   * Updates builder configuration
+   * @param {Object} options - New configuration options
+   */
+  updateConfig(options) {
+    if (options.inlineEnabled !== undefined) {
+      this.inlineEnabled = options.inlineEnabled !== false;
+    }
+
+    if (options.dateField !== undefined) {
+      this.dateField = options.dateField;
+    }
+
+    if (options.roleFilters !== undefined) {
+      this.roleFilters = this.parseRules(options.roleFilters);
+    }
+
+    if (options.groupFilters !== undefined) {
+      this.groupFilters = this.parseRules(options.groupFilters);
+    }
+  }
+}
+
+module.exports = {
+  MetadataFilterBuilder
+};
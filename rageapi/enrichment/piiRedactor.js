@@ -0,0 +1,256 @@
+const { rageLogger } = require('../logging/logger');
+
+/**
+ * Built-in detectors, applied in this order after the admin rules.
+ * Identifiers written with their punctuation are always redacted; bare digit
+ * runs only when their check digits are valid, so order numbers and similar
+ * values are left alone. Phone numbers need an area or country code.
+ */
+const BUILT_IN_DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    replacement: '[EMAIL]'
+  },
+  cnpj: {
+    pattern: /(?<!\d)\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}(?!\d)/g,
+    replacement: '[CNPJ]',
+    validate: match => /\D/.test(match) || isValidCnpj(match)
+  },
+  cpf: {
+    pattern: /(?<!\d)\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?!\d)/g,
+    replacement: '[CPF]',
+    validate: match => /\D/.test(match) || isValidCpf(match)
+  },
+  credit_card: {
+    pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g,
+    replacement: '[CARD]',
+    validate: match => passesLuhn(match.replace(/\D/g, ''))
+  },
+  phone: {
+    pattern: /(?<![\w@])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,3}\)|\d{2,3})[\s.-]?\d{4,5}[\s.-]?\d{4}(?!\d)/g,
+    replacement: '[PHONE]'
+  }
+};
+
+const DEFAULT_DETECTORS = Object.keys(BUILT_IN_DETECTORS);
+
+/**
+ * Validates the check digits of a bare CPF
+ * @param {string} digits - Eleven digits
+ * @returns {boolean} Whether the CPF is valid
+ */
+function isValidCpf(digits) {
+  if (/^(\d)\1{10}$/.test(digits)) {
+    return false;
+  }
+
+  const checkDigit = length => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += Number(digits[i]) * (length + 1 - i);
+    }
+    return ((sum * 10) % 11) % 10;
+  };
+
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+}
+
+/**
+ * Validates the check digits of a bare CNPJ
+ * @param {string} digits - Fourteen digits
+ * @returns {boolean} Whether the CNPJ is valid
+ */
+function isValidCnpj(digits) {
+  if (/^(\d)\1{13}$/.test(digits)) {
+    return false;
+  }
+
+  const checkDigit = length => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += Number(digits[i]) * (((length - 1 - i) % 8) + 2);
+    }
+    const remainder = sum % 11;
+    return remainder < 2 ? 0 : 11 - remainder;
+  };
+
+  return checkDigit(12) === Number(digits[12]) && checkDigit(13) === Number(digits[13]);
+}
+
+/**
+ * Checks a card number with the Luhn algorithm
+ * @param {string} digits - Card digits
+ * @returns {boolean} Whether the number passes
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * PII Redactor
+ *
+ * Replaces personal data in the user query with placeholders before it leaves
+ * LibreChat for the retrieval provider or the keyword search backend. Admin
+ * rules (regular expressions keyed by name) run first, then the enabled
+ * built-in detectors. Only the number of redactions per detector is reported;
+ * the redacted values are never logged.
+ */
+class PiiRedactor {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.detectors = this.parseDetectors(options.detectors);
+    this.rules = this.parseRules(options.rules);
+  }
+
+  /**
+   * Redacts personal data from a query
+   * @param {string} text - Query text
+   * @returns {{text: string, redacted: number, counts: Object<string, number>}} Redacted text and redactions per detector
+   */
+  redact(text) {
+    const result = { text: typeof text === 'string' ? text : '', redacted: 0, counts: {} };
+    if (!this.enabled || !result.text) {
+      return result;
+    }
+
+    [...this.rules, ...this.detectors].forEach(({ name, pattern, replacement, validate }) => {
+      result.text = result.text.replace(pattern, match => {
+        if (validate && !validate(match)) {
+          return match;
+        }
+
+        result.counts[name] = (result.counts[name] || 0) + 1;
+        result.redacted++;
+        return replacement;
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Resolves the enabled built-in detectors
+   * @param {string|Array<string>} [detectors] - Detector names, comma-separated or as a list; all when omitted
+   * @returns {Array<Object>} Detectors ({ name, pattern, replacement, validate })
+   */
+  parseDetectors(detectors) {
+    let names = DEFAULT_DETECTORS;
+    if (Array.isArray(detectors)) {
+      names = detectors;
+    } else if (typeof detectors === 'string') {
+      names = detectors.split(',');
+    }
+
+    return [...new Set(names.map(name => String(name).trim().toLowerCase()).filter(Boolean))]
+      .filter(name => {
+        if (BUILT_IN_DETECTORS[name]) {
+          return true;
+        }
+
+        rageLogger.warn('Unknown PII detector, ignoring it', {
+          detector: name,
+          available: DEFAULT_DETECTORS
+        });
+        return false;
+      })
+      .map(name => ({ name, ...BUILT_IN_DETECTORS[name] }));
+  }
+
+  /**
+   * Compiles the admin redaction rules
+   * @param {string|Object} [rules] - Rules keyed by name, as JSON or an object; each is a
+   *   pattern string or { pattern, flags, replacement }
+   * @returns {Array<Object>} Compiled rules ({ name, pattern, replacement })
+   */
+  parseRules(rules) {
+    if (!rules) {
+      return [];
+    }
+
+    let parsed = rules;
+    if (typeof rules === 'string') {
+      try {
+        parsed = JSON.parse(rules);
+      } catch (error) {
+        rageLogger.error('Invalid RAGE_PII_RULES, ignoring admin redaction rules', {
+          error: error.message
+        });
+        return [];
+      }
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return [];
+    }
+
+    return Object.entries(parsed).reduce((compiled, [name, rule]) => {
+      const definition = typeof rule === 'string' ? { pattern: rule } : rule || {};
+      const flags = [...new Set(`${definition.flags || ''}g`)].join('');
+
+      try {
+        if (typeof definition.pattern !== 'string' || !definition.pattern) {
+          throw new Error('pattern must be a non-empty string');
+        }
+
+        compiled.push({
+          name,
+          pattern: new RegExp(definition.pattern, flags),
+          replacement: definition.replacement || `[${name.toUpperCase()}]`
+        });
+      } catch (error) {
+        rageLogger.error('Invalid PII redaction rule, ignoring it', {
+          rule: name,
+          error: error.message
+        });
+      }
+
+      return compiled;
+    }, []);
+  }
+
+  /**
+   * Updates redactor configuration
+   * @param {Object} options - New configuration options
+   */
+  updateConfig(options) {
+    if (options.enabled !== undefined) {
+      this.enabled = options.enabled !== false;
+    }
+
+    if (options.detectors !== undefined) {
+      this.detectors = this.parseDetectors(options.detectors);
+    }
+
+    if (options.rules !== undefined) {
+      this.rules = this.parseRules(options.rules);
+    }
+  }
+
+  /**
+   * Gets redactor statistics
+   * @returns {Object} Redactor configuration summary
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      detectors: this.detectors.map(({ name }) => name),
+      rules: this.rules.map(({ name }) => name)
+    };
+  }
+}
+
+module.exports = {
+  BUILT_IN_DETECTORS,
+  PiiRedactor
+};
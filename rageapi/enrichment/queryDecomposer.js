@@ -0,0 +1,252 @@
+const fetch = require('node-fetch');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+/** Words that ask for a comparison (English, Portuguese, Spanish) */
+const COMPARISON_PATTERN = /(?<!\p{L})(compare|comparing|comparison|versus|vs\.?|differences?|differ|comparar|compara|comparação|comparación|diferenças?|diferencias?)(?!\p{L})/iu;
+
+/** Years and versions, the usual values compared within one question */
+const VALUE = '(?:(?:19|20)\\d{2}|v?\\d+(?:\\.\\d+)+)';
+const VALUE_LIST_PATTERN = new RegExp(
+  `(?:(?:between|entre)\\s+)?(${VALUE}(?:\\s*,\\s*${VALUE})*\\s*,?\\s+(?:and|or|vs\\.?|versus|e|ou|y|o)\\s+${VALUE})`,
+  'i'
+);
+
+/** "between A and B" */
+const BETWEEN_PATTERN = /^(.*?)(?<!\p{L})(?:between|entre)\s+(.+?)\s+(?:and|e|y)\s+(.+)$/iu;
+
+/** Question and comparison words dropped from the topic shared by the sub-queries */
+const TOPIC_STOP_WORDS = new Set([
+  'what', 'which', 'is', 'are', 'the', 'a', 'an', 'main', 'key', 'difference', 'differences', 'compare',
+  'comparison', 'please', 'qual', 'quais', 'é', 'são', 'o', 'os', 'as', 'principal', 'principais',
+  'diferença', 'diferenças', 'comparar', 'compara', 'cuál', 'cuáles', 'es', 'son', 'el', 'la', 'los',
+  'las', 'diferencia', 'diferencias'
+]);
+
+const DECOMPOSITION_PROMPT = 'Split the question into at most {max} standalone search queries for a knowledge ' +
+  'base, one per line, each covering one part of the question. Keep names, dates and placeholders in square ' +
+  'brackets, and write the queries in the language of the question. If the question asks for one thing only, ' +
+  'reply with it unchanged on a single line.';
+
+/**
+ * Query Decomposer
+ *
+ * Splits complex questions into sub-queries that are searched separately, so a
+ * comparison such as "compare the travel policy in 2023 and 2024" retrieves
+ * chunks for both years instead of whichever year dominates the embedding.
+ * Uses the query rewriting model when configured and a deterministic
+ * heuristic otherwise (or when the model fails).
+ */
+class QueryDecomposer {
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    this.maxSubQueries = options.maxSubQueries || 3;
+    this.maxQueryLength = options.maxQueryLength || 500;
+    this.llm = {
+      url: options.llmUrl || null,
+      model: options.llmModel || null,
+      apiKey: options.llmApiKey || null,
+      timeout: options.llmTimeout || 1500
+    };
+  }
+
+  /**
+   * Splits a question into sub-queries
+   * @param {string} query - Standalone search query
+   * @param {Object} [options] - Decomposition options
+   * @param {string} [options.correlationId] - Request correlation ID
+   * @returns {Promise<{subQueries: Array<string>, decomposed: boolean, strategy: string}>} Sub-queries; only the query itself when not decomposed
+   */
+  async decompose(query, options = {}) {
+    const unchanged = { subQueries: [query], decomposed: false, strategy: 'none' };
+    if (!this.enabled || typeof query !== 'string' || !query.trim()) {
+      return unchanged;
+    }
+
+    const heuristic = this.decomposeHeuristically(query);
+    if (this.llm.url && this.llm.model && (heuristic.length > 1 || this.looksComplex(query))) {
+      const startTime = Date.now();
+      try {
+        const subQueries = this.normalize(await this.decomposeWithLlm(query, options.correlationId), query);
+        metricsCollector.recordOperation('queryDecomposition', Date.now() - startTime, 'success', {
+          strategy: 'llm'
+        });
+
+        return subQueries.length > 1
+          ? { subQueries, decomposed: true, strategy: 'llm' }
+          : unchanged;
+      } catch (error) {
+        metricsCollector.recordOperation('queryDecomposition', Date.now() - startTime, 'error', {
+          strategy: 'llm'
+        });
+        rageLogger.warn('LLM query decomposition failed, using heuristic', {
+          error: error.message
+        }, options.correlationId);
+      }
+    }
+
+    return heuristic.length > 1
+      ? { subQueries: heuristic, decomposed: true, strategy: 'heuristic' }
+      : unchanged;
+  }
+
+  /**
+   * Whether a question may need more than one search
+   * @param {string} query - Search query
+   * @returns {boolean} True for comparisons and several questions in one message
+   */
+  looksComplex(query) {
+    return COMPARISON_PATTERN.test(query) || (query.match(/\?/g) || []).length > 1;
+  }
+
+  /**
+   * Splits a question with deterministic rules: several questions, compared years or
+   * versions, "difference between A and B" and "A vs B"
+   * @param {string} query - Search query
+   * @returns {Array<string>} Sub-queries (a single entry when the question is not split)
+   */
+  decomposeHeuristically(query) {
+    const questions = query.split(/(?<=\?)\s+/)
+      .map(question => question.replace(/^(?:and|also|e|y|também|también)\s+/i, ''))
+      .filter(question => question.split(/\s+/).length >= 2);
+    if (questions.length > 1) {
+      return this.normalize(questions, query);
+    }
+
+    const topic = this.stripComparison(query);
+    const values = topic.match(VALUE_LIST_PATTERN);
+    if (values) {
+      const subQueries = values[1].match(new RegExp(VALUE, 'gi'))
+        .map(value => topic.replace(values[0], value));
+      return this.normalize(subQueries, query);
+    }
+
+    // "between" only splits comparisons, not e.g. "the handoff between sales and support"
+    const between = COMPARISON_PATTERN.test(query) && query.match(BETWEEN_PATTERN);
+    if (between) {
+      const shared = this.extractTopic(between[1]);
+      const items = [between[2], between[3].replace(/[?.!]+$/, '')];
+      return this.normalize(items.map(item => (shared ? `${shared} ${item}` : item)), query);
+    }
+
+    const sides = query.split(/\s+(?:vs\.?|versus)\s+/i);
+    if (sides.length === 2) {
+      return this.normalize([this.stripComparison(sides[0]), sides[1].replace(/[?.!]+$/, '')], query);
+    }
+
+    return [query];
+  }
+
+  /**
+   * Removes a leading comparison verb, e.g. "compare"
+   * @param {string} text - Query text
+   * @returns {string} Text without the verb
+   */
+  stripComparison(text) {
+    return text.replace(/^\s*(?:please\s+)?(?:compare|comparar|compara)\s+/i, '').trim();
+  }
+
+  /**
+   * Keeps the words of the shared topic, dropping question and comparison words
+   * @param {string} text - Text before "between"
+   * @returns {string} Topic
+   */
+  extractTopic(text) {
+    return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+      .filter(word => !TOPIC_STOP_WORDS.has(word.toLowerCase()))
+      .join(' ');
+  }
+
+  /**
+   * Cleans, deduplicates and limits sub-queries
+   * @param {Array<string>} subQueries - Candidate sub-queries
+   * @param {string} query - Original query
+   * @returns {Array<string>} Sub-queries (the original query alone when fewer than two remain)
+   */
+  normalize(subQueries, query) {
+    const seen = new Set();
+    const normalized = (subQueries || [])
+      .map(subQuery => String(subQuery)
+        .replace(/^\s*(?:[-*•]\s*|\d+[.)]\s+)/, '')
+        .replace(/^["']|["']$/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, this.maxQueryLength))
+      .filter(subQuery => {
+        const key = subQuery.toLowerCase();
+        if (subQuery.length < 3 || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxSubQueries);
+
+    return normalized.length > 1 ? normalized : [query];
+  }
+
+  /**
+   * Splits the question with an OpenAI-compatible chat completions endpoint
+   * @param {string} query - Search query
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Array<string>>} Sub-queries returned by the model
+   */
+  async decomposeWithLlm(query, correlationId) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.llm.timeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.llm.apiKey) {
+        headers.Authorization = `Bearer ${this.llm.apiKey}`;
+      }
+
+      const response = await fetch(`${this.llm.url.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal: controller.signal,
+        body: JSON.stringify({
+          model: this.llm.model,
+          temperature: 0,
+          max_tokens: 200,
+          messages: [
+            { role: 'system', content: DECOMPOSITION_PROMPT.replace('{max}', this.maxSubQueries) },
+            { role: 'user', content: query }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Decomposition request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const content = data?.choices?.[0]?.message?.content;
+
+      rageLogger.debug('LLM query decomposition completed', {
+        model: this.llm.model,
+        hasContent: !!content
+      }, correlationId);
+
+      return typeof content === 'string' ? content.split('\n') : [];
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Gets decomposer statistics
+   * @returns {Object} Decomposer configuration summary
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      maxSubQueries: this.maxSubQueries,
+      llm: !!(this.llm.url && this.llm.model)
+    };
+  }
+}
+
+module.exports = {
+  QueryDecomposer
+};
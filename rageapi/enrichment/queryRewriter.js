@@ -0,0 +1,338 @@
+const fetch = require('node-fetch');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+const STOP_WORDS = new Set([
+  // English
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'him', 'his', 'how', 'its', 'may', 'who', 'did', 'get', 'let',
+  'she', 'too', 'use', 'what', 'when', 'where', 'which', 'why', 'with', 'would', 'could',
+  'should', 'about', 'there', 'their', 'this', 'that', 'these', 'those', 'from', 'have',
+  'does', 'into', 'than', 'then', 'them', 'they', 'will', 'your', 'also', 'please', 'tell',
+  'explain', 'know', 'want', 'need', 'like',
+  // Portuguese
+  'que', 'com', 'uma', 'para', 'por', 'não', 'nao', 'dos', 'das', 'nos', 'nas', 'como',
+  'mais', 'mas', 'foi', 'ser', 'tem', 'são', 'sao', 'seu', 'sua', 'ele', 'ela', 'isso',
+  'esse', 'essa', 'este', 'esta', 'qual', 'quais', 'quando', 'onde', 'porque', 'sobre',
+  'pode', 'poderia', 'fale', 'explique', 'quero', 'preciso', 'favor'
+]);
+
+const FOLLOW_UP_PATTERNS = [
+  /^(and|also|but|so|what about|how about|then)\b/i,
+  /\b(it|its|that|this|those|these|they|them|former|latter)\b/i,
+  /\b(the )?(first|second|third|fourth|fifth|last|other) one\b/i,
+  /^(e|mas|então|entao|e quanto|e sobre|e o|e a|e os|e as)\b/i,
+  /\b(isso|isto|esse|essa|esses|essas|disso|dele|dela|deles|delas|nele|nela)\b/i,
+  /\b(o|a) (primeir|segund|terceir|quart|quint|últim|ultim)[oa]\b/i
+];
+
+const ORDINALS = {
+  first: 1, '1st': 1, primeiro: 1, primeira: 1,
+  second: 2, '2nd': 2, segundo: 2, segunda: 2,
+  third: 3, '3rd': 3, terceiro: 3, terceira: 3,
+  fourth: 4, '4th': 4, quarto: 4, quarta: 4,
+  fifth: 5, '5th': 5, quinto: 5, quinta: 5
+};
+
+const REWRITE_PROMPT = 'You rewrite the last user message of a conversation into a standalone search query ' +
+  'for a knowledge base. Resolve pronouns and references using the earlier turns, keep the language of the ' +
+  'user message, and do not answer the question. Reply with the search query only.';
+
+/**
+ * Extracts plain text from a message with text or content parts
+ * @param {Object} message - Conversation message
+ * @returns {string} Message text
+ */
+function extractMessageText(message) {
+  if (!message) {
+    return '';
+  }
+
+  if (typeof message.text === 'string' && message.text.trim()) {
+    return message.text.trim();
+  }
+
+  if (typeof message.content === 'string') {
+    return message.content.trim();
+  }
+
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n')
+      .trim();
+  }
+
+  return '';
+}
+
+/**
+ * Query Rewriter
+ *
+ * Condenses a follow-up message and the recent conversation turns into a
+ * standalone search query, so references like "and the second one?" retrieve
+ * the right documents. Uses an optional OpenAI-compatible model and falls back
+ * to a deterministic heuristic.
+ */
+class QueryRewriter {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxTurns = options.maxTurns ?? 4;
+    this.maxTurnLength = options.maxTurnLength || 500;
+    this.maxQueryLength = options.maxQueryLength || 500;
+    this.maxKeywords = options.maxKeywords || 10;
+    this.llm = {
+      url: options.llmUrl || null,
+      model: options.llmModel || null,
+      apiKey: options.llmApiKey || null,
+      timeout: options.llmTimeout || 1500
+    };
+  }
+
+  /**
+   * Rewrites a message into a standalone search query
+   * @param {string} message - Sanitized user message
+   * @param {Array} history - Previous conversation messages, oldest first
+   * @param {Object} options - Rewrite options
+   * @returns {Promise<Object>} Rewrite result ({ query, originalQuery, rewritten, strategy })
+   */
+  async rewrite(message, history = [], options = {}) {
+    const correlationId = options.correlationId;
+    const unchanged = { query: message, originalQuery: message, rewritten: false, strategy: 'none' };
+
+    if (!this.enabled || !message || this.maxTurns <= 0) {
+      return unchanged;
+    }
+
+    const turns = this.normalizeHistory(history);
+    if (turns.length === 0) {
+      return unchanged;
+    }
+
+    if (this.isLlmConfigured()) {
+      const startTime = Date.now();
+      try {
+        const query = await this.rewriteWithLlm(message, turns, correlationId);
+        metricsCollector.recordOperation('queryRewrite', Date.now() - startTime, 'success', {
+          strategy: 'llm'
+        });
+
+        if (query) {
+          return this.buildResult(message, query, 'llm');
+        }
+      } catch (error) {
+        metricsCollector.recordOperation('queryRewrite', Date.now() - startTime, 'error', {
+          strategy: 'llm'
+        });
+        rageLogger.warn('LLM query rewrite failed, using heuristic', {
+          error: error.message
+        }, correlationId);
+      }
+    }
+
+    const query = this.rewriteWithHeuristic(message, turns);
+    return query ? this.buildResult(message, query, 'heuristic') : unchanged;
+  }
+
+  /**
+   * Builds a rewrite result
+   * @param {string} message - Original message
+   * @param {string} query - Rewritten query
+   * @param {string} strategy - Strategy that produced the query
+   * @returns {Object} Rewrite result
+   */
+  buildResult(message, query, strategy) {
+    const normalized = query.replace(/\s+/g, ' ').trim().substring(0, this.maxQueryLength);
+
+    return {
+      query: normalized,
+      originalQuery: message,
+      rewritten: normalized !== message,
+      strategy
+    };
+  }
+
+  /**
+   * Whether an LLM endpoint is configured for rewriting
+   * @returns {boolean} LLM availability
+   */
+  isLlmConfigured() {
+    return !!(this.llm.url && this.llm.model);
+  }
+
+  /**
+   * Normalizes LibreChat messages into the most recent text turns
+   * @param {Array} history - Conversation messages, oldest first
+   * @returns {Array<{role: string, text: string}>} Recent turns
+   */
+  normalizeHistory(history) {
+    if (!Array.isArray(history)) {
+      return [];
+    }
+
+    return history
+      .map(message => ({
+        role: message.isCreatedByUser || message.role === 'user' ? 'user' : 'assistant',
+        text: extractMessageText(message)
+      }))
+      .filter(turn => turn.text)
+      .slice(-this.maxTurns)
+      .map(turn => ({
+        ...turn,
+        text: turn.text.substring(0, this.maxTurnLength)
+      }));
+  }
+
+  /**
+   * Detects whether a message depends on earlier turns
+   * @param {string} message - User message
+   * @returns {boolean} True for follow-up messages
+   */
+  isFollowUp(message) {
+    const words = message.trim().split(/\s+/);
+    if (words.length <= 3) {
+      return true;
+    }
+
+    return FOLLOW_UP_PATTERNS.some(pattern => pattern.test(message));
+  }
+
+  /**
+   * Deterministic rewrite: appends the referenced list item and the key
+   * terms of the previous question to follow-up messages
+   * @param {string} message - User message
+   * @param {Array} turns - Normalized recent turns
+   * @returns {string|null} Rewritten query or null when no rewrite applies
+   */
+  rewriteWithHeuristic(message, turns) {
+    if (!this.isFollowUp(message)) {
+      return null;
+    }
+
+    const previousQuestion = [...turns].reverse().find(turn => turn.role === 'user');
+    const lastAnswer = [...turns].reverse().find(turn => turn.role === 'assistant');
+
+    const parts = [message];
+
+    const referencedItem = lastAnswer ? this.resolveOrdinalReference(message, lastAnswer.text) : null;
+    if (referencedItem) {
+      parts.push(referencedItem);
+    }
+
+    if (previousQuestion) {
+      const present = new Set(this.extractKeywords(parts.join(' ')));
+      const keywords = this.extractKeywords(previousQuestion.text).filter(word => !present.has(word));
+      if (keywords.length > 0) {
+        parts.push(keywords.join(' '));
+      }
+    }
+
+    return parts.length > 1 ? parts.join(' ') : null;
+  }
+
+  /**
+   * Resolves references like "the second one" against a list in the last answer
+   * @param {string} message - User message
+   * @param {string} answer - Previous assistant answer
+   * @returns {string|null} Referenced list item text
+   */
+  resolveOrdinalReference(message, answer) {
+    const match = message.toLowerCase().match(/\b(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|primeir[oa]|segund[oa]|terceir[oa]|quart[oa]|quint[oa])\b/);
+    if (!match) {
+      return null;
+    }
+
+    const items = answer
+      .split('\n')
+      .map(line => line.match(/^\s*(?:\d+[.)]|[-*•])\s+(.+)$/))
+      .filter(Boolean)
+      .map(lineMatch => lineMatch[1].replace(/[*_`#]/g, '').trim());
+
+    const item = items[ORDINALS[match[1]] - 1];
+    return item ? item.substring(0, 120) : null;
+  }
+
+  /**
+   * Extracts distinctive keywords from a text
+   * @param {string} text - Source text
+   * @returns {Array<string>} Keywords in order of appearance
+   */
+  extractKeywords(text) {
+    const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+
+    return [...new Set(words)].slice(0, this.maxKeywords);
+  }
+
+  /**
+   * Rewrites the query with an OpenAI-compatible chat completions endpoint
+   * @param {string} message - User message
+   * @param {Array} turns - Normalized recent turns
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<string|null>} Rewritten query
+   */
+  async rewriteWithLlm(message, turns, correlationId) {
+    const transcript = turns
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.text}`)
+      .join('\n');
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.llm.timeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.llm.apiKey) {
+        headers.Authorization = `Bearer ${this.llm.apiKey}`;
+      }
+
+      const response = await fetch(`${this.llm.url.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal: controller.signal,
+        body: JSON.stringify({
+          model: this.llm.model,
+          temperature: 0,
+          max_tokens: 100,
+          messages: [
+            { role: 'system', content: REWRITE_PROMPT },
+            { role: 'user', content: `Conversation:\n${transcript}\n\nLast user message: ${message}` }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Rewrite request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const content = data?.choices?.[0]?.message?.content;
+
+      rageLogger.debug('LLM query rewrite completed', {
+        model: this.llm.model,
+        hasContent: !!content
+      }, correlationId);
+
+      return typeof content === 'string' ? content.replace(/^["'\s]+|["'\s]+$/g, '') : null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Gets rewriter statistics
+   * @returns {Object} Rewriter statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      maxTurns: this.maxTurns,
+      strategy: this.isLlmConfigured() ? 'llm' : 'heuristic'
+    };
+  }
+}
+
+module.exports = {
+  QueryRewriter,
+  extractMessageText
+};
@@ -0,0 +1,198 @@
+const fetch = require('node-fetch');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  pt: 'Portuguese',
+  es: 'Spanish'
+};
+
+const TRANSLATION_PROMPT = 'You translate search queries for a knowledge base into {language}. Keep product ' +
+  'names, codes, numbers and placeholders in square brackets unchanged, and do not answer the question. ' +
+  'Reply with the translated query only.';
+
+/** Translations kept in memory, so repeated questions do not call the model again */
+const MAX_CACHED_TRANSLATIONS = 500;
+
+/**
+ * Query Translator
+ *
+ * Expands a query into the other languages of a multilingual knowledge base,
+ * so a question asked in Portuguese also finds English documents and the
+ * other way around. Translations come from an OpenAI-compatible model; when it
+ * is not configured or fails, only the original query is searched.
+ */
+class QueryTranslator {
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    this.languages = this.parseLanguages(options.languages);
+    this.maxQueryLength = options.maxQueryLength || 500;
+    this.llm = {
+      url: options.llmUrl || null,
+      model: options.llmModel || null,
+      apiKey: options.llmApiKey || null,
+      timeout: options.llmTimeout || 1500
+    };
+    this.cache = new Map();
+  }
+
+  /**
+   * Translates a query into every knowledge base language other than its own
+   * @param {string} query - Redacted search query
+   * @param {string} sourceLocale - Language code of the query, e.g. `pt`
+   * @param {Object} [options] - Translation options
+   * @param {string} [options.correlationId] - Request correlation ID
+   * @returns {Promise<Array<{locale: string, query: string}>>} Translations; empty when unavailable
+   */
+  async translate(query, sourceLocale, options = {}) {
+    if (!this.isAvailable() || !query || !sourceLocale) {
+      return [];
+    }
+
+    const targets = this.languages.filter(locale => locale !== sourceLocale);
+    const translations = await Promise.all(
+      targets.map(locale => this.translateTo(query, locale, options.correlationId))
+    );
+
+    return translations.filter(translation => translation && translation.query !== query);
+  }
+
+  /**
+   * Translates a query into one language, from the cache when possible
+   * @param {string} query - Search query
+   * @param {string} locale - Target language code
+   * @param {string} [correlationId] - Request correlation ID
+   * @returns {Promise<{locale: string, query: string}|null>} Translation, or null on failure
+   */
+  async translateTo(query, locale, correlationId) {
+    const cacheKey = `${locale}:${query}`;
+    if (this.cache.has(cacheKey)) {
+      return { locale, query: this.cache.get(cacheKey) };
+    }
+
+    const startTime = Date.now();
+    try {
+      const translated = await this.translateWithLlm(query, locale, correlationId);
+      metricsCollector.recordOperation('queryTranslation', Date.now() - startTime, 'success', {
+        locale
+      });
+
+      if (!translated) {
+        return null;
+      }
+
+      const normalized = translated.replace(/\s+/g, ' ').trim().substring(0, this.maxQueryLength);
+      this.remember(cacheKey, normalized);
+      return { locale, query: normalized };
+    } catch (error) {
+      metricsCollector.recordOperation('queryTranslation', Date.now() - startTime, 'error', {
+        locale
+      });
+      rageLogger.warn('Query translation failed, searching without it', {
+        locale,
+        error: error.message
+      }, correlationId);
+      return null;
+    }
+  }
+
+  /**
+   * Caches a translation, evicting the oldest one when the cache is full
+   * @param {string} key - Cache key
+   * @param {string} translation - Translated query
+   */
+  remember(key, translation) {
+    if (this.cache.size >= MAX_CACHED_TRANSLATIONS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, translation);
+  }
+
+  /**
+   * Whether queries can be translated
+   * @returns {boolean} Translation availability
+   */
+  isAvailable() {
+    return this.enabled && this.languages.length > 1 && !!(this.llm.url && this.llm.model);
+  }
+
+  /**
+   * Parses the knowledge base languages
+   * @param {string|Array<string>} languages - Language codes, comma-separated or as a list
+   * @returns {Array<string>} Supported language codes
+   */
+  parseLanguages(languages) {
+    const list = Array.isArray(languages) ? languages : String(languages || '').split(',');
+    return [...new Set(list.map(locale => String(locale).trim().toLowerCase().split(/[-_]/)[0]))]
+      .filter(locale => LANGUAGE_NAMES[locale]);
+  }
+
+  /**
+   * Translates the query with an OpenAI-compatible chat completions endpoint
+   * @param {string} query - Search query
+   * @param {string} locale - Target language code
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<string|null>} Translated query
+   */
+  async translateWithLlm(query, locale, correlationId) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.llm.timeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.llm.apiKey) {
+        headers.Authorization = `Bearer ${this.llm.apiKey}`;
+      }
+
+      const response = await fetch(`${this.llm.url.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal: controller.signal,
+        body: JSON.stringify({
+          model: this.llm.model,
+          temperature: 0,
+          max_tokens: 150,
+          messages: [
+            { role: 'system', content: TRANSLATION_PROMPT.replace('{language}', LANGUAGE_NAMES[locale]) },
+            { role: 'user', content: query }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Translation request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const content = data?.choices?.[0]?.message?.content;
+
+      rageLogger.debug('Query translation completed', {
+        model: this.llm.model,
+        locale,
+        hasContent: !!content
+      }, correlationId);
+
+      return typeof content === 'string' ? content.replace(/^["'\s]+|["'\s]+$/g, '') : null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Gets translator statistics
+   * @returns {Object} Translator statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      available: this.isAvailable(),
+      languages: this.languages,
+      cachedTranslations: this.cache.size
+    };
+  }
+}
+
+module.exports = {
+  QueryTranslator
+};
@@ -1,11 +1,23 @@
 const { rageLogger } = require('../logging/logger');
 const { configManager } = require('../config');
+const { SourceFeedback } = require('./sourceFeedback');
+
+/**
+ * Score that orders documents in the context, so the formatted context, the token
+ * optimizer and the citations number documents the same way. Fused (hybrid) results
+ * keep their RRF order.
+ * @param {Object} doc - Scored document
+ * @returns {number} Ranking score
+ */
+const getRankScore = doc => doc.rrfScore ?? (doc.enhancedScore || doc.score || 0);
 
 /**
  * Relevance Scorer
  * 
  * Enhances and refines relevance scores from vector database results.
- * Applies additional scoring algorithms and filtering logic.
+ * Applies additional scoring algorithms and filtering logic, and fuses vector
+ * results with lexical (keyword) results by reciprocal rank fusion (RRF).
+ * Sources whose citing responses are rated up or down earn a learned boost or penalty.
  */
 class RelevanceScorer {
   constructor(options = {}) {
@@ -21,6 +33,15 @@ class RelevanceScorer {
       completeness: 0.05   // Boost for complete documents
     };
     
+    this.hybridWeights = {
+      vector: options.vectorWeight ?? this.config.RAGE_HYBRID_VECTOR_WEIGHT ?? 1,
+      lexical: options.lexicalWeight ?? this.config.RAGE_HYBRID_LEXICAL_WEIGHT ?? 1
+    };
+    this.rrfK = options.rrfK || this.config.RAGE_HYBRID_RRF_K || 60;
+    
+    this.feedbackMaxBoost = options.feedbackMaxBoost ?? this.config.RAGE_FEEDBACK_MAX_BOOST ?? 0.1;
+    this.feedbackMinVotes = options.feedbackMinVotes || this.config.RAGE_FEEDBACK_MIN_VOTES || 3;
+    
     this.qualitySources = options.qualitySources || [
       'documentation',
       'official',
@@ -35,12 +56,18 @@ class RelevanceScorer {
    * @param {Array} documents - Documents from vector search
    * @param {string} originalQuery - Original search query
    * @param {Object} options - Scoring options
+   * @param {Array} [options.lexicalDocuments] - Documents from lexical search, best first, fused by RRF
+   * @param {number} [options.maxResults] - Overrides RAGE_NUM_RESULTS for this call
+   * @param {Map} [options.sourceFeedback] - Feedback statistics by source name ({ positive, negative })
    * @returns {Array} Scored and filtered documents
    */
   scoreAndFilter(documents, originalQuery, options = {}) {
     const correlationId = options.correlationId || rageLogger.generateCorrelationId();
+    const lexicalDocuments = options.lexicalDocuments || [];
+    const sourceFeedback = options.sourceFeedback;
+    documents = documents || [];
     
-    if (!documents || documents.length === 0) {
+    if (documents.length === 0 && lexicalDocuments.length === 0) {
       return [];
     }
 
@@ -54,7 +81,7 @@ class RelevanceScorer {
 
     try {
       // Apply enhanced scoring
-      const scoredDocuments = documents.map(doc => this.enhanceScore(doc, originalQuery, correlationId));
+      const scoredDocuments = documents.map(doc => this.enhanceScore(doc, originalQuery, correlationId, sourceFeedback));
       
       // Filter by appropriate threshold based on selected score field
       const filteredDocuments = scoredDocuments.filter(doc => 
@@ -64,8 +91,17 @@ class RelevanceScorer {
       // Sort by enhanced score
       const sortedDocuments = filteredDocuments.sort((a, b) => b.enhancedScore - a.enhancedScore);
       
+      // Fuse with keyword matches; lexical hits skip the vector score threshold
+      const rankedDocuments = lexicalDocuments.length > 0
+        ? this.fuseRankings(
+          sortedDocuments,
+          lexicalDocuments.map(doc => this.enhanceScore(doc, originalQuery, correlationId, sourceFeedback)),
+          correlationId
+        )
+        : sortedDocuments;
+      
       // Apply diversity filtering to avoid too many similar results
-      const diversifiedDocuments = this.applyDiversityFilter(sortedDocuments, correlationId);
+      const diversifiedDocuments = this.applyDiversityFilter(rankedDocuments, correlationId, options.maxResults);
       
       // Analyze score field usage
       const scoreFieldUsage = {};
@@ -78,6 +114,7 @@ class RelevanceScorer {
         originalCount: documents.length,
         scoredCount: scoredDocuments.length,
         filteredCount: filteredDocuments.length,
+        lexicalCount: lexicalDocuments.length,
         finalCount: diversifiedDocuments.length,
         scoreFieldUsage,
         config: {
@@ -118,9 +155,10 @@ class RelevanceScorer {
    * @param {Object} doc - Document to score
    * @param {string} query - Original search query
    * @param {string} correlationId - Request correlation ID
+   * @param {Map} [sourceFeedback] - Feedback statistics by source name
    * @returns {Object} Document with enhanced score
    */
-  enhanceScore(doc, query, correlationId) {
+  enhanceScore(doc, query, correlationId, sourceFeedback) {
     // Auto-detect which score field to use based on configuration and availability
     let originalScore;
     let selectedThreshold;
@@ -166,6 +204,13 @@ class RelevanceScorer {
       enhancedScore += sourceQualityBoost;
       boostDetails.sourceQuality = sourceQualityBoost;
 
+      // Apply learned boost or penalty from response feedback
+      const feedbackBoost = this.calculateFeedbackBoost(doc, sourceFeedback);
+      if (feedbackBoost !== 0) {
+        enhancedScore += feedbackBoost;
+        boostDetails.feedback = feedbackBoost;
+      }
+
       // Apply completeness boost
       const completenessBoost = this.calculateCompletenessBoost(doc);
       enhancedScore += completenessBoost;
@@ -311,6 +356,28 @@ class RelevanceScorer {
     }
   }
 
+  /**
+   * Calculates the learned boost of a source from the feedback on responses that cited it.
+   * The net rating is smoothed by the minimum vote count, so a few ratings move the score less
+   * than many, and the result stays within RAGE_FEEDBACK_MAX_BOOST in either direction.
+   * @param {Object} doc - Document object
+   * @param {Map} [sourceFeedback] - Feedback statistics by source name
+   * @returns {number} Boost (positive) or penalty (negative)
+   */
+  calculateFeedbackBoost(doc, sourceFeedback) {
+    const stats = sourceFeedback?.get(SourceFeedback.getSourceName(doc));
+    if (!stats) {
+      return 0;
+    }
+
+    const total = stats.positive + stats.negative;
+    if (total < this.feedbackMinVotes) {
+      return 0;
+    }
+
+    return this.feedbackMaxBoost * (stats.positive - stats.negative) / (total + this.feedbackMinVotes);
+  }
+
   /**
    * Calculates completeness boost based on document length and structure
    * @param {Object} doc - Document object
@@ -346,15 +413,77 @@ class RelevanceScorer {
     }
   }
 
+  /**
+   * Fuses vector and lexical rankings with weighted reciprocal rank fusion.
+   * A document's score is the sum over the rankings it appears in of
+   * `weight / (k + rank)`; documents found by both legs keep the vector copy.
+   * @param {Array} vectorDocuments - Vector results, best first
+   * @param {Array} lexicalDocuments - Lexical results, best first
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Array} Fused documents with `rrfScore`, `vectorRank`, `lexicalRank` and `retrievalLegs`
+   */
+  fuseRankings(vectorDocuments, lexicalDocuments, correlationId) {
+    const fused = new Map();
+
+    const addRanking = (documents, leg, weight) => {
+      documents.forEach((doc, index) => {
+        const key = this.getDocumentKey(doc);
+        const entry = fused.get(key) || { doc, rrfScore: 0, ranks: {} };
+
+        if (entry.ranks[leg] === undefined) {
+          entry.rrfScore += weight / (this.rrfK + index + 1);
+          entry.ranks[leg] = index + 1;
+        }
+
+        fused.set(key, entry);
+      });
+    };
+
+    addRanking(vectorDocuments, 'vector', this.hybridWeights.vector);
+    addRanking(lexicalDocuments, 'lexical', this.hybridWeights.lexical);
+
+    const fusedDocuments = Array.from(fused.values())
+      .sort((a, b) => b.rrfScore - a.rrfScore)
+      .map(({ doc, rrfScore, ranks }) => ({
+        ...doc,
+        rrfScore,
+        vectorRank: ranks.vector ?? null,
+        lexicalRank: ranks.lexical ?? null,
+        retrievalLegs: Object.keys(ranks)
+      }));
+
+    rageLogger.debug('Fused vector and lexical rankings', {
+      vectorCount: vectorDocuments.length,
+      lexicalCount: lexicalDocuments.length,
+      fusedCount: fusedDocuments.length,
+      overlap: fusedDocuments.filter(doc => doc.retrievalLegs.length > 1).length,
+      weights: this.hybridWeights,
+      rrfK: this.rrfK
+    }, correlationId);
+
+    return fusedDocuments;
+  }
+
+  /**
+   * Identifies a chunk across retrieval legs, which may use different IDs for it
+   * @param {Object} doc - Document
+   * @returns {string} Document key
+   */
+  getDocumentKey(doc) {
+    const text = typeof doc.text === 'string' ? doc.text.toLowerCase().replace(/\s+/g, ' ').trim() : '';
+    return text ? text.substring(0, 300) : `id:${doc.id}`;
+  }
+
   /**
    * Applies diversity filter to avoid too many similar results
    * @param {Array} documents - Sorted documents
    * @param {string} correlationId - Request correlation ID
+   * @param {number} [maxResults] - Result limit (defaults to RAGE_NUM_RESULTS)
    * @returns {Array} Diversified documents
    */
-  applyDiversityFilter(documents, correlationId) {
+  applyDiversityFilter(documents, correlationId, maxResults = this.config.RAGE_NUM_RESULTS) {
     if (documents.length <= 3) {
-      return documents; // No need to diversify small result sets
+      return documents.slice(0, maxResults); // No need to diversify small result sets
     }
 
     try {
@@ -371,16 +500,16 @@ class RelevanceScorer {
           usedSources.add(source);
           
           // Stop when we have enough diverse results
-          if (diversified.length >= this.config.RAGE_NUM_RESULTS) {
+          if (diversified.length >= maxResults) {
             break;
           }
         }
       }
       
       // If we don't have enough diverse results, fill with remaining high-scoring docs
-      if (diversified.length < this.config.RAGE_NUM_RESULTS) {
+      if (diversified.length < maxResults) {
         for (const doc of documents) {
-          if (!diversified.includes(doc) && diversified.length < this.config.RAGE_NUM_RESULTS) {
+          if (!diversified.includes(doc) && diversified.length < maxResults) {
             diversified.push(doc);
           }
         }
@@ -400,7 +529,7 @@ class RelevanceScorer {
       }, correlationId);
       
       // Fallback to taking top N results
-      return documents.slice(0, this.config.RAGE_NUM_RESULTS);
+      return documents.slice(0, maxResults);
     }
   }
 
@@ -429,6 +558,26 @@ class RelevanceScorer {
       this.qualitySources = options.qualitySources;
     }
     
+    if (options.vectorWeight !== undefined) {
+      this.hybridWeights.vector = options.vectorWeight;
+    }
+    
+    if (options.lexicalWeight !== undefined) {
+      this.hybridWeights.lexical = options.lexicalWeight;
+    }
+    
+    if (options.rrfK !== undefined) {
+      this.rrfK = options.rrfK;
+    }
+    
+    if (options.feedbackMaxBoost !== undefined) {
+      this.feedbackMaxBoost = options.feedbackMaxBoost;
+    }
+    
+    if (options.feedbackMinVotes !== undefined) {
+      this.feedbackMinVotes = options.feedbackMinVotes;
+    }
+    
     rageLogger.debug('Relevance scorer configuration updated', options);
   }
 
@@ -442,6 +591,12 @@ class RelevanceScorer {
       minSimilarityScore: this.minSimilarityScore,
       scoreField: this.scoreField,
       scoreBoosts: this.scoreBoosts,
+      hybridWeights: this.hybridWeights,
+      rrfK: this.rrfK,
+      feedback: {
+        maxBoost: this.feedbackMaxBoost,
+        minVotes: this.feedbackMinVotes
+      },
       qualitySources: this.qualitySources
     };
   }
@@ -497,5 +652,6 @@ class RelevanceScorer {
 }
 
 module.exports = {
-  RelevanceScorer
+  RelevanceScorer,
+  getRankScore
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { rageLogger } = require('../logging/logger');
+
+/** How long the feedback statistics of a source are reused, in milliseconds */
+const STATS_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Source Feedback
+ *
+ * Provides the thumbs-up/down statistics of knowledge base sources, collected
+ * from the feedback on the responses that cited them. The statistics live in
+ * the host application (LibreChat's MongoDB collection), which registers a
+ * provider at startup; without one no feedback is applied. Statistics are
+ * cached briefly so scoring does not query the database on every message.
+ */
+class SourceFeedback {
+  constructor() {
+    this.statsProvider = null;
+    this.cache = new Map();
+    this.cacheTtl = STATS_CACHE_TTL;
+  }
+
+  /**
+   * Registers the function reading the statistics of sources
+   * @param {Function|null} provider - Called with source names; resolves to [{ source, positive, negative }]
+   */
+  setStatsProvider(provider) {
+    this.statsProvider = typeof provider === 'function' ? provider : null;
+    this.cache.clear();
+  }
+
+  /**
+   * Whether feedback statistics are available
+   * @returns {boolean} Provider registration
+   */
+  isAvailable() {
+    return !!this.statsProvider;
+  }
+
+  /**
+   * Gets the name feedback is recorded under for a document, as cited in responses
+   * @param {Object} doc - Retrieved document
+   * @returns {string|null} Source name
+   */
+  static getSourceName(doc) {
+    return doc?.metadata?.source || doc?.source_display_name || doc?.source || null;
+  }
+
+  /**
+   * Gets the feedback statistics of the sources of documents
+   * @param {Array} documents - Retrieved documents
+   * @param {string} [correlationId] - Request correlation ID
+   * @returns {Promise<Map<string, {positive: number, negative: number}>>} Statistics by source; empty on failure
+   */
+  async getStats(documents, correlationId) {
+    const stats = new Map();
+    if (!this.statsProvider) {
+      return stats;
+    }
+
+    const now = Date.now();
+    const missing = [];
+    new Set((documents || []).map(doc => SourceFeedback.getSourceName(doc)).filter(Boolean)).forEach(source => {
+      const cached = this.cache.get(source);
+      if (cached && cached.expiresAt > now) {
+        if (cached.stats) {
+          stats.set(source, cached.stats);
+        }
+      } else {
+        missing.push(source);
+      }
+    });
+
+    if (missing.length === 0) {
+      return stats;
+    }
+
+    try {
+      const loaded = new Map();
+      (await this.statsProvider(missing) || []).forEach(entry => {
+        if (entry?.source) {
+          loaded.set(entry.source, { positive: entry.positive || 0, negative: entry.negative || 0 });
+        }
+      });
+
+      missing.forEach(source => {
+        const sourceStats = loaded.get(source) || null;
+        this.cache.set(source, { stats: sourceStats, expiresAt: now + this.cacheTtl });
+        if (sourceStats) {
+          stats.set(source, sourceStats);
+        }
+      });
+    } catch (error) {
+      rageLogger.warn('Source feedback unavailable, scoring without it', {
+        error: error.message,
+        sources: missing.length
+      }, correlationId);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Drops cached statistics so new feedback is applied to the next message
+   * @param {Array<string>} [sources] - Source names; all sources when omitted
+   */
+  invalidate(sources) {
+    if (!sources) {
+      this.cache.clear();
+      return;
+    }
+
+    sources.forEach(source => this.cache.delete(source));
+  }
+}
+
+const sourceFeedback = new SourceFeedback();
+
+module.exports = {
+  SourceFeedback,
+  sourceFeedback
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { rageLogger } = require('../logging/logger');
+
+/**
+ * Context Template Loader
+ *
+ * Loads the localized context templates used by the ContextFormatter. Templates
+ * are keyed by locale (`pt`, `pt-BR`, ...). Built-in ones ship in the
+ * `templates/` directory; admins add or replace them with the file or directory
+ * set in `RAGE_TEMPLATES_PATH` and the inline `RAGE_TEMPLATE_LANGUAGES` JSON
+ * (`templates.languages` in librechat.yaml), which takes precedence. Each locale
+ * sets template fields for every style and may refine them per style:
+ *
+ *   pt:
+ *     header: '# Contexto Relevante'
+ *     compact:
+ *       header: '**Contexto:**'
+ *
+ * A template file holds every locale as above; in a directory each
+ * `<locale>.yaml`, `<locale>.yml` or `<locale>.json` file holds one locale.
+ */
+
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+const TEMPLATE_FIELDS = ['header', 'documentFormat', 'footer', 'strictFooter', 'noContext'];
+
+const TEMPLATE_STYLES = ['standard', 'detailed', 'compact'];
+
+const TEMPLATE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Locale of the language names used by the token optimizer
+ */
+const LANGUAGE_LOCALES = {
+  english: 'en',
+  spanish: 'es',
+  portuguese: 'pt'
+};
+
+/** Last loaded templates of each source set, with the version of their files */
+const cache = new Map();
+
+/**
+ * Normalizes a locale so `pt_BR`, `pt-BR` and `PT-br` match
+ * @param {string} locale - Locale code or language name
+ * @returns {string} Lowercase locale with `-` separators, or '' when missing
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string') {
+    return '';
+  }
+
+  const normalized = locale.trim().toLowerCase().replace(/_/g, '-');
+  return LANGUAGE_LOCALES[normalized] || normalized;
+}
+
+/**
+ * Lists the locales to try for a locale, from the most specific
+ * @param {string} locale - Locale code or language name
+ * @returns {Array<string>} Candidate locales, e.g. ['pt-br', 'pt']
+ */
+function getLocaleCandidates(locale) {
+  const normalized = normalizeLocale(locale);
+  if (!normalized) {
+    return [];
+  }
+
+  const language = normalized.split('-')[0];
+  return language === normalized ? [normalized] : [normalized, language];
+}
+
+/**
+ * Keeps the template fields of a locale, dropping unknown keys and empty values
+ * @param {Object} definition - Templates of a locale
+ * @returns {Object|null} Sanitized templates ({ fields, styles }) or null when nothing is set
+ */
+function sanitizeLocaleTemplates(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return null;
+  }
+
+  const pickFields = source => {
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (typeof source?.[field] === 'string' && source[field]) {
+        fields[field] = source[field];
+      }
+    });
+    return fields;
+  };
+
+  const templates = { fields: pickFields(definition), styles: {} };
+  TEMPLATE_STYLES.forEach(style => {
+    const fields = pickFields(definition[style]);
+    if (Object.keys(fields).length > 0) {
+      templates.styles[style] = fields;
+    }
+  });
+
+  return Object.keys(templates.fields).length > 0 || Object.keys(templates.styles).length > 0
+    ? templates
+    : null;
+}
+
+/**
+ * Merges locale templates into the loaded set; later sources refine earlier ones
+ * @param {Object} target - Loaded templates keyed by normalized locale
+ * @param {Object} locales - Templates keyed by locale
+ * @param {string} source - Source name used in logs
+ */
+function mergeLocales(target, locales, source) {
+  if (!locales || typeof locales !== 'object' || Array.isArray(locales)) {
+    rageLogger.warn('Ignoring RAGE context templates that are not keyed by locale', { source });
+    return;
+  }
+
+  Object.entries(locales).forEach(([locale, definition]) => {
+    const key = normalizeLocale(locale);
+    const templates = sanitizeLocaleTemplates(definition);
+    if (!key || !templates) {
+      rageLogger.warn('Ignoring invalid RAGE context templates', { source, locale });
+      return;
+    }
+
+    const current = target[key] || { fields: {}, styles: {} };
+    const styles = { ...current.styles };
+    Object.entries(templates.styles).forEach(([style, fields]) => {
+      styles[style] = { ...styles[style], ...fields };
+    });
+
+    target[key] = { fields: { ...current.fields, ...templates.fields }, styles };
+  });
+}
+
+/**
+ * Reads a YAML or JSON template file
+ * @param {string} filePath - File path
+ * @returns {any} Parsed content
+ */
+function readTemplateFile(filePath) {
+  return yaml.load(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Reads the templates of a file (keyed by locale) or of a directory (one file per locale)
+ * @param {string} templatesPath - File or directory path
+ * @returns {Object} Templates keyed by locale
+ */
+function readTemplates(templatesPath) {
+  if (!fs.statSync(templatesPath).isDirectory()) {
+    return readTemplateFile(templatesPath);
+  }
+
+  const locales = {};
+  fs.readdirSync(templatesPath)
+    .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .forEach(file => {
+      locales[path.basename(file, path.extname(file))] = readTemplateFile(path.join(templatesPath, file));
+    });
+  return locales;
+}
+
+/**
+ * Builds the cache key of a template source, changing whenever a file is modified
+ * @param {string} [templatesPath] - File or directory path
+ * @returns {string} Cache key segment
+ */
+function getSourceVersion(templatesPath) {
+  if (!templatesPath) {
+    return '';
+  }
+
+  try {
+    const stats = fs.statSync(templatesPath);
+    if (!stats.isDirectory()) {
+      return `${templatesPath}@${stats.mtimeMs}`;
+    }
+
+    const files = fs.readdirSync(templatesPath).map(file => {
+      const mtime = fs.statSync(path.join(templatesPath, file)).mtimeMs;
+      return `${file}@${mtime}`;
+    });
+    return `${templatesPath}@${files.join(',')}`;
+  } catch {
+    return `${templatesPath}@missing`;
+  }
+}
+
+/**
+ * Loads templates from their sources, reusing the last result while the sources are unchanged
+ * @param {string} name - Cache slot of the sources
+ * @param {Array<string>} paths - Template files or directories, from lowest to highest precedence
+ * @param {string|Object} [languages] - Inline templates keyed by locale
+ * @returns {Object} Templates keyed by normalized locale ({ fields, styles })
+ */
+function loadTemplates(name, paths, languages) {
+  const inline = typeof languages === 'string' ? languages : JSON.stringify(languages || null);
+  const version = [...paths.map(getSourceVersion), inline].join('|');
+  if (cache.get(name)?.version === version) {
+    return cache.get(name).templates;
+  }
+
+  const templates = {};
+  paths.filter(Boolean).forEach(templatesPath => {
+    try {
+      mergeLocales(templates, readTemplates(templatesPath), templatesPath);
+    } catch (error) {
+      rageLogger.warn('RAGE context templates unavailable', {
+        templatesPath,
+        error: error.message
+      });
+    }
+  });
+
+  if (languages) {
+    try {
+      mergeLocales(templates, typeof languages === 'string' ? JSON.parse(languages) : languages, 'RAGE_TEMPLATE_LANGUAGES');
+    } catch (error) {
+      rageLogger.warn('Invalid RAGE_TEMPLATE_LANGUAGES, ignoring inline templates', {
+        error: error.message
+      });
+    }
+  }
+
+  cache.set(name, { version, templates });
+  return templates;
+}
+
+/**
+ * Loads the localized templates shipped in the `templates/` directory
+ * @returns {Object} Templates keyed by normalized locale ({ fields, styles })
+ */
+function loadBuiltInTemplates() {
+  return loadTemplates('builtIn', [BUILT_IN_TEMPLATES_DIR]);
+}
+
+/**
+ * Loads the localized templates defined by the admin.
+ * Files are read again when they change; unreadable sources are logged and skipped.
+ * @param {Object} [options] - Template sources
+ * @param {string} [options.path] - Template file or directory (`RAGE_TEMPLATES_PATH`)
+ * @param {string|Object} [options.languages] - Inline templates keyed by locale (`RAGE_TEMPLATE_LANGUAGES`)
+ * @returns {Object} Templates keyed by normalized locale ({ fields, styles })
+ */
+function loadLanguageTemplates(options = {}) {
+  return loadTemplates('custom', options.path ? [options.path] : [], options.languages);
+}
+
+/**
+ * Gets the template fields of a locale for a style
+ * @param {Object} templates - Templates loaded by loadLanguageTemplates
+ * @param {string} [locale] - Requested locale or language name; falls back from `pt-BR` to `pt`
+ * @param {string} style - Format style
+ * @returns {Object|null} Template fields, or null when the locale has no templates
+ */
+function resolveLanguageTemplate(templates, locale, style) {
+  const candidates = getLocaleCandidates(locale).filter(candidate => templates?.[candidate]);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // Broader locales first so `pt-BR` only needs to set what differs from `pt`
+  return candidates.reverse().reduce((template, candidate) => ({
+    ...template,
+    ...templates[candidate].fields,
+    ...templates[candidate].styles[style]
+  }), {});
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  LANGUAGE_LOCALES,
+  normalizeLocale,
+  getLocaleCandidates,
+  loadBuiltInTemplates,
+  loadLanguageTemplates,
+  resolveLanguageTemplate
+};
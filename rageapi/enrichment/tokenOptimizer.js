@@ -1,11 +1,16 @@
 const { rageLogger } = require('../logging/logger');
 const { configManager } = require('../config');
+const { getRankScore } = require('./relevanceScorer');
 
 /**
  * Token Optimizer
  * 
  * Manages context size and token usage to fit within LLM limits.
  * Provides intelligent truncation and optimization strategies.
+ *
+ * Tokens are counted with LibreChat's tiktoken-based Tokenizer using the
+ * encoding of the target model. The character ratios below are only used
+ * when the tokenizer cannot be loaded.
  */
 class TokenOptimizer {
   constructor(options = {}) {
@@ -14,8 +19,13 @@ class TokenOptimizer {
     this.maxTokens = options.maxTokens || this.config.RAGE_MAX_TOKENS || 3000;
     this.bufferTokens = options.bufferTokens || this.config.RAGE_TOKEN_BUFFER || 200;
     this.targetTokens = this.maxTokens - this.bufferTokens;
+    this.encoding = options.encoding || this.config.RAGE_TOKENIZER_ENCODING || 'cl100k_base';
+    this.windowShare = options.windowShare || this.config.RAGE_CONTEXT_WINDOW_SHARE || 0.5;
     
-    // Token estimation ratios for different languages
+    // Resolved lazily by getTokenizer() (null when unavailable)
+    this.tokenizer = options.tokenizer;
+    
+    // Fallback token estimation ratios for different languages
     this.tokenRatios = {
       english: 4.0,    // ~4 characters per token
       spanish: 4.2,    // Slightly higher for Spanish
@@ -35,7 +45,9 @@ class TokenOptimizer {
    * Optimizes context to fit within token limits
    * @param {string} context - Full context string
    * @param {Array} documents - Original documents
-   * @param {Object} options - Optimization options
+   * @param {Object} options - Optimization options (correlationId, language, footer, encoding, tokenBudget)
+   * @param {Object} [options.tokenBudget] - Context window of the target model ({ contextTokens, usedTokens, reservedTokens })
+   * @param {Array<string>} [options.subQueries] - Sub-queries of a decomposed question; each gets an equal share of the budget
    * @returns {Object} Optimized context result
    */
   optimizeContext(context, documents = [], options = {}) {
@@ -50,18 +62,38 @@ class TokenOptimizer {
       };
     }
 
-    const originalTokens = this.estimateTokens(context, options.language);
+    const targetTokens = this.resolveTargetTokens(options.tokenBudget);
+    const budgetOptions = { ...options, targetTokens };
+
+    const originalTokens = this.estimateTokens(context, options.language, options.encoding);
     
     rageLogger.debug('Starting token optimization', {
       originalLength: context.length,
       estimatedTokens: originalTokens,
-      targetTokens: this.targetTokens,
-      maxTokens: this.maxTokens
+      targetTokens,
+      maxTokens: this.maxTokens,
+      contextWindow: options.tokenBudget?.contextTokens
     }, correlationId);
 
+    if (targetTokens <= 0) {
+      rageLogger.warn('No room left for context in the model context window', {
+        tokenBudget: options.tokenBudget,
+        bufferTokens: this.bufferTokens
+      }, correlationId);
+
+      return {
+        optimizedContext: '',
+        tokenCount: 0,
+        compressionRatio: 0,
+        truncated: true,
+        strategy: 'no_budget',
+        documentsIncluded: 0
+      };
+    }
+
     try {
       // If already within limits, return as-is
-      if (originalTokens <= this.targetTokens) {
+      if (originalTokens <= targetTokens) {
         return {
           optimizedContext: context,
           tokenCount: originalTokens,
@@ -74,19 +106,21 @@ class TokenOptimizer {
       // Apply optimization strategies
       let optimizedContext = context;
       let strategy = 'none';
+      let includedDocuments;
 
       // Strategy 1: Smart truncation by documents
       if (documents.length > 0) {
-        const result = this.optimizeByDocuments(documents, options);
+        const result = this.optimizeByDocuments(documents, budgetOptions);
         optimizedContext = result.context;
-        strategy = 'document_selection';
+        strategy = result.strategy || 'document_selection';
+        includedDocuments = result.includedDocuments;
       } else {
         // Strategy 2: Intelligent text truncation
-        optimizedContext = this.optimizeByTextTruncation(context, options);
+        optimizedContext = this.optimizeByTextTruncation(context, budgetOptions);
         strategy = 'text_truncation';
       }
 
-      const finalTokens = this.estimateTokens(optimizedContext, options.language);
+      const finalTokens = this.estimateTokens(optimizedContext, options.language, options.encoding);
       const compressionRatio = originalTokens > 0 ? finalTokens / originalTokens : 1.0;
 
       rageLogger.debug('Token optimization completed', {
@@ -103,7 +137,8 @@ class TokenOptimizer {
         compressionRatio,
         truncated: finalTokens < originalTokens,
         strategy,
-        documentsIncluded: this.countDocumentsInContext(optimizedContext)
+        documentsIncluded: this.countDocumentsInContext(optimizedContext),
+        includedDocuments
       };
 
     } catch (error) {
@@ -113,7 +148,7 @@ class TokenOptimizer {
       }, correlationId);
       
       // Fallback: simple truncation
-      return this.fallbackTruncation(context, options);
+      return this.fallbackTruncation(context, budgetOptions);
     }
   }
 
@@ -121,24 +156,36 @@ class TokenOptimizer {
    * Optimizes by selecting and formatting documents that fit within limits
    * @param {Array} documents - Documents to optimize
    * @param {Object} options - Optimization options
-   * @returns {Object} Optimization result
+   * @returns {Object} Optimization result with the `includedDocuments`, in context order
    */
   optimizeByDocuments(documents, options) {
     const correlationId = options.correlationId;
-    const sortedDocs = documents.sort((a, b) => (b.enhancedScore || b.score || 0) - (a.enhancedScore || a.score || 0));
+    const targetTokens = options.targetTokens ?? this.targetTokens;
+    const rankedDocs = [...documents].sort((a, b) => getRankScore(b) - getRankScore(a));
     
     let includedDocs = [];
     let runningTokens = 0;
     
     // Estimate overhead for headers and formatting
-    const overheadTokens = this.estimateFormattingOverhead();
+    const overheadTokens = this.estimateFormattingOverhead(options);
     runningTokens += overheadTokens;
 
+    // Decomposed questions: keep the documents that fit each sub-query's share of the budget
+    const allocateBySubQuery = Array.isArray(options.subQueries) && options.subQueries.length > 1;
+    const sortedDocs = allocateBySubQuery
+      ? this.allocateBySubQuery(rankedDocs, options.subQueries, targetTokens - overheadTokens, options)
+      : rankedDocs;
+
     for (const doc of sortedDocs) {
       const docText = this.extractOptimalText(doc);
-      const docTokens = this.estimateTokens(docText, options.language);
+      const headerTokens = this.estimateTokens(
+        this.formatDocumentHeader(doc, includedDocs.length),
+        options.language,
+        options.encoding
+      );
+      const docTokens = headerTokens + this.estimateTokens(docText, options.language, options.encoding);
       
-      if (runningTokens + docTokens <= this.targetTokens) {
+      if (runningTokens + docTokens <= targetTokens) {
         includedDocs.push({
           ...doc,
           optimizedText: docText,
@@ -146,17 +193,24 @@ class TokenOptimizer {
         });
         runningTokens += docTokens;
       } else {
-        // Try to fit a truncated version
-        const maxAvailableTokens = this.targetTokens - runningTokens;
+        // Try to fit a truncated version (its header also carries the truncation note)
+        const truncatedHeaderTokens = this.estimateTokens(
+          this.formatDocumentHeader({ ...doc, truncated: true }, includedDocs.length),
+          options.language,
+          options.encoding
+        );
+        const maxAvailableTokens = targetTokens - runningTokens - truncatedHeaderTokens;
         if (maxAvailableTokens > 100) { // Only if there's meaningful space
-          const truncatedText = this.truncateToTokenLimit(docText, maxAvailableTokens, options.language);
+          const truncatedText = this.truncateToTokenLimit(docText, maxAvailableTokens, options.language, options.encoding);
           if (truncatedText.length > 50) { // Only if meaningful content remains
+            const truncatedTokens = truncatedHeaderTokens + this.estimateTokens(truncatedText, options.language, options.encoding);
             includedDocs.push({
               ...doc,
               optimizedText: truncatedText,
-              estimatedTokens: this.estimateTokens(truncatedText, options.language),
+              estimatedTokens: truncatedTokens,
               truncated: true
             });
+            runningTokens += truncatedTokens;
             break; // This was the last document we could fit
           }
         }
@@ -170,15 +224,65 @@ class TokenOptimizer {
     }, correlationId);
 
     // Format the included documents
-    const context = this.formatOptimizedDocuments(includedDocs);
+    const context = this.formatOptimizedDocuments(includedDocs, options.footer);
     
     return {
       context,
       documentsIncluded: includedDocs.length,
-      documentsDropped: documents.length - includedDocs.length
+      documentsDropped: documents.length - includedDocs.length,
+      includedDocuments: includedDocs,
+      ...(allocateBySubQuery && { strategy: 'subquery_allocation' })
     };
   }
 
+  /**
+   * Shares the token budget equally between the sub-queries of a decomposed question.
+   * Each sub-query first gets its best documents up to its share; tokens a sub-query
+   * leaves unused go to the best remaining documents of any sub-query.
+   * @param {Array} documents - Documents in rank order, tagged with the `subQueries` that found them
+   * @param {Array<string>} subQueries - Sub-queries of the question
+   * @param {number} availableTokens - Budget left after the formatting overhead
+   * @param {Object} options - Optimization options (language, encoding)
+   * @returns {Array} Selected documents in rank order
+   */
+  allocateBySubQuery(documents, subQueries, availableTokens, options) {
+    const share = availableTokens / subQueries.length;
+    const costs = new Map(documents.map(doc => [
+      doc,
+      this.estimateTokens(this.formatDocumentHeader(doc, documents.length), options.language, options.encoding) +
+        this.estimateTokens(this.extractOptimalText(doc), options.language, options.encoding)
+    ]));
+
+    // Documents found by several sub-queries count for the first one
+    const subQueryOf = doc => (subQueries.includes(doc.subQueries?.[0]) ? doc.subQueries[0] : subQueries[0]);
+    const selected = new Set();
+    let usedTokens = 0;
+
+    subQueries.forEach(subQuery => {
+      let subQueryTokens = 0;
+      documents
+        .filter(doc => subQueryOf(doc) === subQuery)
+        .forEach(doc => {
+          const cost = costs.get(doc);
+          if (!selected.has(doc) && subQueryTokens + cost <= share) {
+            selected.add(doc);
+            subQueryTokens += cost;
+            usedTokens += cost;
+          }
+        });
+    });
+
+    documents.forEach(doc => {
+      const cost = costs.get(doc);
+      if (!selected.has(doc) && usedTokens + cost <= availableTokens) {
+        selected.add(doc);
+        usedTokens += cost;
+      }
+    });
+
+    return documents.filter(doc => selected.has(doc));
+  }
+
   /**
    * Optimizes by intelligently truncating text
    * @param {string} context - Context to truncate
@@ -186,6 +290,7 @@ class TokenOptimizer {
    * @returns {string} Truncated context
    */
   optimizeByTextTruncation(context, options) {
+    const targetTokens = options.targetTokens ?? this.targetTokens;
     // Split context into logical sections
     const sections = this.splitIntoSections(context);
     
@@ -193,16 +298,16 @@ class TokenOptimizer {
     let runningTokens = 0;
 
     for (const section of sections) {
-      const sectionTokens = this.estimateTokens(section.text, options.language);
+      const sectionTokens = this.estimateTokens(section.text, options.language, options.encoding);
       
-      if (runningTokens + sectionTokens <= this.targetTokens) {
+      if (runningTokens + sectionTokens <= targetTokens) {
         optimizedSections.push(section);
         runningTokens += sectionTokens;
       } else {
         // Try to fit a truncated version of this section
-        const maxAvailableTokens = this.targetTokens - runningTokens;
+        const maxAvailableTokens = targetTokens - runningTokens;
         if (maxAvailableTokens > 50) {
-          const truncatedText = this.truncateToTokenLimit(section.text, maxAvailableTokens, options.language);
+          const truncatedText = this.truncateToTokenLimit(section.text, maxAvailableTokens, options.language, options.encoding);
           if (truncatedText.length > 0) {
             optimizedSections.push({
               ...section,
@@ -219,16 +324,65 @@ class TokenOptimizer {
   }
 
   /**
-   * Estimates token count for text
+   * Resolves the context token target of a request
+   *
+   * With a known context window the target is what the built payload and the
+   * response leave free, capped at the configured share of the window.
+   * Otherwise the static RAGE_MAX_TOKENS budget applies.
+   * @param {Object} [tokenBudget] - Model budget ({ contextTokens, usedTokens, reservedTokens })
+   * @returns {number} Tokens available for the context
+   */
+  resolveTargetTokens(tokenBudget) {
+    if (!tokenBudget?.contextTokens) {
+      return this.targetTokens;
+    }
+
+    const available = tokenBudget.contextTokens - (tokenBudget.usedTokens || 0) - (tokenBudget.reservedTokens || 0);
+    const share = Math.floor(tokenBudget.contextTokens * this.windowShare);
+
+    return Math.max(0, Math.min(available, share) - this.bufferTokens);
+  }
+
+  /**
+   * Loads LibreChat's Tokenizer service
+   * @returns {Object|null} Tokenizer, or null when it cannot be loaded
+   */
+  getTokenizer() {
+    if (this.tokenizer === undefined) {
+      try {
+        this.tokenizer = require('@librechat/api').Tokenizer;
+      } catch (error) {
+        rageLogger.warn('Tokenizer unavailable, estimating tokens from character ratios', {
+          error: error.message
+        });
+        this.tokenizer = null;
+      }
+    }
+
+    return this.tokenizer;
+  }
+
+  /**
+   * Counts tokens for text
    * @param {string} text - Text to analyze
-   * @param {string} language - Language hint
-   * @returns {number} Estimated token count
+   * @param {string} language - Language hint (used by the character ratio fallback)
+   * @param {string} [encoding] - Tiktoken encoding of the target model
+   * @returns {number} Token count
    */
-  estimateTokens(text, language = 'default') {
+  estimateTokens(text, language = 'default', encoding = this.encoding) {
     if (!text || typeof text !== 'string') {
       return 0;
     }
 
+    const tokenizer = this.getTokenizer();
+    if (tokenizer) {
+      try {
+        return tokenizer.getTokenCount(text, encoding || this.encoding);
+      } catch (error) {
+        rageLogger.debug('Token count failed, using character ratio', { error: error.message });
+      }
+    }
+
     const ratio = this.tokenRatios[language] || this.tokenRatios.default;
     return Math.ceil(text.length / ratio);
   }
@@ -238,18 +392,41 @@ class TokenOptimizer {
    * @param {string} text - Text to truncate
    * @param {number} maxTokens - Maximum tokens allowed
    * @param {string} language - Language hint
+   * @param {string} [encoding] - Tiktoken encoding of the target model
    * @returns {string} Truncated text
    */
-  truncateToTokenLimit(text, maxTokens, language = 'default') {
+  truncateToTokenLimit(text, maxTokens, language = 'default', encoding = this.encoding) {
     if (!text) return '';
     
-    const ratio = this.tokenRatios[language] || this.tokenRatios.default;
-    const maxChars = Math.floor(maxTokens * ratio);
-    
-    if (text.length <= maxChars) {
+    const textTokens = this.estimateTokens(text, language, encoding);
+    if (textTokens <= maxTokens) {
       return text;
     }
 
+    // Start from the proportional cut and shrink until the count fits
+    let maxChars = Math.floor(text.length * (maxTokens / textTokens));
+    let truncated = this.cutAtBoundary(text, maxChars);
+
+    for (let attempt = 0; attempt < 5 && maxChars > 0; attempt++) {
+      const tokens = this.estimateTokens(truncated, language, encoding);
+      if (tokens <= maxTokens) {
+        return truncated;
+      }
+
+      maxChars = Math.floor(maxChars * (maxTokens / tokens) * 0.95);
+      truncated = this.cutAtBoundary(text, maxChars);
+    }
+
+    return maxChars > 0 ? truncated : '';
+  }
+
+  /**
+   * Cuts text at a sentence or line boundary near a character limit
+   * @param {string} text - Text to cut
+   * @param {number} maxChars - Maximum characters to keep
+   * @returns {string} Cut text ending with an ellipsis
+   */
+  cutAtBoundary(text, maxChars) {
     // Truncate at sentence boundary if possible
     const truncated = text.substring(0, maxChars);
     const lastSentence = truncated.lastIndexOf('.');
@@ -279,11 +456,13 @@ class TokenOptimizer {
 
   /**
    * Estimates formatting overhead tokens
+   * @param {Object} [options] - Optimization options (footer, language, encoding)
    * @returns {number} Overhead token estimate
    */
-  estimateFormattingOverhead() {
-    // Headers, separators, instructions
-    return 100;
+  estimateFormattingOverhead(options = {}) {
+    // Title, footer instructions and separators
+    const footer = options.footer || '---\n*Use the above context to inform your response.*';
+    return this.estimateTokens(`# Relevant Context\n\n${footer}`, options.language, options.encoding) + 20;
   }
 
   /**
@@ -348,9 +527,10 @@ class TokenOptimizer {
   /**
    * Formats optimized documents
    * @param {Array} documents - Optimized documents
+   * @param {string} [footer] - Footer instructions (keeps the answer mode of the formatted context)
    * @returns {string} Formatted context
    */
-  formatOptimizedDocuments(documents) {
+  formatOptimizedDocuments(documents, footer) {
     if (!documents || documents.length === 0) {
       return '';
     }
@@ -358,27 +538,40 @@ class TokenOptimizer {
     const parts = ['# Relevant Context\n'];
     
     documents.forEach((doc, index) => {
-      const source = doc.metadata?.source || 'Unknown Source';
-      const score = ((doc.enhancedScore || doc.score || 0) * 100).toFixed(1);
-      
-      parts.push(`## ${index + 1}. ${source}`);
-      parts.push(`**Relevance:** ${score}%`);
-      
-      if (doc.truncated) {
-        parts.push('*(Content truncated for space)*');
-      }
-      
+      parts.push(this.formatDocumentHeader(doc, index));
       parts.push('');
       parts.push(doc.optimizedText || doc.text || '');
       parts.push('');
     });
     
-    parts.push('---');
-    parts.push('*Use the above context to inform your response.*');
+    if (footer) {
+      parts.push(footer);
+    } else {
+      parts.push('---');
+      parts.push('*Use the above context to inform your response.*');
+    }
     
     return parts.join('\n');
   }
 
+  /**
+   * Formats the heading lines of a document
+   * @param {Object} doc - Document object
+   * @param {number} index - Position of the document in the context
+   * @returns {string} Heading lines
+   */
+  formatDocumentHeader(doc, index) {
+    const source = doc.metadata?.source || 'Unknown Source';
+    const score = ((doc.enhancedScore || doc.score || 0) * 100).toFixed(1);
+    const lines = [`## ${index + 1}. ${source}`, `**Relevance:** ${score}%`];
+
+    if (doc.truncated) {
+      lines.push('*(Content truncated for space)*');
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Counts documents in formatted context
    * @param {string} context - Formatted context
@@ -399,14 +592,15 @@ class TokenOptimizer {
    * @returns {Object} Fallback result
    */
   fallbackTruncation(context, options) {
-    const maxChars = Math.floor(this.targetTokens * (this.tokenRatios[options.language] || this.tokenRatios.default));
+    const targetTokens = options.targetTokens ?? this.targetTokens;
+    const maxChars = Math.floor(targetTokens * (this.tokenRatios[options.language] || this.tokenRatios.default));
     const truncated = context.length > maxChars 
       ? context.substring(0, maxChars).trim() + '...' 
       : context;
     
     return {
       optimizedContext: truncated,
-      tokenCount: this.estimateTokens(truncated, options.language),
+      tokenCount: this.estimateTokens(truncated, options.language, options.encoding),
       compressionRatio: context.length > 0 ? truncated.length / context.length : 1.0,
       truncated: truncated.length < context.length,
       strategy: 'fallback_truncation'
@@ -432,10 +626,20 @@ class TokenOptimizer {
       this.tokenRatios = { ...this.tokenRatios, ...options.tokenRatios };
     }
     
+    if (options.encoding !== undefined) {
+      this.encoding = options.encoding;
+    }
+    
+    if (options.windowShare !== undefined) {
+      this.windowShare = options.windowShare;
+    }
+    
     rageLogger.debug('Token optimizer configuration updated', {
       maxTokens: this.maxTokens,
       targetTokens: this.targetTokens,
-      bufferTokens: this.bufferTokens
+      bufferTokens: this.bufferTokens,
+      encoding: this.encoding,
+      windowShare: this.windowShare
     });
   }
 
@@ -448,6 +652,8 @@ class TokenOptimizer {
       maxTokens: this.maxTokens,
       targetTokens: this.targetTokens,
       bufferTokens: this.bufferTokens,
+      encoding: this.encoding,
+      windowShare: this.windowShare,
       tokenRatios: this.tokenRatios
     };
   }
@@ -1,18 +1,43 @@
 const fetch = require('node-fetch');
-const path = require('path');
-const dotenv = require('dotenv');
-
-// Load environment variables from project root
-dotenv.config({ path: path.join(__dirname, '../../.env') });
 
 const { configManager } = require('../config');
 const { rageLogger } = require('../logging/logger');
 const { metricsCollector } = require('../logging/metrics');
-const { VectorizeClient } = require('../utils/vectorizeClient');
+const {
+  resolveProviderName,
+  buildProviderConfig,
+  applyWorkspacePipeline,
+  createRetrievalProvider
+} = require('../utils/retrievalProviders');
+const { createLexicalSearch } = require('../utils/lexicalSearch');
 const { ErrorHandler } = require('../resilience/errorHandler');
 const { ContextFormatter } = require('../enrichment/contextFormatter');
+const { loadLanguageTemplates, getLocaleCandidates } = require('../enrichment/templateLoader');
+const { resolveQueryLanguage } = require('../enrichment/languageDetector');
 const { RelevanceScorer } = require('../enrichment/relevanceScorer');
+const { sourceFeedback } = require('../enrichment/sourceFeedback');
+const { PiiRedactor } = require('../enrichment/piiRedactor');
 const { TokenOptimizer } = require('../enrichment/tokenOptimizer');
+const { QueryRewriter, extractMessageText } = require('../enrichment/queryRewriter');
+const { QueryTranslator } = require('../enrichment/queryTranslator');
+const { QueryDecomposer } = require('../enrichment/queryDecomposer');
+const { ChunkExpander } = require('../enrichment/chunkExpander');
+const { AnswerModeResolver, ANSWER_MODES } = require('../enrichment/answerMode');
+const { MetadataFilterBuilder } = require('../enrichment/metadataFilters');
+const { RetrievalCache } = require('../cache/retrievalCache');
+
+/**
+ * Statuses reported to the `onProgress` callback of an enrichment
+ * @enum {string}
+ */
+const PROGRESS_STATUS = {
+  SEARCHING: 'searching',
+  FOUND: 'found',
+  NO_RESULTS: 'no_results',
+  FILTERED_OUT: 'filtered_out',
+  CIRCUIT_OPEN: 'circuit_open',
+  FAILED: 'failed'
+};
 
 /**
  * RAGE (Retrieval Augmented Generation Enhancement) Interceptor
@@ -37,36 +62,118 @@ class RageInterceptor {
       
       this.config = configManager.getConfig(true); // Include secrets for API authentication
       
-      // Create vectorize client config with mapped properties
-      const vectorizeConfig = {
-        apiUrl: this.config.RAGE_VECTORIZE_URI,
-        orgId: this.config.RAGE_VECTORIZE_ORGANIZATION_ID,
-        pipelineId: this.config.RAGE_VECTORIZE_PIPELINE_ID,
-        jwtToken: this.config.RAGE_VECTORIZE_API_KEY,
-        timeout: this.config.RAGE_TIMEOUT_MS || 5000,
-        retryAttempts: this.config.RAGE_RETRY_ATTEMPTS || 2,
-        retryDelay: this.config.RAGE_RETRY_DELAY_MS || 1000,
-        debug: this.config.RAGE_DEBUG || false,
-        userAgent: this.config.RAGE_USER_AGENT || 'LibreChat-RAGE/1.0'
-      };
-      
-      this.vectorizeClient = new VectorizeClient(vectorizeConfig);
+      // Configured provider acts as the default; workspace pipelines override it per conversation
+      this.providerName = resolveProviderName(this.config.RAGE_PROVIDER);
+      this.providerConfig = buildProviderConfig(this.providerName, this.config);
+      this.retrievalProvider = createRetrievalProvider(this.providerName, this.providerConfig);
+      this.workspaceClients = new Map();
     
     // Initialize enrichment components
     this.contextFormatter = new ContextFormatter({
       maxContextLength: this.config.RAGE_MAX_CONTEXT_LENGTH,
-      formatStyle: this.config.RAGE_FORMAT_STYLE
+      formatStyle: this.config.RAGE_FORMAT_STYLE,
+      templateOverrides: {
+        header: this.config.RAGE_TEMPLATE_HEADER,
+        documentFormat: this.config.RAGE_TEMPLATE_DOCUMENT_FORMAT,
+        footer: this.config.RAGE_TEMPLATE_FOOTER,
+        strictFooter: this.config.RAGE_TEMPLATE_STRICT_FOOTER,
+        noContext: this.config.RAGE_TEMPLATE_NO_CONTEXT
+      },
+      languageTemplates: loadLanguageTemplates({
+        path: this.config.RAGE_TEMPLATES_PATH,
+        languages: this.config.RAGE_TEMPLATE_LANGUAGES
+      })
     });
     
     this.relevanceScorer = new RelevanceScorer({
       minRelevanceScore: this.config.RAGE_MIN_RELEVANCE_SCORE,
       minSimilarityScore: this.config.RAGE_MIN_SIMILARITY_SCORE,
-      scoreField: this.config.RAGE_SCORE_FIELD
+      scoreField: this.config.RAGE_SCORE_FIELD,
+      vectorWeight: this.config.RAGE_HYBRID_VECTOR_WEIGHT,
+      lexicalWeight: this.config.RAGE_HYBRID_LEXICAL_WEIGHT,
+      rrfK: this.config.RAGE_HYBRID_RRF_K,
+      feedbackMaxBoost: this.config.RAGE_FEEDBACK_MAX_BOOST,
+      feedbackMinVotes: this.config.RAGE_FEEDBACK_MIN_VOTES
     });
     
+    // Keyword leg of hybrid retrieval (null when RAGE_LEXICAL_PROVIDER is none)
+    this.lexicalSearch = createLexicalSearch(this.config);
+    
     this.tokenOptimizer = new TokenOptimizer({
       maxTokens: this.config.RAGE_MAX_TOKENS,
-      bufferTokens: this.config.RAGE_TOKEN_BUFFER
+      bufferTokens: this.config.RAGE_TOKEN_BUFFER,
+      windowShare: this.config.RAGE_CONTEXT_WINDOW_SHARE,
+      encoding: this.config.RAGE_TOKENIZER_ENCODING
+    });
+    
+    this.queryRewriter = new QueryRewriter({
+      enabled: this.config.RAGE_QUERY_REWRITE_ENABLED,
+      maxTurns: this.config.RAGE_QUERY_REWRITE_MAX_TURNS,
+      llmUrl: this.config.RAGE_QUERY_REWRITE_LLM_URL,
+      llmModel: this.config.RAGE_QUERY_REWRITE_LLM_MODEL,
+      llmApiKey: this.config.RAGE_QUERY_REWRITE_LLM_API_KEY,
+      llmTimeout: this.config.RAGE_QUERY_REWRITE_TIMEOUT_MS
+    });
+    
+    this.queryDecomposer = new QueryDecomposer({
+      enabled: this.config.RAGE_QUERY_DECOMPOSITION,
+      maxSubQueries: this.config.RAGE_DECOMPOSITION_MAX_SUBQUERIES,
+      llmUrl: this.config.RAGE_QUERY_REWRITE_LLM_URL,
+      llmModel: this.config.RAGE_QUERY_REWRITE_LLM_MODEL,
+      llmApiKey: this.config.RAGE_QUERY_REWRITE_LLM_API_KEY,
+      llmTimeout: this.config.RAGE_QUERY_REWRITE_TIMEOUT_MS
+    });
+
+    this.chunkExpander = new ChunkExpander({
+      enabled: this.config.RAGE_CHUNK_EXPANSION,
+      window: this.config.RAGE_CHUNK_EXPANSION_WINDOW,
+      documentField: this.config.RAGE_CHUNK_DOCUMENT_FIELD,
+      indexField: this.config.RAGE_CHUNK_INDEX_FIELD
+    });
+
+    // Translation falls back to the query rewriting model when it has no endpoint of its own
+    const translationLlm = this.config.RAGE_TRANSLATION_LLM_URL
+      ? {
+        url: this.config.RAGE_TRANSLATION_LLM_URL,
+        model: this.config.RAGE_TRANSLATION_LLM_MODEL,
+        apiKey: this.config.RAGE_TRANSLATION_LLM_API_KEY
+      }
+      : {
+        url: this.config.RAGE_QUERY_REWRITE_LLM_URL,
+        model: this.config.RAGE_TRANSLATION_LLM_MODEL || this.config.RAGE_QUERY_REWRITE_LLM_MODEL,
+        apiKey: this.config.RAGE_QUERY_REWRITE_LLM_API_KEY
+      };
+
+    this.queryTranslator = new QueryTranslator({
+      enabled: this.config.RAGE_QUERY_TRANSLATION,
+      languages: this.config.RAGE_KNOWLEDGE_BASE_LANGUAGES,
+      llmUrl: translationLlm.url,
+      llmModel: translationLlm.model,
+      llmApiKey: translationLlm.apiKey,
+      llmTimeout: this.config.RAGE_TRANSLATION_TIMEOUT_MS
+    });
+    
+    this.piiRedactor = new PiiRedactor({
+      enabled: this.config.RAGE_PII_REDACTION,
+      detectors: this.config.RAGE_PII_DETECTORS,
+      rules: this.config.RAGE_PII_RULES
+    });
+    
+    this.answerModeResolver = new AnswerModeResolver({
+      defaultMode: this.config.RAGE_ANSWER_MODE,
+      overridePhrases: this.config.RAGE_STRICT_OVERRIDE_PHRASES
+    });
+    
+    this.metadataFilterBuilder = new MetadataFilterBuilder({
+      inlineEnabled: this.config.RAGE_INLINE_FILTERS_ENABLED,
+      dateField: this.config.RAGE_FILTER_DATE_FIELD,
+      roleFilters: this.config.RAGE_ROLE_FILTERS,
+      groupFilters: this.config.RAGE_GROUP_FILTERS
+    });
+    
+    this.retrievalCache = new RetrievalCache({
+      enabled: this.config.RAGE_ENABLE_CACHING,
+      ttl: this.config.RAGE_CACHE_TTL
     });
     
     // Initialize ErrorHandler eagerly (fixes timing issue)
@@ -74,6 +181,7 @@ class RageInterceptor {
     
     if (this.config.RAGE_ENABLED) {
       rageLogger.info('RAGE Interceptor initialized successfully', {
+        provider: this.providerName,
         orgId: this.config.RAGE_VECTORIZE_ORGANIZATION_ID,
         pipelineId: this.config.RAGE_VECTORIZE_PIPELINE_ID,
         timeout: this.config.RAGE_TIMEOUT_MS,
@@ -82,6 +190,7 @@ class RageInterceptor {
           metrics: this.config.RAGE_ENABLE_METRICS,
           auditLog: this.config.RAGE_ENABLE_AUDIT_LOG,
           enhancedScoring: true,
+          hybridSearch: this.lexicalSearch?.name || false,
           tokenOptimization: true,
           smartFormatting: true
         }
@@ -91,15 +200,38 @@ class RageInterceptor {
       // If initialization fails, log and create a disabled instance
       console.warn('[RageInterceptor] Failed to initialize:', error.message);
       this.config = { RAGE_ENABLED: false };
-      this.vectorizeClient = null;
+      this.retrievalProvider = null;
+      this.workspaceClients = new Map();
       this.contextFormatter = null;
       this.relevanceScorer = null;
+      this.lexicalSearch = null;
       this.tokenOptimizer = null;
+      this.queryRewriter = null;
+      this.queryDecomposer = null;
+      this.chunkExpander = null;
+      this.queryTranslator = null;
+      this.piiRedactor = null;
+      this.answerModeResolver = null;
+      this.metadataFilterBuilder = null;
+      this.retrievalCache = null;
       this.errorHandler = null;
     }
   }
 
 
+  /**
+   * Default retrieval provider client.
+   * @deprecated Kept for integrations written before providers were pluggable; use `retrievalProvider`.
+   * @type {RetrievalProvider}
+   */
+  get vectorizeClient() {
+    return this.retrievalProvider;
+  }
+
+  set vectorizeClient(client) {
+    this.retrievalProvider = client;
+  }
+
   /**
    * Validates that RAGE is properly configured
    * @returns {boolean} Whether RAGE is ready to use
@@ -108,6 +240,25 @@ class RageInterceptor {
     return configManager.isRageEnabled();
   }
 
+  /**
+   * Checks whether RAGE is used for an endpoint; `RAGE_ENDPOINTS` limits it to the listed endpoints
+   * @param {string} [endpoint] - Endpoint name, e.g. `agents` or the name of a custom endpoint
+   * @param {string} [endpointType] - Endpoint type, e.g. `custom`
+   * @returns {boolean} Whether the endpoint may use RAGE
+   */
+  isEnabledForEndpoint(endpoint, endpointType) {
+    const endpoints = (this.config.RAGE_ENDPOINTS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    if (endpoints.length === 0) {
+      return true;
+    }
+
+    return endpoints.includes(endpoint) || (!!endpointType && endpoints.includes(endpointType));
+  }
+
   /**
    * Enriches a message with relevant context from vector database
    * @param {string} message - The user message to enrich
@@ -115,6 +266,24 @@ class RageInterceptor {
    * @returns {Promise<string|null>} Enriched context or null if unavailable
    */
   async enrichMessage(message, options = {}) {
+    const result = await this.enrichMessageWithSources(message, options);
+    return result ? result.context : null;
+  }
+
+  /**
+   * Enriches a message and keeps the citations of the documents used
+   * @param {string} message - The user message to enrich
+   * @param {Object} options - Additional options (conversationId, userId, userRole, userGroups, workspace, history, answerMode, encoding, tokenBudget, etc.)
+   * @param {string} [options.messageId] - ID of the user message, recorded in the audit trail
+   * @param {Object} [options.tokenBudget] - Context window of the target model ({ contextTokens, usedTokens, reservedTokens })
+   * @param {number} [options.numResults] - Overrides RAGE_NUM_RESULTS, e.g. the `top_k` of an agent tool call
+   * @param {string} [options.locale] - Conversation or UI locale (e.g. `pt-BR`); the detected language of the query takes precedence for the context template
+   * @param {Object} [options.filters] - Requested metadata values per field; they can only narrow the user filters
+   * @param {Object} [options.dateRange] - Requested date bounds ({ after, before })
+   * @param {Function} [options.onProgress] - Receives progress events ({ status, ... }), see PROGRESS_STATUS
+   * @returns {Promise<{context: string, sources: Array, metadata: Object}|null>} Enrichment result or null if unavailable
+   */
+  async enrichMessageWithSources(message, options = {}) {
     if (!this.isEnabled()) {
       return null;
     }
@@ -125,10 +294,18 @@ class RageInterceptor {
     // Set context for this operation
     rageLogger.setContext(correlationId, {
       userId: options.userId,
+      workspaceId: options.workspace?.id,
       messageLength: message.length,
       operation: 'enrichMessage'
     });
 
+    const retrievalProvider = this.getRetrievalProvider(options.workspace);
+    const answerMode = this.resolveAnswerMode(message, options.answerMode, correlationId);
+    const progress = this.createProgressReporter(options.onProgress, correlationId);
+    const queryLanguage = this.detectQueryLanguage(answerMode.query, options.locale);
+    const locale = this.resolveContextLocale(queryLanguage, options.locale);
+    const language = options.language || queryLanguage?.language || 'english';
+
     const operation = async () => {
       rageLogger.enrichment('start', {
         messageLength: message.length,
@@ -136,26 +313,74 @@ class RageInterceptor {
         enhancedPipeline: true
       }, correlationId);
 
-      // Sanitize and prepare search query
-      const searchQuery = this.sanitizeQuery(message);
-      if (!searchQuery || searchQuery.length < 3) {
+      // Strip inline filters from the query and add the user's metadata restrictions
+      const filters = this.buildMetadataFilters(answerMode.query, options, correlationId);
+      if (filters.unsatisfiable) {
+        rageLogger.enrichment('filters_unsatisfiable', {
+          inlineFilters: filters.inline
+        }, correlationId);
+        return null;
+      }
+
+      // Redact personal data, then sanitize and prepare search query
+      const sanitizedQuery = this.sanitizeQuery(this.redactQuery(filters.query, correlationId));
+      if (!sanitizedQuery || sanitizedQuery.length < 3) {
         rageLogger.debug('Query too short for RAGE enrichment', { 
           originalLength: message.length,
-          sanitizedLength: searchQuery.length 
+          sanitizedLength: sanitizedQuery.length 
         }, correlationId);
         return null;
       }
 
+      // Condense follow-ups into a standalone query using recent turns
+      const rewrite = await this.rewriteQuery(sanitizedQuery, options.history, correlationId);
+      const searchQuery = rewrite.rewritten
+        ? this.sanitizeQuery(this.redactQuery(rewrite.query, correlationId))
+        : sanitizedQuery;
+
+      // Split complex questions into sub-queries that are searched separately
+      const decomposition = await this.decomposeQuery(searchQuery, correlationId);
+      const subQueries = decomposition.decomposed ? decomposition.subQueries : [];
+
+      // Also search the other knowledge base languages with translations of each query
+      const queryTranslations = await Promise.all(
+        (subQueries.length > 0 ? subQueries : [searchQuery])
+          .map(query => this.translateQuery(query, queryLanguage, correlationId))
+      );
+      const translations = queryTranslations.flat();
+
       rageLogger.enrichment('retrieve', {
-        queryLength: searchQuery.length
+        queryLength: searchQuery.length,
+        queryRewritten: rewrite.rewritten,
+        rewriteStrategy: rewrite.strategy,
+        queryLanguage: queryLanguage?.locale,
+        translations: translations.length,
+        subQueries: subQueries.length
       }, correlationId);
+      progress.report(PROGRESS_STATUS.SEARCHING, { query: searchQuery });
 
-      // Retrieve relevant documents using VectorizeClient with resilience
-      const retrievalResult = await this.vectorizeClient.retrieve({
+      // Retrieve relevant documents (cached) from the retrieval provider with resilience,
+      // running the keyword leg of hybrid search alongside
+      const numResults = options.numResults || this.config.RAGE_NUM_RESULTS;
+      const queryParams = {
         question: searchQuery,
-        numResults: this.config.RAGE_NUM_RESULTS,
-        rerank: this.config.RAGE_RERANK
-      }, correlationId);
+        numResults,
+        rerank: this.config.RAGE_RERANK,
+        userId: options.userId
+      };
+
+      const providerFilters = this.metadataFilterBuilder?.toProviderFilters(filters.filters) || [];
+      if (providerFilters.length > 0 && retrievalProvider.supportsMetadataFilters) {
+        queryParams.metadataFilters = providerFilters;
+      }
+
+      const [retrievalResult, lexicalResults, translatedResults] = subQueries.length > 0
+        ? await this.retrieveSubQueries(subQueries, queryTranslations, queryParams, correlationId, retrievalProvider)
+        : await Promise.all([
+          this.retrieveDocuments(queryParams, correlationId, retrievalProvider),
+          this.searchLexical(searchQuery, correlationId, retrievalProvider),
+          this.retrieveTranslations(translations, queryParams, correlationId, retrievalProvider)
+        ]);
       
       // Defensive validation of API response structure
       if (!retrievalResult || typeof retrievalResult !== 'object') {
@@ -166,31 +391,73 @@ class RageInterceptor {
         return null;
       }
       
-      if (!retrievalResult.documents || retrievalResult.documents.length === 0) {
+      // Merge the results of the translated queries before scoring
+      const retrievedDocuments = this.mergeResultLists([
+        retrievalResult.documents || [],
+        ...translatedResults.map(result => result.documents)
+      ]);
+      const lexicalRetrieved = this.mergeResultLists([
+        lexicalResults,
+        ...translatedResults.map(result => result.lexical)
+      ]);
+      const retrievedCount = retrievedDocuments.length;
+
+      // Re-check filters on every result: some backends (and the keyword leg) cannot apply them
+      const vectorDocuments = this.applyMetadataFilters(retrievedDocuments, filters, correlationId);
+      const lexicalDocuments = this.applyMetadataFilters(lexicalRetrieved, filters, correlationId);
+
+      if (vectorDocuments.length === 0 && lexicalDocuments.length === 0) {
         rageLogger.enrichment('no_results', {}, correlationId);
+        progress.report(PROGRESS_STATUS.NO_RESULTS, { documentsRetrieved: retrievedCount });
         return null;
       }
 
       rageLogger.enrichment('score', {
-        originalResults: retrievalResult.documents.length
+        originalResults: vectorDocuments.length,
+        lexicalResults: lexicalDocuments.length
       }, correlationId);
 
-      // Enhanced relevance scoring and filtering
-      const scoredDocuments = this.relevanceScorer.scoreAndFilter(
-        retrievalResult.documents, 
-        searchQuery, 
-        { correlationId }
+      // Learned source quality from the feedback on earlier responses
+      const feedbackStats = this.config.RAGE_FEEDBACK_SCORING
+        ? await sourceFeedback.getStats([...vectorDocuments, ...lexicalDocuments], correlationId)
+        : undefined;
+
+      // Enhanced relevance scoring and filtering, fused with keyword matches. Translated
+      // documents are scored against the query in their own language too, and each
+      // sub-query may keep as many results as a single question.
+      const scoringQuery = [searchQuery, ...translations.map(translation => translation.query)].join(' ');
+      const rankedDocuments = this.relevanceScorer.scoreAndFilter(
+        vectorDocuments, 
+        scoringQuery, 
+        {
+          correlationId,
+          lexicalDocuments,
+          maxResults: numResults * Math.max(subQueries.length, 1),
+          sourceFeedback: feedbackStats
+        }
       );
 
-      if (scoredDocuments.length === 0) {
+      if (rankedDocuments.length === 0) {
         rageLogger.enrichment('filtered_out', {
-          totalResults: retrievalResult.documents.length,
+          totalResults: vectorDocuments.length + lexicalDocuments.length,
           filteredResults: 0,
           minScore: this.config.RAGE_MIN_RELEVANCE_SCORE
         }, correlationId);
+        progress.report(PROGRESS_STATUS.FILTERED_OUT, { documentsRetrieved: retrievedCount });
         return null;
       }
 
+      // Complete cut-off chunks with their neighbours and merge chunks of the same document
+      const expansion = await this.expandChunks(rankedDocuments, retrievalProvider, {
+        correlationId,
+        filters,
+        footer: this.contextFormatter.getFooter(answerMode.mode, locale),
+        language,
+        encoding: options.encoding,
+        tokenBudget: options.tokenBudget
+      });
+      const scoredDocuments = expansion.documents;
+
       rageLogger.enrichment('format', {
         documentsFound: scoredDocuments.length,
         averageScore: scoredDocuments.reduce((sum, doc) => sum + (doc.enhancedScore || doc.score), 0) / scoredDocuments.length
@@ -199,7 +466,9 @@ class RageInterceptor {
       // Format context using the enhanced formatter
       const formattingResult = this.contextFormatter.formatDocuments(scoredDocuments, {
         correlationId,
-        language: options.language || 'english'
+        answerMode: answerMode.mode,
+        language,
+        locale
       });
 
       rageLogger.enrichment('optimize', {
@@ -213,13 +482,32 @@ class RageInterceptor {
         scoredDocuments,
         {
           correlationId,
-          language: options.language || 'english'
+          footer: this.contextFormatter.getFooter(answerMode.mode, locale),
+          language,
+          encoding: options.encoding,
+          tokenBudget: options.tokenBudget,
+          subQueries: subQueries.length > 0 ? subQueries : undefined
         }
       );
 
       const finalContext = optimizationResult.optimizedContext;
+      if (!finalContext) {
+        rageLogger.enrichment('no_token_budget', {
+          documentsScored: scoredDocuments.length,
+          tokenBudget: options.tokenBudget
+        }, correlationId);
+        progress.report(PROGRESS_STATUS.FILTERED_OUT, { documentsRetrieved: retrievedCount });
+        return null;
+      }
+
+      const citations = this.contextFormatter.buildCitations(
+        this.selectIncludedDocuments(formattingResult, optimizationResult)
+      );
       const contextMetadata = {
-        documentsRetrieved: retrievalResult.documents?.length || 0,
+        documentsRetrieved: retrievedCount,
+        lexicalDocumentsRetrieved: lexicalRetrieved.length,
+        metadataFilters: filters.filters,
+        dateRange: filters.dateRange || undefined,
         documentsScored: scoredDocuments?.length || 0,
         documentsIncluded: optimizationResult?.documentsIncluded || scoredDocuments?.length || 0,
         tokenCount: optimizationResult?.tokenCount || 0,
@@ -227,13 +515,26 @@ class RageInterceptor {
         truncated: optimizationResult?.truncated || false,
         sources: formattingResult?.sources || [],
         averageRelevance: formattingResult?.relevanceScore || 0,
-        optimizationStrategy: optimizationResult?.strategy || 'none'
+        optimizationStrategy: optimizationResult?.strategy || 'none',
+        answerMode: answerMode.mode,
+        answerModeOverridden: answerMode.overridden,
+        queryLanguage: queryLanguage?.locale,
+        translatedLanguages: translations.length > 0
+          ? [...new Set(translations.map(translation => translation.locale))]
+          : undefined,
+        subQueries: subQueries.length > 0 ? subQueries.length : undefined,
+        chunksAdded: expansion.chunksAdded || undefined,
+        chunksMerged: expansion.chunksMerged || undefined
       };
 
       rageLogger.enrichment('complete', {
         ...contextMetadata,
         contextLength: finalContext.length
       }, correlationId);
+      progress.report(PROGRESS_STATUS.FOUND, {
+        documentsRetrieved: retrievedCount,
+        documentsIncluded: contextMetadata.documentsIncluded
+      });
 
       // Record enhanced metrics
       metricsCollector.recordContextEnrichment(
@@ -252,10 +553,31 @@ class RageInterceptor {
       // Audit log with enhanced details
       rageLogger.audit('context_enrichment', {
         userId: options.userId,
-        ...contextMetadata
+        conversationId: options.conversationId,
+        messageId: options.messageId,
+        workspaceId: options.workspace?.id,
+        ...contextMetadata,
+        query: searchQuery,
+        sources: citations.map(({ id, source, score, subQueries: foundBy, chunkIndexes }) => ({
+          id,
+          source,
+          score,
+          subQueries: foundBy,
+          chunkIndexes
+        })),
+        queryRewritten: rewrite.rewritten,
+        rewriteStrategy: rewrite.strategy,
+        rewrittenQuery: rewrite.rewritten ? searchQuery : undefined,
+        translatedQueries: translations.length > 0 ? translations : undefined,
+        subQueries: subQueries.length > 0 ? subQueries : undefined,
+        decompositionStrategy: subQueries.length > 0 ? decomposition.strategy : undefined
       }, correlationId);
 
-      return finalContext;
+      return {
+        context: finalContext,
+        sources: citations,
+        metadata: contextMetadata
+      };
     };
 
     try {
@@ -267,6 +589,7 @@ class RageInterceptor {
       });
 
       const duration = timer();
+      this.reportUnfinishedProgress(progress);
       
       if (result) {
         metricsCollector.recordOperation('enrichMessage', duration, 'success');
@@ -276,7 +599,9 @@ class RageInterceptor {
           documentsFound: 0,
           contextSize: 0
         });
-        return null;
+        return answerMode.mode === ANSWER_MODES.STRICT
+          ? this.buildNoContextResult(answerMode, { ...options, locale }, correlationId)
+          : null;
       }
 
     } catch (error) {
@@ -288,18 +613,613 @@ class RageInterceptor {
       }, correlationId);
 
       metricsCollector.recordOperation('enrichMessage', duration, 'error');
+      this.reportUnfinishedProgress(progress);
       metricsCollector.recordError(error.name || 'UnknownError', 'enrichMessage', {
         message: error.message
       });
       
-      // Graceful degradation - return null to continue without context
-      return null;
+      // Graceful degradation - continue without context, but strict mode still may not
+      // answer from general knowledge when retrieval failed
+      return answerMode.mode === ANSWER_MODES.STRICT
+        ? this.buildNoContextResult(answerMode, { ...options, locale }, correlationId)
+        : null;
     } finally {
       rageLogger.clearContext(correlationId);
     }
   }
 
 
+  /**
+   * Wraps the `onProgress` callback of an enrichment so that reporting never breaks retrieval
+   * @param {Function} [onProgress] - Progress callback
+   * @param {string} correlationId - Request correlation ID
+   * @returns {{ status: string|null, report: Function }} Reporter keeping the last status reported
+   */
+  createProgressReporter(onProgress, correlationId) {
+    const reporter = {
+      status: null,
+      report: (status, details = {}) => {
+        reporter.status = status;
+        if (typeof onProgress !== 'function') {
+          return;
+        }
+
+        try {
+          onProgress({ status, ...details });
+        } catch (error) {
+          rageLogger.warn('RAGE progress callback failed', {
+            status,
+            error: error.message
+          }, correlationId);
+        }
+      }
+    };
+
+    return reporter;
+  }
+
+  /**
+   * Reports why an enrichment stopped without a final status: the circuit breaker
+   * blocked it before the search started, or the search failed or timed out.
+   * Enrichments skipped before searching (short queries, unsatisfiable filters) report nothing.
+   * @param {Object} progress - Reporter from createProgressReporter()
+   */
+  reportUnfinishedProgress(progress) {
+    if (progress.status === PROGRESS_STATUS.SEARCHING) {
+      progress.report(PROGRESS_STATUS.FAILED);
+    } else if (progress.status === null && this.errorHandler?.circuitBreaker?.state === 'OPEN') {
+      progress.report(PROGRESS_STATUS.CIRCUIT_OPEN);
+    }
+  }
+
+  /**
+   * Resolves the answer mode of a message, applying single-turn strict mode overrides
+   * @param {string} message - The user message
+   * @param {string} [requestedMode] - Mode stored on the conversation
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Object} Resolution ({ mode, requestedMode, overridden, overridePhrase, query })
+   */
+  resolveAnswerMode(message, requestedMode, correlationId) {
+    if (!this.answerModeResolver) {
+      return { mode: ANSWER_MODES.EXPANSIVE, requestedMode, overridden: false, overridePhrase: null, query: message };
+    }
+
+    const resolution = this.answerModeResolver.resolve(message, requestedMode);
+
+    if (resolution.overridden) {
+      rageLogger.enrichment('answer_mode_override', {
+        requestedMode: resolution.requestedMode,
+        mode: resolution.mode,
+        overridePhrase: resolution.overridePhrase
+      }, correlationId);
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Builds the strict mode result used when no relevant context was found,
+   * instructing the model to decline instead of answering from general knowledge
+   * @param {Object} answerMode - Resolved answer mode
+   * @param {Object} options - Enrichment options
+   * @param {string} correlationId - Request correlation ID
+   * @returns {{context: string, sources: Array, metadata: Object}} Enrichment result without sources
+   */
+  buildNoContextResult(answerMode, options, correlationId) {
+    rageLogger.audit('context_enrichment', {
+      userId: options.userId,
+      conversationId: options.conversationId,
+      messageId: options.messageId,
+      workspaceId: options.workspace?.id,
+      documentsIncluded: 0,
+      answerMode: answerMode.mode,
+      noContext: true
+    }, correlationId);
+
+    return {
+      context: this.contextFormatter.formatNoContext(options.locale),
+      sources: [],
+      metadata: {
+        documentsIncluded: 0,
+        answerMode: answerMode.mode,
+        answerModeOverridden: false,
+        noContext: true
+      }
+    };
+  }
+
+  /**
+   * Builds the metadata filters of a message from its inline syntax, the requested filters and the user's role and groups
+   * @param {string} query - Message text (after answer mode phrases were removed)
+   * @param {Object} options - Enrichment options (userRole, userGroups, filters, dateRange)
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Object} Filters ({ query, filters, dateRange, unsatisfiable, inline })
+   */
+  buildMetadataFilters(query, options, correlationId) {
+    if (!this.metadataFilterBuilder) {
+      return { query, filters: {}, dateRange: null, unsatisfiable: false, inline: [] };
+    }
+
+    const result = this.metadataFilterBuilder.build(query, {
+      role: options.userRole,
+      groups: options.userGroups
+    }, {
+      filters: options.filters,
+      dateRange: options.dateRange
+    });
+
+    if (this.metadataFilterBuilder.hasFilters(result)) {
+      rageLogger.enrichment('filters', {
+        fields: Object.keys(result.filters),
+        dateRange: result.dateRange,
+        inlineFilters: result.inline
+      }, correlationId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Drops documents that do not satisfy the metadata filters
+   * @param {Array} documents - Retrieved documents
+   * @param {Object} filters - Result of buildMetadataFilters()
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Array} Matching documents
+   */
+  applyMetadataFilters(documents, filters, correlationId) {
+    if (!this.metadataFilterBuilder || !this.metadataFilterBuilder.hasFilters(filters)) {
+      return documents;
+    }
+
+    const matching = documents.filter(doc =>
+      this.metadataFilterBuilder.matches(doc, filters.filters, filters.dateRange)
+    );
+
+    if (matching.length < documents.length) {
+      rageLogger.debug('Dropped documents outside the metadata filters', {
+        retrieved: documents.length,
+        matching: matching.length
+      }, correlationId);
+    }
+
+    return matching;
+  }
+
+  /**
+   * Rewrites a follow-up message into a standalone search query
+   * @param {string} query - Sanitized user message
+   * @param {Array} history - Previous conversation messages, oldest first
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object>} Rewrite result ({ query, originalQuery, rewritten, strategy })
+   */
+  async rewriteQuery(query, history, correlationId) {
+    const unchanged = { query, originalQuery: query, rewritten: false, strategy: 'none' };
+
+    if (!this.queryRewriter || !Array.isArray(history) || history.length === 0) {
+      return unchanged;
+    }
+
+    try {
+      // The rewriter may send the turns to its model: only redacted text leaves the process
+      const redactedHistory = this.redactHistory(history, correlationId);
+      const rewrite = await this.queryRewriter.rewrite(query, redactedHistory, { correlationId });
+
+      if (rewrite.rewritten) {
+        rageLogger.enrichment('rewrite', {
+          strategy: rewrite.strategy,
+          originalLength: query.length,
+          rewrittenLength: rewrite.query.length
+        }, correlationId);
+      }
+
+      return rewrite;
+    } catch (error) {
+      rageLogger.warn('Query rewrite failed, using original query', {
+        error: error.message
+      }, correlationId);
+      return unchanged;
+    }
+  }
+
+  /**
+   * Splits a complex question into sub-queries. Sub-queries are sanitized like the
+   * original query; failures fall back to a single search.
+   * @param {string} query - Redacted search query
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object>} Decomposition ({ subQueries, decomposed, strategy })
+   */
+  async decomposeQuery(query, correlationId) {
+    const unchanged = { subQueries: [query], decomposed: false, strategy: 'none' };
+
+    if (!this.queryDecomposer) {
+      return unchanged;
+    }
+
+    try {
+      const decomposition = await this.queryDecomposer.decompose(query, { correlationId });
+      if (!decomposition.decomposed) {
+        return decomposition;
+      }
+
+      const subQueries = [...new Set(decomposition.subQueries
+        .map(subQuery => this.sanitizeQuery(this.redactQuery(subQuery, correlationId))))]
+        .filter(subQuery => subQuery.length >= 3);
+      if (subQueries.length < 2) {
+        return unchanged;
+      }
+
+      rageLogger.enrichment('decompose', {
+        strategy: decomposition.strategy,
+        subQueries: subQueries.length
+      }, correlationId);
+
+      return { ...decomposition, subQueries };
+    } catch (error) {
+      rageLogger.warn('Query decomposition failed, using original query', {
+        error: error.message
+      }, correlationId);
+      return unchanged;
+    }
+  }
+
+  /**
+   * Searches the sub-queries of a decomposed question in parallel, each with its keyword leg
+   * and translations and within its own timeout. Chunks are tagged with the sub-queries that
+   * found them, and a failing or timed out sub-query only loses its own results. When every
+   * sub-query fails, the original question is searched instead.
+   * @param {Array<string>} subQueries - Sub-queries
+   * @param {Array<Array<{locale: string, query: string}>>} queryTranslations - Translations of each sub-query
+   * @param {Object} queryParams - Retrieval parameters of the original query
+   * @param {string} correlationId - Request correlation ID
+   * @param {RetrievalProvider} [retrievalProvider] - Client of the knowledge base to query
+   * @returns {Promise<Array>} Merged retrieval result, lexical documents and (empty) translated results
+   */
+  async retrieveSubQueries(subQueries, queryTranslations, queryParams, correlationId, retrievalProvider) {
+    const searches = subQueries.map(async (subQuery, index) => {
+      const [documents, lexical, translated] = await Promise.all([
+        this.retrieveDocuments({ ...queryParams, question: subQuery }, correlationId, retrievalProvider)
+          .then(result => result?.documents || []),
+        this.searchLexical(subQuery, correlationId, retrievalProvider),
+        this.retrieveTranslations(queryTranslations[index] || [], queryParams, correlationId, retrievalProvider)
+      ]);
+
+      const tag = list => list.map(doc => ({ ...doc, subQueries: [subQuery] }));
+      return {
+        documents: tag(this.mergeResultLists([documents, ...translated.map(result => result.documents)])),
+        lexical: tag(this.mergeResultLists([lexical, ...translated.map(result => result.lexical)]))
+      };
+    });
+
+    const outcomes = await Promise.allSettled(searches.map(search => this.errorHandler.timeoutManager.execute(
+      search,
+      this.config.RAGE_DECOMPOSITION_TIMEOUT_MS,
+      { operation: 'subQueryRetrieval', correlationId }
+    )));
+
+    const results = outcomes.filter((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        rageLogger.warn('Retrieval of sub-query failed, skipping it', {
+          subQuery: index + 1,
+          error: outcome.reason?.message
+        }, correlationId);
+      }
+      return outcome.status === 'fulfilled';
+    }).map(outcome => outcome.value);
+
+    if (results.length === 0) {
+      rageLogger.warn('Retrieval of every sub-query failed, searching the original question', {
+        subQueries: subQueries.length
+      }, correlationId);
+
+      return Promise.all([
+        this.retrieveDocuments(queryParams, correlationId, retrievalProvider),
+        this.searchLexical(queryParams.question, correlationId, retrievalProvider),
+        []
+      ]);
+    }
+
+    rageLogger.enrichment('sub_queries', {
+      subQueries: subQueries.length,
+      failed: subQueries.length - results.length,
+      results: results.map(result => result.documents.length + result.lexical.length)
+    }, correlationId);
+
+    return [
+      { documents: this.mergeResultLists(results.map(result => result.documents)) },
+      this.mergeResultLists(results.map(result => result.lexical)),
+      []
+    ];
+  }
+
+  /**
+   * Detects the language of a query, falling back to the language of the locale
+   * @param {string} query - User message (after answer mode phrases were removed)
+   * @param {string} [locale] - Conversation or UI locale
+   * @returns {Object|null} Query language ({ locale, language, source, confidence }), null when unknown or disabled
+   */
+  detectQueryLanguage(query, locale) {
+    if (this.config.RAGE_LANGUAGE_DETECTION === false) {
+      return null;
+    }
+
+    return resolveQueryLanguage(query, locale);
+  }
+
+  /**
+   * Picks the locale of the context template. The detected language of the query wins,
+   * keeping the regional variant of the conversation locale when both languages match.
+   * @param {Object|null} queryLanguage - Result of detectQueryLanguage()
+   * @param {string} [locale] - Conversation or UI locale
+   * @returns {string|undefined} Locale for the context formatter
+   */
+  resolveContextLocale(queryLanguage, locale) {
+    if (!queryLanguage || getLocaleCandidates(locale).pop() === queryLanguage.locale) {
+      return locale;
+    }
+
+    return queryLanguage.locale;
+  }
+
+  /**
+   * Translates the search query into the other knowledge base languages. Translations are
+   * redacted and sanitized like the original query; failures only drop them.
+   * @param {string} query - Redacted search query
+   * @param {Object|null} queryLanguage - Result of detectQueryLanguage()
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Array<{locale: string, query: string}>>} Translated queries
+   */
+  async translateQuery(query, queryLanguage, correlationId) {
+    if (!this.queryTranslator || !queryLanguage) {
+      return [];
+    }
+
+    try {
+      const translations = await this.queryTranslator.translate(query, queryLanguage.locale, { correlationId });
+
+      return translations
+        .map(({ locale, query: translated }) => ({
+          locale,
+          query: this.sanitizeQuery(this.redactQuery(translated, correlationId))
+        }))
+        .filter(translation => translation.query.length >= 3 && translation.query !== query);
+    } catch (error) {
+      rageLogger.warn('Query translation failed, searching without it', {
+        error: error.message
+      }, correlationId);
+      return [];
+    }
+  }
+
+  /**
+   * Runs the vector and keyword legs for each translated query. A failing translation only
+   * loses its own results.
+   * @param {Array<{locale: string, query: string}>} translations - Translated queries
+   * @param {Object} queryParams - Retrieval parameters of the original query
+   * @param {string} correlationId - Request correlation ID
+   * @param {RetrievalProvider} [retrievalProvider] - Client of the knowledge base to query
+   * @returns {Promise<Array<{locale: string, documents: Array, lexical: Array}>>} Results per translation
+   */
+  async retrieveTranslations(translations, queryParams, correlationId, retrievalProvider) {
+    return Promise.all(translations.map(async ({ locale, query }) => {
+      const [documents, lexical] = await Promise.all([
+        this.retrieveDocuments({ ...queryParams, question: query }, correlationId, retrievalProvider)
+          .then(result => result?.documents || [])
+          .catch(error => {
+            rageLogger.warn('Retrieval of translated query failed, skipping it', {
+              locale,
+              error: error.message
+            }, correlationId);
+            return [];
+          }),
+        this.searchLexical(query, correlationId, retrievalProvider)
+      ]);
+
+      return { locale, documents, lexical };
+    }));
+  }
+
+  /**
+   * Merges result lists of several queries, alternating between them so each language
+   * or sub-query keeps its best results, and dropping chunks found more than once
+   * (a chunk found by several sub-queries keeps all of them)
+   * @param {Array<Array>} lists - Result lists, original query first
+   * @returns {Array} Merged documents
+   */
+  mergeResultLists(lists) {
+    const nonEmpty = lists.filter(list => Array.isArray(list) && list.length > 0);
+    if (nonEmpty.length <= 1) {
+      return nonEmpty[0] || [];
+    }
+
+    const merged = [];
+    const seen = new Map();
+    const longest = Math.max(...nonEmpty.map(list => list.length));
+
+    for (let rank = 0; rank < longest; rank++) {
+      nonEmpty.forEach(list => {
+        const doc = list[rank];
+        if (!doc) {
+          return;
+        }
+
+        const key = this.relevanceScorer.getDocumentKey(doc);
+        const existing = seen.get(key);
+        if (!existing) {
+          seen.set(key, doc);
+          merged.push(doc);
+        } else if (existing.subQueries && doc.subQueries) {
+          existing.subQueries = [...new Set([...existing.subQueries, ...doc.subQueries])];
+        }
+      });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Retrieves documents, serving repeated queries from the shared retrieval cache
+   * @param {Object} queryParams - Retrieval parameters (question, numResults, rerank, metadataFilters)
+   * @param {string} correlationId - Request correlation ID
+   * @param {RetrievalProvider} [retrievalProvider] - Client of the knowledge base to query (defaults to the configured provider)
+   * @returns {Promise<Object>} Retrieval result with documents
+   */
+  async retrieveDocuments(queryParams, correlationId, retrievalProvider = this.retrievalProvider) {
+    const retrieve = () => retrievalProvider.retrieve(queryParams, correlationId);
+
+    if (!this.retrievalCache) {
+      return retrieve();
+    }
+
+    const scope = typeof retrievalProvider.getCacheScope === 'function'
+      ? retrievalProvider.getCacheScope()
+      : {};
+
+    return this.retrievalCache.wrap({
+      ...queryParams,
+      orgId: scope.orgId,
+      pipelineId: scope.pipelineId
+    }, retrieve, correlationId);
+  }
+
+  /**
+   * Runs the keyword leg of hybrid retrieval. Failures only drop the leg, so the
+   * vector results are still used.
+   * @param {string} query - Search query
+   * @param {string} correlationId - Request correlation ID
+   * @param {RetrievalProvider} [retrievalProvider] - Provider whose knowledge base scopes the search
+   * @returns {Promise<Array>} Lexical documents, best first (empty when hybrid search is off)
+   */
+  async searchLexical(query, correlationId, retrievalProvider = this.retrievalProvider) {
+    if (!this.lexicalSearch) {
+      return [];
+    }
+
+    const scope = typeof retrievalProvider?.getCacheScope === 'function'
+      ? retrievalProvider.getCacheScope()
+      : {};
+
+    try {
+      const documents = await this.lexicalSearch.search(query, {
+        limit: this.config.RAGE_LEXICAL_NUM_RESULTS,
+        scope
+      });
+
+      rageLogger.enrichment('lexical_search', {
+        backend: this.lexicalSearch.name,
+        results: documents.length
+      }, correlationId);
+
+      return documents;
+    } catch (error) {
+      rageLogger.warn('Lexical search failed, using vector results only', {
+        backend: this.lexicalSearch.name,
+        error: error.message
+      }, correlationId);
+      metricsCollector.recordError(error.name || 'LexicalSearchError', 'lexicalSearch', {
+        message: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Gets the retrieval provider for a workspace pipeline, reusing clients between requests.
+   * Workspace credentials override the configured provider settings; unset fields fall back to them.
+   * @param {Object} [workspace] - Workspace with decrypted pipeline credentials
+   * @returns {RetrievalProvider} Client for the workspace or the default client
+   */
+  getRetrievalProvider(workspace) {
+    const pipeline = workspace?.pipeline;
+    if (!pipeline || !pipeline.pipelineId) {
+      return this.retrievalProvider;
+    }
+
+    const updatedAt = workspace.updatedAt ? new Date(workspace.updatedAt).getTime() : 0;
+    const clientKey = `${workspace.id}:${updatedAt}`;
+    const cached = this.workspaceClients.get(workspace.id);
+    if (cached && cached.key === clientKey) {
+      return cached.client;
+    }
+
+    const provider = resolveProviderName(pipeline.provider || this.providerName);
+    const baseConfig = provider === this.providerName
+      ? this.providerConfig
+      : buildProviderConfig(provider, this.config);
+    const client = createRetrievalProvider(provider, applyWorkspacePipeline(provider, baseConfig, pipeline));
+
+    this.workspaceClients.set(workspace.id, { key: clientKey, client });
+
+    rageLogger.debug('Created retrieval provider for workspace', {
+      provider,
+      workspaceId: workspace.id,
+      workspaceName: workspace.name
+    });
+
+    return client;
+  }
+
+  /**
+   * Adds neighbouring chunks to the scored documents and merges chunks of the same
+   * document. Neighbours must pass the metadata filters of the request and only use the
+   * token budget the scored documents leave free; failures keep the scored documents.
+   * @param {Array} documents - Documents returned by the relevance scorer, best first
+   * @param {RetrievalProvider} retrievalProvider - Provider the documents came from
+   * @param {Object} options - Optimization options (correlationId, filters, footer, language, encoding, tokenBudget)
+   * @returns {Promise<{documents: Array, chunksAdded: number, chunksMerged: number}>} Documents to format
+   */
+  async expandChunks(documents, retrievalProvider, options) {
+    const unchanged = { documents, chunksAdded: 0, chunksMerged: 0 };
+    if (!this.chunkExpander?.enabled) {
+      return unchanged;
+    }
+
+    try {
+      const countTokens = text => this.tokenOptimizer.estimateTokens(text, options.language, options.encoding);
+      const headerTokens = documents.reduce(
+        (sum, doc, index) => sum + countTokens(this.tokenOptimizer.formatDocumentHeader(doc, index)),
+        0
+      );
+      const budgetTokens = this.tokenOptimizer.resolveTargetTokens(options.tokenBudget) -
+        this.tokenOptimizer.estimateFormattingOverhead(options) - headerTokens;
+
+      return await this.chunkExpander.expand(documents, {
+        provider: retrievalProvider,
+        budgetTokens,
+        countTokens,
+        filterChunks: chunks => this.applyMetadataFilters(chunks, options.filters, options.correlationId),
+        correlationId: options.correlationId
+      });
+    } catch (error) {
+      rageLogger.warn('Chunk expansion failed, using retrieved chunks', {
+        error: error.message
+      }, options.correlationId);
+      return unchanged;
+    }
+  }
+
+  /**
+   * Selects the documents that made it into the optimized context, in context order,
+   * so citation [n] is "Document n" of the context
+   * @param {Object} formattingResult - Result of the context formatter
+   * @param {Object} optimizationResult - Result of the token optimizer
+   * @returns {Array} Included documents
+   */
+  selectIncludedDocuments(formattingResult, optimizationResult) {
+    // Truncated by documents: the optimizer may skip a document that does not fit and keep smaller ones
+    if (Array.isArray(optimizationResult?.includedDocuments)) {
+      return optimizationResult.includedDocuments;
+    }
+
+    const formatted = formattingResult?.documents || [];
+    const included = optimizationResult?.documentsIncluded;
+
+    if (typeof included !== 'number' || included <= 0) {
+      return formatted;
+    }
+
+    return formatted.slice(0, included);
+  }
+
   /**
    * Gets enrichment component statistics
    * @returns {Object} Statistics from all enrichment components
@@ -312,6 +1232,43 @@ class RageInterceptor {
     };
   }
 
+  /**
+   * Replaces personal data in a query with placeholders, so it never reaches the
+   * retrieval provider or the keyword search backend. Only counts are logged.
+   * @param {string} query - Query text
+   * @param {string} correlationId - Request correlation ID
+   * @returns {string} Redacted query
+   */
+  redactQuery(query, correlationId) {
+    if (!this.piiRedactor) {
+      return query;
+    }
+
+    const redaction = this.piiRedactor.redact(query);
+    if (redaction.redacted > 0) {
+      rageLogger.enrichment('redact', {
+        redactions: redaction.redacted,
+        detectors: redaction.counts
+      }, correlationId);
+      metricsCollector.recordRedaction(redaction.counts);
+    }
+
+    return redaction.text;
+  }
+
+  /**
+   * Replaces personal data in the text of each conversation turn with placeholders
+   * @param {Array} history - Previous conversation messages, oldest first
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Array<{role: string, text: string}>} Redacted turns
+   */
+  redactHistory(history, correlationId) {
+    return history.map(message => ({
+      role: message.isCreatedByUser || message.role === 'user' ? 'user' : 'assistant',
+      text: this.redactQuery(extractMessageText(message), correlationId)
+    }));
+  }
+
   /**
    * Sanitizes user input to create safe search queries
    * @param {string} message - Raw user message
@@ -355,8 +1312,8 @@ class RageInterceptor {
     try {
       rageLogger.debug('Starting RAGE health check', {}, correlationId);
       
-      // Test connectivity using VectorizeClient
-      const healthResult = await this.vectorizeClient.healthCheck(correlationId);
+      // Test connectivity of the configured retrieval provider
+      const healthResult = await this.retrievalProvider.healthCheck(correlationId);
       
       rageLogger.info('RAGE health check completed', {
         status: healthResult.status,
@@ -406,6 +1363,16 @@ class RageInterceptor {
   getPerformanceSummary() {
     return metricsCollector.getPerformanceSummary();
   }
+
+  /**
+   * Gets metrics in the Prometheus text exposition format
+   * @returns {string} Exposition text
+   */
+  getPrometheusMetrics() {
+    return metricsCollector.getPrometheusMetrics();
+  }
 }
 
+RageInterceptor.PROGRESS_STATUS = PROGRESS_STATUS;
+
 module.exports = RageInterceptor;
\ No newline at end of file
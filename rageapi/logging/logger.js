@@ -13,6 +13,7 @@ class RageLogger {
     this.config = null;
     this.isInitialized = false;
     this.contextMetadata = new Map();
+    this.auditSink = null;
   }
 
   /**
@@ -20,8 +21,14 @@ class RageLogger {
    * Configuration will be injected later by ConfigManager to avoid circular dependency
    */
   initialize() {
-    // Always start with fallback configuration to avoid circular dependency
-    this.config = { 
+    // Keep configuration already injected by ConfigManager (e.g. RAGE_LOG_LEVEL)
+    if (this.config) {
+      this.isInitialized = true;
+      return;
+    }
+
+    // Start with fallback configuration to avoid circular dependency
+    this.config = {
       RAGE_LOG_LEVEL: 'info', 
       RAGE_DEBUG: false,
       RAGE_ENABLE_AUDIT_LOG: false
@@ -144,6 +151,40 @@ class RageLogger {
       type: 'audit',
       audit: auditData
     }, correlationId);
+
+    if (this.auditSink) {
+      this.writeAuditSink(event, details, correlationId);
+    }
+  }
+
+  /**
+   * Registers a function storing audit events (e.g. LibreChat's MongoDB collection)
+   * The sink receives the unsanitized details so IDs and queries stay searchable.
+   * @param {Function|null} sink - Called with (event, details, correlationId); may return a promise
+   */
+  setAuditSink(sink) {
+    this.auditSink = typeof sink === 'function' ? sink : null;
+  }
+
+  /**
+   * Passes an audit event to the sink without letting storage failures reach the caller
+   * @param {string} event - Audit event type
+   * @param {Object} details - Event details
+   * @param {string} correlationId - Request correlation ID
+   */
+  writeAuditSink(event, details, correlationId) {
+    const onError = (error) => {
+      this.warn('RAGE Logger: Failed to store audit event', {
+        event,
+        error: error?.message
+      }, correlationId);
+    };
+
+    try {
+      Promise.resolve(this.auditSink(event, details, correlationId)).catch(onError);
+    } catch (error) {
+      onError(error);
+    }
   }
 
   /**
@@ -384,6 +425,7 @@ class RageLogger {
       logLevel: this.config?.RAGE_LOG_LEVEL || 'unknown',
       debugEnabled: this.config?.RAGE_DEBUG || false,
       auditEnabled: this.config?.RAGE_ENABLE_AUDIT_LOG || false,
+      auditStorage: Boolean(this.auditSink),
       contextCacheSize: this.contextMetadata.size
     };
   }
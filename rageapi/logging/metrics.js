@@ -10,15 +10,25 @@ class MetricsCollector {
   constructor() {
     this.metrics = new Map();
     this.isEnabled = false;
+    this.isInitialized = false;
     this.resetTimestamp = Date.now();
   }
 
   /**
    * Initializes metrics collection
+   *
+   * Every interceptor instance calls this; metrics are only reset the first
+   * time so counters keep growing for the lifetime of the process.
    * @param {boolean} enabled - Whether metrics collection is enabled
    */
   initialize(enabled = true) {
     this.isEnabled = enabled;
+
+    if (this.isInitialized) {
+      return;
+    }
+
+    this.isInitialized = true;
     this.resetMetrics();
     
     if (enabled) {
@@ -183,6 +193,34 @@ class MetricsCollector {
     this.metrics.set(metricKey, metric);
   }
 
+  /**
+   * Records the personal data redacted from a query before retrieval
+   * @param {Object<string, number>} counts - Redactions per detector or admin rule
+   */
+  recordRedaction(counts) {
+    if (!this.isEnabled) return;
+
+    const redactions = Object.entries(counts || {}).filter(([, count]) => count > 0);
+    if (redactions.length === 0) return;
+
+    const metricKey = 'redaction';
+    const metric = this.getOrCreateMetric(metricKey, {
+      type: 'redaction',
+      redactedQueries: 0,
+      totalRedactions: 0,
+      detectors: {}
+    });
+
+    metric.redactedQueries++;
+    redactions.forEach(([detector, count]) => {
+      metric.detectors[detector] = (metric.detectors[detector] || 0) + count;
+      metric.totalRedactions += count;
+    });
+    metric.lastRedaction = Date.now();
+
+    this.metrics.set(metricKey, metric);
+  }
+
   /**
    * Records error metrics
    * @param {string} errorType - Type of error
@@ -472,6 +510,158 @@ class MetricsCollector {
     return count;
   }
 
+  /**
+   * Renders metrics in the Prometheus text exposition format (version 0.0.4)
+   *
+   * Counters are cumulative since the last reset. Quantiles are computed over
+   * the last 100 samples kept for each operation and endpoint.
+   * @param {string} [prefix] - Metric name prefix
+   * @returns {string} Exposition text
+   */
+  getPrometheusMetrics(prefix = 'rage') {
+    const families = new Map();
+    const quantiles = [0.5, 0.95, 0.99];
+
+    const add = (name, type, help, samples) => {
+      if (!families.has(name)) {
+        families.set(name, { type, help, samples: [] });
+      }
+      families.get(name).samples.push(...samples);
+    };
+
+    const summary = (name, labels, values, sum, count) => [
+      ...quantiles.map(quantile => ({
+        name,
+        labels: { ...labels, quantile: String(quantile) },
+        value: this.calculatePercentile(values, quantile * 100) / 1000
+      })),
+      { name: `${name}_sum`, labels, value: sum / 1000 },
+      { name: `${name}_count`, labels, value: count }
+    ];
+
+    add('metrics_enabled', 'gauge', 'Whether RAGE metrics collection is enabled', [
+      { name: 'metrics_enabled', labels: {}, value: this.isEnabled ? 1 : 0 }
+    ]);
+    add('metrics_reset_timestamp_seconds', 'gauge', 'Time the RAGE metrics were last reset', [
+      { name: 'metrics_reset_timestamp_seconds', labels: {}, value: Math.floor(this.resetTimestamp / 1000) }
+    ]);
+
+    for (const metric of this.metrics.values()) {
+      switch (metric.type) {
+        case 'operation': {
+          const labels = { operation: metric.operation };
+          add('operations_total', 'counter', 'RAGE operations by outcome', [
+            { name: 'operations_total', labels: { ...labels, status: 'success' }, value: metric.successCount },
+            { name: 'operations_total', labels: { ...labels, status: 'error' }, value: metric.errorCount },
+            { name: 'operations_total', labels: { ...labels, status: 'timeout' }, value: metric.timeoutCount }
+          ]);
+          add('operation_duration_seconds', 'summary', 'RAGE operation duration',
+            summary('operation_duration_seconds', labels, metric.durations, metric.totalDuration, metric.totalCount));
+          break;
+        }
+        case 'api': {
+          const labels = { endpoint: metric.endpoint };
+          add('api_calls_total', 'counter', 'Retrieval API calls by status class',
+            [...metric.statusCodes].map(([statusClass, count]) => ({
+              name: 'api_calls_total',
+              labels: { ...labels, status_class: `${statusClass / 100}xx` },
+              value: count
+            })));
+          add('api_response_time_seconds', 'summary', 'Retrieval API response time',
+            summary('api_response_time_seconds', labels, metric.responseTimes, metric.totalResponseTime, metric.totalCalls));
+          break;
+        }
+        case 'context':
+          add('context_enrichments_total', 'counter', 'Messages enriched with RAGE context', [
+            { name: 'context_enrichments_total', labels: {}, value: metric.totalEnrichments }
+          ]);
+          add('context_documents_total', 'counter', 'Documents included in RAGE context', [
+            { name: 'context_documents_total', labels: {}, value: metric.totalDocuments }
+          ]);
+          add('context_characters_total', 'counter', 'Characters of RAGE context injected', [
+            { name: 'context_characters_total', labels: {}, value: metric.totalContextSize }
+          ]);
+          add('context_relevance_score', 'gauge', 'Average relevance of the documents in RAGE context', [
+            {
+              name: 'context_relevance_score',
+              labels: {},
+              value: metric.totalEnrichments > 0 ? metric.totalRelevanceScore / metric.totalEnrichments : 0
+            }
+          ]);
+          break;
+        case 'error':
+          add('errors_total', 'counter', 'RAGE errors by type and operation',
+            [...metric.operations].map(([operation, count]) => ({
+              name: 'errors_total',
+              labels: { type: metric.errorType, operation },
+              value: count
+            })));
+          break;
+        case 'cache':
+          add('cache_operations_total', 'counter', 'Retrieval cache operations',
+            [['hit', metric.hits], ['miss', metric.misses], ['set', metric.sets], ['evict', metric.evictions]]
+              .map(([operation, value]) => ({ name: 'cache_operations_total', labels: { operation }, value })));
+          break;
+        case 'redaction':
+          add('redacted_queries_total', 'counter', 'Queries with personal data redacted before retrieval', [
+            { name: 'redacted_queries_total', labels: {}, value: metric.redactedQueries }
+          ]);
+          add('redactions_total', 'counter', 'Personal data redacted from queries by detector',
+            Object.entries(metric.detectors).map(([detector, value]) => ({
+              name: 'redactions_total',
+              labels: { detector },
+              value
+            })));
+          break;
+        default:
+          break;
+      }
+    }
+
+    const lines = [];
+    for (const [family, { type, help, samples }] of families) {
+      lines.push(`# HELP ${prefix}_${family} ${help}`);
+      lines.push(`# TYPE ${prefix}_${family} ${type}`);
+      samples.forEach(sample => {
+        lines.push(`${prefix}_${sample.name}${this.formatPrometheusLabels(sample.labels)} ${this.formatPrometheusValue(sample.value)}`);
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Formats a Prometheus label set
+   * @param {Object} labels - Label names and values
+   * @returns {string} Label set, or an empty string without labels
+   */
+  formatPrometheusLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return '';
+    }
+
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * Formats a Prometheus sample value
+   * @param {number} value - Sample value
+   * @returns {string} Formatted value
+   */
+  formatPrometheusValue(value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return 'NaN';
+    }
+
+    if (!Number.isFinite(value)) {
+      return value > 0 ? '+Inf' : '-Inf';
+    }
+
+    return String(value);
+  }
+
   /**
    * Resets all metrics
    */
@@ -7,6 +7,8 @@ const { metricsCollector } = require('../logging/metrics');
  * 
  * Implements the circuit breaker pattern to prevent cascading failures
  * and provide fast failure when downstream services are unavailable.
+ * With a shared state store, trips and recoveries are published to the
+ * other instances and the failure window is counted across all of them.
  */
 class CircuitBreaker {
   constructor(options = {}) {
@@ -15,6 +17,8 @@ class CircuitBreaker {
     this.resetTimeout = options.resetTimeout || 60000; // 1 minute
     this.monitoringWindow = options.monitoringWindow || 300000; // 5 minutes
     this.minimumRequests = options.minimumRequests || 10;
+    this.stateStore = options.stateStore || null;
+    this.sharedUpdatedAt = 0;
     
     // Circuit states
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
@@ -43,8 +47,9 @@ class CircuitBreaker {
    * @returns {Promise} Function result or circuit breaker error
    */
   async execute(fn, ...args) {
-    const canExecute = this.canExecute();
     const correlationId = args.find(arg => typeof arg === 'object' && arg?.correlationId)?.correlationId;
+    await this.syncSharedState(correlationId);
+    const canExecute = this.canExecute();
     
     if (!canExecute) {
       const error = new CircuitBreakerError(
@@ -71,13 +76,125 @@ class CircuitBreaker {
     try {
       const result = await fn(...args);
       this.onSuccess(startTime, correlationId);
+      await this.shareOutcome(true, correlationId);
       return result;
     } catch (error) {
       this.onFailure(error, startTime, correlationId);
+      await this.shareOutcome(false, correlationId);
       throw error;
     }
   }
 
+  /**
+   * Whether the circuit state is shared with other instances
+   * @returns {boolean} Whether a shared state store is available
+   */
+  isStateShared() {
+    return !!this.stateStore && this.stateStore.isEnabled();
+  }
+
+  /**
+   * Adopts a trip or recovery published by another instance since the last sync
+   * @param {string} correlationId - Request correlation ID
+   */
+  async syncSharedState(correlationId) {
+    if (!this.isStateShared()) {
+      return;
+    }
+
+    try {
+      const shared = await this.stateStore.getCircuit(this.name);
+      if (!shared || shared.updatedAt <= this.sharedUpdatedAt) {
+        return;
+      }
+
+      this.sharedUpdatedAt = shared.updatedAt;
+
+      if (shared.state === 'OPEN' && this.state !== 'OPEN') {
+        this.state = 'OPEN';
+        this.nextAttemptTime = shared.nextAttemptTime;
+
+        rageLogger.warn('Circuit breaker opened by another instance', {
+          circuitName: this.name,
+          nextAttemptTime: new Date(this.nextAttemptTime).toISOString()
+        }, correlationId);
+      } else if (shared.state === 'CLOSED' && this.state !== 'CLOSED') {
+        this.state = 'CLOSED';
+        this.failureCount = 0;
+        this.successCount = 0;
+        this.lastFailureTime = null;
+        this.nextAttemptTime = null;
+
+        rageLogger.info('Circuit breaker closed by another instance', {
+          circuitName: this.name
+        }, correlationId);
+      }
+    } catch (error) {
+      rageLogger.warn('Failed to read shared circuit breaker state', {
+        circuitName: this.name,
+        error: error.message
+      }, correlationId);
+    }
+  }
+
+  /**
+   * Counts a request in the shared failure window and opens the circuit
+   * when the failures of all instances cross the thresholds
+   * @param {boolean} success - Whether the request succeeded
+   * @param {string} correlationId - Request correlation ID
+   */
+  async shareOutcome(success, correlationId) {
+    if (!this.isStateShared()) {
+      return;
+    }
+
+    try {
+      const { requests, failures } = await this.stateStore.recordOutcome(
+        this.name,
+        success,
+        this.monitoringWindow
+      );
+
+      if (!success && this.state === 'CLOSED' && requests >= this.minimumRequests &&
+          (failures >= this.failureThreshold || failures / requests >= 0.5)) {
+        this.openCircuit();
+      }
+    } catch (error) {
+      rageLogger.warn('Failed to share circuit breaker outcome', {
+        circuitName: this.name,
+        error: error.message
+      }, correlationId);
+    }
+  }
+
+  /**
+   * Publishes the current state so other instances adopt it
+   * @returns {Promise<void>}
+   */
+  async publishState() {
+    if (!this.isStateShared()) {
+      return;
+    }
+
+    // Later than every state seen so far, so other instances never skip it as stale
+    const updatedAt = Math.max(Date.now(), this.sharedUpdatedAt + 1);
+    this.sharedUpdatedAt = updatedAt;
+
+    try {
+      await this.stateStore.setCircuit(this.name, {
+        state: this.state,
+        nextAttemptTime: this.nextAttemptTime,
+        updatedAt
+      }, Math.max(this.resetTimeout, this.monitoringWindow));
+    } catch (error) {
+      rageLogger.warn('Failed to publish circuit breaker state', {
+        circuitName: this.name,
+        state: this.state,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Determines if the circuit breaker allows execution
    * @returns {boolean} Whether execution is allowed
@@ -136,6 +253,8 @@ class CircuitBreaker {
         circuitName: this.name,
         duration
       }, correlationId);
+
+      this.publishState();
     }
 
     metricsCollector.recordOperation(`circuit_${this.name}`, duration, 'success');
@@ -231,6 +350,8 @@ class CircuitBreaker {
       failureCount: this.failureCount,
       totalRequests: this.totalRequests
     });
+
+    this.publishState();
   }
 
   /**
@@ -246,6 +367,8 @@ class CircuitBreaker {
     rageLogger.info('Circuit breaker manually closed', {
       circuitName: this.name
     });
+
+    this.publishState();
   }
 
   /**
@@ -259,6 +382,8 @@ class CircuitBreaker {
       circuitName: this.name,
       nextAttemptTime: new Date(this.nextAttemptTime).toISOString()
     });
+
+    this.publishState();
   }
 
   /**
@@ -313,6 +438,7 @@ class CircuitBreaker {
       recentFailureRate: this.getRecentFailureRate(),
       
       // Health indicators
+      sharedState: this.isStateShared(),
       isHealthy: this.state === 'CLOSED',
       canAcceptRequests: this.canExecute()
     };
@@ -1,7 +1,8 @@
-const { ErrorFactory } = require('../errors/RageError');
+const { ErrorFactory, RateLimitError } = require('../errors/RageError');
 const { CircuitBreaker } = require('./circuitBreaker');
 const { RetryManager } = require('./retryManager');
 const { TimeoutManager } = require('./timeoutManager');
+const { ResilienceStateStore } = require('./stateStore');
 const { rageLogger } = require('../logging/logger');
 const { metricsCollector } = require('../logging/metrics');
 const { configManager } = require('../config');
@@ -10,7 +11,9 @@ const { configManager } = require('../config');
  * Central Error Handler
  * 
  * Coordinates all resilience mechanisms including circuit breakers,
- * retry logic, timeouts, and fallback strategies.
+ * retry logic, timeouts, and fallback strategies. When RAGE_SHARED_RESILIENCE
+ * is enabled and LibreChat uses Redis, the circuit breaker state and the
+ * rate-limit backoff are shared across instances.
  */
 class ErrorHandler {
   constructor(options = {}) {
@@ -28,13 +31,18 @@ class ErrorHandler {
       maxDelay: 10000
     });
     
+    this.stateStore = config.RAGE_SHARED_RESILIENCE ? new ResilienceStateStore() : null;
+    
     this.circuitBreaker = new CircuitBreaker({
       name: 'rage_vectorize',
       failureThreshold: 5,
       resetTimeout: 60000,
-      minimumRequests: 10
+      minimumRequests: 10,
+      stateStore: this.stateStore
     });
     
+    this.rateLimitedUntil = null;
+    
     this.fallbackEnabled = config.RAGE_ENABLE_FALLBACK !== false;
     this.gracefulDegradation = true;
     
@@ -61,6 +69,21 @@ class ErrorHandler {
       fallbackEnabled: this.fallbackEnabled
     }, correlationId);
 
+    const backoffUntil = await this.getRateLimitBackoff(correlationId);
+    if (backoffUntil) {
+      const retryAfter = Math.ceil((backoffUntil - Date.now()) / 1000);
+      rageLogger.warn('Skipping request during rate limit backoff', {
+        operation: operationName,
+        retryAfter
+      }, correlationId);
+
+      return this.handleOperationFailure(
+        new RateLimitError('Rate limit backoff is active', { correlationId, retryAfter, backoff: true }),
+        context,
+        correlationId
+      );
+    }
+
     try {
       // Execute with timeout, retry, and circuit breaker protection
       const result = await this.timeoutManager.execute(
@@ -213,10 +236,66 @@ class ErrorHandler {
       retryAfter: error.retryAfter
     }, correlationId);
     
-    // For rate limits, we could implement queuing or return cached data
+    // Back off until the provider accepts requests again, unless this request was skipped by a backoff
+    if (!error.context?.backoff) {
+      await this.startRateLimitBackoff(error.retryAfter, correlationId);
+    }
+    
     return null; // Graceful degradation
   }
 
+  /**
+   * Starts a rate-limit backoff, shared with the other instances when possible
+   * @param {number} retryAfter - Backoff length in seconds
+   * @param {string} correlationId - Request correlation ID
+   */
+  async startRateLimitBackoff(retryAfter, correlationId) {
+    const duration = (Number(retryAfter) || 60) * 1000;
+    this.rateLimitedUntil = Date.now() + duration;
+
+    let shared = false;
+    if (this.stateStore && this.stateStore.isEnabled()) {
+      try {
+        this.rateLimitedUntil = await this.stateStore.setBackoff(this.circuitBreaker.name, duration);
+        shared = true;
+      } catch (error) {
+        rageLogger.warn('Failed to share rate limit backoff', {
+          error: error.message
+        }, correlationId);
+      }
+    }
+
+    rageLogger.warn('Rate limit backoff started', {
+      retryAfter: duration / 1000,
+      shared,
+      until: new Date(this.rateLimitedUntil).toISOString()
+    }, correlationId);
+  }
+
+  /**
+   * Gets the end of the active rate-limit backoff of this or another instance
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<number|null>} Timestamp the backoff ends at, or null when none is active
+   */
+  async getRateLimitBackoff(correlationId) {
+    if (this.rateLimitedUntil && this.rateLimitedUntil > Date.now()) {
+      return this.rateLimitedUntil;
+    }
+
+    if (!this.stateStore || !this.stateStore.isEnabled()) {
+      return null;
+    }
+
+    try {
+      return await this.stateStore.getBackoff(this.circuitBreaker.name);
+    } catch (error) {
+      rageLogger.warn('Failed to read shared rate limit backoff', {
+        error: error.message
+      }, correlationId);
+      return null;
+    }
+  }
+
   /**
    * Handles server error fallbacks
    */
@@ -281,7 +360,8 @@ class ErrorHandler {
       },
       configuration: {
         fallbackEnabled: this.fallbackEnabled,
-        gracefulDegradation: this.gracefulDegradation
+        gracefulDegradation: this.gracefulDegradation,
+        sharedState: !!this.stateStore && this.stateStore.isEnabled()
       }
     };
   }
@@ -310,6 +390,7 @@ class ErrorHandler {
    */
   reset() {
     this.circuitBreaker.reset();
+    this.rateLimitedUntil = null;
     this.timeoutManager.cancelAllTimeouts('Reset requested');
     
     rageLogger.info('Error Handler reset completed');
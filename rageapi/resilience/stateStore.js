@@ -0,0 +1,142 @@
+const { CacheKeys } = require('librechat-data-provider');
+const { rageLogger } = require('../logging/logger');
+
+/**
+ * Resilience State Store
+ *
+ * Shares circuit breaker trips, their failure windows and rate-limit backoffs
+ * across LibreChat instances through the app's Redis connection, so a failing
+ * retrieval provider is protected by every replica instead of each one
+ * discovering the failure on its own. Without Redis (USE_REDIS unset) the store
+ * is unavailable and each instance keeps its state in memory.
+ */
+class ResilienceStateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object|null} [options.client] - ioredis client; defaults to the api Redis connection
+   * @param {string} [options.prefix] - Key prefix for the shared state
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.prefix = options.prefix || CacheKeys.RAGE_RESILIENCE;
+  }
+
+  /**
+   * Lazily resolves the ioredis client from the api cache layer
+   * @returns {Object|null} ioredis client or null if Redis is not used
+   */
+  getClient() {
+    if (this.client !== undefined) {
+      return this.client;
+    }
+
+    try {
+      const { ioredisClient } = require('../../api/cache/redisClients');
+      this.client = ioredisClient || null;
+    } catch (error) {
+      rageLogger.warn('RAGE shared resilience state unavailable, using local state', {
+        error: error.message
+      });
+      this.client = null;
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Whether the state is shared across instances
+   * @returns {boolean} Store availability
+   */
+  isEnabled() {
+    return !!this.getClient();
+  }
+
+  /**
+   * Builds the key of a shared value
+   * @param {...string} parts - Key segments
+   * @returns {string} Redis key
+   */
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  /**
+   * Reads the shared state of a circuit
+   * @param {string} name - Circuit name
+   * @returns {Promise<Object|null>} State ({ state, nextAttemptTime, updatedAt }) or null
+   */
+  async getCircuit(name) {
+    const value = await this.getClient().get(this.key('circuit', name));
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Publishes the state of a circuit; closing it also clears its failure window
+   * @param {string} name - Circuit name
+   * @param {Object} state - State ({ state, nextAttemptTime, updatedAt })
+   * @param {number} ttl - Time the state is kept, in milliseconds
+   * @returns {Promise<void>}
+   */
+  async setCircuit(name, state, ttl) {
+    const client = this.getClient();
+    await client.set(this.key('circuit', name), JSON.stringify(state), 'PX', ttl);
+
+    if (state.state === 'CLOSED') {
+      await client.del(this.key('circuit', name, 'window'));
+    }
+  }
+
+  /**
+   * Counts a request in the shared failure window of a circuit
+   * @param {string} name - Circuit name
+   * @param {boolean} success - Whether the request succeeded
+   * @param {number} window - Window length in milliseconds, starting at its first request
+   * @returns {Promise<{requests: number, failures: number}>} Counts of the current window
+   */
+  async recordOutcome(name, success, window) {
+    const client = this.getClient();
+    const key = this.key('circuit', name, 'window');
+    const [[requestsError, requests], [failuresError, failures]] = await client
+      .multi()
+      .hincrby(key, 'requests', 1)
+      .hincrby(key, 'failures', success ? 0 : 1)
+      .exec();
+
+    if (requestsError || failuresError) {
+      throw requestsError || failuresError;
+    }
+
+    if (requests === 1) {
+      await client.pexpire(key, window);
+    }
+
+    return { requests, failures };
+  }
+
+  /**
+   * Reads the end of a shared backoff
+   * @param {string} name - Backoff name
+   * @returns {Promise<number|null>} Timestamp the backoff ends at, or null when none is active
+   */
+  async getBackoff(name) {
+    const value = await this.getClient().get(this.key('backoff', name));
+    const until = Number(value);
+    return until > Date.now() ? until : null;
+  }
+
+  /**
+   * Starts a shared backoff
+   * @param {string} name - Backoff name
+   * @param {number} duration - Backoff length in milliseconds
+   * @returns {Promise<number>} Timestamp the backoff ends at
+   */
+  async setBackoff(name, duration) {
+    const until = Date.now() + duration;
+    await this.getClient().set(this.key('backoff', name), String(until), 'PX', duration);
+    return until;
+  }
+}
+
+module.exports = {
+  ResilienceStateStore
+};
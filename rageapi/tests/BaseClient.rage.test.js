@@ -16,6 +16,18 @@ const mockRageInterceptor = {
 
 jest.mock('../../rageapi/interceptors/RageInterceptor', () => jest.fn(() => mockRageInterceptor));
 
+// LibreChat modules of the real BaseClient, resolved by the api jest config only
+jest.mock('~/models', () => ({}), { virtual: true });
+jest.mock('~/models/balanceMethods', () => ({}), { virtual: true });
+jest.mock('~/models/File', () => ({}), { virtual: true });
+jest.mock('~/server/services/WorkspaceService', () => ({}), { virtual: true });
+jest.mock('~/server/services/RageService', () => ({}), { virtual: true });
+jest.mock('~/server/services/Documents', () => ({}), { virtual: true });
+jest.mock('~/config', () => ({
+  logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}), { virtual: true });
+jest.mock('../../api/app/clients/prompts', () => ({}));
+
 describe('BaseClient RAGE Integration', () => {
   let baseClient;
   
@@ -326,6 +338,24 @@ describe('BaseClient RAGE Integration', () => {
     });
   });
 
+  describe('RAGE context snapshots', () => {
+    const BaseClient = jest.requireActual('../../api/app/clients/BaseClient');
+    const snapshot = { context: 'Context\n\nAnswer using only the above context.', workspaceId: 'ws-1', answerMode: 'strict' };
+
+    it('should reuse a snapshot of the same workspace and answer mode', () => {
+      expect(BaseClient.prototype.isRageSnapshotCurrent(snapshot, { workspaceId: 'ws-1', answerMode: 'strict' })).toBe(true);
+    });
+
+    it('should not reuse a snapshot after the answer mode changed', () => {
+      expect(BaseClient.prototype.isRageSnapshotCurrent(snapshot, { workspaceId: 'ws-1', answerMode: 'expansive' })).toBe(false);
+      expect(BaseClient.prototype.isRageSnapshotCurrent(snapshot, { workspaceId: 'ws-1' })).toBe(false);
+    });
+
+    it('should not reuse a snapshot of another workspace', () => {
+      expect(BaseClient.prototype.isRageSnapshotCurrent(snapshot, { workspaceId: 'ws-2', answerMode: 'strict' })).toBe(false);
+    });
+  });
+
   describe('Error Handling and Graceful Degradation', () => {
     it('should continue message processing when RAGE fails', async () => {
       mockRageInterceptor.enrichMessage.mockRejectedValue(new Error('Network timeout'));
@@ -0,0 +1,112 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Answer Modes', () => {
+  let rageInterceptor;
+  let retrieve;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_RELEVANCE_SCORE: 0.7,
+      RAGE_ANSWER_MODE: 'expansive',
+      RAGE_STRICT_OVERRIDE_PHRASES: 'use general knowledge'
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn().mockReturnValue(mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    rageInterceptor = new RageInterceptor();
+    rageInterceptor.retrievalCache = null;
+    rageInterceptor.queryRewriter = null;
+    rageInterceptor.errorHandler = { executeWithResilience: (operation) => operation() };
+
+    retrieve = jest.fn().mockResolvedValue({ documents: [] });
+    rageInterceptor.getRetrievalProvider = jest.fn().mockReturnValue({ retrieve });
+  });
+
+  it('should return no context in expansive mode when nothing is found', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('What is the refund policy?', {
+      answerMode: 'expansive'
+    });
+
+    expect(result).toBeNull();
+  });
+
+  it('should instruct the model to decline in strict mode when nothing is found', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('What is the refund policy?', {
+      answerMode: 'strict'
+    });
+
+    expect(result.sources).toEqual([]);
+    expect(result.metadata).toMatchObject({ answerMode: 'strict', noContext: true });
+    expect(result.context).toContain('Do not answer from general knowledge');
+  });
+
+  it('should instruct the model to decline in strict mode when retrieval fails', async () => {
+    retrieve.mockRejectedValue(new Error('Provider unavailable'));
+
+    const strict = await rageInterceptor.enrichMessageWithSources('What is the refund policy?', {
+      answerMode: 'strict'
+    });
+    expect(strict.metadata).toMatchObject({ answerMode: 'strict', noContext: true });
+    expect(strict.context).toContain('Do not answer from general knowledge');
+
+    rageInterceptor.errorHandler.executeWithResilience = jest.fn().mockRejectedValue(
+      new Error('Circuit breaker is open')
+    );
+    const open = await rageInterceptor.enrichMessageWithSources('What is the refund policy?', {
+      answerMode: 'strict'
+    });
+    expect(open.metadata).toMatchObject({ noContext: true });
+
+    const expansive = await rageInterceptor.enrichMessageWithSources('What is the refund policy?', {
+      answerMode: 'expansive'
+    });
+    expect(expansive).toBeNull();
+  });
+
+  it('should lift strict mode for a single message with an override phrase', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources(
+      'Use general knowledge: what is the refund policy?',
+      { answerMode: 'strict' }
+    );
+
+    expect(result).toBeNull();
+    expect(retrieve).toHaveBeenCalledWith(
+      expect.objectContaining({ question: 'what is the refund policy?' }),
+      'test-correlation-id'
+    );
+  });
+
+  it('should use the strict footer when context is found', async () => {
+    retrieve.mockResolvedValue({
+      documents: [{ id: 'a', text: 'Refunds are processed within five business days.', relevancy: 0.95, similarity: 0.9, metadata: { source: 'faq.md' } }]
+    });
+
+    const result = await rageInterceptor.enrichMessageWithSources('What is the refund policy?', {
+      answerMode: 'strict'
+    });
+
+    expect(result.metadata.answerMode).toBe('strict');
+    expect(result.context).toContain('Answer using only the above context');
+  });
+});
@@ -0,0 +1,137 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+const { RageLogger } = jest.requireActual('../logging/logger');
+
+describe('RAGE Audit Trail', () => {
+  describe('RageLogger audit sink', () => {
+    let logger;
+    let sink;
+
+    beforeEach(() => {
+      logger = new RageLogger();
+      logger.config = { RAGE_LOG_LEVEL: 'error', RAGE_ENABLE_AUDIT_LOG: true };
+      logger.isInitialized = true;
+      logger.writeLog = jest.fn();
+      sink = jest.fn().mockResolvedValue(undefined);
+      logger.setAuditSink(sink);
+    });
+
+    it('should pass the unsanitized details to the sink', () => {
+      logger.audit('context_enrichment', { userId: 'user-1', query: 'api key rotation' }, 'corr-1');
+
+      expect(sink).toHaveBeenCalledWith(
+        'context_enrichment',
+        { userId: 'user-1', query: 'api key rotation' },
+        'corr-1'
+      );
+    });
+
+    it('should not store events when audit logging is disabled', () => {
+      logger.config.RAGE_ENABLE_AUDIT_LOG = false;
+
+      logger.audit('context_enrichment', { userId: 'user-1' });
+
+      expect(sink).not.toHaveBeenCalled();
+    });
+
+    it('should warn instead of throwing when the sink fails', async () => {
+      logger.warn = jest.fn();
+      sink.mockRejectedValueOnce(new Error('database unavailable'));
+      logger.audit('context_enrichment', { userId: 'user-1' }, 'corr-1');
+
+      logger.setAuditSink(() => {
+        throw new Error('invalid event');
+      });
+      expect(() => logger.audit('context_enrichment', { userId: 'user-1' }, 'corr-2')).not.toThrow();
+
+      await new Promise(setImmediate);
+      expect(logger.warn).toHaveBeenCalledWith('RAGE Logger: Failed to store audit event', {
+        event: 'context_enrichment',
+        error: 'database unavailable'
+      }, 'corr-1');
+      expect(logger.warn).toHaveBeenCalledWith('RAGE Logger: Failed to store audit event', {
+        event: 'context_enrichment',
+        error: 'invalid event'
+      }, 'corr-2');
+    });
+
+    it('should remove the sink when given anything but a function', () => {
+      logger.setAuditSink(null);
+      logger.audit('context_enrichment', { userId: 'user-1' });
+
+      expect(sink).not.toHaveBeenCalled();
+      expect(logger.getLoggingConfig().auditStorage).toBe(false);
+    });
+  });
+
+  describe('RageInterceptor audit details', () => {
+    let rageInterceptor;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      const mockConfig = {
+        RAGE_ENABLED: true,
+        RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+        RAGE_TIMEOUT_MS: 5000,
+        RAGE_NUM_RESULTS: 5,
+        RAGE_MIN_RELEVANCE_SCORE: 0.7
+      };
+
+      configManager.isInitialized = true;
+      configManager.getConfig = jest.fn().mockReturnValue(mockConfig);
+      configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+      configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+      rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+      rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+      metricsCollector.initialize = jest.fn();
+
+      rageInterceptor = new RageInterceptor();
+      rageInterceptor.retrievalCache = null;
+      rageInterceptor.queryRewriter = null;
+      rageInterceptor.errorHandler = {
+        executeWithResilience: (operation) => operation().catch(() => null),
+        circuitBreaker: { state: 'CLOSED' }
+      };
+      rageInterceptor.getRetrievalProvider = jest.fn().mockReturnValue({
+        retrieve: jest.fn().mockResolvedValue({
+          documents: [
+            {
+              id: 'd1',
+              text: 'Expense reports are due on the fifth business day of each month for the finance team.',
+              relevancy: 0.95,
+              similarity: 0.9,
+              metadata: { source: 'handbook' }
+            }
+          ]
+        })
+      });
+    });
+
+    it('should record the conversation, message, query and cited sources', async () => {
+      await rageInterceptor.enrichMessageWithSources('When are expense reports due?', {
+        userId: 'user-1',
+        conversationId: 'convo-1',
+        messageId: 'message-1'
+      });
+
+      expect(rageLogger.audit).toHaveBeenCalledWith('context_enrichment', expect.objectContaining({
+        userId: 'user-1',
+        conversationId: 'convo-1',
+        messageId: 'message-1',
+        query: 'When are expense reports due?',
+        documentsRetrieved: 1,
+        sources: [{ id: 'd1', source: 'handbook', score: expect.any(Number) }]
+      }), 'test-correlation-id');
+    });
+  });
+});
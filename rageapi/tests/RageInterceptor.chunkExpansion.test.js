@@ -0,0 +1,141 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Chunk Expansion', () => {
+  let rageInterceptor;
+  let mockConfig;
+  let retrieve;
+  let fetchChunks;
+
+  const chunk = (index, text, similarity) => ({
+    id: `vpn-${index}`,
+    text,
+    similarity,
+    metadata: { source: 'vpn-guide.pdf', document_id: 'vpn-guide', chunk_index: index }
+  });
+  const chunks = [
+    chunk(0, 'VPN setup guide for remote employees working outside the office network.', 0.5),
+    chunk(1, 'To connect to the VPN, step 1: install the client. Step 2: sign in with your badge number.', 0.9),
+    chunk(2, 'Step 3: approve the push notification. Step 4: connect to the Office gateway.', 0.5),
+    chunk(3, 'To troubleshoot the VPN, restart the client when the gateway times out.', 0.8)
+  ];
+
+  const createInterceptor = () => {
+    const interceptor = new RageInterceptor();
+    interceptor.retrievalCache = null;
+    interceptor.queryRewriter = null;
+    interceptor.errorHandler = { executeWithResilience: (operation) => operation() };
+    interceptor.getRetrievalProvider = jest.fn().mockReturnValue({
+      name: 'qdrant',
+      supportsChunkLookup: true,
+      retrieve,
+      fetchChunks,
+      getCacheScope: () => ({ orgId: 'org', pipelineId: 'support' })
+    });
+    interceptor.lexicalSearch.search = jest.fn().mockResolvedValue([]);
+    return interceptor;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_SIMILARITY_SCORE: 0.3,
+      RAGE_LEXICAL_PROVIDER: 'bm25',
+      RAGE_LEXICAL_NUM_RESULTS: 10,
+      RAGE_BM25_CORPUS_PATH: '/tmp/{pipelineId}.jsonl',
+      RAGE_CHUNK_EXPANSION: true,
+      RAGE_CHUNK_EXPANSION_WINDOW: 1
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn(() => mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    retrieve = jest.fn().mockResolvedValue({ documents: [{ ...chunks[1] }, { ...chunks[3] }] });
+    fetchChunks = jest.fn().mockResolvedValue([{ ...chunks[0] }, { ...chunks[2] }]);
+    rageInterceptor = createInterceptor();
+  });
+
+  it('should format the retrieved chunks with their neighbours as one ordered excerpt', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('How do I connect to the VPN?');
+
+    expect(fetchChunks).toHaveBeenCalledWith({
+      documentField: 'document_id',
+      indexField: 'chunk_index',
+      chunks: [{ documentId: 'vpn-guide', indexes: [0, 2, 4] }]
+    }, 'test-correlation-id');
+
+    const steps = ['VPN setup guide', 'step 1', 'Step 3', 'restart the client'].map(text => result.context.indexOf(text));
+    expect(steps.every(position => position >= 0)).toBe(true);
+    expect([...steps].sort((a, b) => a - b)).toEqual(steps);
+
+    expect(result.sources).toHaveLength(1);
+    expect(result.sources[0]).toEqual(expect.objectContaining({ source: 'vpn-guide.pdf', chunkIndexes: [0, 1, 2, 3] }));
+    expect(result.metadata).toEqual(expect.objectContaining({ chunksAdded: 2, chunksMerged: 1 }));
+  });
+
+  it('should not add neighbours beyond the token budget', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('How do I connect to the VPN?', {
+      tokenBudget: { contextTokens: 660, usedTokens: 0, reservedTokens: 0 }
+    });
+
+    // Half of the context window minus the 200 token buffer
+    expect(result.metadata.tokenCount).toBeLessThanOrEqual(130);
+    expect(result.metadata.chunksAdded).toBeUndefined();
+    expect(result.sources[0].chunkIndexes).toEqual([1, 3]);
+    expect(result.context).not.toContain('Step 3');
+  });
+
+  it('should not add neighbours outside the metadata filters of the user', async () => {
+    mockConfig.RAGE_ROLE_FILTERS = '{"FINANCE": {"department": ["finance"]}}';
+    rageInterceptor = createInterceptor();
+    const inDepartment = (doc, department) => ({ ...doc, metadata: { ...doc.metadata, department } });
+    retrieve.mockResolvedValue({ documents: [inDepartment(chunks[1], 'finance'), inDepartment(chunks[3], 'finance')] });
+    fetchChunks.mockResolvedValue([inDepartment(chunks[0], 'finance'), inDepartment(chunks[2], 'legal')]);
+
+    const result = await rageInterceptor.enrichMessageWithSources('How do I connect to the VPN?', {
+      userRole: 'FINANCE'
+    });
+
+    expect(result.context).toContain('VPN setup guide');
+    expect(result.context).not.toContain('Step 3');
+    expect(result.sources[0].chunkIndexes).toEqual([0, 1, 3]);
+    expect(result.metadata.chunksAdded).toBe(1);
+  });
+
+  it('should keep the retrieved chunks when the lookup fails or expansion is off', async () => {
+    fetchChunks.mockRejectedValue(new Error('scroll failed'));
+
+    const result = await rageInterceptor.enrichMessageWithSources('How do I connect to the VPN?');
+    expect(result.sources[0].chunkIndexes).toEqual([1, 3]);
+    expect(rageLogger.warn).toHaveBeenCalledWith('Neighbouring chunks unavailable, using retrieved chunks only', {
+      provider: 'qdrant',
+      error: 'scroll failed'
+    }, 'test-correlation-id');
+
+    mockConfig.RAGE_CHUNK_EXPANSION = false;
+    fetchChunks.mockClear();
+    rageInterceptor = createInterceptor();
+    const plain = await rageInterceptor.enrichMessageWithSources('How do I connect to the VPN?');
+
+    expect(fetchChunks).not.toHaveBeenCalled();
+    expect(plain.sources).toHaveLength(2);
+  });
+});
@@ -0,0 +1,95 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Citations', () => {
+  let rageInterceptor;
+  let mockConfig;
+  let scored;
+
+  const doc = (id, text, score, enhancedScore) => ({
+    id,
+    text,
+    score,
+    enhancedScore,
+    metadata: { source: `${id}.md` }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_SIMILARITY_SCORE: 0.3
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn(() => mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    rageInterceptor = new RageInterceptor();
+    rageInterceptor.retrievalCache = null;
+    rageInterceptor.queryRewriter = null;
+    rageInterceptor.errorHandler = { executeWithResilience: (operation) => operation() };
+    rageInterceptor.getRetrievalProvider = jest.fn().mockReturnValue({
+      retrieve: jest.fn(() => Promise.resolve({ documents: scored.map(({ id, text }) => ({ id, text })) })),
+      getCacheScope: () => ({ orgId: 'org', pipelineId: 'support' })
+    });
+    rageInterceptor.relevanceScorer.scoreAndFilter = jest.fn(() => scored.map(document => ({ ...document })));
+  });
+
+  it('should number the sources in the order a boost put them in the context', async () => {
+    scored = [
+      doc('handbook', 'Expense reports are reviewed every Friday.', 0.9, 0.9),
+      doc('expenses', 'Reimbursements are paid with the next payroll.', 0.8, 0.95)
+    ];
+
+    const result = await rageInterceptor.enrichMessageWithSources('When are expense reports paid?');
+
+    expect(result.sources.map(({ index, source }) => [index, source])).toEqual([
+      [1, 'expenses.md'],
+      [2, 'handbook.md']
+    ]);
+    expect(result.context.indexOf('Reimbursements')).toBeLessThan(result.context.indexOf('Expense reports'));
+  });
+
+  it('should leave out a document the optimizer skipped for a smaller one', async () => {
+    const optimizer = rageInterceptor.tokenOptimizer;
+    const cost = (document, index) =>
+      optimizer.estimateTokens(optimizer.formatDocumentHeader(document, index)) +
+      optimizer.estimateTokens(document.text);
+
+    scored = [
+      doc('handbook', 'Expense reports are reviewed by the finance team every Friday. '.repeat(20), 0.9, 0.9),
+      doc('archive', 'Archived expense policies from previous years. '.repeat(400), 0.85, 0.85),
+      doc('faq', 'Reports are paid with payroll.', 0.8, 0.8)
+    ];
+    const budget = optimizer.estimateFormattingOverhead({ footer: rageInterceptor.contextFormatter.getFooter() }) +
+      cost(scored[0], 0) + cost(scored[2], 1) + 10;
+    jest.spyOn(optimizer, 'resolveTargetTokens').mockReturnValue(budget);
+
+    const result = await rageInterceptor.enrichMessageWithSources('When are expense reports paid?');
+
+    expect(result.metadata.truncated).toBe(true);
+    expect(result.context).not.toContain('Archived expense policies');
+    expect(result.context).toContain('## 2. faq.md');
+    expect(result.sources.map(({ index, source }) => [index, source])).toEqual([
+      [1, 'handbook.md'],
+      [2, 'faq.md']
+    ]);
+  });
+});
@@ -0,0 +1,175 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { TimeoutManager } = require('../resilience/timeoutManager');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Query Decomposition', () => {
+  let rageInterceptor;
+  let mockConfig;
+  let retrieve;
+  let search;
+  let timeoutManager;
+
+  const policyDoc = (year, similarity) => ({
+    id: `travel-${year}`,
+    text: `Travel policy ${year}: economy class flights, hotel limit of ${year === 2023 ? 150 : 180} dollars per night.`,
+    similarity,
+    metadata: { source: `travel-policy-${year}.pdf` }
+  });
+  const overview = {
+    id: 'overview',
+    text: 'Travel policy overview: every trip needs manager approval before booking.',
+    similarity: 0.7,
+    metadata: { source: 'travel-overview.pdf' }
+  };
+
+  const createInterceptor = () => {
+    const interceptor = new RageInterceptor();
+    interceptor.retrievalCache = null;
+    interceptor.queryRewriter = null;
+    interceptor.errorHandler = {
+      executeWithResilience: (operation) => operation(),
+      timeoutManager
+    };
+    interceptor.getRetrievalProvider = jest.fn().mockReturnValue({
+      retrieve,
+      getCacheScope: () => ({ orgId: 'org', pipelineId: 'support' })
+    });
+    interceptor.lexicalSearch.search = search;
+    return interceptor;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_SIMILARITY_SCORE: 0.3,
+      RAGE_LEXICAL_PROVIDER: 'bm25',
+      RAGE_LEXICAL_NUM_RESULTS: 10,
+      RAGE_BM25_CORPUS_PATH: '/tmp/{pipelineId}.jsonl',
+      RAGE_QUERY_DECOMPOSITION: true,
+      RAGE_DECOMPOSITION_TIMEOUT_MS: 4000
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn(() => mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    retrieve = jest.fn(({ question }) => Promise.resolve({
+      documents: question.includes('2023')
+        ? [policyDoc(2023, 0.9), { ...overview }]
+        : [policyDoc(2024, 0.85), { ...overview }]
+    }));
+    search = jest.fn().mockResolvedValue([]);
+    timeoutManager = new TimeoutManager();
+    jest.spyOn(timeoutManager, 'execute');
+    rageInterceptor = createInterceptor();
+  });
+
+  it('should search each sub-query in parallel and record which one found each chunk', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('compare the travel policy in 2023 and 2024');
+
+    expect(timeoutManager.execute).toHaveBeenCalledTimes(2);
+    expect(timeoutManager.execute).toHaveBeenCalledWith(expect.any(Promise), 4000, {
+      operation: 'subQueryRetrieval',
+      correlationId: 'test-correlation-id'
+    });
+    expect(retrieve).toHaveBeenCalledTimes(2);
+    expect(retrieve).toHaveBeenCalledWith(
+      expect.objectContaining({ question: 'the travel policy in 2023' }),
+      'test-correlation-id'
+    );
+    expect(search).toHaveBeenCalledWith('the travel policy in 2024', expect.any(Object));
+
+    const subQueries = Object.fromEntries(result.sources.map(source => [source.source, source.subQueries]));
+    expect(subQueries).toEqual({
+      'travel-policy-2023.pdf': ['the travel policy in 2023'],
+      'travel-policy-2024.pdf': ['the travel policy in 2024'],
+      'travel-overview.pdf': ['the travel policy in 2023', 'the travel policy in 2024']
+    });
+    expect(result.metadata).toEqual(expect.objectContaining({ documentsRetrieved: 3, subQueries: 2 }));
+    expect(rageLogger.audit).toHaveBeenCalledWith('context_enrichment', expect.objectContaining({
+      subQueries: ['the travel policy in 2023', 'the travel policy in 2024'],
+      decompositionStrategy: 'heuristic'
+    }), 'test-correlation-id');
+  });
+
+  it('should keep the results of the other sub-queries when one fails', async () => {
+    retrieve.mockImplementation(({ question }) => question.includes('2024')
+      ? Promise.reject(new Error('timeout'))
+      : Promise.resolve({ documents: [policyDoc(2023, 0.9)] }));
+
+    const result = await rageInterceptor.enrichMessageWithSources('compare the travel policy in 2023 and 2024');
+
+    expect(result.sources.map(source => source.source)).toEqual(['travel-policy-2023.pdf']);
+    expect(rageLogger.warn).toHaveBeenCalledWith(
+      'Retrieval of sub-query failed, skipping it',
+      { subQuery: 2, error: 'timeout' },
+      'test-correlation-id'
+    );
+  });
+
+  it('should keep the results of the other sub-queries when one times out', async () => {
+    mockConfig.RAGE_DECOMPOSITION_TIMEOUT_MS = 200;
+    rageInterceptor = createInterceptor();
+    retrieve.mockImplementation(({ question }) => question.includes('2024')
+      ? new Promise(() => {})
+      : Promise.resolve({ documents: [policyDoc(2023, 0.9)] }));
+
+    const result = await rageInterceptor.enrichMessageWithSources('compare the travel policy in 2023 and 2024');
+
+    expect(result.sources.map(source => source.source)).toEqual(['travel-policy-2023.pdf']);
+    expect(rageLogger.warn).toHaveBeenCalledWith(
+      'Retrieval of sub-query failed, skipping it',
+      { subQuery: 2, error: expect.stringContaining('timed out after 200ms') },
+      'test-correlation-id'
+    );
+  });
+
+  it('should search the original question when every sub-query fails', async () => {
+    retrieve.mockImplementation(({ question }) => question.startsWith('compare')
+      ? Promise.resolve({ documents: [policyDoc(2023, 0.9), policyDoc(2024, 0.85)] })
+      : Promise.reject(new Error('timeout')));
+
+    const result = await rageInterceptor.enrichMessageWithSources('compare the travel policy in 2023 and 2024');
+
+    expect(retrieve).toHaveBeenCalledTimes(3);
+    expect(retrieve).toHaveBeenLastCalledWith(
+      expect.objectContaining({ question: 'compare the travel policy in 2023 and 2024' }),
+      'test-correlation-id'
+    );
+    expect(result.sources.map(source => source.source)).toEqual(['travel-policy-2023.pdf', 'travel-policy-2024.pdf']);
+    expect(rageLogger.warn).toHaveBeenCalledWith(
+      'Retrieval of every sub-query failed, searching the original question',
+      { subQueries: 2 },
+      'test-correlation-id'
+    );
+  });
+
+  it('should search once when the question has a single part or decomposition is off', async () => {
+    await rageInterceptor.enrichMessageWithSources('What is the travel policy for 2024?');
+    expect(retrieve).toHaveBeenCalledTimes(1);
+
+    mockConfig.RAGE_QUERY_DECOMPOSITION = false;
+    rageInterceptor = createInterceptor();
+    await rageInterceptor.enrichMessageWithSources('compare the travel policy in 2023 and 2024');
+
+    expect(retrieve).toHaveBeenCalledTimes(2);
+    expect(timeoutManager.execute).not.toHaveBeenCalled();
+  });
+});
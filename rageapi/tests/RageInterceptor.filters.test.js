@@ -0,0 +1,142 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Metadata Filters', () => {
+  let rageInterceptor;
+  let provider;
+
+  const documents = [
+    {
+      id: 'd1',
+      text: 'Expense reports are due on the fifth business day of each month for the finance team.',
+      relevancy: 0.95,
+      similarity: 0.9,
+      metadata: { source: 'handbook', department: 'finance', updated: '2024-04-01' }
+    },
+    {
+      id: 'd2',
+      text: 'Expense reports for travel must include receipts for every item above fifty dollars.',
+      relevancy: 0.9,
+      similarity: 0.85,
+      metadata: { source: 'handbook', department: 'finance', updated: '2023-06-01' }
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_RELEVANCE_SCORE: 0.7,
+      RAGE_INLINE_FILTERS_ENABLED: true,
+      RAGE_FILTER_DATE_FIELD: 'updated',
+      RAGE_ROLE_FILTERS: '{"FINANCE": {"department": ["finance", "shared"]}}'
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn().mockReturnValue(mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    rageInterceptor = new RageInterceptor();
+    rageInterceptor.retrievalCache = null;
+    rageInterceptor.queryRewriter = null;
+    rageInterceptor.errorHandler = { executeWithResilience: (operation) => operation() };
+
+    provider = {
+      supportsMetadataFilters: true,
+      retrieve: jest.fn().mockResolvedValue({ documents })
+    };
+    rageInterceptor.getRetrievalProvider = jest.fn().mockReturnValue(provider);
+  });
+
+  it('should send role and inline filters and strip the syntax from the query', async () => {
+    await rageInterceptor.enrichMessageWithSources('When are #source:handbook expense reports due?', {
+      userRole: 'FINANCE'
+    });
+
+    expect(provider.retrieve).toHaveBeenCalledWith(
+      expect.objectContaining({
+        question: 'When are expense reports due?',
+        metadataFilters: [
+          { 'metadata.department': ['finance', 'shared'] },
+          { 'metadata.source': ['handbook'] }
+        ]
+      }),
+      'test-correlation-id'
+    );
+  });
+
+  it('should drop results outside the date range', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('after:2024-01-01 expense report deadlines');
+
+    expect(result.metadata).toMatchObject({
+      documentsRetrieved: 2,
+      documentsScored: 1,
+      dateRange: { after: '2024-01-01' }
+    });
+  });
+
+  it('should check filters locally when the provider cannot apply them', async () => {
+    provider.supportsMetadataFilters = false;
+
+    const result = await rageInterceptor.enrichMessageWithSources('#department:legal expense reports');
+
+    expect(provider.retrieve.mock.calls[0][0].metadataFilters).toBeUndefined();
+    expect(result).toBeNull();
+  });
+
+  it('should skip retrieval when inline filters exceed the user restrictions', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('#department:hr expense reports', {
+      userRole: 'FINANCE'
+    });
+
+    expect(provider.retrieve).not.toHaveBeenCalled();
+    expect(result).toBeNull();
+  });
+
+  it('should apply requested filters, date bounds and result count', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('expense report deadlines', {
+      userRole: 'FINANCE',
+      numResults: 1,
+      filters: { source: 'handbook' },
+      dateRange: { after: '2023-01-01' }
+    });
+
+    expect(provider.retrieve).toHaveBeenCalledWith(
+      expect.objectContaining({
+        numResults: 1,
+        metadataFilters: [
+          { 'metadata.department': ['finance', 'shared'] },
+          { 'metadata.source': ['handbook'] }
+        ]
+      }),
+      'test-correlation-id'
+    );
+    expect(result.metadata).toMatchObject({ documentsScored: 1, dateRange: { after: '2023-01-01' } });
+  });
+
+  it('should not let requested filters widen the user restrictions', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('expense report deadlines', {
+      userRole: 'FINANCE',
+      filters: { department: ['hr'] }
+    });
+
+    expect(provider.retrieve).not.toHaveBeenCalled();
+    expect(result).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Hybrid Search', () => {
+  let rageInterceptor;
+  let retrieve;
+  let search;
+
+  const ticket = {
+    id: 'c1',
+    text: 'Ticket INV-2024-001 was escalated to the billing team after a duplicate charge was reported.',
+    source: 'tickets.md',
+    metadata: { source: 'tickets.md' },
+    lexicalScore: 3.2
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_RELEVANCE_SCORE: 0.7,
+      RAGE_LEXICAL_PROVIDER: 'bm25',
+      RAGE_LEXICAL_NUM_RESULTS: 10,
+      RAGE_BM25_CORPUS_PATH: '/tmp/{pipelineId}.jsonl'
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn().mockReturnValue(mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    rageInterceptor = new RageInterceptor();
+    rageInterceptor.retrievalCache = null;
+    rageInterceptor.queryRewriter = null;
+    rageInterceptor.errorHandler = { executeWithResilience: (operation) => operation() };
+
+    retrieve = jest.fn().mockResolvedValue({ documents: [] });
+    rageInterceptor.getRetrievalProvider = jest.fn().mockReturnValue({
+      retrieve,
+      getCacheScope: () => ({ orgId: 'org', pipelineId: 'finance' })
+    });
+
+    search = jest.fn().mockResolvedValue([ticket]);
+    rageInterceptor.lexicalSearch.search = search;
+  });
+
+  it('should use keyword matches the vector search missed', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources('What happened to INV-2024-001?');
+
+    expect(search).toHaveBeenCalledWith('What happened to INV-2024-001?', {
+      limit: 10,
+      scope: { orgId: 'org', pipelineId: 'finance' }
+    });
+    expect(result.context).toContain('INV-2024-001');
+    expect(result.metadata).toMatchObject({ documentsRetrieved: 0, lexicalDocumentsRetrieved: 1 });
+  });
+
+  it('should cite the fused results that fit the context, in RRF order', async () => {
+    const policy = {
+      id: 'v1',
+      text: 'Duplicate charges are refunded within five business days. '.repeat(10),
+      metadata: { source: 'refunds.md' },
+      score: 0.9,
+      enhancedScore: 0.9,
+      rrfScore: 1 / 61
+    };
+    rageInterceptor.relevanceScorer.scoreAndFilter = jest.fn().mockReturnValue([
+      policy,
+      { ...ticket, score: 0.5, enhancedScore: 0.5, rrfScore: 1 / 61 + 1 / 62 }
+    ]);
+    const optimizer = rageInterceptor.tokenOptimizer;
+    const budget = optimizer.estimateFormattingOverhead({ footer: rageInterceptor.contextFormatter.getFooter() }) +
+      optimizer.estimateTokens(optimizer.formatDocumentHeader(ticket, 0)) +
+      optimizer.estimateTokens(ticket.text) + 10;
+    jest.spyOn(optimizer, 'resolveTargetTokens').mockReturnValue(budget);
+
+    const result = await rageInterceptor.enrichMessageWithSources('What happened to INV-2024-001?');
+
+    expect(result.context).not.toContain('Duplicate charges are refunded');
+    expect(result.sources.map(({ index, source }) => [index, source])).toEqual([[1, 'tickets.md']]);
+    expect(rageLogger.audit).toHaveBeenCalledWith('context_enrichment', expect.objectContaining({
+      sources: [expect.objectContaining({ source: 'tickets.md' })]
+    }), 'test-correlation-id');
+  });
+
+  it('should fall back to vector results when the keyword leg fails', async () => {
+    search.mockRejectedValue(new Error('index not found'));
+
+    await expect(rageInterceptor.searchLexical('INV-2024-001', 'cid')).resolves.toEqual([]);
+    expect(metricsCollector.recordError).toHaveBeenCalledWith('Error', 'lexicalSearch', {
+      message: 'index not found'
+    });
+  });
+});
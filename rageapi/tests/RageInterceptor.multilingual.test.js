@@ -0,0 +1,130 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Multilingual Retrieval', () => {
+  let rageInterceptor;
+  let mockConfig;
+  let retrieve;
+  let search;
+  let translate;
+
+  const portugueseQuery = 'Como faço para solicitar reembolso de viagem?';
+  const englishQuery = 'How do I request a travel refund?';
+
+  const portugueseDoc = {
+    id: 'pt-1',
+    text: 'Para solicitar reembolso de viagem, envie os recibos pelo portal financeiro.',
+    similarity: 0.82,
+    metadata: { source: 'politica-viagens.pdf' }
+  };
+  const englishDoc = {
+    id: 'en-1',
+    text: 'To request a travel refund, submit your receipts through the finance portal.',
+    similarity: 0.8,
+    metadata: { source: 'travel-policy.pdf' }
+  };
+
+  const createInterceptor = () => {
+    const interceptor = new RageInterceptor();
+    interceptor.retrievalCache = null;
+    interceptor.queryRewriter = null;
+    interceptor.queryTranslator = { translate };
+    interceptor.errorHandler = { executeWithResilience: (operation) => operation() };
+    interceptor.getRetrievalProvider = jest.fn().mockReturnValue({
+      retrieve,
+      getCacheScope: () => ({ orgId: 'org', pipelineId: 'support' })
+    });
+    interceptor.lexicalSearch.search = search;
+    return interceptor;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_SIMILARITY_SCORE: 0.3,
+      RAGE_LEXICAL_PROVIDER: 'bm25',
+      RAGE_LEXICAL_NUM_RESULTS: 10,
+      RAGE_BM25_CORPUS_PATH: '/tmp/{pipelineId}.jsonl'
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn(() => mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    retrieve = jest.fn(({ question }) => Promise.resolve({
+      documents: question === englishQuery ? [englishDoc, { ...portugueseDoc }] : [portugueseDoc]
+    }));
+    search = jest.fn().mockResolvedValue([]);
+    translate = jest.fn().mockResolvedValue([{ locale: 'en', query: englishQuery }]);
+    rageInterceptor = createInterceptor();
+  });
+
+  it('should search with the original and translated queries and merge the results', async () => {
+    const result = await rageInterceptor.enrichMessageWithSources(portugueseQuery);
+
+    expect(translate).toHaveBeenCalledWith(portugueseQuery, 'pt', { correlationId: 'test-correlation-id' });
+    expect(retrieve).toHaveBeenCalledWith(expect.objectContaining({ question: portugueseQuery }), 'test-correlation-id');
+    expect(retrieve).toHaveBeenCalledWith(expect.objectContaining({ question: englishQuery }), 'test-correlation-id');
+    expect(search).toHaveBeenCalledWith(englishQuery, expect.any(Object));
+
+    expect(result.metadata).toEqual(expect.objectContaining({
+      documentsRetrieved: 2,
+      queryLanguage: 'pt',
+      translatedLanguages: ['en']
+    }));
+    expect(result.sources.map(source => source.source).sort()).toEqual(['politica-viagens.pdf', 'travel-policy.pdf']);
+  });
+
+  it('should pass the detected language to the context formatter', async () => {
+    const formatDocuments = jest.spyOn(rageInterceptor.contextFormatter, 'formatDocuments');
+
+    await rageInterceptor.enrichMessageWithSources(portugueseQuery, { locale: 'en-US' });
+    expect(formatDocuments).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ locale: 'pt' }));
+
+    await rageInterceptor.enrichMessageWithSources(portugueseQuery, { locale: 'pt-BR' });
+    expect(formatDocuments).toHaveBeenLastCalledWith(expect.any(Array), expect.objectContaining({ locale: 'pt-BR' }));
+  });
+
+  it('should keep the original results when the translated search fails', async () => {
+    retrieve.mockImplementation(({ question }) => question === englishQuery
+      ? Promise.reject(new Error('timeout'))
+      : Promise.resolve({ documents: [portugueseDoc] }));
+
+    const result = await rageInterceptor.enrichMessageWithSources(portugueseQuery);
+
+    expect(result.metadata.documentsRetrieved).toBe(1);
+    expect(rageLogger.warn).toHaveBeenCalledWith(
+      'Retrieval of translated query failed, skipping it',
+      expect.objectContaining({ locale: 'en', error: 'timeout' }),
+      'test-correlation-id'
+    );
+  });
+
+  it('should not detect or translate when language detection is disabled', async () => {
+    mockConfig.RAGE_LANGUAGE_DETECTION = false;
+    rageInterceptor = createInterceptor();
+
+    const result = await rageInterceptor.enrichMessageWithSources(portugueseQuery);
+
+    expect(translate).not.toHaveBeenCalled();
+    expect(retrieve).toHaveBeenCalledTimes(1);
+    expect(result.metadata.queryLanguage).toBeUndefined();
+  });
+});
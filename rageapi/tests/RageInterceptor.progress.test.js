@@ -0,0 +1,142 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Progress Events', () => {
+  const { PROGRESS_STATUS } = RageInterceptor;
+
+  let rageInterceptor;
+  let provider;
+  let onProgress;
+
+  const documents = [
+    {
+      id: 'd1',
+      text: 'Expense reports are due on the fifth business day of each month for the finance team.',
+      relevancy: 0.95,
+      similarity: 0.9,
+      metadata: { source: 'handbook' }
+    },
+    {
+      id: 'd2',
+      text: 'Expense reports for travel must include receipts for every item above fifty dollars.',
+      relevancy: 0.9,
+      similarity: 0.85,
+      metadata: { source: 'policy' }
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_MIN_RELEVANCE_SCORE: 0.7
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn().mockReturnValue(mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    rageInterceptor = new RageInterceptor();
+    rageInterceptor.retrievalCache = null;
+    rageInterceptor.queryRewriter = null;
+    rageInterceptor.errorHandler = {
+      executeWithResilience: (operation) => operation().catch(() => null),
+      circuitBreaker: { state: 'CLOSED' }
+    };
+
+    provider = { retrieve: jest.fn().mockResolvedValue({ documents }) };
+    rageInterceptor.getRetrievalProvider = jest.fn().mockReturnValue(provider);
+    onProgress = jest.fn();
+  });
+
+  const statuses = () => onProgress.mock.calls.map(([event]) => event.status);
+
+  it('should report the search and the documents found', async () => {
+    await rageInterceptor.enrichMessageWithSources('When are expense reports due?', { onProgress });
+
+    expect(statuses()).toEqual([PROGRESS_STATUS.SEARCHING, PROGRESS_STATUS.FOUND]);
+    expect(onProgress).toHaveBeenNthCalledWith(1, {
+      status: PROGRESS_STATUS.SEARCHING,
+      query: 'When are expense reports due?'
+    });
+    expect(onProgress).toHaveBeenNthCalledWith(2, {
+      status: PROGRESS_STATUS.FOUND,
+      documentsRetrieved: 2,
+      documentsIncluded: 2
+    });
+  });
+
+  it('should report results that were filtered out', async () => {
+    provider.retrieve.mockResolvedValue({
+      documents: documents.map(doc => ({ ...doc, relevancy: 0.1, similarity: 0.1 }))
+    });
+
+    await rageInterceptor.enrichMessageWithSources('When are expense reports due?', { onProgress });
+
+    expect(statuses()).toEqual([PROGRESS_STATUS.SEARCHING, PROGRESS_STATUS.FILTERED_OUT]);
+    expect(onProgress).toHaveBeenLastCalledWith({
+      status: PROGRESS_STATUS.FILTERED_OUT,
+      documentsRetrieved: 2
+    });
+  });
+
+  it('should report an empty knowledge base search', async () => {
+    provider.retrieve.mockResolvedValue({ documents: [] });
+
+    await rageInterceptor.enrichMessageWithSources('When are expense reports due?', { onProgress });
+
+    expect(statuses()).toEqual([PROGRESS_STATUS.SEARCHING, PROGRESS_STATUS.NO_RESULTS]);
+  });
+
+  it('should report failed searches', async () => {
+    provider.retrieve.mockRejectedValue(new Error('socket hang up'));
+
+    await rageInterceptor.enrichMessageWithSources('When are expense reports due?', { onProgress });
+
+    expect(statuses()).toEqual([PROGRESS_STATUS.SEARCHING, PROGRESS_STATUS.FAILED]);
+  });
+
+  it('should report an open circuit breaker', async () => {
+    rageInterceptor.errorHandler = {
+      executeWithResilience: jest.fn().mockResolvedValue(null),
+      circuitBreaker: { state: 'OPEN' }
+    };
+
+    await rageInterceptor.enrichMessageWithSources('When are expense reports due?', { onProgress });
+
+    expect(statuses()).toEqual([PROGRESS_STATUS.CIRCUIT_OPEN]);
+  });
+
+  it('should report nothing when the query is skipped', async () => {
+    await rageInterceptor.enrichMessageWithSources('hi', { onProgress });
+
+    expect(provider.retrieve).not.toHaveBeenCalled();
+    expect(onProgress).not.toHaveBeenCalled();
+  });
+
+  it('should keep enriching when the progress callback throws', async () => {
+    onProgress.mockImplementation(() => {
+      throw new Error('stream closed');
+    });
+
+    const result = await rageInterceptor.enrichMessageWithSources('When are expense reports due?', { onProgress });
+
+    expect(result.sources).toHaveLength(2);
+  });
+});
@@ -0,0 +1,130 @@
+const fetch = require('node-fetch');
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { QueryRewriter } = require('../enrichment/queryRewriter');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('node-fetch');
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - PII Redaction', () => {
+  let rageInterceptor;
+  let mockConfig;
+  let retrieve;
+  let search;
+
+  const createInterceptor = () => {
+    const interceptor = new RageInterceptor();
+    interceptor.retrievalCache = null;
+    interceptor.queryRewriter = null;
+    interceptor.errorHandler = { executeWithResilience: (operation) => operation() };
+    interceptor.getRetrievalProvider = jest.fn().mockReturnValue({
+      retrieve,
+      getCacheScope: () => ({ orgId: 'org', pipelineId: 'support' })
+    });
+    interceptor.lexicalSearch.search = search;
+    return interceptor;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_TIMEOUT_MS: 5000,
+      RAGE_NUM_RESULTS: 5,
+      RAGE_LEXICAL_PROVIDER: 'bm25',
+      RAGE_LEXICAL_NUM_RESULTS: 10,
+      RAGE_BM25_CORPUS_PATH: '/tmp/{pipelineId}.jsonl',
+      RAGE_PII_RULES: '{"ticket": "TCK-\\\\d+"}'
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn(() => mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+    rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+    rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+    metricsCollector.initialize = jest.fn();
+
+    retrieve = jest.fn().mockResolvedValue({ documents: [] });
+    search = jest.fn().mockResolvedValue([]);
+    rageInterceptor = createInterceptor();
+  });
+
+  it('should send only the redacted query to the retrieval provider and keyword search', async () => {
+    await rageInterceptor.enrichMessageWithSources(
+      'Why was the refund for CPF 123.456.789-09 (maria@cliente.com.br) on TCK-8812 denied?'
+    );
+
+    const redacted = 'Why was the refund for CPF [CPF] ([EMAIL]) on [TICKET] denied?';
+    expect(retrieve).toHaveBeenCalledWith(expect.objectContaining({ question: redacted }), 'test-correlation-id');
+    expect(search).toHaveBeenCalledWith(redacted, expect.any(Object));
+    expect(metricsCollector.recordRedaction).toHaveBeenCalledWith({ ticket: 1, cpf: 1, email: 1 });
+    expect(rageLogger.enrichment).toHaveBeenCalledWith('redact', {
+      redactions: 3,
+      detectors: { ticket: 1, cpf: 1, email: 1 }
+    }, 'test-correlation-id');
+  });
+
+  it('should redact a rewritten query that brings personal data back from the history', async () => {
+    rageInterceptor.queryRewriter = {
+      rewrite: jest.fn().mockResolvedValue({
+        query: 'refund status for customer phone (21) 99876-5432',
+        rewritten: true,
+        strategy: 'llm'
+      })
+    };
+
+    await rageInterceptor.enrichMessageWithSources('what about the refund?', {
+      history: [{ role: 'user', text: 'My phone is (21) 99876-5432' }]
+    });
+
+    expect(retrieve).toHaveBeenCalledWith(
+      expect.objectContaining({ question: 'refund status for customer phone [PHONE]' }),
+      'test-correlation-id'
+    );
+  });
+
+  it('should send only redacted history turns to the rewrite model', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: jest.fn().mockResolvedValue({ choices: [{ message: { content: 'refund status for [EMAIL]' } }] })
+    });
+    rageInterceptor.queryRewriter = new QueryRewriter({
+      llmUrl: 'https://llm.example.com/v1',
+      llmModel: 'small-model'
+    });
+
+    await rageInterceptor.enrichMessageWithSources('and the refund?', {
+      history: [
+        { isCreatedByUser: true, text: 'My CPF is 123.456.789-09 and my email is maria@cliente.com.br' },
+        { isCreatedByUser: false, content: [{ type: 'text', text: 'We will call you at (21) 99876-5432.' }] }
+      ]
+    });
+
+    const payload = fetch.mock.calls[0][1].body;
+    expect(payload).toContain('User: My CPF is [CPF] and my email is [EMAIL]');
+    expect(payload).toContain('Assistant: We will call you at [PHONE].');
+    expect(payload).not.toMatch(/123\.456|maria@|99876/);
+  });
+
+  it('should send the query unchanged when redaction is disabled', async () => {
+    mockConfig.RAGE_PII_REDACTION = false;
+    rageInterceptor = createInterceptor();
+
+    await rageInterceptor.enrichMessageWithSources('Contact maria@cliente.com.br about the refund');
+
+    expect(retrieve).toHaveBeenCalledWith(
+      expect.objectContaining({ question: 'Contact maria@cliente.com.br about the refund' }),
+      'test-correlation-id'
+    );
+    expect(metricsCollector.recordRedaction).not.toHaveBeenCalled();
+  });
+});
@@ -403,6 +403,15 @@ describe('RageInterceptor', () => {
       expect(config.orgId).toBe('test-org');
       expect(config.pipelineId).toBe('test-pipeline');
     });
+
+    it('should be enabled for every endpoint unless endpoints are listed', () => {
+      expect(interceptor.isEnabledForEndpoint('openAI')).toBe(true);
+
+      interceptor.config.RAGE_ENDPOINTS = 'agents, custom';
+      expect(interceptor.isEnabledForEndpoint('agents')).toBe(true);
+      expect(interceptor.isEnabledForEndpoint('Ollama', 'custom')).toBe(true);
+      expect(interceptor.isEnabledForEndpoint('openAI')).toBe(false);
+    });
   });
 
   describe('Correlation ID Generation', () => {
@@ -0,0 +1,129 @@
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+const { VectorizeClient } = require('../utils/vectorizeClient');
+const { QdrantClient } = require('../utils/qdrantClient');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../utils/qdrantClient');
+jest.mock('../resilience/errorHandler');
+
+describe('RageInterceptor - Workspaces', () => {
+  let rageInterceptor;
+
+  const workspace = {
+    id: 'ws-finance',
+    name: 'Finance',
+    updatedAt: '2024-05-01T00:00:00.000Z',
+    pipeline: {
+      provider: 'vectorize',
+      organizationId: 'finance-org',
+      pipelineId: 'finance-pipeline',
+      apiKey: 'finance-key'
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const mockConfig = {
+      RAGE_ENABLED: true,
+      RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+      RAGE_VECTORIZE_ORGANIZATION_ID: 'default-org',
+      RAGE_VECTORIZE_PIPELINE_ID: 'default-pipeline',
+      RAGE_VECTORIZE_API_KEY: 'default-key',
+      RAGE_QDRANT_URL: 'http://qdrant:6333',
+      RAGE_EMBEDDING_URL: 'http://embeddings/v1',
+      RAGE_TIMEOUT_MS: 5000
+    };
+
+    configManager.isInitialized = true;
+    configManager.getConfig = jest.fn().mockReturnValue(mockConfig);
+    configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+    rageLogger.initialize = jest.fn();
+    rageLogger.info = jest.fn();
+    rageLogger.debug = jest.fn();
+    metricsCollector.initialize = jest.fn();
+
+    rageInterceptor = new RageInterceptor();
+  });
+
+  describe('getRetrievalProvider', () => {
+    it('should return the default client without a workspace', () => {
+      expect(rageInterceptor.getRetrievalProvider()).toBe(rageInterceptor.retrievalProvider);
+      expect(rageInterceptor.getRetrievalProvider({ id: 'ws', pipeline: {} })).toBe(
+        rageInterceptor.retrievalProvider
+      );
+    });
+
+    it('should create a client with the workspace pipeline credentials', () => {
+      const client = rageInterceptor.getRetrievalProvider(workspace);
+
+      expect(client).not.toBe(rageInterceptor.retrievalProvider);
+      expect(VectorizeClient).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          apiUrl: 'https://api.vectorize.io/v1',
+          orgId: 'finance-org',
+          pipelineId: 'finance-pipeline',
+          jwtToken: 'finance-key',
+          timeout: 5000
+        })
+      );
+    });
+
+    it('should fall back to the env API key when the workspace has none', () => {
+      rageInterceptor.getRetrievalProvider({
+        ...workspace,
+        pipeline: { ...workspace.pipeline, apiKey: undefined }
+      });
+
+      expect(VectorizeClient).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          jwtToken: 'default-key'
+        })
+      );
+    });
+
+    it('should create a client for the workspace provider', () => {
+      rageInterceptor.getRetrievalProvider({
+        ...workspace,
+        pipeline: { provider: 'qdrant', pipelineId: 'finance-docs' }
+      });
+
+      expect(QdrantClient).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          apiUrl: 'http://qdrant:6333',
+          collection: 'finance-docs',
+          embeddingUrl: 'http://embeddings/v1'
+        })
+      );
+    });
+
+    it('should reuse clients until the workspace is updated', () => {
+      const first = rageInterceptor.getRetrievalProvider(workspace);
+      const second = rageInterceptor.getRetrievalProvider({ ...workspace });
+      const updated = rageInterceptor.getRetrievalProvider({
+        ...workspace,
+        updatedAt: '2024-06-01T00:00:00.000Z'
+      });
+
+      expect(second).toBe(first);
+      expect(updated).not.toBe(first);
+    });
+  });
+
+  describe('retrieveDocuments', () => {
+    it('should query the provided workspace client', async () => {
+      rageInterceptor.retrievalCache = null;
+      const client = { retrieve: jest.fn().mockResolvedValue({ documents: [] }) };
+
+      await rageInterceptor.retrieveDocuments({ question: 'budget' }, 'cid', client);
+
+      expect(client.retrieve).toHaveBeenCalledWith({ question: 'budget' }, 'cid');
+    });
+  });
+});
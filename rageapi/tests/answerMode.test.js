@@ -0,0 +1,63 @@
+const { AnswerModeResolver, ANSWER_MODES } = require('../enrichment/answerMode');
+
+describe('AnswerModeResolver', () => {
+  let resolver;
+
+  beforeEach(() => {
+    resolver = new AnswerModeResolver({
+      defaultMode: 'expansive',
+      overridePhrases: 'use general knowledge, Answer  Freely,,responda livremente'
+    });
+  });
+
+  it('should fall back to the default mode for missing or unknown modes', () => {
+    expect(resolver.resolve('What is the refund policy?').mode).toBe(ANSWER_MODES.EXPANSIVE);
+    expect(resolver.resolve('What is the refund policy?', 'creative').mode).toBe(ANSWER_MODES.EXPANSIVE);
+
+    const strictByDefault = new AnswerModeResolver({ defaultMode: 'strict' });
+    expect(strictByDefault.resolve('What is the refund policy?').mode).toBe(ANSWER_MODES.STRICT);
+  });
+
+  it('should keep strict mode when no override phrase is present', () => {
+    const resolution = resolver.resolve('What is the refund policy?', 'strict');
+
+    expect(resolution).toEqual({
+      mode: ANSWER_MODES.STRICT,
+      requestedMode: ANSWER_MODES.STRICT,
+      overridden: false,
+      overridePhrase: null,
+      query: 'What is the refund policy?'
+    });
+  });
+
+  it('should lift strict mode for a message with an override phrase', () => {
+    const resolution = resolver.resolve('Answer freely: how do refunds compare to our competitors?', 'strict');
+
+    expect(resolution.mode).toBe(ANSWER_MODES.EXPANSIVE);
+    expect(resolution.requestedMode).toBe(ANSWER_MODES.STRICT);
+    expect(resolution.overridden).toBe(true);
+    expect(resolution.overridePhrase).toBe('answer freely');
+    expect(resolution.query).toBe('how do refunds compare to our competitors?');
+  });
+
+  it('should match phrases case-insensitively across whitespace', () => {
+    const resolution = resolver.resolve('Qual o prazo de reembolso? RESPONDA   livremente', 'strict');
+
+    expect(resolution.overridden).toBe(true);
+    expect(resolution.query).toBe('Qual o prazo de reembolso?');
+  });
+
+  it('should not report overrides in expansive mode', () => {
+    const resolution = resolver.resolve('Use general knowledge to explain refunds', 'expansive');
+
+    expect(resolution.overridden).toBe(false);
+    expect(resolution.query).toBe('Use general knowledge to explain refunds');
+  });
+
+  it('should accept phrase arrays and ignore empty entries', () => {
+    expect(resolver.overridePhrases).toEqual(['use general knowledge', 'answer freely', 'responda livremente']);
+
+    resolver.updateConfig({ overridePhrases: ['Off the record', ' '] });
+    expect(resolver.overridePhrases).toEqual(['off the record']);
+  });
+});
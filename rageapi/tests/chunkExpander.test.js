@@ -0,0 +1,190 @@
+const { ChunkExpander } = require('../enrichment/chunkExpander');
+const { rageLogger } = require('../logging/logger');
+
+jest.mock('../logging/logger');
+
+describe('ChunkExpander', () => {
+  const countTokens = text => text.split(/\s+/).filter(Boolean).length;
+
+  const chunk = (documentId, index, text, score = 0.8) => ({
+    id: `${documentId}-${index}`,
+    text,
+    score,
+    source: `${documentId}.pdf`,
+    metadata: { source: `${documentId}.pdf`, document_id: documentId, chunk_index: index }
+  });
+
+  const vpnChunks = [
+    chunk('vpn', 0, 'VPN setup guide for remote employees.'),
+    chunk('vpn', 1, 'Step 1: install the client. Step 2: sign in with your badge number.'),
+    chunk('vpn', 2, 'Step 3: approve the push notification. Step 4: connect to the Office gateway.'),
+    chunk('vpn', 3, 'Troubleshooting: restart the client when the gateway times out.')
+  ];
+
+  const createProvider = (chunks = vpnChunks) => ({
+    name: 'qdrant',
+    supportsChunkLookup: true,
+    fetchChunks: jest.fn(({ chunks: wanted }) => Promise.resolve(chunks.filter(doc => wanted.some(
+      ({ documentId, indexes }) => doc.metadata.document_id === documentId && indexes.includes(doc.metadata.chunk_index)
+    ))))
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should add the neighbours of a cut-off chunk and merge them in document order', async () => {
+    const provider = createProvider();
+    const expander = new ChunkExpander({ enabled: true, window: 1 });
+
+    const result = await expander.expand([{ ...vpnChunks[1], score: 0.9 }], {
+      provider,
+      budgetTokens: 1000,
+      countTokens,
+      correlationId: 'cid-1'
+    });
+
+    expect(provider.fetchChunks).toHaveBeenCalledWith({
+      documentField: 'document_id',
+      indexField: 'chunk_index',
+      chunks: [{ documentId: 'vpn', indexes: [0, 2] }]
+    }, 'cid-1');
+    expect(result.chunksAdded).toBe(2);
+    expect(result.documents).toHaveLength(1);
+    expect(result.documents[0]).toEqual(expect.objectContaining({
+      id: 'vpn-1',
+      score: 0.9,
+      chunkIndexes: [0, 1, 2],
+      expandedChunks: 2,
+      text: [vpnChunks[0].text, vpnChunks[1].text, vpnChunks[2].text].join('\n')
+    }));
+  });
+
+  it('should merge retrieved siblings at the rank of the best one, marking gaps', async () => {
+    const expander = new ChunkExpander({ enabled: true, window: 0 });
+    const other = { id: 'hr-7', text: 'Holiday calendar.', score: 0.85, metadata: { source: 'hr.pdf' } };
+
+    const result = await expander.expand([
+      { ...vpnChunks[3], score: 0.9 },
+      other,
+      { ...vpnChunks[1], score: 0.7, subQueries: ['vpn steps'] }
+    ], { provider: createProvider(), budgetTokens: 1000, countTokens });
+
+    expect(result.chunksMerged).toBe(1);
+    expect(result.documents.map(doc => doc.id)).toEqual(['vpn-3', 'hr-7']);
+    expect(result.documents[0].text).toBe(`${vpnChunks[1].text}\n\n[...]\n\n${vpnChunks[3].text}`);
+    expect(result.documents[0]).toEqual(expect.objectContaining({
+      score: 0.9,
+      chunkIndexes: [1, 3],
+      subQueries: ['vpn steps']
+    }));
+  });
+
+  it('should only add neighbours that fit the budget, nearest to the best chunk first', async () => {
+    const expander = new ChunkExpander({ enabled: true, window: 2 });
+    const retrieved = [{ ...vpnChunks[1], score: 0.9 }];
+    const budgetTokens = countTokens(vpnChunks[1].text) + countTokens(vpnChunks[0].text);
+
+    const result = await expander.expand(retrieved, { provider: createProvider(), budgetTokens, countTokens });
+
+    expect(result.chunksAdded).toBe(1);
+    expect(result.documents[0].chunkIndexes).toEqual([0, 1]);
+
+    const exhausted = await expander.expand(retrieved, {
+      provider: createProvider(),
+      budgetTokens: countTokens(vpnChunks[1].text),
+      countTokens
+    });
+    expect(exhausted.documents).toBe(retrieved);
+  });
+
+  it('should only add the neighbours the filter keeps', async () => {
+    const provider = createProvider();
+    const expander = new ChunkExpander({ enabled: true, window: 1 });
+
+    const result = await expander.expand([{ ...vpnChunks[1] }], {
+      provider,
+      budgetTokens: 1000,
+      countTokens,
+      filterChunks: chunks => chunks.filter(doc => doc.metadata.chunk_index !== 2)
+    });
+
+    expect(result.chunksAdded).toBe(1);
+    expect(result.documents[0].chunkIndexes).toEqual([0, 1]);
+    expect(result.documents[0].text).not.toContain('Step 3');
+  });
+
+  it('should remove the text repeated at chunk boundaries', () => {
+    const expander = new ChunkExpander({ enabled: true });
+
+    expect(expander.joinConsecutive(
+      'Step 2: sign in with your badge number and',
+      'sign in with your badge number and approve the push notification.'
+    )).toBe('Step 2: sign in with your badge number and approve the push notification.');
+  });
+
+  it('should keep the retrieved chunks when lookup fails or is not supported', async () => {
+    const expander = new ChunkExpander({ enabled: true });
+    const retrieved = [vpnChunks[1]];
+    const failing = { ...createProvider(), fetchChunks: jest.fn().mockRejectedValue(new Error('timeout')) };
+
+    const result = await expander.expand(retrieved, { provider: failing, budgetTokens: 1000, countTokens });
+
+    expect(result.documents).toBe(retrieved);
+    expect(rageLogger.warn).toHaveBeenCalledWith('Neighbouring chunks unavailable, using retrieved chunks only', {
+      provider: 'qdrant',
+      error: 'timeout'
+    }, undefined);
+
+    const unsupported = { fetchChunks: jest.fn() };
+    await expander.expand(retrieved, { provider: unsupported, budgetTokens: 1000, countTokens });
+    expect(unsupported.fetchChunks).not.toHaveBeenCalled();
+  });
+
+  it('should leave documents without chunk metadata alone', async () => {
+    const provider = createProvider();
+    const documents = [{ id: 'faq-1', text: 'Parking is free.', metadata: { source: 'faq.md' } }];
+
+    expect((await new ChunkExpander({ enabled: true }).expand(documents, {
+      provider,
+      budgetTokens: 1000,
+      countTokens
+    })).documents).toBe(documents);
+    expect((await new ChunkExpander().expand([vpnChunks[1]], {
+      provider,
+      budgetTokens: 1000,
+      countTokens
+    })).chunksAdded).toBe(0);
+    expect(provider.fetchChunks).not.toHaveBeenCalled();
+  });
+
+  it('should not mistake a chunk without an index for the first chunk', async () => {
+    const expander = new ChunkExpander({ enabled: true, window: 0 });
+    const unindexed = [null, ''].map((index, position) => ({
+      ...chunk('vpn', index, `Appendix ${position + 1}: VPN gateway addresses.`, 0.7),
+      id: `vpn-appendix-${position + 1}`
+    }));
+
+    expect(expander.getChunkIndex(unindexed[0])).toBeNull();
+    expect(expander.getChunkIndex(unindexed[1])).toBeNull();
+
+    const result = await expander.expand([{ ...vpnChunks[0], score: 0.9 }, ...unindexed], {
+      provider: createProvider(),
+      budgetTokens: 1000,
+      countTokens
+    });
+
+    expect(result.chunksMerged).toBe(0);
+    expect(result.documents.map(doc => doc.id)).toEqual(['vpn-0', 'vpn-appendix-1', 'vpn-appendix-2']);
+    expect(result.documents[0].text).toBe(vpnChunks[0].text);
+  });
+
+  it('should read custom metadata fields', () => {
+    const expander = new ChunkExpander({ documentField: 'metadata.file_id', indexField: 'position' });
+    const doc = { metadata: { file_id: 42, position: '3' } };
+
+    expect(expander.getDocumentId(doc)).toBe('42');
+    expect(expander.getChunkIndex(doc)).toBe(3);
+    expect(expander.getChunkIndex({ metadata: { position: 'intro' } })).toBeNull();
+  });
+});
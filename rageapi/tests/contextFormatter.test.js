@@ -0,0 +1,168 @@
+const { ContextFormatter } = require('../enrichment/contextFormatter');
+const { configManager } = require('../config');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+
+describe('ContextFormatter', () => {
+  let formatter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configManager.getConfig = jest.fn().mockReturnValue({
+      RAGE_MAX_CONTEXT_LENGTH: 4000,
+      RAGE_FORMAT_STYLE: 'standard'
+    });
+    formatter = new ContextFormatter({ maxSnippetLength: 20 });
+  });
+
+  describe('buildCitations', () => {
+    it('should return an empty array when there are no documents', () => {
+      expect(formatter.buildCitations([])).toEqual([]);
+      expect(formatter.buildCitations(null)).toEqual([]);
+    });
+
+    it('should number citations in document order and prefer the enhanced score', () => {
+      const citations = formatter.buildCitations([
+        { id: 'a', text: 'First chunk', enhancedScore: 0.92, score: 0.8, metadata: { source: 'handbook.pdf', page: 3 } },
+        { chunk_id: 'b', text: 'Second chunk', score: 0.75, metadata: { source: 'faq.md', section: 'Billing' } }
+      ]);
+
+      expect(citations).toEqual([
+        { index: 1, id: 'a', source: 'handbook.pdf', score: 0.92, snippet: 'First chunk', page: 3 },
+        { index: 2, id: 'b', source: 'faq.md', score: 0.75, snippet: 'Second chunk', section: 'Billing' }
+      ]);
+    });
+
+    it('should truncate long snippets and fall back to generated ids', () => {
+      const [citation] = formatter.buildCitations([
+        { text: 'This   chunk is much longer than the snippet limit', score: 0.5 }
+      ]);
+
+      expect(citation.id).toBe('source_1');
+      expect(citation.source).toBe('Unknown Source');
+      expect(citation.snippet).toBe('This chunk is much l...');
+    });
+
+    it('should keep the url, title and vectorize scores when present', () => {
+      const [citation] = formatter.buildCitations([
+        {
+          id: 'c',
+          text: 'Policy',
+          similarity: 0.81,
+          relevancy: 0.9,
+          source_display_name: 'Travel Policy',
+          metadata: { source: 'policies/travel.md', url: 'https://kb.example.com/travel' }
+        }
+      ]);
+
+      expect(citation.title).toBe('Travel Policy');
+      expect(citation.url).toBe('https://kb.example.com/travel');
+      expect(citation.similarity).toBe(0.81);
+      expect(citation.relevancy).toBe(0.9);
+    });
+
+    it('should drop links that are not http(s) URLs', () => {
+      const citations = formatter.buildCitations([
+        { text: 'Policy', metadata: { source: 'a.md', url: 'javascript:alert(document.cookie)' } },
+        { text: 'Policy', metadata: { source: 'b.md', link: ' JavaScript:alert(1)' } },
+        { text: 'Policy', metadata: { source: 'c.md', url: 'data:text/html,<script>alert(1)</script>' } },
+        { text: 'Policy', metadata: { source: 'd.md', url: 'kb/travel' } },
+        { text: 'Policy', metadata: { source: 'e.md', url: 'http://kb.example.com/travel' } }
+      ]);
+
+      expect(citations.map(citation => citation.url)).toEqual([
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        'http://kb.example.com/travel'
+      ]);
+    });
+  });
+
+  describe('answer modes', () => {
+    const documents = [{ text: 'Refunds are processed within 5 days.', score: 0.9, metadata: { source: 'faq.md' } }];
+
+    it('should keep the expansive footer by default', () => {
+      const { context } = formatter.formatDocuments(documents);
+
+      expect(context).toContain('use the above context to inform your response when relevant');
+    });
+
+    it('should confine the answer to the context in strict mode', () => {
+      const { context } = formatter.formatDocuments(documents, { answerMode: 'strict' });
+
+      expect(context).toContain('Answer using only the above context');
+      expect(context).not.toContain('when relevant');
+    });
+
+    it('should provide strict instructions for every template', () => {
+      ['standard', 'detailed', 'compact'].forEach(style => {
+        formatter.formatStyle = style;
+        expect(formatter.getFooter('strict')).not.toBe(formatter.getFooter('expansive'));
+        expect(formatter.formatNoContext()).toMatch(/general knowledge/);
+      });
+    });
+  });
+
+  describe('template overrides', () => {
+    const documents = [{ text: 'Refunds are processed within 5 days.', score: 0.9, metadata: { source: 'faq.md' } }];
+
+    it('should replace the configured parts of the template', () => {
+      formatter.updateConfig({
+        templateOverrides: {
+          header: '## Handbook\n\n',
+          documentFormat: '- {text} ({source})'
+        }
+      });
+
+      const { context } = formatter.formatDocuments(documents);
+
+      expect(context).toContain('## Handbook');
+      expect(context).toContain('- Refunds are processed within 5 days. (faq.md)');
+      expect(context).toContain('use the above context to inform your response when relevant');
+    });
+
+    it('should keep the style template for empty overrides', () => {
+      formatter = new ContextFormatter({ templateOverrides: { footer: '', noContext: undefined } });
+
+      expect(formatter.getTemplate()).toEqual(formatter.templates.standard);
+    });
+  });
+
+  describe('localized templates', () => {
+    const documents = [{ text: 'Reembolsos são processados em 5 dias.', score: 0.9, metadata: { source: 'faq.md' } }];
+
+    it('should use the built-in translation of the UI locale', () => {
+      const { context } = formatter.formatDocuments(documents, { locale: 'pt-BR', answerMode: 'strict' });
+
+      expect(context).toContain('# Contexto Relevante');
+      expect(context).toContain('**Relevância:** 90.0%');
+      expect(context).toContain('Responda apenas com base no contexto acima');
+      expect(formatter.formatNoContext('pt')).toMatch(/conhecimento geral/);
+    });
+
+    it('should keep the English template for locales without templates', () => {
+      expect(formatter.getTemplate('de-DE')).toEqual(formatter.templates.standard);
+      expect(formatter.getTemplate()).toEqual(formatter.templates.standard);
+    });
+
+    it('should apply overrides to every language and let language templates refine them', () => {
+      formatter = new ContextFormatter({
+        templateOverrides: { documentFormat: '- {text}' },
+        languageTemplates: {
+          pt: { fields: { header: '## Manual' }, styles: {} },
+          'pt-br': { fields: {}, styles: { standard: { footer: 'Fim.' } } }
+        }
+      });
+
+      const template = formatter.getTemplate('pt-BR');
+
+      expect(template.header).toBe('## Manual');
+      expect(template.documentFormat).toBe('- {text}');
+      expect(template.footer).toBe('Fim.');
+      expect(template.strictFooter).toContain('Responda apenas');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const path = require('path');
+const RageInterceptor = require('../interceptors/RageInterceptor');
+const { FixtureProvider } = require('../utils/fixtureProvider');
+const {
+  parseGoldenSet,
+  loadGoldenSet,
+  judgeSources,
+  percentile,
+  runEvaluation,
+  formatMarkdown,
+  createFixtureRecorder
+} = require('../tools/lib/evaluator');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../utils/vectorizeClient');
+jest.mock('../resilience/errorHandler');
+
+const GOLDEN_SET_PATH = path.join(__dirname, 'fixtures/goldenSet.jsonl');
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/evalRetrieval.json');
+
+describe('Retrieval evaluation', () => {
+  describe('golden set', () => {
+    it('should parse questions and default their ids and expectations', () => {
+      const goldenSet = parseGoldenSet('{"question": "When are expense reports due?"}\n\n{"id": "x", "question": "Parking?", "expectedSources": ["p-1"]}\n');
+
+      expect(goldenSet).toEqual([
+        { id: 'q1', question: 'When are expense reports due?', expectedSources: [], expectedKeywords: [] },
+        { id: 'x', question: 'Parking?', expectedSources: ['p-1'], expectedKeywords: [] }
+      ]);
+    });
+
+    it('should reject lines without a question', () => {
+      expect(() => parseGoldenSet('{"id": "q1"}')).toThrow('line 1 has no question');
+      expect(() => parseGoldenSet('{"question": "ok"}\nnot json')).toThrow('line 2 is not valid JSON');
+    });
+  });
+
+  describe('scoring', () => {
+    const sources = [
+      { id: 'd1', source: 'handbook.pdf', snippet: 'Remote work up to 3 days per week' },
+      { id: 'd2', source: 'finance.pdf', snippet: 'Expense reports are due on the fifth business day' }
+    ];
+
+    it('should score expected sources by id or source name', () => {
+      const entry = { expectedSources: ['finance.pdf', 'd9'], expectedKeywords: [] };
+
+      expect(judgeSources(entry, sources, 5)).toEqual({
+        recallAtK: 0.5,
+        reciprocalRank: 0.5,
+        missing: ['d9']
+      });
+    });
+
+    it('should match keywords against the cited snippets when no sources are expected', () => {
+      const entry = { expectedSources: [], expectedKeywords: ['Fifth Business Day'] };
+
+      expect(judgeSources(entry, sources, 1)).toEqual({
+        recallAtK: 0,
+        reciprocalRank: 0.5,
+        missing: ['Fifth Business Day']
+      });
+    });
+
+    it('should leave questions without expectations unscored', () => {
+      const entry = { expectedSources: [], expectedKeywords: [] };
+
+      expect(judgeSources(entry, sources).recallAtK).toBeNull();
+    });
+
+    it('should compute nearest-rank percentiles', () => {
+      const values = [5, 1, 4, 2, 3, 10, 8, 7, 6, 9];
+
+      expect(percentile(values, 50)).toBe(5);
+      expect(percentile(values, 90)).toBe(9);
+      expect(percentile(values, 99)).toBe(10);
+      expect(percentile([], 95)).toBe(0);
+    });
+  });
+
+  describe('pipeline', () => {
+    let mockConfig;
+
+    const createInterceptor = () => {
+      configManager.isInitialized = true;
+      configManager.getConfig = jest.fn().mockReturnValue(mockConfig);
+      configManager.get = jest.fn((key, defaultValue) => mockConfig[key] ?? defaultValue);
+      configManager.isRageEnabled = jest.fn().mockReturnValue(true);
+
+      const interceptor = new RageInterceptor();
+      interceptor.retrievalCache = null;
+      interceptor.queryRewriter = null;
+      interceptor.errorHandler = {
+        executeWithResilience: (operation) => operation().catch(() => null),
+        circuitBreaker: { state: 'CLOSED' }
+      };
+      interceptor.retrievalProvider = new FixtureProvider({ fixturePath: FIXTURE_PATH });
+      return interceptor;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      rageLogger.generateCorrelationId = jest.fn().mockReturnValue('test-correlation-id');
+      rageLogger.timer = jest.fn().mockReturnValue(jest.fn().mockReturnValue(10));
+      metricsCollector.initialize = jest.fn();
+
+      mockConfig = {
+        RAGE_ENABLED: true,
+        RAGE_PROVIDER: 'fixture',
+        RAGE_TIMEOUT_MS: 5000,
+        RAGE_NUM_RESULTS: 5,
+        RAGE_MIN_RELEVANCE_SCORE: 0.7,
+        RAGE_MIN_SIMILARITY_SCORE: 0.3
+      };
+    });
+
+    it('should report recall, MRR, filtered-out rate and latency for the golden set', async () => {
+      const report = await runEvaluation(createInterceptor(), loadGoldenSet(GOLDEN_SET_PATH), { k: 5 });
+
+      expect(report.summary).toEqual(expect.objectContaining({
+        questions: 5,
+        judged: 5,
+        recallAtK: 0.7,
+        mrr: 0.8,
+        filteredOutRate: 0.2,
+        statuses: { found: 4, filtered_out: 1 }
+      }));
+      expect(report.summary.latencyMs).toEqual(expect.objectContaining({
+        p50: expect.any(Number),
+        p95: expect.any(Number),
+        p99: expect.any(Number)
+      }));
+
+      const parking = report.questions.find(question => question.id === 'parking');
+      expect(parking).toEqual(expect.objectContaining({
+        status: 'filtered_out',
+        recallAtK: 0,
+        missing: ['facilities-2']
+      }));
+    });
+
+    it('should reflect threshold changes without network access', async () => {
+      mockConfig.RAGE_MIN_SIMILARITY_SCORE = 0.1;
+
+      const report = await runEvaluation(createInterceptor(), loadGoldenSet(GOLDEN_SET_PATH));
+
+      expect(report.summary.filteredOutRate).toBe(0);
+      expect(report.summary.recallAtK).toBeCloseTo(0.9);
+    });
+
+    it('should record provider results in the fixture format', async () => {
+      const interceptor = createInterceptor();
+      const recorder = createFixtureRecorder(interceptor.retrievalProvider);
+
+      await runEvaluation(interceptor, parseGoldenSet('{"question": "When are expense reports due?"}'));
+
+      expect(Object.keys(recorder.fixtures.questions)).toEqual(['When are expense reports due?']);
+      expect(recorder.fixtures.questions['When are expense reports due?'].map(doc => doc.id))
+        .toEqual(['finance-3', 'finance-7']);
+    });
+
+    it('should render a Markdown report', async () => {
+      const report = await runEvaluation(createInterceptor(), loadGoldenSet(GOLDEN_SET_PATH), {
+        settings: { RAGE_MIN_RELEVANCE_SCORE: 0.7 }
+      });
+
+      const markdown = formatMarkdown(report);
+
+      expect(markdown).toContain('`RAGE_MIN_RELEVANCE_SCORE=0.7`');
+      expect(markdown).toContain('| Recall@5 | 0.700 |');
+      expect(markdown).toContain('| Filtered-out rate | 20.0% |');
+      expect(markdown).toContain('| parking | filtered_out | 0.000 | 0.000 |');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configManager } = require('../config');
+const { Bm25Index } = require('../utils/bm25Index');
+const { Bm25LexicalSearch, MeiliLexicalSearch, createLexicalSearch } = require('../utils/lexicalSearch');
+const { RelevanceScorer } = require('../enrichment/relevanceScorer');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+
+describe('Hybrid search', () => {
+  const chunks = [
+    { id: 'c1', text: 'Ticket INV-2024-001 was escalated to the billing team.', source: 'tickets.md' },
+    { id: 'c2', text: 'Invoices are sent monthly to every customer of the billing plan.', source: 'billing.md' },
+    { id: 'c3', text: 'The onboarding guide explains how to create an account.', source: 'onboarding.md' }
+  ];
+
+  describe('Bm25Index', () => {
+    let index;
+
+    beforeEach(() => {
+      index = new Bm25Index();
+      index.addDocuments(chunks);
+    });
+
+    it('should keep identifiers whole and index their parts', () => {
+      expect(index.tokenize('See INV-2024-001.')).toEqual(['see', 'inv-2024-001', 'inv', '2024', '001']);
+    });
+
+    it('should rank exact identifier matches first', () => {
+      const results = index.search('status of INV-2024-001');
+
+      expect(results[0].document.id).toBe('c1');
+      expect(results.map(result => result.document.id)).not.toContain('c3');
+    });
+
+    it('should return nothing for unknown terms', () => {
+      expect(index.search('zebra')).toEqual([]);
+    });
+  });
+
+  describe('Bm25LexicalSearch', () => {
+    let corpusDir;
+
+    beforeAll(() => {
+      corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rage-bm25-'));
+      fs.writeFileSync(
+        path.join(corpusDir, 'finance.jsonl'),
+        chunks.map(chunk => JSON.stringify(chunk)).join('\n')
+      );
+    });
+
+    afterAll(() => {
+      fs.rmSync(corpusDir, { recursive: true, force: true });
+    });
+
+    it('should search the corpus of the workspace pipeline', async () => {
+      const search = new Bm25LexicalSearch({ corpusPath: path.join(corpusDir, '{pipelineId}.jsonl') });
+
+      const documents = await search.search('INV-2024-001', { scope: { pipelineId: 'finance' } });
+
+      expect(documents[0]).toEqual({
+        id: 'c1',
+        text: chunks[0].text,
+        source: 'tickets.md',
+        source_display_name: 'tickets.md',
+        metadata: { source: 'tickets.md' },
+        lexicalScore: expect.any(Number)
+      });
+    });
+
+    it('should return nothing when the corpus is missing', async () => {
+      const search = new Bm25LexicalSearch({ corpusPath: path.join(corpusDir, '{pipelineId}.jsonl') });
+
+      await expect(search.search('INV-2024-001', { scope: { pipelineId: 'legal' } })).resolves.toEqual([]);
+    });
+  });
+
+  describe('createLexicalSearch', () => {
+    it('should create the configured backend', () => {
+      expect(createLexicalSearch({ RAGE_LEXICAL_PROVIDER: 'none' })).toBeNull();
+      expect(createLexicalSearch({ RAGE_LEXICAL_PROVIDER: 'bm25' })).toBeInstanceOf(Bm25LexicalSearch);
+
+      const meili = createLexicalSearch({
+        RAGE_LEXICAL_PROVIDER: 'meilisearch',
+        RAGE_MEILI_HOST: 'http://meilisearch:7700',
+        RAGE_MEILI_INDEX: 'rage_{pipelineId}'
+      });
+      expect(meili).toBeInstanceOf(MeiliLexicalSearch);
+      expect(meili.resolveScoped(meili.config.indexName, { pipelineId: 'a/b' })).toBe('rage_a_b');
+    });
+  });
+
+  describe('RelevanceScorer fusion', () => {
+    let scorer;
+
+    const vectorDocs = [
+      { id: 'v1', text: 'Invoices are sent monthly to every customer of the billing plan.', similarity: 0.8, metadata: { source: 'billing.md' } },
+      { id: 'v2', text: 'The onboarding guide explains how to create an account.', similarity: 0.6, metadata: { source: 'onboarding.md' } }
+    ];
+
+    const lexicalDocs = [
+      { id: 'c1', text: 'Ticket INV-2024-001 was escalated to the billing team.', metadata: { source: 'tickets.md' }, lexicalScore: 3.2 },
+      { id: 'c2', text: 'Invoices are sent monthly to every customer of the billing plan.', metadata: { source: 'billing.md' }, lexicalScore: 1.1 }
+    ];
+
+    beforeEach(() => {
+      configManager.getConfig = jest.fn().mockReturnValue({ RAGE_NUM_RESULTS: 5 });
+      scorer = new RelevanceScorer({ minSimilarityScore: 0.3 });
+    });
+
+    it('should sum reciprocal ranks of documents found by both legs', () => {
+      const fused = scorer.fuseRankings(vectorDocs, lexicalDocs);
+
+      expect(fused[0]).toMatchObject({ id: 'v1', vectorRank: 1, lexicalRank: 2, retrievalLegs: ['vector', 'lexical'] });
+      expect(fused[0].rrfScore).toBeCloseTo(1 / 61 + 1 / 62);
+      expect(fused.map(doc => doc.id)).toEqual(['v1', 'c1', 'v2']);
+    });
+
+    it('should apply the configured weights', () => {
+      scorer.updateConfig({ vectorWeight: 0, lexicalWeight: 1 });
+
+      const fused = scorer.fuseRankings(vectorDocs, lexicalDocs);
+
+      expect(fused[0].id).toBe('c1');
+      expect(fused[fused.length - 1]).toMatchObject({ id: 'v2', rrfScore: 0 });
+    });
+
+    it('should keep keyword matches that have no vector score', () => {
+      const results = scorer.scoreAndFilter([], 'INV-2024-001', { lexicalDocuments: lexicalDocs.slice(0, 1) });
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ id: 'c1', lexicalRank: 1, vectorRank: null });
+    });
+
+    it('should leave vector-only scoring unchanged without lexical results', () => {
+      const results = scorer.scoreAndFilter(vectorDocs, 'billing');
+
+      expect(results.every(doc => doc.rrfScore === undefined)).toBe(true);
+    });
+  });
+});
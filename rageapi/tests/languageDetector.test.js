@@ -0,0 +1,31 @@
+const { detectLanguage, resolveQueryLanguage } = require('../enrichment/languageDetector');
+
+describe('Language detection', () => {
+  it('should detect the language of short questions', () => {
+    expect(detectLanguage('Como faço para solicitar reembolso de viagem?')).toEqual(
+      expect.objectContaining({ locale: 'pt', language: 'portuguese', source: 'detected' })
+    );
+    expect(detectLanguage('How do I request a travel refund?')).toEqual(
+      expect.objectContaining({ locale: 'en', language: 'english' })
+    );
+    expect(detectLanguage('¿Cómo solicito el reembolso de un viaje?')).toEqual(
+      expect.objectContaining({ locale: 'es', language: 'spanish' })
+    );
+  });
+
+  it('should not guess the language of keyword queries', () => {
+    expect(detectLanguage('VPN setup')).toBeNull();
+    expect(detectLanguage('')).toBeNull();
+    expect(detectLanguage(undefined)).toBeNull();
+  });
+
+  it('should fall back to the language of the locale', () => {
+    expect(resolveQueryLanguage('VPN setup', 'pt-BR')).toEqual(
+      expect.objectContaining({ locale: 'pt', source: 'locale' })
+    );
+    expect(resolveQueryLanguage('What is the VPN address?', 'pt-BR')).toEqual(
+      expect.objectContaining({ locale: 'en', source: 'detected' })
+    );
+    expect(resolveQueryLanguage('VPN setup', 'de-DE')).toBeNull();
+  });
+});
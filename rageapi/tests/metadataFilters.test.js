@@ -0,0 +1,108 @@
+const { MetadataFilterBuilder } = require('../enrichment/metadataFilters');
+
+describe('MetadataFilterBuilder', () => {
+  const roleFilters = JSON.stringify({
+    '*': { visibility: 'public' },
+    FINANCE: { department: ['finance', 'shared'] }
+  });
+  const groupFilters = { auditors: { department: 'audit' } };
+
+  let builder;
+
+  beforeEach(() => {
+    builder = new MetadataFilterBuilder({ roleFilters, groupFilters });
+  });
+
+  describe('parseInline', () => {
+    it('should strip field filters and translate them', () => {
+      const result = builder.parseInline('What is the #source:handbook policy on #type:"remote work"?');
+
+      expect(result.query).toBe('What is the policy on?');
+      expect(result.filters).toEqual({ source: ['handbook'], type: ['remote work'] });
+      expect(result.tokens).toEqual(['#source:handbook', '#type:remote work']);
+    });
+
+    it('should strip date bounds', () => {
+      const result = builder.parseInline('after:2024-01-01 before:2024-07-01 expense reports');
+
+      expect(result.query).toBe('expense reports');
+      expect(result.dateRange).toEqual({ after: '2024-01-01', before: '2024-07-01' });
+    });
+
+    it('should leave hashtags, headings and URLs alone', () => {
+      const message = 'Check #urgent items in # Notes at https://wiki/page#section:2 and ratio 2:1';
+
+      const result = builder.parseInline(message);
+
+      expect(result.query).toBe(message);
+      expect(result.filters).toEqual({});
+      expect(result.dateRange).toBeNull();
+    });
+
+    it('should keep invalid dates in the query', () => {
+      expect(builder.parseInline('after:2024-13-45 budget').query).toBe('after:2024-13-45 budget');
+    });
+  });
+
+  describe('build', () => {
+    it('should combine values granted by role, groups and the default rule', () => {
+      const result = builder.build('budget', { role: 'FINANCE', groups: ['auditors'] });
+
+      expect(result.filters).toEqual({
+        visibility: ['public'],
+        department: ['finance', 'shared', 'audit']
+      });
+      expect(result.unsatisfiable).toBe(false);
+    });
+
+    it('should only let inline filters narrow the user restrictions', () => {
+      expect(builder.build('#department:Finance budget', { role: 'FINANCE' }).filters.department)
+        .toEqual(['Finance']);
+      expect(builder.build('#department:hr budget', { role: 'FINANCE' }).unsatisfiable).toBe(true);
+    });
+
+    it('should apply requested filters and keep the narrowest date range', () => {
+      const result = builder.build('budget after:2024-01-01', { role: 'FINANCE' }, {
+        filters: { 'metadata.department': 'shared', source: [] },
+        dateRange: { after: '2023-01-01', before: '2024-12-31' }
+      });
+
+      expect(result.filters.department).toEqual(['shared']);
+      expect(result.filters.source).toBeUndefined();
+      expect(result.dateRange).toEqual({ after: '2024-01-01', before: '2024-12-31' });
+    });
+
+    it('should ignore inline syntax when disabled', () => {
+      builder.updateConfig({ inlineEnabled: false });
+
+      expect(builder.build('#source:handbook', {}).query).toBe('#source:handbook');
+    });
+  });
+
+  describe('toProviderFilters', () => {
+    it('should produce metadata-filters entries', () => {
+      expect(builder.toProviderFilters({ source: ['handbook'], department: [] })).toEqual([
+        { 'metadata.source': ['handbook'] }
+      ]);
+    });
+  });
+
+  describe('matches', () => {
+    const doc = {
+      text: 'Expense policy',
+      metadata: { source: 'Handbook', department: ['finance', 'hr'], updated: '2024-03-10' }
+    };
+
+    it('should match values case-insensitively, including array metadata', () => {
+      expect(builder.matches(doc, { source: ['handbook'], department: ['hr'] })).toBe(true);
+      expect(builder.matches(doc, { source: ['wiki'] })).toBe(false);
+      expect(builder.matches(doc, { owner: ['me'] })).toBe(false);
+    });
+
+    it('should apply date bounds and drop undated documents', () => {
+      expect(builder.matches(doc, {}, { after: '2024-01-01' })).toBe(true);
+      expect(builder.matches(doc, {}, { before: '2024-03-10' })).toBe(false);
+      expect(builder.matches({ metadata: {} }, {}, { after: '2024-01-01' })).toBe(false);
+    });
+  });
+});
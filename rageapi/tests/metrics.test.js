@@ -0,0 +1,79 @@
+const { MetricsCollector } = require('../logging/metrics');
+
+jest.mock('../logging/logger');
+
+describe('MetricsCollector', () => {
+  let collector;
+
+  beforeEach(() => {
+    collector = new MetricsCollector();
+    collector.initialize(true);
+  });
+
+  it('should keep metrics when initialized again', () => {
+    collector.recordOperation('enrichMessage', 120, 'success');
+
+    collector.initialize(true);
+
+    expect(collector.getTotalOperations()).toBe(1);
+  });
+
+  describe('getPrometheusMetrics', () => {
+    it('should expose operation counters and duration quantiles', () => {
+      collector.recordOperation('enrichMessage', 100, 'success');
+      collector.recordOperation('enrichMessage', 300, 'success');
+      collector.recordOperation('enrichMessage', 900, 'timeout');
+
+      const text = collector.getPrometheusMetrics();
+
+      expect(text).toContain('# TYPE rage_operations_total counter');
+      expect(text).toContain('rage_operations_total{operation="enrichMessage",status="success"} 2');
+      expect(text).toContain('rage_operations_total{operation="enrichMessage",status="timeout"} 1');
+      expect(text).toContain('# TYPE rage_operation_duration_seconds summary');
+      expect(text).toContain('rage_operation_duration_seconds{operation="enrichMessage",quantile="0.5"} 0.3');
+      expect(text).toContain('rage_operation_duration_seconds{operation="enrichMessage",quantile="0.99"} 0.9');
+      expect(text).toContain('rage_operation_duration_seconds_sum{operation="enrichMessage"} 1.3');
+      expect(text).toContain('rage_operation_duration_seconds_count{operation="enrichMessage"} 3');
+    });
+
+    it('should expose API, error, cache and context counters', () => {
+      collector.recordApiCall('retrieval', 80, 200);
+      collector.recordApiCall('retrieval', 95, 503);
+      collector.recordError('TimeoutError', 'retrieveDocuments');
+      collector.recordCacheMetric('hit');
+      collector.recordContextEnrichment(3, 1200, 0.8, 0);
+
+      const text = collector.getPrometheusMetrics();
+
+      expect(text).toContain('rage_api_calls_total{endpoint="retrieval",status_class="2xx"} 1');
+      expect(text).toContain('rage_api_calls_total{endpoint="retrieval",status_class="5xx"} 1');
+      expect(text).toContain('rage_errors_total{type="TimeoutError",operation="retrieveDocuments"} 1');
+      expect(text).toContain('rage_cache_operations_total{operation="hit"} 1');
+      expect(text).toContain('rage_context_documents_total 3');
+      expect(text).toContain('rage_context_relevance_score 0.8');
+    });
+
+    it('should count redacted queries and redactions by detector', () => {
+      collector.recordRedaction({ email: 1, cpf: 2 });
+      collector.recordRedaction({ cpf: 1 });
+      collector.recordRedaction({});
+
+      const text = collector.getPrometheusMetrics();
+
+      expect(text).toContain('rage_redacted_queries_total 2');
+      expect(text).toContain('rage_redactions_total{detector="email"} 1');
+      expect(text).toContain('rage_redactions_total{detector="cpf"} 3');
+    });
+
+    it('should declare each family once and escape label values', () => {
+      collector.recordError('Error', 'search "docs"\nfast');
+      collector.recordError('TypeError', 'format');
+
+      const text = collector.getPrometheusMetrics();
+
+      expect(text.match(/# TYPE rage_errors_total counter/g)).toHaveLength(1);
+      expect(text).toContain('rage_errors_total{type="Error",operation="search \\"docs\\"\\nfast"} 1');
+      expect(text.endsWith('\n')).toBe(true);
+    });
+  });
+});
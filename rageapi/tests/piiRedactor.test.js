@@ -0,0 +1,68 @@
+const { PiiRedactor } = require('../enrichment/piiRedactor');
+const { rageLogger } = require('../logging/logger');
+
+jest.mock('../logging/logger');
+
+describe('PiiRedactor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should redact emails, CPFs, CNPJs, phone numbers and card numbers', () => {
+    const redactor = new PiiRedactor();
+
+    const result = redactor.redact(
+      'Cliente joao.silva@empresa.com.br, CPF 123.456.789-09, CNPJ 11.222.333/0001-81, ' +
+      'telefone (11) 98765-4321, cartão 4111 1111 1111 1111'
+    );
+
+    expect(result.text).toBe('Cliente [EMAIL], CPF [CPF], CNPJ [CNPJ], telefone [PHONE], cartão [CARD]');
+    expect(result.redacted).toBe(5);
+    expect(result.counts).toEqual({ email: 1, cpf: 1, cnpj: 1, phone: 1, credit_card: 1 });
+  });
+
+  it('should only redact bare digit runs with valid check digits', () => {
+    const redactor = new PiiRedactor({ detectors: 'cpf,cnpj,credit_card' });
+
+    expect(redactor.redact('CPF 52998224725 e CNPJ 11222333000181').text).toBe('CPF [CPF] e CNPJ [CNPJ]');
+    expect(redactor.redact('pedido 12345678900 e nota 4111111111111112').redacted).toBe(0);
+  });
+
+  it('should leave dates, year ranges and version numbers alone', () => {
+    const redactor = new PiiRedactor();
+
+    expect(redactor.redact('Relatório 2023-2024 de 2024-01-15, versão 1.2.3').redacted).toBe(0);
+  });
+
+  it('should apply admin rules before the built-in detectors', () => {
+    const redactor = new PiiRedactor({
+      detectors: ['phone'],
+      rules: JSON.stringify({
+        protocol: '\\d{4}\\.\\d{6}',
+        employee: { pattern: 'emp-\\d{6}', flags: 'i', replacement: '[EMPLOYEE]' }
+      })
+    });
+
+    const result = redactor.redact('Protocolo 2024.123456 do EMP-004211, ligar (11) 3456-7890');
+
+    expect(result.text).toBe('Protocolo [PROTOCOL] do [EMPLOYEE], ligar [PHONE]');
+    expect(result.counts).toEqual({ protocol: 1, employee: 1, phone: 1 });
+  });
+
+  it('should skip invalid rules and unknown detectors', () => {
+    const redactor = new PiiRedactor({
+      detectors: 'email,passport',
+      rules: { broken: '(', empty: '' }
+    });
+
+    expect(redactor.getStats()).toEqual({ enabled: true, detectors: ['email'], rules: [] });
+    expect(rageLogger.error).toHaveBeenCalledWith('Invalid PII redaction rule, ignoring it', expect.objectContaining({ rule: 'broken' }));
+    expect(rageLogger.warn).toHaveBeenCalledWith('Unknown PII detector, ignoring it', expect.objectContaining({ detector: 'passport' }));
+  });
+
+  it('should return the text unchanged when disabled', () => {
+    const redactor = new PiiRedactor({ enabled: false });
+
+    expect(redactor.redact('joao@empresa.com')).toEqual({ text: 'joao@empresa.com', redacted: 0, counts: {} });
+  });
+});
@@ -0,0 +1,114 @@
+const fetch = require('node-fetch');
+const { QueryDecomposer } = require('../enrichment/queryDecomposer');
+const { rageLogger } = require('../logging/logger');
+
+jest.mock('node-fetch');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+
+describe('QueryDecomposer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('heuristic strategy', () => {
+    const decomposer = new QueryDecomposer({ enabled: true });
+
+    it('should split compared years and versions', async () => {
+      expect(await decomposer.decompose('compare the travel policy in 2023 and 2024')).toEqual({
+        subQueries: ['the travel policy in 2023', 'the travel policy in 2024'],
+        decomposed: true,
+        strategy: 'heuristic'
+      });
+      expect(decomposer.decomposeHeuristically('compare v1.2, v1.3 and v2.0 release notes')).toEqual([
+        'v1.2 release notes',
+        'v1.3 release notes',
+        'v2.0 release notes'
+      ]);
+    });
+
+    it('should split comparisons between two subjects', () => {
+      expect(decomposer.decomposeHeuristically(
+        'What is the difference between the vacation policy and the sick leave policy?'
+      )).toEqual(['the vacation policy', 'the sick leave policy']);
+      expect(decomposer.decomposeHeuristically('Qual a diferença entre férias e licença médica?')).toEqual([
+        'férias',
+        'licença médica'
+      ]);
+      expect(decomposer.decomposeHeuristically('remote work policy vs office attendance policy')).toEqual([
+        'remote work policy',
+        'office attendance policy'
+      ]);
+    });
+
+    it('should split several questions in one message', () => {
+      expect(decomposer.decomposeHeuristically('What is the VPN address? And how do I reset my password?')).toEqual([
+        'What is the VPN address?',
+        'how do I reset my password?'
+      ]);
+    });
+
+    it('should leave single questions alone', async () => {
+      expect(await decomposer.decompose('What is the handoff process between sales and support?')).toEqual({
+        subQueries: ['What is the handoff process between sales and support?'],
+        decomposed: false,
+        strategy: 'none'
+      });
+      expect((await new QueryDecomposer().decompose('compare 2023 and 2024')).decomposed).toBe(false);
+    });
+
+    it('should cap the number of sub-queries', () => {
+      const capped = new QueryDecomposer({ enabled: true, maxSubQueries: 2 });
+
+      expect(capped.decomposeHeuristically('compare the bonus in 2022, 2023 and 2024')).toEqual([
+        'the bonus in 2022',
+        'the bonus in 2023'
+      ]);
+    });
+  });
+
+  describe('LLM strategy', () => {
+    const decomposer = new QueryDecomposer({
+      enabled: true,
+      llmUrl: 'https://llm.example.com/v1',
+      llmModel: 'gpt-4o-mini'
+    });
+
+    it('should use the sub-queries of the model for complex questions', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          choices: [{ message: { content: '1. remote work allowance\n2. home office equipment policy' } }]
+        })
+      });
+
+      const result = await decomposer.decompose('Compare the remote work allowance with the home office equipment policy');
+
+      expect(result).toEqual({
+        subQueries: ['remote work allowance', 'home office equipment policy'],
+        decomposed: true,
+        strategy: 'llm'
+      });
+      expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0].content).toContain('at most 3');
+    });
+
+    it('should not call the model for simple questions', async () => {
+      await decomposer.decompose('What is the travel policy?');
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the heuristic when the model fails', async () => {
+      fetch.mockRejectedValue(new Error('socket hang up'));
+
+      const result = await decomposer.decompose('compare the travel policy in 2023 and 2024');
+
+      expect(result.strategy).toBe('heuristic');
+      expect(rageLogger.warn).toHaveBeenCalledWith(
+        'LLM query decomposition failed, using heuristic',
+        { error: 'socket hang up' },
+        undefined
+      );
+    });
+  });
+});
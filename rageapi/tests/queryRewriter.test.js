@@ -0,0 +1,114 @@
+const fetch = require('node-fetch');
+const { QueryRewriter } = require('../enrichment/queryRewriter');
+
+jest.mock('node-fetch');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+
+describe('QueryRewriter', () => {
+  const history = [
+    { isCreatedByUser: true, text: 'Which vacation policies apply to contractors?' },
+    {
+      isCreatedByUser: false,
+      text: 'There are three policies:\n1. **Paid time off** policy\n2. Unpaid leave policy\n3. Sabbatical policy'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('heuristic strategy', () => {
+    let rewriter;
+
+    beforeEach(() => {
+      rewriter = new QueryRewriter();
+    });
+
+    it('should leave the query untouched without history', async () => {
+      const result = await rewriter.rewrite('What is the travel policy?', []);
+
+      expect(result).toEqual({
+        query: 'What is the travel policy?',
+        originalQuery: 'What is the travel policy?',
+        rewritten: false,
+        strategy: 'none'
+      });
+    });
+
+    it('should leave standalone questions untouched', async () => {
+      const result = await rewriter.rewrite('How many days of parental leave do employees get?', history);
+
+      expect(result.rewritten).toBe(false);
+    });
+
+    it('should resolve ordinal references and carry over previous keywords', async () => {
+      const result = await rewriter.rewrite('and what about the second one?', history);
+
+      expect(result.rewritten).toBe(true);
+      expect(result.strategy).toBe('heuristic');
+      expect(result.query).toContain('Unpaid leave policy');
+      expect(result.query).toContain('contractors');
+      expect(result.originalQuery).toBe('and what about the second one?');
+    });
+
+    it('should only consider the most recent turns', async () => {
+      const limited = new QueryRewriter({ maxTurns: 1 });
+      const result = await limited.rewrite('what about it?', history);
+
+      expect(result.query).not.toContain('contractors');
+    });
+
+    it('should do nothing when disabled', async () => {
+      const disabled = new QueryRewriter({ enabled: false });
+      const result = await disabled.rewrite('and the second one?', history);
+
+      expect(result.rewritten).toBe(false);
+    });
+  });
+
+  describe('llm strategy', () => {
+    let rewriter;
+
+    beforeEach(() => {
+      rewriter = new QueryRewriter({
+        llmUrl: 'https://llm.example.com/v1/',
+        llmModel: 'small-model',
+        llmApiKey: 'test-key'
+      });
+    });
+
+    it('should use the model output as the search query', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          choices: [{ message: { content: '"Unpaid leave policy for contractors"' } }]
+        })
+      });
+
+      const result = await rewriter.rewrite('and the second one?', history);
+
+      expect(result).toMatchObject({
+        query: 'Unpaid leave policy for contractors',
+        rewritten: true,
+        strategy: 'llm'
+      });
+      expect(fetch).toHaveBeenCalledWith(
+        'https://llm.example.com/v1/chat/completions',
+        expect.objectContaining({ method: 'POST' })
+      );
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.model).toBe('small-model');
+      expect(body.messages[1].content).toContain('Which vacation policies apply to contractors?');
+    });
+
+    it('should fall back to the heuristic when the call fails', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+      const result = await rewriter.rewrite('and the second one?', history);
+
+      expect(result.strategy).toBe('heuristic');
+      expect(result.query).toContain('Unpaid leave policy');
+    });
+  });
+});
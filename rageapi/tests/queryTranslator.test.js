@@ -0,0 +1,82 @@
+const fetch = require('node-fetch');
+const { QueryTranslator } = require('../enrichment/queryTranslator');
+const { rageLogger } = require('../logging/logger');
+
+jest.mock('node-fetch');
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+
+describe('QueryTranslator', () => {
+  const createTranslator = (options = {}) => new QueryTranslator({
+    enabled: true,
+    languages: 'pt,en',
+    llmUrl: 'https://llm.example.com/v1/',
+    llmModel: 'gpt-4o-mini',
+    llmApiKey: 'sk-test',
+    ...options
+  });
+
+  const respondWith = content => fetch.mockResolvedValue({
+    ok: true,
+    json: jest.fn().mockResolvedValue({ choices: [{ message: { content } }] })
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should translate the query into the other knowledge base languages', async () => {
+    respondWith('"How do I request a travel refund?"');
+
+    const translations = await createTranslator().translate(
+      'Como solicito reembolso de viagem?',
+      'pt',
+      { correlationId: 'test-correlation-id' }
+    );
+
+    expect(translations).toEqual([{ locale: 'en', query: 'How do I request a travel refund?' }]);
+    expect(fetch).toHaveBeenCalledWith(
+      'https://llm.example.com/v1/chat/completions',
+      expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer sk-test' })
+      })
+    );
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.model).toBe('gpt-4o-mini');
+    expect(body.messages[0].content).toContain('into English');
+    expect(body.messages[1].content).toBe('Como solicito reembolso de viagem?');
+  });
+
+  it('should reuse earlier translations', async () => {
+    respondWith('travel refund');
+    const translator = createTranslator();
+
+    await translator.translate('reembolso de viagem', 'pt');
+    await translator.translate('reembolso de viagem', 'pt');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(translator.getStats().cachedTranslations).toBe(1);
+  });
+
+  it('should search without translations when the model fails', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+    const translations = await createTranslator().translate('reembolso de viagem', 'pt');
+
+    expect(translations).toEqual([]);
+    expect(rageLogger.warn).toHaveBeenCalledWith(
+      'Query translation failed, searching without it',
+      expect.objectContaining({ locale: 'en' }),
+      undefined
+    );
+  });
+
+  it('should not translate when disabled or without a model', async () => {
+    expect(await createTranslator({ enabled: false }).translate('reembolso', 'pt')).toEqual([]);
+    expect(await createTranslator({ llmModel: null }).translate('reembolso', 'pt')).toEqual([]);
+    expect(await createTranslator({ languages: 'pt,xx' }).translate('reembolso', 'pt')).toEqual([]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
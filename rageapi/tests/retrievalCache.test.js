@@ -0,0 +1,100 @@
+const { Keyv } = require('keyv');
+const { RetrievalCache } = require('../cache/retrievalCache');
+const { metricsCollector } = require('../logging/metrics');
+
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+
+describe('RetrievalCache', () => {
+  let store;
+  let cache;
+
+  const params = {
+    question: 'How do I reset my password?',
+    orgId: 'org-1',
+    pipelineId: 'pipeline-1',
+    numResults: 5,
+    rerank: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new Keyv();
+    cache = new RetrievalCache({ enabled: true, ttl: 300, store });
+  });
+
+  describe('buildKey', () => {
+    it('should share keys across trivially different phrasings', () => {
+      const key = cache.buildKey(params);
+
+      expect(cache.buildKey({ ...params, question: '  how do I   reset my PASSWORD ' })).toBe(key);
+    });
+
+    it('should separate keys by pipeline and filters', () => {
+      const key = cache.buildKey(params);
+
+      expect(cache.buildKey({ ...params, pipelineId: 'pipeline-2' })).not.toBe(key);
+      expect(cache.buildKey({ ...params, metadataFilters: [{ source: 'handbook' }] })).not.toBe(key);
+    });
+
+    it('should ignore filter key order', () => {
+      const a = cache.buildKey({ ...params, metadataFilters: [{ source: 'handbook', year: 2024 }] });
+      const b = cache.buildKey({ ...params, metadataFilters: [{ year: 2024, source: 'handbook' }] });
+
+      expect(a).toBe(b);
+    });
+  });
+
+  describe('wrap', () => {
+    it('should serve repeated queries from the cache', async () => {
+      const result = { documents: [{ text: 'Use the reset link', similarity: 0.9 }] };
+      const retrieve = jest.fn().mockResolvedValue(result);
+
+      await expect(cache.wrap(params, retrieve, 'cid')).resolves.toEqual(result);
+      await expect(cache.wrap({ ...params, question: 'how do i reset my password' }, retrieve, 'cid'))
+        .resolves.toEqual(result);
+
+      expect(retrieve).toHaveBeenCalledTimes(1);
+      expect(metricsCollector.recordCacheMetric).toHaveBeenCalledWith('miss', expect.any(String));
+      expect(metricsCollector.recordCacheMetric).toHaveBeenCalledWith('set', expect.any(String));
+      expect(metricsCollector.recordCacheMetric).toHaveBeenCalledWith('hit', expect.any(String));
+    });
+
+    it('should not cache empty results', async () => {
+      const retrieve = jest.fn().mockResolvedValue({ documents: [] });
+
+      await cache.wrap(params, retrieve, 'cid');
+      await cache.wrap(params, retrieve, 'cid');
+
+      expect(retrieve).toHaveBeenCalledTimes(2);
+    });
+
+    it('should bypass the cache when caching is disabled or ttl is 0', async () => {
+      const retrieve = jest.fn().mockResolvedValue({ documents: [{ text: 'doc' }] });
+
+      const disabled = new RetrievalCache({ enabled: false, ttl: 300, store });
+      await disabled.wrap(params, retrieve, 'cid');
+      await disabled.wrap(params, retrieve, 'cid');
+
+      const noTtl = new RetrievalCache({ enabled: true, ttl: 0, store });
+      await noTtl.wrap(params, retrieve, 'cid');
+
+      expect(retrieve).toHaveBeenCalledTimes(3);
+      expect(metricsCollector.recordCacheMetric).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to retrieval when the store fails', async () => {
+      const failing = {
+        get: jest.fn().mockRejectedValue(new Error('redis down')),
+        set: jest.fn().mockRejectedValue(new Error('redis down'))
+      };
+      const result = { documents: [{ text: 'doc' }] };
+      const retrieve = jest.fn().mockResolvedValue(result);
+
+      const flaky = new RetrievalCache({ enabled: true, ttl: 300, store: failing });
+
+      await expect(flaky.wrap(params, retrieve, 'cid')).resolves.toEqual(result);
+      expect(retrieve).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,286 @@
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { startStubServer } = require('../tools/stub-server');
+const {
+  resolveProviderName,
+  buildProviderConfig,
+  applyWorkspacePipeline,
+  createRetrievalProvider
+} = require('../utils/retrievalProviders');
+const { VectorizeClient } = require('../utils/vectorizeClient');
+const { QdrantClient } = require('../utils/qdrantClient');
+const { RagApiClient, parseFileIds } = require('../utils/ragApiClient');
+const { FixtureProvider } = require('../utils/fixtureProvider');
+
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../../api/utils/logger');
+
+describe('Retrieval providers', () => {
+  let stub;
+
+  const settings = {
+    RAGE_VECTORIZE_URI: 'https://api.vectorize.io/v1',
+    RAGE_VECTORIZE_ORGANIZATION_ID: 'org-1',
+    RAGE_VECTORIZE_PIPELINE_ID: 'pipeline-1',
+    RAGE_VECTORIZE_API_KEY: 'vectorize-key',
+    RAGE_QDRANT_URL: 'http://qdrant:6333/',
+    RAGE_QDRANT_COLLECTION: 'docs',
+    RAGE_EMBEDDING_URL: 'http://embeddings/v1',
+    RAGE_EMBEDDING_MODEL: 'text-embedding-3-small',
+    RAGE_RAG_API_URL: 'http://rag_api:8000',
+    RAGE_RAG_API_FILE_IDS: 'file-1, file-2',
+    RAGE_FIXTURE_PATH: path.join(__dirname, 'fixtures/evalRetrieval.json'),
+    RAGE_TIMEOUT_MS: 3000
+  };
+
+  beforeAll(async () => {
+    stub = await startStubServer();
+  });
+
+  afterAll(async () => {
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    stub.server.requests.length = 0;
+  });
+
+  describe('registry', () => {
+    it('should fall back to vectorize for unknown providers', () => {
+      expect(resolveProviderName('qdrant')).toBe('qdrant');
+      expect(resolveProviderName('pinecone')).toBe('vectorize');
+      expect(resolveProviderName(undefined)).toBe('vectorize');
+    });
+
+    it('should map RAGE settings to each provider configuration', () => {
+      expect(buildProviderConfig('vectorize', settings)).toEqual(expect.objectContaining({
+        apiUrl: 'https://api.vectorize.io/v1',
+        orgId: 'org-1',
+        pipelineId: 'pipeline-1',
+        jwtToken: 'vectorize-key',
+        timeout: 3000
+      }));
+
+      const qdrant = createRetrievalProvider('qdrant', buildProviderConfig('qdrant', settings));
+      expect(qdrant).toBeInstanceOf(QdrantClient);
+      expect(qdrant.config.apiUrl).toBe('http://qdrant:6333');
+      expect(qdrant.getCacheScope()).toEqual({ orgId: 'http://qdrant:6333', pipelineId: 'docs' });
+
+      const ragApi = createRetrievalProvider('rag_api', buildProviderConfig('rag_api', settings));
+      expect(ragApi).toBeInstanceOf(RagApiClient);
+      expect(ragApi.config.fileIds).toEqual(['file-1', 'file-2']);
+
+      const fixture = createRetrievalProvider('fixture', buildProviderConfig('fixture', settings));
+      expect(fixture).toBeInstanceOf(FixtureProvider);
+      expect(fixture.config.fixturePath).toBe(settings.RAGE_FIXTURE_PATH);
+    });
+
+    it('should apply workspace pipelines per provider', () => {
+      const pipeline = { pipelineId: 'finance', organizationId: 'entity-1', apiKey: 'ws-key' };
+
+      expect(applyWorkspacePipeline('qdrant', buildProviderConfig('qdrant', settings), pipeline))
+        .toEqual(expect.objectContaining({ collection: 'finance', apiKey: 'ws-key' }));
+      expect(applyWorkspacePipeline('rag_api', buildProviderConfig('rag_api', settings), pipeline))
+        .toEqual(expect.objectContaining({ fileIds: 'finance', entityId: 'entity-1', jwtToken: 'ws-key' }));
+      expect(applyWorkspacePipeline('vectorize', buildProviderConfig('vectorize', settings), pipeline))
+        .toEqual(expect.objectContaining({ orgId: 'entity-1', pipelineId: 'finance', jwtToken: 'ws-key' }));
+    });
+
+    it('should parse file IDs from strings and arrays', () => {
+      expect(parseFileIds(' a, b ,,c ')).toEqual(['a', 'b', 'c']);
+      expect(parseFileIds(['a', ' b '])).toEqual(['a', 'b']);
+      expect(parseFileIds(undefined)).toEqual([]);
+    });
+  });
+
+  describe('VectorizeClient', () => {
+    it('should retrieve documents from the pipeline', async () => {
+      const client = new VectorizeClient({
+        apiUrl: stub.url,
+        orgId: 'org-1',
+        pipelineId: 'pipeline-1',
+        jwtToken: 'vectorize-key'
+      });
+
+      const result = await client.retrieve({ question: 'safety', numResults: 2 }, 'cid-1');
+
+      expect(result.documents).toHaveLength(2);
+      expect(result.documents[0]).toEqual(expect.objectContaining({
+        text: expect.stringContaining('safety protocols'),
+        similarity: 0.89,
+        source: 'safety-manual.pdf'
+      }));
+
+      const [request] = stub.server.requests;
+      expect(request.path).toBe('/org/org-1/pipelines/pipeline-1/retrieval');
+      expect(request.headers.authorization).toBe('Bearer vectorize-key');
+    });
+  });
+
+  describe('QdrantClient', () => {
+    const createClient = (overrides = {}) => new QdrantClient({
+      apiUrl: stub.url,
+      collection: 'docs',
+      apiKey: 'qdrant-key',
+      embeddingUrl: stub.url,
+      embeddingModel: 'text-embedding-3-small',
+      ...overrides
+    });
+
+    it('should embed the question and search the collection', async () => {
+      const result = await createClient().retrieve({ question: 'remote work', numResults: 3 }, 'cid-2');
+
+      const [embedRequest, searchRequest] = stub.server.requests;
+      expect(embedRequest.path).toBe('/embeddings');
+      expect(embedRequest.body).toEqual({ model: 'text-embedding-3-small', input: 'remote work' });
+      expect(searchRequest.path).toBe('/collections/docs/points/search');
+      expect(searchRequest.headers['api-key']).toBe('qdrant-key');
+      expect(searchRequest.body.vector).toHaveLength(8);
+      expect(searchRequest.body.limit).toBe(3);
+
+      expect(result.documents).toHaveLength(3);
+      expect(result.documents[1]).toEqual({
+        id: '2',
+        text: expect.stringContaining('Remote work policies'),
+        similarity: 0.82,
+        source: 'hr-handbook.pdf',
+        source_display_name: 'hr-handbook.pdf',
+        metadata: expect.objectContaining({ section: 'Remote Work', page: 45 })
+      });
+    });
+
+    it('should send named vectors and metadata filters', async () => {
+      await createClient({ vectorName: 'dense' }).retrieve({
+        question: 'handbook',
+        metadataFilters: [{ 'metadata.source': 'hr-handbook.pdf' }, { section: ['Remote Work', 'Benefits'] }]
+      }, 'cid-3');
+
+      const searchRequest = stub.server.requests[1];
+      expect(searchRequest.body.vector).toEqual({ name: 'dense', vector: expect.any(Array) });
+      expect(searchRequest.body.filter).toEqual({
+        must: [
+          { key: 'source', match: { value: 'hr-handbook.pdf' } },
+          { key: 'section', match: { any: ['Remote Work', 'Benefits'] } }
+        ]
+      });
+    });
+
+    it('should look up chunks by document and chunk index', async () => {
+      const client = createClient();
+
+      const documents = await client.fetchChunks({
+        documentField: 'metadata.source',
+        indexField: 'page',
+        chunks: [{ documentId: 'hr-handbook.pdf', indexes: [44, 45] }]
+      }, 'cid-4');
+
+      const [scrollRequest] = stub.server.requests;
+      expect(client.supportsChunkLookup).toBe(true);
+      expect(scrollRequest.path).toBe('/collections/docs/points/scroll');
+      expect(scrollRequest.body).toEqual({
+        filter: {
+          must: [
+            { key: 'source', match: { value: 'hr-handbook.pdf' } },
+            { key: 'page', match: { any: [44, 45] } }
+          ]
+        },
+        limit: 2,
+        with_payload: true,
+        with_vector: false
+      });
+      expect(documents).toEqual([expect.objectContaining({
+        id: '2',
+        text: expect.stringContaining('Remote work policies'),
+        metadata: expect.objectContaining({ source: 'hr-handbook.pdf', page: 45 })
+      })]);
+    });
+  });
+
+  describe('RagApiClient', () => {
+    it('should query a single file with its entity ID', async () => {
+      const client = new RagApiClient({
+        apiUrl: stub.url,
+        fileIds: 'file-1',
+        entityId: 'agent-1',
+        jwtSecret: 'secret'
+      });
+
+      const result = await client.retrieve({ question: 'reviews', numResults: 2, userId: 'user-1' }, 'cid-4');
+
+      const [request] = stub.server.requests;
+      expect(request.path).toBe('/query');
+      expect(request.body).toEqual({ file_id: 'file-1', query: 'reviews', k: 2, entity_id: 'agent-1' });
+
+      const token = request.headers.authorization.replace('Bearer ', '');
+      expect(jwt.verify(token, 'secret').id).toBe('user-1');
+
+      expect(result.documents[0]).toEqual(expect.objectContaining({
+        id: 'digest_1',
+        source: 'safety-manual.pdf'
+      }));
+      expect(result.documents[0].similarity).toBeCloseTo(0.89);
+    });
+
+    it('should query several files at once', async () => {
+      const client = new RagApiClient({ apiUrl: stub.url, fileIds: ['file-1', 'file-2'], jwtToken: 'static' });
+
+      const result = await client.retrieve({ question: 'policies' }, 'cid-5');
+
+      const [request] = stub.server.requests;
+      expect(request.path).toBe('/query_multiple');
+      expect(request.body.file_ids).toEqual(['file-1', 'file-2']);
+      expect(request.headers.authorization).toBe('Bearer static');
+      expect(result.documents).toHaveLength(3);
+    });
+
+    it('should return no documents without file IDs', async () => {
+      const client = new RagApiClient({ apiUrl: stub.url });
+
+      await expect(client.retrieve({ question: 'anything' }, 'cid-6')).resolves.toEqual({ documents: [] });
+      expect(stub.server.requests).toHaveLength(0);
+    });
+  });
+
+  describe('FixtureProvider', () => {
+    it('should replay saved documents regardless of case and punctuation', async () => {
+      const client = new FixtureProvider({ fixturePath: settings.RAGE_FIXTURE_PATH });
+
+      const result = await client.retrieve({ question: 'when are EXPENSE reports due', numResults: 1 });
+
+      expect(result.documents.map(doc => doc.id)).toEqual(['finance-3']);
+      expect(client.getCacheScope()).toEqual({ orgId: null, pipelineId: settings.RAGE_FIXTURE_PATH });
+    });
+
+    it('should return no documents for unknown questions or a missing file', async () => {
+      const client = new FixtureProvider({ fixtures: { questions: { 'Parking?': [{ id: 'p-1' }] } } });
+      const missing = new FixtureProvider({ fixturePath: path.join(__dirname, 'fixtures/missing.json') });
+
+      expect((await client.retrieve({ question: 'parking' })).documents).toEqual([{ id: 'p-1' }]);
+      expect((await client.retrieve({ question: 'cafeteria hours' })).documents).toEqual([]);
+      expect((await missing.retrieve({ question: 'parking' })).documents).toEqual([]);
+    });
+
+    it('should look up chunks among all saved documents', async () => {
+      const client = new FixtureProvider({
+        fixtures: {
+          questions: {
+            'first?': [{ id: 'a-1', metadata: { document_id: 'a', chunk_index: 1 } }],
+            'second?': [
+              { id: 'a-2', metadata: { document_id: 'a', chunk_index: 2 } },
+              { id: 'b-2', metadata: { document_id: 'b', chunk_index: 2 } }
+            ]
+          }
+        }
+      });
+
+      const documents = await client.fetchChunks({
+        documentField: 'document_id',
+        indexField: 'chunk_index',
+        chunks: [{ documentId: 'a', indexes: [0, 2] }]
+      });
+
+      expect(documents.map(doc => doc.id)).toEqual(['a-2']);
+    });
+  });
+});
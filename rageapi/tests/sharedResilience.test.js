@@ -0,0 +1,194 @@
+const { CircuitBreaker } = require('../resilience/circuitBreaker');
+const { ErrorHandler } = require('../resilience/errorHandler');
+const { ResilienceStateStore } = require('../resilience/stateStore');
+const { RateLimitError } = require('../errors/RageError');
+const { configManager } = require('../config');
+
+jest.mock('../logging/logger');
+jest.mock('../logging/metrics');
+jest.mock('../config');
+
+const mockRedis = { client: null };
+jest.mock('../../api/cache/redisClients', () => ({
+  get ioredisClient() {
+    return mockRedis.client;
+  }
+}));
+
+/**
+ * In-memory stand-in for the ioredis commands used by the state store
+ */
+function createRedisClient() {
+  const data = new Map();
+  const client = {
+    data,
+    get: jest.fn(async key => data.get(key) ?? null),
+    set: jest.fn(async (key, value) => {
+      data.set(key, value);
+      return 'OK';
+    }),
+    del: jest.fn(async key => Number(data.delete(key))),
+    pexpire: jest.fn(async () => 1),
+    multi: jest.fn(() => {
+      const commands = [];
+      const transaction = {
+        hincrby: (key, field, increment) => {
+          commands.push(() => {
+            const hash = data.get(key) || {};
+            hash[field] = (hash[field] || 0) + increment;
+            data.set(key, hash);
+            return hash[field];
+          });
+          return transaction;
+        },
+        exec: async () => commands.map(command => [null, command()])
+      };
+      return transaction;
+    })
+  };
+  return client;
+}
+
+/** Lets the state published without awaiting reach the store */
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Shared resilience state', () => {
+  let client;
+
+  const createBreaker = () => new CircuitBreaker({
+    name: 'shared_circuit',
+    failureThreshold: 3,
+    resetTimeout: 1000,
+    minimumRequests: 4,
+    stateStore: new ResilienceStateStore({ client })
+  });
+
+  const fail = breaker => breaker.execute(() => Promise.reject(new Error('server error'))).catch(() => null);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = createRedisClient();
+    mockRedis.client = client;
+  });
+
+  describe('ResilienceStateStore', () => {
+    it('should use the api Redis connection and be unavailable without it', () => {
+      expect(new ResilienceStateStore().isEnabled()).toBe(true);
+
+      mockRedis.client = null;
+      expect(new ResilienceStateStore().isEnabled()).toBe(false);
+    });
+
+    it('should expire the failure window from its first request', async () => {
+      const store = new ResilienceStateStore({ client });
+
+      await store.recordOutcome('circuit', false, 5000);
+      const counts = await store.recordOutcome('circuit', true, 5000);
+
+      expect(counts).toEqual({ requests: 2, failures: 1 });
+      expect(client.pexpire).toHaveBeenCalledTimes(1);
+      expect(client.pexpire).toHaveBeenCalledWith('RAGE_RESILIENCE:circuit:circuit:window', 5000);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    it('should block every instance once one of them trips', async () => {
+      const first = createBreaker();
+      const second = createBreaker();
+      const operation = jest.fn().mockResolvedValue('ok');
+
+      first.forceOpen();
+      await flushPromises();
+
+      await expect(second.execute(operation)).rejects.toThrow('is OPEN');
+      expect(operation).not.toHaveBeenCalled();
+      expect(second.getStats().sharedState).toBe(true);
+    });
+
+    it('should count the failures of all instances', async () => {
+      const first = createBreaker();
+      const second = createBreaker();
+
+      await fail(first);
+      await fail(second);
+      await fail(first);
+      expect(first.state).toBe('CLOSED');
+
+      await fail(second);
+      await flushPromises();
+
+      expect(second.state).toBe('OPEN');
+      await expect(first.execute(jest.fn())).rejects.toThrow('is OPEN');
+    });
+
+    it('should close every instance after one of them recovers', async () => {
+      const first = createBreaker();
+      const second = createBreaker();
+      first.forceOpen();
+      await flushPromises();
+      await fail(second);
+
+      first.nextAttemptTime = Date.now() - 1;
+      await first.execute(() => Promise.resolve('ok'));
+      await flushPromises();
+
+      expect(first.state).toBe('CLOSED');
+      await expect(second.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+      expect(second.state).toBe('CLOSED');
+    });
+
+    it('should keep working with local state when Redis fails', async () => {
+      client.get.mockRejectedValue(new Error('Connection is closed.'));
+      client.multi.mockImplementation(() => {
+        throw new Error('Connection is closed.');
+      });
+      const breaker = createBreaker();
+
+      await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+      expect(breaker.state).toBe('CLOSED');
+    });
+  });
+
+  describe('ErrorHandler rate limit backoff', () => {
+    beforeEach(() => {
+      configManager.getConfig = jest.fn().mockReturnValue({
+        RAGE_TIMEOUT_MS: 1000,
+        RAGE_RETRY_ATTEMPTS: 1,
+        RAGE_SHARED_RESILIENCE: true
+      });
+    });
+
+    it('should make other instances skip requests until the backoff ends', async () => {
+      const first = new ErrorHandler();
+      const second = new ErrorHandler();
+      const context = { operation: 'retrieveDocuments', correlationId: 'test-id' };
+
+      const limited = jest.fn().mockRejectedValue(new RateLimitError('Too many requests', { retryAfter: 30 }));
+      await expect(first.executeWithResilience(limited, context)).resolves.toBeNull();
+
+      const operation = jest.fn().mockResolvedValue('documents');
+      await expect(second.executeWithResilience(operation, context)).resolves.toBeNull();
+      expect(operation).not.toHaveBeenCalled();
+
+      const ttl = client.set.mock.calls.find(([key]) => key.includes(':backoff:'))[3];
+      expect(ttl).toBe(30000);
+    });
+
+    it('should keep the backoff local without Redis', async () => {
+      mockRedis.client = null;
+      const first = new ErrorHandler();
+      const second = new ErrorHandler();
+      const context = { operation: 'retrieveDocuments', correlationId: 'test-id' };
+
+      await first.executeWithResilience(
+        jest.fn().mockRejectedValue(new RateLimitError('Too many requests', { retryAfter: 30 })),
+        context
+      );
+
+      const operation = jest.fn().mockResolvedValue('documents');
+      await expect(first.executeWithResilience(operation, context)).resolves.toBeNull();
+      await expect(second.executeWithResilience(operation, context)).resolves.toBe('documents');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
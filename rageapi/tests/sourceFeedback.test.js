@@ -0,0 +1,94 @@
+const { SourceFeedback } = require('../enrichment/sourceFeedback');
+const { RelevanceScorer } = require('../enrichment/relevanceScorer');
+const { configManager } = require('../config');
+const { rageLogger } = require('../logging/logger');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+
+describe('Source feedback', () => {
+  const handbook = { text: 'Expense reports are due on Friday.', similarity: 0.6, metadata: { source: 'handbook.pdf' } };
+  const wiki = { text: 'Expense reports are due on Monday.', similarity: 0.6, metadata: { source: 'old-wiki' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configManager.getConfig = jest.fn().mockReturnValue({
+      RAGE_SCORE_FIELD: 'similarity',
+      RAGE_MIN_SIMILARITY_SCORE: 0.3,
+      RAGE_NUM_RESULTS: 5
+    });
+  });
+
+  describe('SourceFeedback', () => {
+    it('should load the statistics of the cited sources once', async () => {
+      const feedback = new SourceFeedback();
+      const provider = jest.fn().mockResolvedValue([{ source: 'old-wiki', positive: 1, negative: 6 }]);
+      feedback.setStatsProvider(provider);
+
+      const stats = await feedback.getStats([handbook, wiki, { ...wiki }]);
+      await feedback.getStats([handbook, wiki]);
+
+      expect(provider).toHaveBeenCalledTimes(1);
+      expect(provider).toHaveBeenCalledWith(['handbook.pdf', 'old-wiki']);
+      expect([...stats]).toEqual([['old-wiki', { positive: 1, negative: 6 }]]);
+    });
+
+    it('should load the statistics again after new feedback', async () => {
+      const feedback = new SourceFeedback();
+      const provider = jest.fn().mockResolvedValue([]);
+      feedback.setStatsProvider(provider);
+
+      await feedback.getStats([wiki]);
+      feedback.invalidate(['old-wiki']);
+      await feedback.getStats([wiki]);
+
+      expect(provider).toHaveBeenCalledTimes(2);
+    });
+
+    it('should score without feedback when the statistics are unavailable', async () => {
+      const feedback = new SourceFeedback();
+      expect((await feedback.getStats([wiki])).size).toBe(0);
+
+      feedback.setStatsProvider(jest.fn().mockRejectedValue(new Error('connection refused')));
+      expect((await feedback.getStats([wiki])).size).toBe(0);
+      expect(rageLogger.warn).toHaveBeenCalledWith(
+        'Source feedback unavailable, scoring without it',
+        expect.objectContaining({ error: 'connection refused' }),
+        undefined
+      );
+    });
+  });
+
+  describe('RelevanceScorer feedback boost', () => {
+    const scorer = () => new RelevanceScorer({ feedbackMaxBoost: 0.1, feedbackMinVotes: 3 });
+
+    it('should rank sources with bad feedback below equally similar ones', () => {
+      const sourceFeedback = new Map([
+        ['handbook.pdf', { positive: 9, negative: 0 }],
+        ['old-wiki', { positive: 0, negative: 9 }]
+      ]);
+
+      const [first, second] = scorer().scoreAndFilter([wiki, handbook], 'expense report', { sourceFeedback });
+
+      expect(first.metadata.source).toBe('handbook.pdf');
+      expect(first.scoreBoosts.feedback).toBeCloseTo(0.075);
+      expect(second.scoreBoosts.feedback).toBeCloseTo(-0.075);
+    });
+
+    it('should ignore sources with fewer ratings than the minimum', () => {
+      const sourceFeedback = new Map([['old-wiki', { positive: 0, negative: 2 }]]);
+
+      expect(scorer().calculateFeedbackBoost(wiki, sourceFeedback)).toBe(0);
+      expect(scorer().calculateFeedbackBoost(wiki, undefined)).toBe(0);
+    });
+
+    it('should keep the boost within the configured maximum', () => {
+      const sourceFeedback = new Map([['old-wiki', { positive: 0, negative: 100000 }]]);
+
+      const boost = scorer().calculateFeedbackBoost(wiki, sourceFeedback);
+
+      expect(boost).toBeLessThan(0);
+      expect(boost).toBeGreaterThan(-0.1);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getLocaleCandidates,
+  loadBuiltInTemplates,
+  loadLanguageTemplates,
+  resolveLanguageTemplate
+} = require('../enrichment/templateLoader');
+const { rageLogger } = require('../logging/logger');
+
+jest.mock('../logging/logger');
+
+describe('Context template loader', () => {
+  let directory;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rage-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('getLocaleCandidates', () => {
+    it('should fall back from a regional locale to its language', () => {
+      expect(getLocaleCandidates('pt_BR')).toEqual(['pt-br', 'pt']);
+      expect(getLocaleCandidates('es')).toEqual(['es']);
+      expect(getLocaleCandidates('portuguese')).toEqual(['pt']);
+      expect(getLocaleCandidates(undefined)).toEqual([]);
+    });
+  });
+
+  it('should ship Portuguese templates for every style', () => {
+    const templates = loadBuiltInTemplates();
+
+    ['standard', 'detailed', 'compact'].forEach(style => {
+      const template = resolveLanguageTemplate(templates, 'pt-BR', style);
+      expect(Object.keys(template)).toEqual(['header', 'documentFormat', 'footer', 'strictFooter', 'noContext']);
+    });
+  });
+
+  it('should load a YAML file keyed by locale', () => {
+    const file = path.join(directory, 'templates.yaml');
+    fs.writeFileSync(file, [
+      'es:',
+      '  header: "# Contexto"',
+      '  documentFormat: "{index}. {source}: {text}"',
+      '  compact:',
+      '    header: "**Contexto:**"',
+      '    unknown: ignored'
+    ].join('\n'));
+
+    const templates = loadLanguageTemplates({ path: file });
+
+    expect(resolveLanguageTemplate(templates, 'es-MX', 'standard')).toEqual({
+      header: '# Contexto',
+      documentFormat: '{index}. {source}: {text}'
+    });
+    expect(resolveLanguageTemplate(templates, 'es', 'compact').header).toBe('**Contexto:**');
+    expect(resolveLanguageTemplate(templates, 'fr', 'standard')).toBeNull();
+  });
+
+  it('should load one file per locale from a directory and let inline templates refine them', () => {
+    fs.writeFileSync(path.join(directory, 'pt-BR.json'), JSON.stringify({ header: '# Contexto', footer: 'Fim.' }));
+    fs.writeFileSync(path.join(directory, 'README.md'), '# not a template');
+
+    const templates = loadLanguageTemplates({
+      path: directory,
+      languages: JSON.stringify({ 'pt-br': { footer: 'Fim do contexto.' } })
+    });
+
+    expect(resolveLanguageTemplate(templates, 'pt-BR', 'detailed')).toEqual({
+      header: '# Contexto',
+      footer: 'Fim do contexto.'
+    });
+  });
+
+  it('should read a template file again after it changes', () => {
+    const file = path.join(directory, 'templates.yaml');
+    fs.writeFileSync(file, 'pt:\n  header: "Antes"\n');
+    expect(resolveLanguageTemplate(loadLanguageTemplates({ path: file }), 'pt', 'standard').header).toBe('Antes');
+
+    fs.writeFileSync(file, 'pt:\n  header: "Depois"\n');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+
+    expect(resolveLanguageTemplate(loadLanguageTemplates({ path: file }), 'pt', 'standard').header).toBe('Depois');
+  });
+
+  it('should skip unreadable sources and invalid JSON', () => {
+    const templates = loadLanguageTemplates({
+      path: path.join(directory, 'missing.yaml'),
+      languages: '{not json'
+    });
+
+    expect(templates).toEqual({});
+    expect(rageLogger.warn).toHaveBeenCalledWith('RAGE context templates unavailable', expect.any(Object));
+    expect(rageLogger.warn).toHaveBeenCalledWith('Invalid RAGE_TEMPLATE_LANGUAGES, ignoring inline templates', expect.any(Object));
+  });
+});
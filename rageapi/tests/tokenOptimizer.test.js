@@ -0,0 +1,127 @@
+const { Tokenizer } = require('@librechat/api');
+const { configManager } = require('../config');
+const { TokenOptimizer } = require('../enrichment/tokenOptimizer');
+
+jest.mock('../config');
+jest.mock('../logging/logger');
+
+describe('TokenOptimizer', () => {
+  const paragraph = 'Expense reports are reviewed by the finance team every Friday, and reimbursements are paid with the next payroll. ';
+
+  const documents = [
+    { id: 'd1', text: paragraph.repeat(20), enhancedScore: 0.95, metadata: { source: 'handbook.md' } },
+    { id: 'd2', text: paragraph.repeat(20), enhancedScore: 0.9, metadata: { source: 'policy.md' } },
+    { id: 'd3', text: paragraph.repeat(20), enhancedScore: 0.85, metadata: { source: 'faq.md' } }
+  ];
+
+  let optimizer;
+
+  beforeEach(() => {
+    configManager.getConfig = jest.fn().mockReturnValue({ RAGE_MAX_TOKENS: 3000, RAGE_TOKEN_BUFFER: 200 });
+    optimizer = new TokenOptimizer();
+  });
+
+  describe('estimateTokens', () => {
+    it('should count tokens with the tokenizer of the requested encoding', () => {
+      const text = 'Relatórios de despesas são revisados às sextas-feiras.';
+
+      expect(optimizer.estimateTokens(text)).toBe(Tokenizer.getTokenCount(text, 'cl100k_base'));
+      expect(optimizer.estimateTokens(text, 'portuguese', 'o200k_base')).toBe(
+        Tokenizer.getTokenCount(text, 'o200k_base')
+      );
+    });
+
+    it('should fall back to character ratios without a tokenizer', () => {
+      optimizer = new TokenOptimizer({ tokenizer: null });
+
+      expect(optimizer.estimateTokens('a'.repeat(42))).toBe(10);
+    });
+  });
+
+  describe('resolveTargetTokens', () => {
+    it('should use what the payload and response leave free in the context window', () => {
+      expect(optimizer.resolveTargetTokens({ contextTokens: 8000, usedTokens: 5000, reservedTokens: 1000 })).toBe(1800);
+    });
+
+    it('should cap large context windows at the configured share', () => {
+      expect(optimizer.resolveTargetTokens({ contextTokens: 128000, usedTokens: 1000 })).toBe(63800);
+    });
+
+    it('should use the static budget when the context window is unknown', () => {
+      expect(optimizer.resolveTargetTokens()).toBe(2800);
+    });
+
+    it('should never go below zero', () => {
+      expect(optimizer.resolveTargetTokens({ contextTokens: 4000, usedTokens: 3900 })).toBe(0);
+    });
+  });
+
+  describe('truncateToTokenLimit', () => {
+    it('should keep the truncated text within the token limit', () => {
+      const text = paragraph.repeat(30);
+
+      const truncated = optimizer.truncateToTokenLimit(text, 150, 'english', 'o200k_base');
+
+      expect(truncated.endsWith('...')).toBe(true);
+      expect(Tokenizer.getTokenCount(truncated, 'o200k_base')).toBeLessThanOrEqual(150);
+    });
+  });
+
+  describe('optimizeContext', () => {
+    const context = documents.map(doc => doc.text).join('\n\n');
+
+    it('should fit the documents into the room left by the payload', () => {
+      const tokenBudget = { contextTokens: 8192, usedTokens: 6500, reservedTokens: 700 };
+
+      const result = optimizer.optimizeContext(context, [...documents], { tokenBudget, encoding: 'cl100k_base' });
+
+      expect(result.strategy).toBe('document_selection');
+      expect(result.documentsIncluded).toBeGreaterThan(0);
+      expect(Tokenizer.getTokenCount(result.optimizedContext, 'cl100k_base')).toBeLessThanOrEqual(792);
+    });
+
+    it('should rank fused results by RRF score without reordering the given documents', () => {
+      const fused = documents.map((doc, index) => ({ ...doc, rrfScore: [0.016, 0.032, 0.02][index] }));
+
+      const result = optimizer.optimizeContext(context, fused, {
+        tokenBudget: { contextTokens: 8192, usedTokens: 6500, reservedTokens: 700 }
+      });
+
+      expect(result.includedDocuments[0].id).toBe('d2');
+      expect(fused.map(doc => doc.id)).toEqual(['d1', 'd2', 'd3']);
+    });
+
+    it('should keep every document on large context windows', () => {
+      const result = optimizer.optimizeContext(context, [...documents], {
+        tokenBudget: { contextTokens: 128000, usedTokens: 2000, reservedTokens: 4096 }
+      });
+
+      expect(result).toMatchObject({ optimizedContext: context, truncated: false, documentsIncluded: 3 });
+    });
+
+    it('should return no context when the payload fills the window', () => {
+      const result = optimizer.optimizeContext(context, [...documents], {
+        tokenBudget: { contextTokens: 8192, usedTokens: 7000, reservedTokens: 1000 }
+      });
+
+      expect(result).toMatchObject({ optimizedContext: '', strategy: 'no_budget', documentsIncluded: 0 });
+    });
+
+    it('should share the budget between the sub-queries of a decomposed question', () => {
+      const tagged = [
+        { ...documents[0], subQueries: ['travel policy 2023'] },
+        { ...documents[1], subQueries: ['travel policy 2023'] },
+        { ...documents[2], subQueries: ['travel policy 2024', 'travel policy 2023'] }
+      ];
+
+      const result = optimizer.optimizeContext(context, tagged, {
+        tokenBudget: { contextTokens: 8192, usedTokens: 6292, reservedTokens: 700 },
+        subQueries: ['travel policy 2023', 'travel policy 2024']
+      });
+
+      expect(result.strategy).toBe('subquery_allocation');
+      expect(result.includedDocuments.map(doc => doc.id)).toEqual(['d1', 'd3']);
+      expect(result.documentsIncluded).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { mapYamlConfig } = require('../config/yamlConfig');
+const { ConfigManager } = require('../config');
+
+jest.mock('../logging/logger');
+
+describe('librechat.yaml configuration', () => {
+  describe('mapYamlConfig', () => {
+    it('should map nested settings to their configuration keys', () => {
+      expect(mapYamlConfig({
+        enabled: true,
+        provider: 'qdrant',
+        providers: { qdrant: { url: 'http://qdrant:6333' } },
+        pipelines: { qdrant: { collection: 'handbook' } },
+        thresholds: { minRelevanceScore: 0.5 },
+        templates: { style: 'compact', header: '## Handbook' }
+      })).toEqual({
+        RAGE_ENABLED: true,
+        RAGE_PROVIDER: 'qdrant',
+        RAGE_QDRANT_URL: 'http://qdrant:6333',
+        RAGE_QDRANT_COLLECTION: 'handbook',
+        RAGE_MIN_RELEVANCE_SCORE: 0.5,
+        RAGE_FORMAT_STYLE: 'compact',
+        RAGE_TEMPLATE_HEADER: '## Handbook'
+      });
+    });
+
+    it('should write lists and maps as they are written in env vars', () => {
+      expect(mapYamlConfig({
+        endpoints: ['openAI', 'agents'],
+        answerMode: { strictOverridePhrases: ['only the docs', 'strictly'] },
+        filters: { roles: { USER: { department: 'support' } } },
+        templates: { languages: { pt: { header: '# Contexto' } } },
+        redaction: { detectors: ['email', 'cpf'], rules: { ticket: 'TCK-\\d+' } },
+        multilingual: { translation: true, languages: ['pt', 'en'] },
+        decomposition: { enabled: true, maxSubQueries: 4 },
+        chunks: { expansion: true, window: 2, documentField: 'file_id' }
+      })).toEqual({
+        RAGE_ENDPOINTS: 'openAI,agents',
+        RAGE_STRICT_OVERRIDE_PHRASES: 'only the docs,strictly',
+        RAGE_ROLE_FILTERS: '{"USER":{"department":"support"}}',
+        RAGE_TEMPLATE_LANGUAGES: '{"pt":{"header":"# Contexto"}}',
+        RAGE_PII_DETECTORS: 'email,cpf',
+        RAGE_PII_RULES: '{"ticket":"TCK-\\\\d+"}',
+        RAGE_QUERY_TRANSLATION: true,
+        RAGE_KNOWLEDGE_BASE_LANGUAGES: 'pt,en',
+        RAGE_QUERY_DECOMPOSITION: true,
+        RAGE_DECOMPOSITION_MAX_SUBQUERIES: 4,
+        RAGE_CHUNK_EXPANSION: true,
+        RAGE_CHUNK_EXPANSION_WINDOW: 2,
+        RAGE_CHUNK_DOCUMENT_FIELD: 'file_id'
+      });
+    });
+
+    it('should omit missing settings', () => {
+      expect(mapYamlConfig(undefined)).toEqual({});
+      expect(mapYamlConfig({ providers: { qdrant: { url: null } } })).toEqual({});
+    });
+  });
+
+  describe('ConfigManager', () => {
+    const originalEnv = process.env;
+    let manager;
+
+    beforeEach(() => {
+      process.env = {
+        NODE_ENV: 'test',
+        RAGE_ENABLED: 'false',
+        RAGE_NUM_RESULTS: '8',
+        RAGE_TIMEOUT_MS: '5000'
+      };
+      manager = new ConfigManager();
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should let librechat.yaml take precedence over env vars', () => {
+      const config = manager.initialize({ yamlConfig: { retrieval: { numResults: 3 } } });
+
+      expect(config.RAGE_NUM_RESULTS).toBe(3);
+      expect(config.RAGE_TIMEOUT_MS).toBe(5000);
+    });
+
+    it('should keep the librechat.yaml settings when initialized again', () => {
+      manager.initialize({ yamlConfig: { retrieval: { numResults: 3 } } });
+
+      expect(manager.initialize().RAGE_NUM_RESULTS).toBe(3);
+      expect(manager.reload({ yamlConfig: {} }).RAGE_NUM_RESULTS).toBe(8);
+    });
+
+    it('should keep the current configuration when a reload is invalid', () => {
+      manager.initialize({ yamlConfig: { retrieval: { numResults: 3 } } });
+
+      expect(() => manager.reload({
+        yamlConfig: { enabled: true, provider: 'qdrant', retrieval: { numResults: 1 } }
+      })).toThrow(/missing required configuration/);
+
+      expect(manager.get('RAGE_ENABLED')).toBe(false);
+      expect(manager.get('RAGE_NUM_RESULTS')).toBe(3);
+    });
+  });
+});
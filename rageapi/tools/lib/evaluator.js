@@ -0,0 +1,317 @@
+/**
+ * Retrieval Evaluation for RAGE Query Tool
+ *
+ * Runs a golden question set through the full RageInterceptor pipeline and
+ * scores the cited sources. Each JSONL line is one question:
+ *
+ *   {"id": "q1", "question": "...", "expectedSources": ["doc-1"], "expectedKeywords": ["fifth business day"]}
+ *
+ * Expected sources match a citation's `id` or `source`; when a question only
+ * has keywords, they match the cited snippets (case-insensitive). Optional
+ * `filters`, `dateRange`, `answerMode`, `userRole` and `userGroups` are passed
+ * to the enrichment like a chat request would.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_K = 5;
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Parses a JSONL golden set, skipping blank lines
+ * @param {string} content - File content
+ * @returns {Array<Object>} Questions
+ */
+function parseGoldenSet(content) {
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Golden set line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+
+      if (!entry.question || typeof entry.question !== 'string') {
+        throw new Error(`Golden set line ${index + 1} has no question`);
+      }
+
+      return {
+        ...entry,
+        id: entry.id || `q${index + 1}`,
+        expectedSources: entry.expectedSources || [],
+        expectedKeywords: entry.expectedKeywords || []
+      };
+    });
+}
+
+/**
+ * Reads a JSONL golden set
+ * @param {string} filePath - Path to the golden set
+ * @returns {Array<Object>} Questions
+ */
+function loadGoldenSet(filePath) {
+  return parseGoldenSet(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Builds the matchers for the expected items of a question
+ * @param {Object} entry - Golden question
+ * @returns {Array<{label: string, matches: Function}>} One matcher per expected item
+ */
+function getExpectedItems(entry) {
+  if (entry.expectedSources.length > 0) {
+    return entry.expectedSources.map(expected => ({
+      label: String(expected),
+      matches: source => source.id === expected || source.source === expected
+    }));
+  }
+
+  return entry.expectedKeywords.map(keyword => ({
+    label: String(keyword),
+    matches: source => (source.snippet || '').toLowerCase().includes(String(keyword).toLowerCase())
+  }));
+}
+
+/**
+ * Scores the cited sources of a question against its expected items
+ * @param {Object} entry - Golden question
+ * @param {Array<Object>} sources - Citations, best first
+ * @param {number} [k] - Cutoff for recall
+ * @returns {{recallAtK: number|null, reciprocalRank: number|null, missing: Array<string>}} Scores (null without expectations)
+ */
+function judgeSources(entry, sources, k = DEFAULT_K) {
+  const items = getExpectedItems(entry);
+  if (items.length === 0) {
+    return { recallAtK: null, reciprocalRank: null, missing: [] };
+  }
+
+  const topK = sources.slice(0, k);
+  const missing = items.filter(item => !topK.some(item.matches)).map(item => item.label);
+  const firstRelevant = sources.findIndex(source => items.some(item => item.matches(source)));
+
+  return {
+    recallAtK: (items.length - missing.length) / items.length,
+    reciprocalRank: firstRelevant === -1 ? 0 : 1 / (firstRelevant + 1),
+    missing
+  };
+}
+
+/**
+ * Calculates a percentile with the nearest-rank method
+ * @param {Array<number>} values - Values
+ * @param {number} rank - Percentile (0-100)
+ * @returns {number} Percentile value (0 when empty)
+ */
+function percentile(values, rank) {
+  if (values.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.max(Math.ceil((rank / 100) * sorted.length) - 1, 0);
+  return sorted[index];
+}
+
+/**
+ * Averages the non-null values
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Mean, or null when nothing was scored
+ */
+function mean(values) {
+  const scored = values.filter(value => value !== null);
+  if (scored.length === 0) {
+    return null;
+  }
+  return scored.reduce((sum, value) => sum + value, 0) / scored.length;
+}
+
+/**
+ * Runs one golden question through the interceptor
+ * @param {RageInterceptor} interceptor - Interceptor to evaluate
+ * @param {Object} entry - Golden question
+ * @param {Object} [options] - Evaluation options ({ k })
+ * @returns {Promise<Object>} Question result
+ */
+async function evaluateQuestion(interceptor, entry, options = {}) {
+  const k = options.k || DEFAULT_K;
+  let status = null;
+  let error;
+  let result = null;
+
+  const startTime = process.hrtime.bigint();
+  try {
+    result = await interceptor.enrichMessageWithSources(entry.question, {
+      userId: 'rage-eval',
+      userRole: entry.userRole,
+      userGroups: entry.userGroups,
+      answerMode: entry.answerMode,
+      filters: entry.filters,
+      dateRange: entry.dateRange,
+      numResults: options.numResults,
+      onProgress: progress => {
+        status = progress.status;
+      }
+    });
+  } catch (err) {
+    error = err.message;
+  }
+  const latencyMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+  const sources = result?.sources || [];
+  const judgment = judgeSources(entry, sources, k);
+
+  return {
+    id: entry.id,
+    question: entry.question,
+    status: error ? 'failed' : status || 'skipped',
+    latencyMs: Math.round(latencyMs * 10) / 10,
+    recallAtK: judgment.recallAtK,
+    reciprocalRank: judgment.reciprocalRank,
+    retrieved: sources.map(source => source.id),
+    missing: judgment.missing,
+    error
+  };
+}
+
+/**
+ * Runs a golden set through the interceptor and aggregates the scores
+ * @param {RageInterceptor} interceptor - Interceptor to evaluate
+ * @param {Array<Object>} goldenSet - Golden questions
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.k] - Cutoff for recall (default 5)
+ * @param {number} [options.numResults] - Overrides RAGE_NUM_RESULTS
+ * @param {boolean} [options.warmup] - Runs the first question once, untimed, so one-time loading (e.g. the tokenizer) is not measured
+ * @param {Object} [options.settings] - Settings recorded in the report
+ * @returns {Promise<Object>} Report ({ summary, questions })
+ */
+async function runEvaluation(interceptor, goldenSet, options = {}) {
+  const k = options.k || DEFAULT_K;
+  const questions = [];
+
+  if (options.warmup && goldenSet.length > 0) {
+    await evaluateQuestion(interceptor, goldenSet[0], { ...options, k });
+  }
+
+  // Sequential so latency reflects a single request at a time
+  for (const entry of goldenSet) {
+    questions.push(await evaluateQuestion(interceptor, entry, { ...options, k }));
+  }
+
+  const statuses = {};
+  questions.forEach(question => {
+    statuses[question.status] = (statuses[question.status] || 0) + 1;
+  });
+
+  const latencies = questions.map(question => question.latencyMs);
+  const latencyMs = {};
+  PERCENTILES.forEach(p => {
+    latencyMs[`p${p}`] = percentile(latencies, p);
+  });
+  latencyMs.mean = Math.round((mean(latencies) || 0) * 10) / 10;
+  latencyMs.max = latencies.length > 0 ? Math.max(...latencies) : 0;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    k,
+    settings: options.settings || {},
+    summary: {
+      questions: questions.length,
+      judged: questions.filter(question => question.recallAtK !== null).length,
+      recallAtK: mean(questions.map(question => question.recallAtK)),
+      mrr: mean(questions.map(question => question.reciprocalRank)),
+      filteredOutRate: questions.length > 0 ? (statuses.filtered_out || 0) / questions.length : 0,
+      statuses,
+      latencyMs
+    },
+    questions
+  };
+}
+
+/**
+ * Formats a score as a fixed-precision string
+ * @param {number|null} value - Score
+ * @returns {string} Formatted score ("-" when not scored)
+ */
+function formatScore(value) {
+  return value === null || value === undefined ? '-' : value.toFixed(3);
+}
+
+/**
+ * Renders a report as Markdown
+ * @param {Object} report - Report from runEvaluation
+ * @returns {string} Markdown report
+ */
+function formatMarkdown(report) {
+  const { summary, settings, k } = report;
+  const lines = [
+    '# RAGE Retrieval Evaluation',
+    '',
+    `Generated ${report.generatedAt}`,
+    ''
+  ];
+
+  const settingEntries = Object.entries(settings).filter(([, value]) => value !== undefined);
+  if (settingEntries.length > 0) {
+    lines.push(settingEntries.map(([key, value]) => `\`${key}=${value}\``).join(' · '), '');
+  }
+
+  lines.push(
+    '| Metric | Value |',
+    '|--------|-------|',
+    `| Questions | ${summary.questions} (${summary.judged} judged) |`,
+    `| Recall@${k} | ${formatScore(summary.recallAtK)} |`,
+    `| MRR | ${formatScore(summary.mrr)} |`,
+    `| Filtered-out rate | ${(summary.filteredOutRate * 100).toFixed(1)}% |`,
+    `| Latency p50 / p90 / p95 / p99 | ${summary.latencyMs.p50} / ${summary.latencyMs.p90} / ${summary.latencyMs.p95} / ${summary.latencyMs.p99} ms |`,
+    `| Statuses | ${Object.entries(summary.statuses).map(([status, count]) => `${status}: ${count}`).join(', ')} |`,
+    '',
+    `| ID | Status | Recall@${k} | RR | Latency (ms) | Missing |`,
+    '|----|--------|----------|----|--------------|---------|'
+  );
+
+  report.questions.forEach(question => {
+    const missing = question.missing.map(item => item.replace(/\|/g, '\\|')).join(', ');
+    lines.push(
+      `| ${question.id} | ${question.status} | ${formatScore(question.recallAtK)} | ${formatScore(question.reciprocalRank)} | ${question.latencyMs} | ${missing} |`
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Records the documents a provider returns, in the format the fixture provider replays
+ * @param {RetrievalProvider} provider - Provider to record
+ * @returns {{fixtures: Object, save: Function}} Recorded fixtures and a function writing them to a path
+ */
+function createFixtureRecorder(provider) {
+  const fixtures = { questions: {} };
+  const retrieve = provider.retrieve.bind(provider);
+
+  provider.retrieve = async (queryParams, correlationId) => {
+    const result = await retrieve(queryParams, correlationId);
+    fixtures.questions[queryParams.question] = result?.documents || [];
+    return result;
+  };
+
+  return {
+    fixtures,
+    save: filePath => fs.writeFileSync(filePath, JSON.stringify(fixtures, null, 2) + '\n')
+  };
+}
+
+module.exports = {
+  DEFAULT_K,
+  parseGoldenSet,
+  loadGoldenSet,
+  judgeSources,
+  percentile,
+  evaluateQuestion,
+  runEvaluation,
+  formatMarkdown,
+  createFixtureRecorder
+};
@@ -29,7 +29,8 @@ function parseArgs() {
     timeout: '5000',
     maxResults: '5',
     mock: false,
-    noColor: false
+    noColor: false,
+    k: '5'
   };
   
   let query = '';
@@ -42,6 +43,7 @@ function parseArgs() {
 RAGE Query Testing Tool v1.0.0
 
 Usage: npm run rage:query "<query>" [options]
+       npm run rage:query -- --eval <golden.jsonl> [options]
 
 Arguments:
   <query>                    The query string to test
@@ -57,11 +59,21 @@ Options:
   --no-color                Disable colored output
   -h, --help                Display this help message
 
+Evaluation:
+  --eval <file>             Run a JSONL golden set through the full RAGE pipeline
+  --fixtures <file>         Replay saved retrieval results instead of calling the provider
+  --record-fixtures <file>  Save the provider results of the run for later --fixtures runs
+  --k <n>                   Cutoff for recall@k [default: 5]
+  --output <file>           Write the report to a file instead of stdout
+  --fail-under <recall>     Exit with code 2 when recall@k is below this value
+  -f, --format <type>       Report format (markdown|json) [default: markdown]
+
 Examples:
   npm run rage:query "What is the company policy?"
   npm run rage:query "Employee handbook" --format json
   npm run rage:query "Benefits" --debug --verbose
   npm run rage:query "test query" --mock
+  npm run rage:query -- --eval golden.jsonl --fixtures retrieval.json --format json
 
 Environment Variables:
   RAGE_VECTORIZE_API_KEY    JWT authentication token (required)
@@ -85,12 +97,24 @@ Environment Variables:
       options.jwtToken = args[++i];
     } else if (arg === '--no-color') {
       options.noColor = true;
+    } else if (arg === '--eval') {
+      options.eval = args[++i];
+    } else if (arg === '--fixtures') {
+      options.fixtures = args[++i];
+    } else if (arg === '--record-fixtures') {
+      options.recordFixtures = args[++i];
+    } else if (arg === '--k') {
+      options.k = args[++i];
+    } else if (arg === '--output') {
+      options.output = args[++i];
+    } else if (arg === '--fail-under') {
+      options.failUnder = args[++i];
     } else if (!arg.startsWith('-')) {
       query = arg;
     }
   }
   
-  if (!query) {
+  if (!query && !options.eval) {
     console.error('Error: Query is required\n');
     console.error('Usage: npm run rage:query "<query>" [options]');
     console.error('Run --help for more information');
@@ -213,8 +237,73 @@ async function main() {
   }
 }
 
+// Evaluation mode: golden set through the full RageInterceptor pipeline
+async function evaluate() {
+  // Evaluate the pipeline as configured, with fresh retrievals for every question
+  process.env.RAGE_ENABLED = 'true';
+  process.env.RAGE_ENABLE_CACHING = 'false';
+  // Keep stdout for the report
+  process.env.RAGE_LOG_LEVEL = process.env.RAGE_LOG_LEVEL || 'warn';
+  process.env.RAGE_ENABLE_AUDIT_LOG = process.env.RAGE_ENABLE_AUDIT_LOG || 'false';
+  if (options.fixtures) {
+    process.env.RAGE_PROVIDER = 'fixture';
+    process.env.RAGE_FIXTURE_PATH = path.resolve(options.fixtures);
+  }
+
+  const fs = require('fs');
+  const evaluator = require('./lib/evaluator');
+  const RageInterceptor = require('../interceptors/RageInterceptor');
+
+  const goldenSet = evaluator.loadGoldenSet(path.resolve(options.eval));
+  const interceptor = new RageInterceptor();
+  if (!interceptor.retrievalProvider) {
+    throw new Error('RAGE could not be initialized; check the configuration errors above');
+  }
+
+  const recorder = options.recordFixtures
+    ? evaluator.createFixtureRecorder(interceptor.retrievalProvider)
+    : null;
+
+  console.error(colors.blue(`Evaluating ${goldenSet.length} questions with the ${interceptor.providerName} provider...`));
+
+  const report = await evaluator.runEvaluation(interceptor, goldenSet, {
+    k: parseInt(options.k),
+    warmup: true,
+    settings: {
+      RAGE_PROVIDER: interceptor.providerName,
+      RAGE_FIXTURE_PATH: options.fixtures,
+      RAGE_NUM_RESULTS: interceptor.config.RAGE_NUM_RESULTS,
+      RAGE_MIN_RELEVANCE_SCORE: interceptor.config.RAGE_MIN_RELEVANCE_SCORE,
+      RAGE_MIN_SIMILARITY_SCORE: interceptor.config.RAGE_MIN_SIMILARITY_SCORE,
+      RAGE_LEXICAL_PROVIDER: interceptor.config.RAGE_LEXICAL_PROVIDER
+    }
+  });
+
+  if (recorder) {
+    recorder.save(path.resolve(options.recordFixtures));
+    console.error(colors.gray(`Saved retrieval fixtures to ${options.recordFixtures}`));
+  }
+
+  const output = options.format === 'json'
+    ? JSON.stringify(report, null, 2) + '\n'
+    : evaluator.formatMarkdown(report);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    console.error(colors.gray(`Wrote report to ${options.output}`));
+  } else {
+    process.stdout.write(output);
+  }
+
+  const failUnder = options.failUnder !== undefined ? parseFloat(options.failUnder) : null;
+  if (failUnder !== null && (report.summary.recallAtK ?? 0) < failUnder) {
+    console.error(colors.red(`Recall@${report.k} ${report.summary.recallAtK ?? 0} is below ${failUnder}`));
+    process.exit(2);
+  }
+}
+
 // Run the tool
-main().catch(error => {
+(options.eval ? evaluate() : main()).catch(error => {
   console.error(colors.red('Unexpected Error:'), error.message);
   if (options.debug) {
     console.error(error.stack);
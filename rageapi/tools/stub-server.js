@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * RAGE Retrieval Stub Server
+ *
+ * Local HTTP server speaking the subset of each retrieval provider's API that
+ * RAGE uses, so the Vectorize, Qdrant and RAG API providers can be exercised
+ * without external services. Every endpoint serves the documents in
+ * tests/fixtures/mockResponses.json (`successfulRetrieval` by default).
+ *
+ * Endpoints:
+ * - POST /org/:org/pipelines/:pipeline/retrieval   (Vectorize)
+ * - POST /collections/:collection/points/search     (Qdrant)
+ * - POST /collections/:collection/points/scroll     (Qdrant, `must` match filters)
+ * - GET  /collections/:collection                   (Qdrant)
+ * - POST /embeddings                                (OpenAI-compatible embeddings)
+ * - POST /query, POST /query_multiple, GET /health  (RAG API)
+ *
+ * Every request is recorded in `server.requests` for assertions.
+ */
+
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURE = 'successfulRetrieval';
+const EMBEDDING_DIMENSIONS = 8;
+
+/**
+ * Loads the fixture results served by the stub
+ * @param {string} [fixture] - Fixture name in mockResponses.json
+ * @returns {Array<Object>} Fixture results ({ text, score, metadata })
+ */
+function loadFixtureResults(fixture = DEFAULT_FIXTURE) {
+  const responses = require(path.join(__dirname, '../tests/fixtures/mockResponses.json'));
+  return responses[fixture]?.results || [];
+}
+
+/**
+ * Builds a deterministic embedding so identical texts get identical vectors
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Embedding vector
+ */
+function fakeEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (let i = 0; i < text.length; i++) {
+    vector[i % EMBEDDING_DIMENSIONS] += text.charCodeAt(i) / 1000;
+  }
+  return vector;
+}
+
+/**
+ * Checks a Qdrant point payload against the `must` conditions of a filter
+ * @param {Object} payload - Point payload
+ * @param {Object} [filter] - Qdrant filter ({ must: [{ key, match: { value | any } }] })
+ * @returns {boolean} Whether every condition matches
+ */
+function matchesFilter(payload, filter) {
+  return (filter?.must || []).every(({ key, match = {} }) => (Array.isArray(match.any)
+    ? match.any.includes(payload[key])
+    : payload[key] === match.value));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body (empty object when absent)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {any} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the stub server (not yet listening)
+ * @param {Object} [options] - Server options
+ * @param {string} [options.fixture] - Fixture name in mockResponses.json
+ * @returns {http.Server} Server with a `requests` log
+ */
+function createStubServer(options = {}) {
+  const results = loadFixtureResults(options.fixture);
+  const requests = [];
+
+  const routes = [
+    {
+      method: 'POST',
+      pattern: /^\/org\/([^/]+)\/pipelines\/([^/]+)\/retrieval$/,
+      handle: (body) => ({
+        question: body.question,
+        documents: results.slice(0, body.numResults || 5).map((result, index) => ({
+          id: `doc_${index + 1}`,
+          text: result.text,
+          similarity: result.score,
+          relevancy: result.score,
+          source: result.metadata?.source,
+          source_display_name: result.metadata?.source,
+          metadata: result.metadata
+        }))
+      })
+    },
+    {
+      method: 'POST',
+      pattern: /^\/collections\/([^/]+)\/points\/search$/,
+      handle: (body) => ({
+        status: 'ok',
+        result: results.slice(0, body.limit || 5).map((result, index) => ({
+          id: index + 1,
+          version: 0,
+          score: result.score,
+          payload: { text: result.text, ...result.metadata }
+        }))
+      })
+    },
+    {
+      method: 'POST',
+      pattern: /^\/collections\/([^/]+)\/points\/scroll$/,
+      handle: (body) => ({
+        status: 'ok',
+        result: {
+          points: results
+            .map((result, index) => ({ id: index + 1, payload: { text: result.text, ...result.metadata } }))
+            .filter(point => matchesFilter(point.payload, body.filter))
+            .slice(0, body.limit || 10),
+          next_page_offset: null
+        }
+      })
+    },
+    {
+      method: 'GET',
+      pattern: /^\/collections\/([^/]+)$/,
+      handle: () => ({ status: 'ok', result: { status: 'green', points_count: results.length } })
+    },
+    {
+      method: 'POST',
+      pattern: /^(?:\/v1)?\/embeddings$/,
+      handle: (body) => {
+        const inputs = Array.isArray(body.input) ? body.input : [body.input || ''];
+        return {
+          object: 'list',
+          model: body.model,
+          data: inputs.map((input, index) => ({
+            object: 'embedding',
+            index,
+            embedding: fakeEmbedding(String(input))
+          }))
+        };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/query(_multiple)?$/,
+      handle: (body) => {
+        const fileIds = body.file_ids || [body.file_id];
+        return results.slice(0, body.k || 4).map((result, index) => [
+          {
+            page_content: result.text,
+            metadata: {
+              ...result.metadata,
+              file_id: fileIds[index % fileIds.length],
+              digest: `digest_${index + 1}`
+            }
+          },
+          1 - result.score
+        ]);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/health$/,
+      handle: () => ({ status: 'UP' })
+    }
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      const body = await readBody(req);
+      requests.push({ method: req.method, path: pathname, headers: req.headers, body });
+
+      const route = routes.find(({ method, pattern }) => method === req.method && pattern.test(pathname));
+      if (!route) {
+        sendJson(res, 404, { error: `No stub for ${req.method} ${pathname}` });
+        return;
+      }
+
+      sendJson(res, 200, route.handle(body));
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+
+  server.requests = requests;
+  return server;
+}
+
+/**
+ * Starts the stub server
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host] - Host to bind
+ * @param {string} [options.fixture] - Fixture name in mockResponses.json
+ * @returns {Promise<{server: http.Server, url: string, close: Function}>} Running server
+ */
+function startStubServer(options = {}) {
+  const server = createStubServer(options);
+  const host = options.host || '127.0.0.1';
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, host, () => {
+      const { port } = server.address();
+      resolve({
+        server,
+        url: `http://${host}:${port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.RAGE_STUB_PORT || '8765', 10);
+
+  startStubServer({ port, fixture: process.env.RAGE_STUB_FIXTURE })
+    .then(({ url }) => {
+      console.log(`RAGE stub server listening on ${url}`);
+      console.log(`  Vectorize: RAGE_PROVIDER=vectorize RAGE_VECTORIZE_URI=${url}`);
+      console.log(`  Qdrant:    RAGE_PROVIDER=qdrant RAGE_QDRANT_URL=${url} RAGE_QDRANT_COLLECTION=docs RAGE_EMBEDDING_URL=${url}`);
+      console.log(`  RAG API:   RAGE_PROVIDER=rag_api RAGE_RAG_API_URL=${url} RAGE_RAG_API_FILE_IDS=file-1`);
+    })
+    .catch(error => {
+      console.error('Failed to start RAGE stub server:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createStubServer,
+  startStubServer,
+  loadFixtureResults
+};
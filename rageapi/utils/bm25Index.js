@@ -0,0 +1,127 @@
+/**
+ * BM25 Index
+ *
+ * In-memory Okapi BM25 index over chunk text. Tokens keep identifiers such as
+ * `INV-2024-001` or `ticket_4512` whole (and also index their parts), so exact
+ * product codes and ticket IDs rank even when embeddings blur them.
+ */
+class Bm25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.textField = options.textField || 'text';
+
+    this.documents = [];
+    this.termFrequencies = [];
+    this.documentLengths = [];
+    this.documentFrequencies = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Splits text into lowercase terms; compound identifiers are kept whole and split into parts
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms
+   */
+  tokenize(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      return [];
+    }
+
+    const terms = [];
+    const matches = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./#][\p{L}\p{N}]+)*/gu) || [];
+
+    matches.forEach(match => {
+      terms.push(match);
+
+      const parts = match.split(/[-_./#]/);
+      if (parts.length > 1) {
+        terms.push(...parts);
+      }
+    });
+
+    return terms;
+  }
+
+  /**
+   * Adds documents to the index
+   * @param {Array<Object>} documents - Documents with text in the configured text field
+   */
+  addDocuments(documents) {
+    (documents || []).forEach(doc => {
+      const terms = this.tokenize(doc?.[this.textField]);
+      if (terms.length === 0) {
+        return;
+      }
+
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      frequencies.forEach((_, term) => {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      });
+
+      this.documents.push(doc);
+      this.termFrequencies.push(frequencies);
+      this.documentLengths.push(terms.length);
+      this.totalLength += terms.length;
+    });
+  }
+
+  /**
+   * Searches the index
+   * @param {string} query - Search query
+   * @param {number} [limit=10] - Maximum number of results
+   * @returns {Array<{document: Object, score: number}>} Matches, best first
+   */
+  search(query, limit = 10) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0 || this.size === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / this.size;
+    const matches = [];
+
+    this.termFrequencies.forEach((frequencies, index) => {
+      let score = 0;
+
+      queryTerms.forEach(term => {
+        const frequency = frequencies.get(term);
+        if (!frequency) {
+          return;
+        }
+
+        const lengthNorm = 1 - this.b + this.b * (this.documentLengths[index] / averageLength);
+        score += this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+      });
+
+      if (score > 0) {
+        matches.push({ document: this.documents[index], score });
+      }
+    });
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Inverse document frequency of a term (BM25+ style, never negative)
+   * @param {string} term - Indexed term
+   * @returns {number} IDF weight
+   */
+  idf(term) {
+    const frequency = this.documentFrequencies.get(term) || 0;
+    return Math.log(1 + (this.size - frequency + 0.5) / (frequency + 0.5));
+  }
+}
+
+module.exports = {
+  Bm25Index
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const { RetrievalProvider } = require('./retrievalProvider');
+const { rageLogger } = require('../logging/logger');
+
+/**
+ * Fixture Retrieval Provider
+ *
+ * Replays retrieval results saved in a JSON file instead of calling a backend,
+ * so the enrichment pipeline (scoring, formatting, token optimization) can be
+ * evaluated without network access, e.g. to test a new
+ * `RAGE_MIN_RELEVANCE_SCORE` in CI. The file maps each question sent to the
+ * backend to the documents it returned:
+ *
+ *   { "questions": { "<question>": [{ id, text, similarity, relevancy, source, metadata }] } }
+ *
+ * Questions match regardless of case, punctuation and spacing; unknown
+ * questions return no documents. `rage-query --eval --record-fixtures` saves
+ * live results in this format.
+ */
+class FixtureProvider extends RetrievalProvider {
+  constructor(config = {}) {
+    super({
+      fixturePath: config.fixturePath,
+      debug: config.debug
+    });
+
+    this.questions = config.fixtures ? FixtureProvider.indexQuestions(config.fixtures) : null;
+  }
+
+  /**
+   * Provider name used in logs and configuration
+   * @returns {string} Provider name
+   */
+  get name() {
+    return 'fixture';
+  }
+
+  /**
+   * Fixtures are checked against the metadata filters like any other backend result
+   * @returns {boolean} Whether metadata filters are sent with queries
+   */
+  get supportsMetadataFilters() {
+    return false;
+  }
+
+  /**
+   * Chunks are looked up among all saved documents
+   * @returns {boolean} Always true
+   */
+  get supportsChunkLookup() {
+    return true;
+  }
+
+  /**
+   * Scopes cached results to the fixture file
+   * @returns {{orgId: string|null, pipelineId: string|null}} Cache scope
+   */
+  getCacheScope() {
+    return {
+      orgId: null,
+      pipelineId: this.config.fixturePath || null
+    };
+  }
+
+  /**
+   * Normalizes a question so saved and live queries match
+   * @param {string} question - Question text
+   * @returns {string} Normalized question
+   */
+  static normalizeQuestion(question) {
+    return String(question || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Indexes fixture documents by normalized question
+   * @param {Object} fixtures - Fixture file content ({ questions })
+   * @returns {Map<string, Array>} Documents per question
+   */
+  static indexQuestions(fixtures) {
+    const questions = new Map();
+    Object.entries(fixtures?.questions || {}).forEach(([question, documents]) => {
+      questions.set(FixtureProvider.normalizeQuestion(question), Array.isArray(documents) ? documents : []);
+    });
+    return questions;
+  }
+
+  /**
+   * Loads (once) the fixture file
+   * @returns {Map<string, Array>} Documents per question, empty when the file is missing
+   */
+  getQuestions() {
+    if (this.questions) {
+      return this.questions;
+    }
+
+    try {
+      const content = fs.readFileSync(this.config.fixturePath, 'utf8');
+      this.questions = FixtureProvider.indexQuestions(JSON.parse(content));
+
+      rageLogger.info('Loaded retrieval fixtures', {
+        fixturePath: this.config.fixturePath,
+        questions: this.questions.size
+      });
+    } catch (error) {
+      rageLogger.warn('Retrieval fixtures unavailable, returning no documents', {
+        fixturePath: this.config.fixturePath,
+        error: error.message
+      });
+      this.questions = new Map();
+    }
+
+    return this.questions;
+  }
+
+  /**
+   * Returns the saved documents for a question
+   * @param {Object} queryParams - Query parameters (question, numResults)
+   * @returns {Promise<Object>} Retrieval result with documents
+   */
+  async retrieve(queryParams) {
+    const documents = this.getQuestions().get(FixtureProvider.normalizeQuestion(queryParams.question)) || [];
+
+    return {
+      question: queryParams.question,
+      documents: documents.slice(0, queryParams.numResults || documents.length)
+    };
+  }
+
+  /**
+   * Returns the saved documents matching the wanted chunks
+   * @param {Object} lookup - Chunks to fetch ({ documentField, indexField, chunks })
+   * @returns {Promise<Array<Object>>} Documents found
+   */
+  async fetchChunks(lookup) {
+    const documentKey = lookup.documentField.replace(/^metadata\./, '');
+    const indexKey = lookup.indexField.replace(/^metadata\./, '');
+    const wanted = new Set(lookup.chunks.flatMap(({ documentId, indexes }) =>
+      indexes.map(index => `${documentId}:${index}`)));
+
+    const found = new Map();
+    this.getQuestions().forEach(documents => {
+      documents.forEach(doc => {
+        const key = `${doc.metadata?.[documentKey]}:${doc.metadata?.[indexKey]}`;
+        if (wanted.has(key) && !found.has(key)) {
+          found.set(key, doc);
+        }
+      });
+    });
+
+    return [...found.values()];
+  }
+}
+
+module.exports = { FixtureProvider };
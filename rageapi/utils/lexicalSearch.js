@@ -0,0 +1,242 @@
+const fs = require('fs');
+const { Bm25Index } = require('./bm25Index');
+const { rageLogger } = require('../logging/logger');
+
+/**
+ * Lexical Search Utility
+ *
+ * Keyword retrieval leg used next to vector retrieval for hybrid search. Results
+ * are fused with the vector results by RelevanceScorer. Two backends exist:
+ *
+ * - `meilisearch`: an index of chunks in the MeiliSearch instance LibreChat
+ *   already runs for message search
+ * - `bm25`: an in-memory BM25 index over a chunk export (JSON array or JSONL)
+ *
+ * Index names and corpus paths may contain `{pipelineId}`, replaced with the
+ * pipeline (collection, file IDs) of the knowledge base being searched, so each
+ * workspace only sees its own chunks.
+ */
+class LexicalSearch {
+  constructor(config = {}) {
+    this.config = {
+      ...config,
+      textField: config.textField || 'text',
+      numResults: config.numResults || 10
+    };
+  }
+
+  /**
+   * Backend name used in logs and configuration
+   * @returns {string} Backend name
+   */
+  get name() {
+    return 'lexical';
+  }
+
+  /**
+   * Searches chunks matching the query
+   * @param {string} query - Search query
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {Object} [options.scope] - Knowledge base scope ({ orgId, pipelineId })
+   * @returns {Promise<Array<Object>>} Retrieval documents, best first
+   */
+  async search() {
+    throw new Error(`${this.constructor.name} does not implement search()`);
+  }
+
+  /**
+   * Replaces the `{pipelineId}` placeholder of an index name or path
+   * @param {string} template - Index name or path
+   * @param {Object} [scope] - Knowledge base scope
+   * @returns {string} Scoped name
+   */
+  resolveScoped(template, scope = {}) {
+    const pipelineId = String(scope.pipelineId || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+    return template.replace(/\{pipelineId\}/g, pipelineId);
+  }
+
+  /**
+   * Converts a stored chunk into a retrieval document
+   * @param {Object} chunk - Stored chunk
+   * @param {number} lexicalScore - Backend score
+   * @param {number} index - Result position
+   * @returns {Object} Retrieval document
+   */
+  toDocument(chunk, lexicalScore, index) {
+    const { [this.config.textField]: text, id, metadata: nestedMetadata, ...rest } = chunk;
+    const metadata = nestedMetadata && typeof nestedMetadata === 'object' ? { ...rest, ...nestedMetadata } : rest;
+    delete metadata._rankingScore;
+
+    const source = metadata.source || metadata.file_name || 'Unknown Source';
+
+    return {
+      id: id !== undefined ? String(id) : `lexical_${index}`,
+      text: text || '',
+      source,
+      source_display_name: metadata.title || source,
+      metadata: { ...metadata, source },
+      lexicalScore
+    };
+  }
+}
+
+/**
+ * MeiliSearch lexical backend
+ */
+class MeiliLexicalSearch extends LexicalSearch {
+  constructor(config = {}) {
+    super({
+      ...config,
+      indexName: config.indexName || 'rage_chunks'
+    });
+    this.client = null;
+  }
+
+  get name() {
+    return 'meilisearch';
+  }
+
+  /**
+   * Lazily creates the MeiliSearch client
+   * @returns {Object} MeiliSearch client
+   */
+  getClient() {
+    if (!this.client) {
+      const { MeiliSearch } = require('meilisearch');
+      this.client = new MeiliSearch({
+        host: this.config.host,
+        apiKey: this.config.apiKey
+      });
+    }
+    return this.client;
+  }
+
+  async search(query, options = {}) {
+    const indexName = this.resolveScoped(this.config.indexName, options.scope);
+    const response = await this.getClient()
+      .index(indexName)
+      .search(query, {
+        limit: options.limit || this.config.numResults,
+        showRankingScore: true
+      });
+
+    return (response?.hits || []).map((hit, index) =>
+      this.toDocument(hit, hit._rankingScore ?? null, index)
+    );
+  }
+}
+
+/**
+ * In-memory BM25 lexical backend
+ */
+class Bm25LexicalSearch extends LexicalSearch {
+  constructor(config = {}) {
+    super(config);
+    this.indexes = new Map();
+  }
+
+  get name() {
+    return 'bm25';
+  }
+
+  /**
+   * Loads (once) the BM25 index of a corpus file
+   * @param {string} corpusPath - Resolved corpus path
+   * @returns {Promise<Bm25Index>} Index, empty when the corpus is missing
+   */
+  async getIndex(corpusPath) {
+    if (!this.indexes.has(corpusPath)) {
+      this.indexes.set(corpusPath, this.loadIndex(corpusPath));
+    }
+    return this.indexes.get(corpusPath);
+  }
+
+  /**
+   * Reads a corpus file and builds its index
+   * @param {string} corpusPath - Resolved corpus path
+   * @returns {Promise<Bm25Index>} Index
+   */
+  async loadIndex(corpusPath) {
+    const index = new Bm25Index({ textField: this.config.textField });
+
+    try {
+      const content = await fs.promises.readFile(corpusPath, 'utf8');
+      index.addDocuments(this.parseCorpus(content));
+
+      rageLogger.info('Loaded BM25 corpus', {
+        corpusPath,
+        documents: index.size
+      });
+    } catch (error) {
+      rageLogger.warn('BM25 corpus unavailable, lexical search disabled for it', {
+        corpusPath,
+        error: error.message
+      });
+    }
+
+    return index;
+  }
+
+  /**
+   * Parses a JSON array or JSONL corpus
+   * @param {string} content - File content
+   * @returns {Array<Object>} Chunks
+   */
+  parseCorpus(content) {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed);
+    }
+
+    return trimmed
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  async search(query, options = {}) {
+    if (!this.config.corpusPath) {
+      return [];
+    }
+
+    const index = await this.getIndex(this.resolveScoped(this.config.corpusPath, options.scope));
+    return index
+      .search(query, options.limit || this.config.numResults)
+      .map((match, position) => this.toDocument(match.document, match.score, position));
+  }
+}
+
+const LEXICAL_BACKENDS = {
+  meilisearch: MeiliLexicalSearch,
+  bm25: Bm25LexicalSearch
+};
+
+/**
+ * Creates the lexical search backend configured by the RAGE settings
+ * @param {Object} config - RAGE configuration (including secrets)
+ * @returns {LexicalSearch|null} Backend, or null when hybrid search is off
+ */
+function createLexicalSearch(config = {}) {
+  const Backend = LEXICAL_BACKENDS[config.RAGE_LEXICAL_PROVIDER];
+  if (!Backend) {
+    return null;
+  }
+
+  return new Backend({
+    textField: config.RAGE_LEXICAL_TEXT_FIELD,
+    numResults: config.RAGE_LEXICAL_NUM_RESULTS,
+    host: config.RAGE_MEILI_HOST,
+    apiKey: config.RAGE_MEILI_API_KEY,
+    indexName: config.RAGE_MEILI_INDEX,
+    corpusPath: config.RAGE_BM25_CORPUS_PATH
+  });
+}
+
+module.exports = {
+  LexicalSearch,
+  MeiliLexicalSearch,
+  Bm25LexicalSearch,
+  createLexicalSearch
+};
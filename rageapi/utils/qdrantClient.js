@@ -0,0 +1,243 @@
+const { RetrievalProvider, trimTrailingSlash } = require('./retrievalProvider');
+
+/**
+ * Qdrant Client Utility
+ *
+ * Retrieves documents straight from a Qdrant collection over its REST API.
+ * The question is embedded with an OpenAI-compatible `/embeddings` endpoint
+ * (our own embedding service or any compatible API) and the vector is searched
+ * with `/collections/{collection}/points/search`.
+ */
+class QdrantClient extends RetrievalProvider {
+  constructor(config) {
+    super({
+      apiUrl: trimTrailingSlash(config.apiUrl),
+      collection: config.collection,
+      apiKey: config.apiKey,
+      vectorName: config.vectorName,
+      textField: config.textField || 'text',
+      embeddingUrl: trimTrailingSlash(config.embeddingUrl),
+      embeddingModel: config.embeddingModel,
+      embeddingApiKey: config.embeddingApiKey,
+      timeout: config.timeout,
+      retryAttempts: config.retryAttempts,
+      retryDelay: config.retryDelay,
+      debug: config.debug,
+      userAgent: config.userAgent
+    });
+  }
+
+  /**
+   * Provider name used in logs and configuration
+   * @returns {string} Provider name
+   */
+  get name() {
+    return 'qdrant';
+  }
+
+  /**
+   * Metadata filters are sent with retrieval queries
+   * @returns {boolean} Always true
+   */
+  get supportsMetadataFilters() {
+    return true;
+  }
+
+  /**
+   * Chunks are looked up by payload fields with `/points/scroll`
+   * @returns {boolean} Always true
+   */
+  get supportsChunkLookup() {
+    return true;
+  }
+
+  /**
+   * Identifies the collection queried by this client, scoping cached results
+   * @returns {{orgId: string|null, pipelineId: string|null}} Cache scope
+   */
+  getCacheScope() {
+    return {
+      orgId: this.config.apiUrl || null,
+      pipelineId: this.config.collection || null
+    };
+  }
+
+  /**
+   * Builds the headers for Qdrant requests
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Object} Request headers
+   */
+  getHeaders(correlationId) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': this.config.userAgent || 'LibreChat-RAGE/1.0',
+      'X-Correlation-ID': correlationId
+    };
+
+    if (this.config.apiKey) {
+      headers['api-key'] = this.config.apiKey;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Embeds the question and searches the collection
+   * @param {Object} queryParams - Query parameters
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object>} Retrieval result with documents
+   */
+  async retrieve(queryParams, correlationId) {
+    const operation = async () => {
+      const vector = await this.embed(queryParams.question, correlationId);
+
+      const requestBody = {
+        vector: this.config.vectorName ? { name: this.config.vectorName, vector } : vector,
+        limit: queryParams.numResults || 5,
+        with_payload: true
+      };
+
+      const filter = this.buildFilter(queryParams.metadataFilters);
+      if (filter) {
+        requestBody.filter = filter;
+      }
+
+      const url = `${this.config.apiUrl}/collections/${encodeURIComponent(this.config.collection)}/points/search`;
+      const response = await this.executeRequest('POST', url, requestBody, correlationId);
+
+      return {
+        documents: (response?.result || []).map(point => this.toDocument(point))
+      };
+    };
+
+    return this.errorHandler.executeWithResilience(operation, {
+      operation: 'qdrantApi',
+      correlationId,
+      timeout: this.config.timeout
+    });
+  }
+
+  /**
+   * Looks up chunks by document ID and chunk index, one scroll request per document
+   * @param {Object} lookup - Chunks to fetch ({ documentField, indexField, chunks })
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Array<Object>>} Documents found
+   */
+  async fetchChunks(lookup, correlationId) {
+    const operation = async () => {
+      const url = `${this.config.apiUrl}/collections/${encodeURIComponent(this.config.collection)}/points/scroll`;
+      const documentKey = lookup.documentField.replace(/^metadata\./, '');
+      const indexKey = lookup.indexField.replace(/^metadata\./, '');
+
+      const responses = await Promise.all(lookup.chunks.map(({ documentId, indexes }) =>
+        this.executeRequest('POST', url, {
+          filter: {
+            must: [
+              { key: documentKey, match: { value: documentId } },
+              { key: indexKey, match: { any: indexes } }
+            ]
+          },
+          limit: indexes.length,
+          with_payload: true,
+          with_vector: false
+        }, correlationId)
+      ));
+
+      return responses.flatMap(response => (response?.result?.points || []).map(point => this.toDocument(point)));
+    };
+
+    return this.errorHandler.executeWithResilience(operation, {
+      operation: 'qdrantApi',
+      correlationId,
+      timeout: this.config.timeout
+    });
+  }
+
+  /**
+   * Embeds text with the configured OpenAI-compatible embedding endpoint
+   * @param {string} text - Text to embed
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async embed(text, correlationId) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': this.config.userAgent || 'LibreChat-RAGE/1.0',
+      'X-Correlation-ID': correlationId
+    };
+
+    if (this.config.embeddingApiKey) {
+      headers['Authorization'] = `Bearer ${this.config.embeddingApiKey}`;
+    }
+
+    const response = await this.executeRequest('POST', `${this.config.embeddingUrl}/embeddings`, {
+      model: this.config.embeddingModel,
+      input: text
+    }, correlationId, headers);
+
+    const embedding = response?.data?.[0]?.embedding;
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+      throw new Error('Embedding endpoint returned no embedding');
+    }
+
+    return embedding;
+  }
+
+  /**
+   * Converts metadata filters into a Qdrant filter.
+   * Each filter maps a metadata field to a value or to a list of accepted values;
+   * a leading `metadata.` in the field name is ignored.
+   * @param {Array<Object>} [metadataFilters] - Metadata filters
+   * @returns {Object|null} Qdrant filter or null
+   */
+  buildFilter(metadataFilters) {
+    if (!Array.isArray(metadataFilters) || metadataFilters.length === 0) {
+      return null;
+    }
+
+    const must = [];
+    metadataFilters.forEach(filter => {
+      Object.entries(filter || {}).forEach(([field, value]) => {
+        const key = field.replace(/^metadata\./, '');
+        must.push(Array.isArray(value)
+          ? { key, match: { any: value } }
+          : { key, match: { value } });
+      });
+    });
+
+    return must.length > 0 ? { must } : null;
+  }
+
+  /**
+   * Converts a Qdrant point into a retrieval document
+   * @param {Object} point - Scored point ({ id, score, payload })
+   * @returns {Object} Retrieval document
+   */
+  toDocument(point) {
+    const payload = point.payload || {};
+    const { [this.config.textField]: text, metadata: nestedMetadata, ...rest } = payload;
+    const metadata = nestedMetadata && typeof nestedMetadata === 'object' ? { ...rest, ...nestedMetadata } : rest;
+    const source = metadata.source || metadata.file_name || metadata.url || 'Unknown Source';
+
+    return {
+      id: String(point.id),
+      text: text || payload.page_content || payload.content || '',
+      similarity: point.score,
+      source,
+      source_display_name: metadata.title || source,
+      metadata: { ...metadata, source }
+    };
+  }
+
+  /**
+   * Gets the endpoint reported by health checks
+   * @returns {string} Sanitized collection endpoint
+   */
+  getHealthEndpoint() {
+    return this.sanitizeUrlForLogging(`${this.config.apiUrl}/collections/${this.config.collection}`);
+  }
+}
+
+module.exports = {
+  QdrantClient
+};
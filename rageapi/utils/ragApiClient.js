@@ -0,0 +1,177 @@
+const jwt = require('jsonwebtoken');
+const { RetrievalProvider, trimTrailingSlash } = require('./retrievalProvider');
+
+/**
+ * LibreChat RAG API Client Utility
+ *
+ * Retrieves documents from the RAG API service configured with `RAG_API_URL`,
+ * the same service LibreChat uses to embed uploaded files
+ * (see api/server/services/Files/VectorDB). The knowledge base is the set of
+ * configured file IDs; a single file is queried with `/query` (supporting an
+ * entity ID), several files with `/query_multiple`.
+ */
+class RagApiClient extends RetrievalProvider {
+  constructor(config) {
+    super({
+      apiUrl: trimTrailingSlash(config.apiUrl),
+      fileIds: parseFileIds(config.fileIds),
+      entityId: config.entityId,
+      jwtToken: config.jwtToken,
+      jwtSecret: config.jwtSecret,
+      timeout: config.timeout,
+      retryAttempts: config.retryAttempts,
+      retryDelay: config.retryDelay,
+      debug: config.debug,
+      userAgent: config.userAgent
+    });
+  }
+
+  /**
+   * Provider name used in logs and configuration
+   * @returns {string} Provider name
+   */
+  get name() {
+    return 'rag_api';
+  }
+
+  /**
+   * Identifies the files queried by this client, scoping cached results
+   * @returns {{orgId: string|null, pipelineId: string|null}} Cache scope
+   */
+  getCacheScope() {
+    return {
+      orgId: this.config.entityId || null,
+      pipelineId: this.config.fileIds.slice().sort().join(',') || null
+    };
+  }
+
+  /**
+   * Builds the headers for RAG API requests, signing a short-lived token the
+   * same way LibreChat does when no static token is configured
+   * @param {string} correlationId - Request correlation ID
+   * @param {string} [userId] - User the request is made for
+   * @returns {Object} Request headers
+   */
+  getHeaders(correlationId, userId) {
+    const headers = {
+      'Content-Type': 'application/json',
+      accept: 'application/json',
+      'User-Agent': this.config.userAgent || 'LibreChat-RAGE/1.0',
+      'X-Correlation-ID': correlationId
+    };
+
+    const token = this.config.jwtToken || this.signToken(userId);
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Signs a short-lived token accepted by the RAG API
+   * @param {string} [userId] - User the request is made for
+   * @returns {string|null} Signed token, or null without a secret
+   */
+  signToken(userId) {
+    const secret = this.config.jwtSecret || process.env.JWT_SECRET;
+    if (!secret) {
+      return null;
+    }
+
+    return jwt.sign({ id: userId || 'rage' }, secret, {
+      expiresIn: '5m',
+      algorithm: 'HS256'
+    });
+  }
+
+  /**
+   * Queries the configured files
+   * @param {Object} queryParams - Query parameters (question, numResults, userId)
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object>} Retrieval result with documents
+   */
+  async retrieve(queryParams, correlationId) {
+    const operation = async () => {
+      const { fileIds, entityId } = this.config;
+      if (fileIds.length === 0) {
+        return { documents: [] };
+      }
+
+      const k = queryParams.numResults || 5;
+      const single = fileIds.length === 1;
+      const url = `${this.config.apiUrl}/${single ? 'query' : 'query_multiple'}`;
+      const requestBody = single
+        ? { file_id: fileIds[0], query: queryParams.question, k }
+        : { file_ids: fileIds, query: queryParams.question, k };
+
+      if (single && entityId) {
+        requestBody.entity_id = entityId;
+      }
+
+      const headers = this.getHeaders(correlationId, queryParams.userId);
+      const response = await this.executeRequest('POST', url, requestBody, correlationId, headers);
+
+      return {
+        documents: (Array.isArray(response) ? response : [])
+          .map((result, index) => this.toDocument(result, index))
+          .filter(Boolean)
+      };
+    };
+
+    return this.errorHandler.executeWithResilience(operation, {
+      operation: 'ragApi',
+      correlationId,
+      timeout: this.config.timeout
+    });
+  }
+
+  /**
+   * Converts a RAG API `[document, distance]` pair into a retrieval document
+   * @param {Array} result - Query result pair
+   * @param {number} index - Result position
+   * @returns {Object|null} Retrieval document
+   */
+  toDocument(result, index) {
+    if (!Array.isArray(result) || !result[0]) {
+      return null;
+    }
+
+    const [docInfo, distance] = result;
+    const metadata = docInfo.metadata || {};
+    const source = metadata.source ? String(metadata.source).split('/').pop() : 'Unknown Source';
+    const similarity = typeof distance === 'number' ? Math.max(0, Math.min(1, 1 - distance)) : 0;
+
+    return {
+      id: metadata.digest || `${metadata.file_id || 'rag'}_${metadata.page ?? index}`,
+      text: docInfo.page_content || '',
+      similarity,
+      source,
+      source_display_name: source,
+      metadata: { ...metadata, source }
+    };
+  }
+
+  /**
+   * Gets the endpoint reported by health checks
+   * @returns {string} Sanitized endpoint
+   */
+  getHealthEndpoint() {
+    return this.sanitizeUrlForLogging(`${this.config.apiUrl}/health`);
+  }
+}
+
+/**
+ * Parses file IDs from a comma-separated string or an array
+ * @param {string|Array<string>} fileIds - Configured file IDs
+ * @returns {Array<string>} File IDs
+ */
+function parseFileIds(fileIds) {
+  const list = Array.isArray(fileIds) ? fileIds : String(fileIds || '').split(',');
+  return list.map(id => String(id).trim()).filter(Boolean);
+}
+
+module.exports = {
+  RagApiClient,
+  parseFileIds
+};
@@ -0,0 +1,425 @@
+const fetch = require('node-fetch');
+const { ErrorHandler } = require('../resilience/errorHandler');
+const { ErrorFactory } = require('../errors/RageError');
+const { rageLogger } = require('../logging/logger');
+const { metricsCollector } = require('../logging/metrics');
+const logger = require('../../api/utils/logger');
+
+/**
+ * Retrieval Provider
+ *
+ * Base class for the clients RAGE retrieves documents from. Implementations
+ * translate a retrieval query into their backend's API and return documents in
+ * the common shape used by the enrichment pipeline:
+ *
+ *   { documents: [{ id, text, similarity, relevancy?, source, source_display_name, metadata }] }
+ *
+ * Shared HTTP handling (authentication headers, retries, error mapping,
+ * metrics) lives here.
+ */
+class RetrievalProvider {
+  constructor(config = {}) {
+    this.config = {
+      ...config,
+      timeout: config.timeout || 5000,
+      retryAttempts: config.retryAttempts || 2,
+      retryDelay: config.retryDelay || 1000,
+      debug: config.debug || false
+    };
+
+    // Create ErrorHandler instance for resilience
+    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Provider name used in logs and configuration
+   * @returns {string} Provider name
+   */
+  get name() {
+    return 'provider';
+  }
+
+  /**
+   * Whether `metadataFilters` are applied by the backend. Filters are always
+   * re-checked on the results, so backends without support still return only
+   * matching documents (from a smaller candidate set).
+   * @returns {boolean} Whether metadata filters are sent with queries
+   */
+  get supportsMetadataFilters() {
+    return false;
+  }
+
+  /**
+   * Whether chunks can be looked up by document ID and chunk index with
+   * `fetchChunks`, which lets the chunk expander add neighbouring chunks
+   * @returns {boolean} Whether chunk lookup is supported
+   */
+  get supportsChunkLookup() {
+    return false;
+  }
+
+  /**
+   * Executes a retrieval query
+   * @param {Object} queryParams - Query parameters (question, numResults, rerank, metadataFilters)
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object>} Retrieval result with documents
+   */
+  async retrieve() {
+    throw new Error(`${this.constructor.name} does not implement retrieve()`);
+  }
+
+  /**
+   * Looks up chunks by document ID and chunk index
+   * @param {Object} lookup - Chunks to fetch
+   * @param {string} lookup.documentField - Metadata field holding the document ID
+   * @param {string} lookup.indexField - Metadata field holding the chunk index
+   * @param {Array<{documentId: string, indexes: Array<number>}>} lookup.chunks - Wanted chunks per document
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Array<Object>>} Documents found, in the common document shape
+   */
+  async fetchChunks() {
+    throw new Error(`${this.constructor.name} does not implement fetchChunks()`);
+  }
+
+  /**
+   * Identifies the knowledge base queried by this provider, scoping cached results
+   * @returns {{orgId: string|null, pipelineId: string|null}} Cache scope
+   */
+  getCacheScope() {
+    return {
+      orgId: this.config.orgId || null,
+      pipelineId: this.config.pipelineId || null
+    };
+  }
+
+  /**
+   * Builds the headers sent with every request
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Object} Request headers
+   */
+  getHeaders(correlationId) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': this.config.userAgent || 'LibreChat-RAGE/1.0',
+      'X-Correlation-ID': correlationId
+    };
+
+    if (this.config.jwtToken) {
+      headers['Authorization'] = `Bearer ${this.config.jwtToken}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Executes HTTP request with retry logic and error handling
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object} body - Request body
+   * @param {string} correlationId - Request correlation ID
+   * @param {Object} [headers] - Request headers (defaults to getHeaders())
+   * @returns {Promise<Object>} Response data
+   */
+  async executeRequest(method, url, body, correlationId, headers) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.config.retryAttempts + 1; attempt++) {
+      try {
+        if (this.config.debug) {
+          logger.debug(`${this.constructor.name} request attempt`, {
+            correlationId,
+            attempt,
+            method,
+            url: this.sanitizeUrlForLogging(url)
+          });
+        }
+
+        const response = await this.makeHttpRequest(method, url, body, correlationId, headers);
+
+        if (this.config.debug) {
+          logger.debug(`${this.constructor.name} request successful`, {
+            correlationId,
+            attempt,
+            status: response.status
+          });
+        }
+
+        return response;
+      } catch (error) {
+        lastError = error;
+
+        if (this.shouldRetry(error, attempt)) {
+          const delay = this.calculateRetryDelay(attempt);
+
+          logger.warn(`${this.constructor.name} request failed, retrying`, {
+            correlationId,
+            attempt,
+            error: error.message,
+            retryDelay: delay
+          });
+
+          await this.sleep(delay);
+          continue;
+        }
+
+        // Don't retry, throw the error
+        logger.error(`${this.constructor.name} request failed permanently`, {
+          correlationId,
+          attempt,
+          error: error.message,
+          stack: this.config.debug ? error.stack : undefined
+        });
+
+        throw error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Makes the actual HTTP request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object} body - Request body
+   * @param {string} correlationId - Request correlation ID
+   * @param {Object} [headers] - Request headers (defaults to getHeaders())
+   * @returns {Promise<Object>} Parsed response data
+   */
+  async makeHttpRequest(method, url, body, correlationId, headers) {
+    const requestOptions = {
+      method,
+      headers: headers || this.getHeaders(correlationId),
+      timeout: this.config.timeout
+    };
+
+    if (body && method !== 'GET') {
+      requestOptions.body = JSON.stringify(body);
+    }
+
+    rageLogger.apiOperation('request_start', 'started', {
+      provider: this.name,
+      method,
+      url: this.sanitizeUrlForLogging(url)
+    }, correlationId);
+
+    const startTime = Date.now();
+    const response = await fetch(url, requestOptions);
+    const duration = Date.now() - startTime;
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unable to read error response');
+
+      rageLogger.apiOperation('request_failed', 'error', {
+        provider: this.name,
+        method,
+        status: response.status,
+        statusText: response.statusText,
+        duration
+      }, correlationId);
+
+      metricsCollector.recordApiCall(
+        this.sanitizeUrlForLogging(url),
+        duration,
+        response.status,
+        0
+      );
+
+      throw ErrorFactory.create(
+        new Error(`API request failed: ${response.status} ${response.statusText}`),
+        this.getErrorTypeFromStatus(response.status),
+        {
+          statusCode: response.status,
+          correlationId,
+          responseText: errorText
+        }
+      );
+    }
+
+    const data = await response.json();
+    const responseSize = JSON.stringify(data).length;
+
+    rageLogger.apiOperation('request_success', 'success', {
+      provider: this.name,
+      method,
+      status: response.status,
+      duration,
+      responseSize
+    }, correlationId);
+
+    metricsCollector.recordApiCall(
+      this.sanitizeUrlForLogging(url),
+      duration,
+      response.status,
+      responseSize
+    );
+
+    return data;
+  }
+
+  /**
+   * Determines if a request should be retried based on the error
+   * @param {Error} error - The error that occurred
+   * @param {number} attempt - Current attempt number
+   * @returns {boolean} Whether to retry
+   */
+  shouldRetry(error, attempt) {
+    // Don't retry if we've exceeded max attempts
+    if (attempt >= this.config.retryAttempts + 1) {
+      return false;
+    }
+
+    // Don't retry authentication errors
+    if (error instanceof RetrievalApiError && error.status === 401) {
+      return false;
+    }
+
+    // Don't retry bad request errors
+    if (error instanceof RetrievalApiError && error.status === 400) {
+      return false;
+    }
+
+    // Retry on network errors, timeouts, and 5xx server errors
+    if (error.code === 'ECONNRESET' ||
+        error.code === 'ENOTFOUND' ||
+        error.code === 'ETIMEDOUT' ||
+        error.message.includes('timeout') ||
+        (error instanceof RetrievalApiError && error.status >= 500)) {
+      return true;
+    }
+
+    // Retry on rate limiting
+    if (error instanceof RetrievalApiError && error.status === 429) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Calculates retry delay with exponential backoff
+   * @param {number} attempt - Current attempt number
+   * @returns {number} Delay in milliseconds
+   */
+  calculateRetryDelay(attempt) {
+    const baseDelay = this.config.retryDelay;
+    const backoffMultiplier = Math.pow(2, attempt - 1);
+    const jitter = Math.random() * 0.1; // Add 10% jitter
+
+    return Math.floor(baseDelay * backoffMultiplier * (1 + jitter));
+  }
+
+  /**
+   * Sleep utility for retry delays
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise} Promise that resolves after delay
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Sanitizes URL for logging (drops the host and credentials)
+   * @param {string} url - Original URL
+   * @returns {string} Sanitized URL
+   */
+  sanitizeUrlForLogging(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.pathname + urlObj.search;
+    } catch {
+      return '[invalid-url]';
+    }
+  }
+
+  /**
+   * Gets error type from HTTP status code
+   * @param {number} status - HTTP status code
+   * @returns {string} Error type
+   */
+  getErrorTypeFromStatus(status) {
+    if (status === 401 || status === 403) {
+      return 'auth_error';
+    }
+    if (status === 429) {
+      return 'rate_limit';
+    }
+    if (status >= 500) {
+      return 'server_error';
+    }
+    if (status >= 400) {
+      return 'validation_error';
+    }
+    return 'unknown_error';
+  }
+
+  /**
+   * Gets the endpoint reported by health checks
+   * @returns {string} Sanitized endpoint
+   */
+  getHealthEndpoint() {
+    return this.sanitizeUrlForLogging(this.config.apiUrl);
+  }
+
+  /**
+   * Tests connectivity by running a minimal retrieval query
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Promise<Object>} Health check result
+   */
+  async healthCheck(correlationId) {
+    try {
+      const testQuery = {
+        question: 'health check test query',
+        numResults: 1,
+        rerank: false
+      };
+
+      const startTime = Date.now();
+      await this.retrieve(testQuery, correlationId);
+      const duration = Date.now() - startTime;
+
+      return {
+        status: 'healthy',
+        provider: this.name,
+        duration,
+        endpoint: this.getHealthEndpoint()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: this.name,
+        error: error.message,
+        errorType: error.constructor.name,
+        endpoint: this.getHealthEndpoint()
+      };
+    }
+  }
+}
+
+/**
+ * Error class for retrieval API errors
+ */
+class RetrievalApiError extends Error {
+  constructor(message, status, response, correlationId) {
+    super(message);
+    this.name = 'RetrievalApiError';
+    this.status = status;
+    this.response = response;
+    this.correlationId = correlationId;
+  }
+}
+
+/**
+ * Removes trailing slashes from a base URL
+ * @param {string} [url] - Base URL
+ * @returns {string|undefined} URL without trailing slashes
+ */
+function trimTrailingSlash(url) {
+  return typeof url === 'string' ? url.replace(/\/+$/, '') : url;
+}
+
+module.exports = {
+  RetrievalProvider,
+  RetrievalApiError,
+  trimTrailingSlash
+};
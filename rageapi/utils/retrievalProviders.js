@@ -0,0 +1,141 @@
+const { VectorizeClient } = require('./vectorizeClient');
+const { QdrantClient } = require('./qdrantClient');
+const { RagApiClient } = require('./ragApiClient');
+const { FixtureProvider } = require('./fixtureProvider');
+
+/**
+ * Retrieval Provider Registry
+ *
+ * Maps the `RAGE_PROVIDER` setting (and a workspace's `pipeline.provider`) to
+ * the client implementing it, and builds each client's configuration from the
+ * RAGE settings.
+ */
+const PROVIDERS = {
+  vectorize: VectorizeClient,
+  qdrant: QdrantClient,
+  rag_api: RagApiClient,
+  fixture: FixtureProvider
+};
+
+const DEFAULT_PROVIDER = 'vectorize';
+
+/**
+ * Resolves a provider name, falling back to Vectorize for unknown names
+ * @param {string} [provider] - Provider name
+ * @returns {string} Supported provider name
+ */
+function resolveProviderName(provider) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, provider) ? provider : DEFAULT_PROVIDER;
+}
+
+/**
+ * Builds a provider configuration from the RAGE settings
+ * @param {string} provider - Provider name
+ * @param {Object} config - RAGE configuration (including secrets)
+ * @returns {Object} Provider configuration
+ */
+function buildProviderConfig(provider, config = {}) {
+  const common = {
+    timeout: config.RAGE_TIMEOUT_MS || 5000,
+    retryAttempts: config.RAGE_RETRY_ATTEMPTS || 2,
+    retryDelay: config.RAGE_RETRY_DELAY_MS || 1000,
+    debug: config.RAGE_DEBUG || false,
+    userAgent: config.RAGE_USER_AGENT || 'LibreChat-RAGE/1.0'
+  };
+
+  switch (resolveProviderName(provider)) {
+    case 'qdrant':
+      return {
+        ...common,
+        apiUrl: config.RAGE_QDRANT_URL,
+        collection: config.RAGE_QDRANT_COLLECTION,
+        apiKey: config.RAGE_QDRANT_API_KEY,
+        vectorName: config.RAGE_QDRANT_VECTOR_NAME,
+        textField: config.RAGE_QDRANT_TEXT_FIELD,
+        embeddingUrl: config.RAGE_EMBEDDING_URL,
+        embeddingModel: config.RAGE_EMBEDDING_MODEL,
+        embeddingApiKey: config.RAGE_EMBEDDING_API_KEY
+      };
+    case 'rag_api':
+      return {
+        ...common,
+        apiUrl: config.RAGE_RAG_API_URL,
+        fileIds: config.RAGE_RAG_API_FILE_IDS,
+        entityId: config.RAGE_RAG_API_ENTITY_ID,
+        jwtToken: config.RAGE_RAG_API_KEY
+      };
+    case 'fixture':
+      return {
+        ...common,
+        fixturePath: config.RAGE_FIXTURE_PATH
+      };
+    default:
+      return {
+        ...common,
+        apiUrl: config.RAGE_VECTORIZE_URI,
+        orgId: config.RAGE_VECTORIZE_ORGANIZATION_ID,
+        pipelineId: config.RAGE_VECTORIZE_PIPELINE_ID,
+        jwtToken: config.RAGE_VECTORIZE_API_KEY
+      };
+  }
+}
+
+/**
+ * Applies a workspace pipeline on top of a provider configuration.
+ * `pipelineId` is the Vectorize pipeline, the Qdrant collection or the
+ * comma-separated RAG API file IDs; `organizationId` is the Vectorize
+ * organization or the RAG API entity ID. Unset fields keep the defaults.
+ * @param {string} provider - Provider name
+ * @param {Object} baseConfig - Provider configuration built from the RAGE settings
+ * @param {Object} pipeline - Workspace pipeline with decrypted credentials
+ * @returns {Object} Provider configuration for the workspace
+ */
+function applyWorkspacePipeline(provider, baseConfig, pipeline) {
+  const apiUrl = pipeline.apiUrl || baseConfig.apiUrl;
+
+  switch (resolveProviderName(provider)) {
+    case 'qdrant':
+      return {
+        ...baseConfig,
+        apiUrl,
+        collection: pipeline.pipelineId || baseConfig.collection,
+        apiKey: pipeline.apiKey || baseConfig.apiKey
+      };
+    case 'rag_api':
+      return {
+        ...baseConfig,
+        apiUrl,
+        fileIds: pipeline.pipelineId || baseConfig.fileIds,
+        entityId: pipeline.organizationId || baseConfig.entityId,
+        jwtToken: pipeline.apiKey || baseConfig.jwtToken
+      };
+    default:
+      return {
+        ...baseConfig,
+        apiUrl,
+        orgId: pipeline.organizationId || baseConfig.orgId,
+        pipelineId: pipeline.pipelineId || baseConfig.pipelineId,
+        jwtToken: pipeline.apiKey || baseConfig.jwtToken
+      };
+  }
+}
+
+/**
+ * Creates a retrieval provider client
+ * @param {string} provider - Provider name
+ * @param {Object} providerConfig - Provider configuration
+ * @returns {RetrievalProvider} Provider client
+ */
+function createRetrievalProvider(provider, providerConfig) {
+  const Provider = PROVIDERS[resolveProviderName(provider)];
+  return new Provider(providerConfig);
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  resolveProviderName,
+  buildProviderConfig,
+  applyWorkspacePipeline,
+  createRetrievalProvider
+};